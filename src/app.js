@@ -6,6 +6,7 @@ require('dotenv').config();
 
 // Import middleware
 const { handleSequelizeErrors, globalErrorHandler } = require('./middleware/validation');
+const { requestContext } = require('./middleware/requestContext');
 
 // Import routes
 const authRoutes = require('./routes/auth');
@@ -14,19 +15,35 @@ const customerRoutes = require('./routes/customers');
 const rentalRoutes = require('./routes/rentals');
 const maintenanceRoutes = require('./routes/maintenances');
 const reportsRoutes = require('./routes/reports');
+const auditRoutes = require('./routes/audit');
+const exchangeRateRoutes = require('./routes/exchangeRates');
+const locationRoutes = require('./routes/locations');
+const extraRoutes = require('./routes/extras');
+const roleRoutes = require('./routes/roles');
 
 // Import database
 const { syncDatabase } = require('./models');
 const { testConnection } = require('./config/database');
 
+// Import scheduled jobs
+const { startNoShowJob } = require('./services/noShowService');
+const { verifyMailTransport } = require('./services/mailService');
+
 // Import Swagger configuration
 const { specs, swaggerUi, swaggerOptions } = require('./config/swagger');
+const { serveUploads } = require('./middleware/upload');
+const auth = require('./config/auth');
 
 /**
  * Create Express application
  */
 const app = express();
 
+/**
+ * Client address behind proxies (req.ip), used by login protection and audit
+ */
+app.set('trust proxy', auth.trustProxy);
+
 /**
  * Security middleware
  */
@@ -58,9 +75,14 @@ app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 /**
- * Static files
+ * Request context (IP, user agent, authenticated user) for the audit trail
  */
-app.use('/uploads', express.static('uploads'));
+app.use(requestContext);
+
+/**
+ * Uploaded files (authenticated)
+ */
+app.use('/uploads', serveUploads);
 
 /**
  * Health check endpoint
@@ -83,6 +105,11 @@ app.use('/api/customers', customerRoutes);
 app.use('/api/rentals', rentalRoutes);
 app.use('/api/maintenances', maintenanceRoutes);
 app.use('/api/reports', reportsRoutes);
+app.use('/api/audit', auditRoutes);
+app.use('/api/exchange-rates', exchangeRateRoutes);
+app.use('/api/locations', locationRoutes);
+app.use('/api/extras', extraRoutes);
+app.use('/api/roles', roleRoutes);
 
 /**
  * Swagger Documentation
@@ -115,6 +142,9 @@ app.use(globalErrorHandler);
  */
 const startServer = async () => {
   try {
+    // Password reset needs a mail transport
+    verifyMailTransport();
+
     // Test database connection
     await testConnection();
     
@@ -130,6 +160,9 @@ const startServer = async () => {
       console.log(`📚 API Documentation: http://localhost:${PORT}/api-docs`);
       console.log(`📖 Docs shortcut: http://localhost:${PORT}/docs`);
     });
+
+    // Mark stale reservations as no-show (one instance at a time)
+    startNoShowJob();
   } catch (error) {
     console.error('❌ Failed to start server:', error);
     process.exit(1);
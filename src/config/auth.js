@@ -0,0 +1,88 @@
+require('dotenv').config();
+
+/**
+ * Parse TRUST_PROXY into an Express `trust proxy` value: a number of hops,
+ * true/false, or a comma-separated list of proxy addresses and subnets
+ */
+const parseTrustProxy = (value) => {
+  if (!value || value === 'false') return false;
+  if (value === 'true') return true;
+  if (/^\d+$/.test(value)) return parseInt(value);
+  return value.split(',').map(entry => entry.trim()).filter(Boolean);
+};
+
+/**
+ * Authentication configuration
+ * Clients hold a short-lived JWT access token and a refresh token that is
+ * exchanged for a new pair at /api/auth/refresh. Refresh tokens rotate on
+ * every use and belong to a server-side session that can be revoked.
+ */
+const auth = {
+  accessToken: {
+    secret: process.env.JWT_SECRET,
+    expiresIn: process.env.JWT_ACCESS_EXPIRES_IN || '15m'
+  },
+  refreshToken: {
+    // A session not refreshed for this many days expires
+    ttlDays: parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30
+  },
+  passwordReset: {
+    // Reset links work once and only for this many minutes
+    ttlMinutes: parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 30,
+    // Page of the frontend that receives the token as ?token=
+    url: process.env.PASSWORD_RESET_URL || `${process.env.FRONTEND_URL || 'http://localhost:5173'}/reset-password`
+  },
+
+  /**
+   * Proxies in front of the API whose X-Forwarded-For is trusted
+   * Behind a load balancer or reverse proxy req.ip is the proxy's address,
+   * which would put every client under the same IP limit and audit entry;
+   * set TRUST_PROXY to the proxies so req.ip is the client's address.
+   * Unset, X-Forwarded-For is ignored since clients could forge it.
+   */
+  trustProxy: parseTrustProxy(process.env.TRUST_PROXY),
+
+  /**
+   * Login brute-force protection
+   * account - after `freeAttempts` consecutive failures each further attempt
+   *           must wait baseDelaySeconds x 2^(extra failures - 1), up to
+   *           maxDelaySeconds; at `maxAttempts` failures the account is
+   *           locked for lockoutMinutes (or until an admin unlocks it)
+   * ip      - at `maxAttempts` failures from an IP within windowMinutes, logins
+   *           from that IP are refused until older failures leave the window
+   */
+  loginProtection: {
+    account: {
+      freeAttempts: parseInt(process.env.LOGIN_FREE_ATTEMPTS) || 3,
+      baseDelaySeconds: 2,
+      maxDelaySeconds: 60,
+      maxAttempts: parseInt(process.env.LOGIN_MAX_ATTEMPTS) || 10,
+      lockoutMinutes: parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15
+    },
+    ip: {
+      maxAttempts: parseInt(process.env.LOGIN_IP_MAX_ATTEMPTS) || 50,
+      windowMinutes: parseInt(process.env.LOGIN_IP_WINDOW_MINUTES) || 15
+    }
+  },
+
+  /**
+   * TOTP two-factor authentication
+   * Optional for every user; users of `requiredRoles` cannot sign in without
+   * it and enrol on their next login. Between the password and the code the
+   * client holds a challenge token valid for challengeTtlMinutes.
+   */
+  twoFactor: {
+    issuer: process.env.TWO_FACTOR_ISSUER || 'RentAutoPro',
+    requiredRoles: (process.env.TWO_FACTOR_REQUIRED_ROLES || '').split(',').map(role => role.trim()).filter(Boolean),
+    challengeTtlMinutes: parseInt(process.env.TWO_FACTOR_CHALLENGE_TTL_MINUTES) || 5,
+    recoveryCodes: 10,
+    totp: {
+      period: 30,
+      digits: 6,
+      // Steps accepted either side of the current one, for clock drift
+      window: 1
+    }
+  }
+};
+
+module.exports = auth;
@@ -0,0 +1,30 @@
+require('dotenv').config();
+
+/**
+ * Invoicing configuration
+ * Issuer data printed on every document and the numbering series used for
+ * invoices and credit notes (see services/invoiceService.js).
+ */
+const invoicing = {
+  issuer: {
+    name: process.env.INVOICE_ISSUER_NAME || 'RentAutoPro',
+    tax_id: process.env.INVOICE_ISSUER_TAX_ID || null,
+    address: process.env.INVOICE_ISSUER_ADDRESS || null,
+    email: process.env.INVOICE_ISSUER_EMAIL || null,
+    phone: process.env.INVOICE_ISSUER_PHONE || null
+  },
+
+  /**
+   * Numbering series per document type
+   * Numbers are sequential and gap-free within a series.
+   */
+  series: {
+    invoice: process.env.INVOICE_SERIES || 'F',
+    credit_note: process.env.CREDIT_NOTE_SERIES || 'NC'
+  },
+
+  // Digits the number is padded to in the document number (F-000123)
+  numberPadding: 6
+};
+
+module.exports = invoicing;
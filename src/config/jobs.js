@@ -0,0 +1,17 @@
+require('dotenv').config();
+
+/**
+ * Scheduled jobs configuration
+ * Jobs run inside the API process; every instance schedules them and a
+ * Postgres advisory lock lets only one instance process each run.
+ */
+const jobs = {
+  noShow: {
+    enabled: process.env.NO_SHOW_JOB_ENABLED !== 'false',
+    intervalMinutes: parseInt(process.env.NO_SHOW_JOB_INTERVAL_MINUTES) || 15,
+    // Advisory lock key, unique per job
+    lockKey: 72001
+  }
+};
+
+module.exports = jobs;
@@ -0,0 +1,33 @@
+require('dotenv').config();
+
+/**
+ * Mail configuration
+ * `transport` picks how mail is delivered (see services/mailService.js):
+ *   console - printed to the server log; the default only in development
+ *             and test, since mails carry password reset links
+ *   file    - written as .eml files under `file.path`
+ *   smtp    - sent through the SMTP server below
+ * Other environments must set MAIL_TRANSPORT or the server does not start.
+ */
+const LOCAL_ENVIRONMENTS = ['development', 'test'];
+
+const mail = {
+  transport: process.env.MAIL_TRANSPORT || (LOCAL_ENVIRONMENTS.includes(process.env.NODE_ENV) ? 'console' : null),
+  from: process.env.MAIL_FROM || 'RentAutoPro <no-reply@rentautopro.com>',
+
+  file: {
+    path: process.env.MAIL_FILE_PATH || './mail'
+  },
+
+  smtp: {
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER ? {
+      user: process.env.SMTP_USER,
+      pass: process.env.SMTP_PASSWORD
+    } : undefined
+  }
+};
+
+module.exports = mail;
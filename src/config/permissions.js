@@ -0,0 +1,114 @@
+/**
+ * Permission catalogue and built-in roles
+ * Routes require permissions, never roles. Which permissions each role grants
+ * is stored in the roles table: the built-in roles are created from
+ * SYSTEM_ROLES on startup and admins can edit them (except admin, which
+ * always has every permission) or add custom roles.
+ */
+
+/**
+ * Every permission, with the description shown to admins
+ */
+const PERMISSIONS = {
+  'vehicle.view': 'Ver vehículos y su disponibilidad',
+  'vehicle.create': 'Crear vehículos',
+  'vehicle.update': 'Editar vehículos, precios y kilometraje',
+  'vehicle.delete': 'Eliminar vehículos',
+
+  'customer.view': 'Ver clientes',
+  'customer.create': 'Crear clientes',
+  'customer.update': 'Editar clientes',
+  'customer.delete': 'Eliminar clientes',
+
+  'rental.view': 'Ver alquileres, contratos, inspecciones y liquidaciones de depósito',
+  'rental.quote': 'Cotizar alquileres',
+  'rental.create': 'Crear alquileres',
+  'rental.update': 'Editar, extender y cambiar el vehículo o los conductores de un alquiler',
+  'rental.confirm': 'Confirmar alquileres',
+  'rental.cancel': 'Cancelar alquileres',
+  'rental.no_show': 'Marcar alquileres como no presentados',
+  'rental.start': 'Entregar vehículos (iniciar alquileres)',
+  'rental.complete': 'Recibir vehículos (finalizar alquileres)',
+  'rental.inspect': 'Registrar inspecciones y sus fotos',
+
+  'payment.view': 'Ver pagos y recibos',
+  'payment.create': 'Registrar pagos y reembolsos',
+
+  'invoice.view': 'Ver facturas y notas de crédito',
+  'invoice.create': 'Emitir facturas',
+  'invoice.credit_note': 'Emitir notas de crédito',
+
+  'maintenance.view': 'Ver mantenimientos',
+  'maintenance.create': 'Programar mantenimientos',
+  'maintenance.update': 'Editar, iniciar y completar mantenimientos',
+  'maintenance.delete': 'Eliminar mantenimientos',
+
+  'location.view': 'Ver sucursales',
+  'location.manage': 'Crear, editar y desactivar sucursales',
+
+  'extra.view': 'Ver extras',
+  'extra.manage': 'Crear, editar y desactivar extras',
+  'extra.manage_stock': 'Ajustar el stock de extras por sucursal',
+
+  'exchange_rate.view': 'Ver tipos de cambio y convertir montos',
+  'exchange_rate.manage': 'Registrar y editar tipos de cambio',
+
+  'report.view_operational': 'Ver reportes operativos',
+  'report.view_financial': 'Ver reportes financieros',
+
+  'audit.view': 'Ver el registro de auditoría',
+
+  'user.view': 'Ver usuarios e intentos de inicio de sesión',
+  'user.manage': 'Crear y editar usuarios, desbloquearlos y restablecer su verificación en dos pasos',
+  'role.manage': 'Gestionar roles y sus permisos'
+};
+
+const ALL_PERMISSIONS = Object.keys(PERMISSIONS);
+
+/**
+ * Role that always has every permission and cannot be edited
+ */
+const SUPER_ROLE = 'admin';
+
+/**
+ * Built-in roles, created on startup with these permissions if missing
+ */
+const SYSTEM_ROLES = {
+  admin: {
+    description: 'Administrador del sistema',
+    permissions: ALL_PERMISSIONS
+  },
+  gestor_flota: {
+    description: 'Gestor de flota',
+    permissions: [
+      'vehicle.view', 'vehicle.create', 'vehicle.update', 'vehicle.delete',
+      'customer.view', 'customer.create', 'customer.update',
+      'rental.view', 'rental.quote', 'rental.create', 'rental.update', 'rental.confirm',
+      'rental.cancel', 'rental.no_show', 'rental.start', 'rental.complete', 'rental.inspect',
+      'payment.view', 'payment.create',
+      'invoice.view', 'invoice.create', 'invoice.credit_note',
+      'maintenance.view', 'maintenance.create', 'maintenance.update',
+      'location.view',
+      'extra.view',
+      'exchange_rate.view',
+      'report.view_operational'
+    ]
+  },
+  cliente: {
+    description: 'Cliente',
+    permissions: [
+      'vehicle.view',
+      'rental.quote',
+      'location.view',
+      'extra.view',
+      'exchange_rate.view'
+    ]
+  }
+};
+
+module.exports = {
+  PERMISSIONS,
+  ALL_PERMISSIONS,
+  SUPER_ROLE,
+  SYSTEM_ROLES
+};
@@ -0,0 +1,312 @@
+require('dotenv').config();
+
+/**
+ * Pricing configuration
+ * Read by the pricing engine (services/pricingService.js) for quotes, rental
+ * creation and late fees at return.
+ */
+const pricing = {
+  /**
+   * IANA time zone of the business
+   * Weekend days and seasons are those of the calendar of the pickup branch
+   * (its timezone), whatever the time zone of the server; this zone is used
+   * for rentals made before branches existed.
+   */
+  timezone: process.env.PRICING_TIMEZONE || 'America/Santiago',
+
+  /**
+   * Tax (IVA) rates
+   * The rate of a rental is resolved from its pickup branch: a branch-specific
+   * rate wins, then the rate of the branch country, then the default country.
+   */
+  tax: {
+    defaultCountry: process.env.PRICING_DEFAULT_COUNTRY || 'CL',
+    countries: {
+      CL: 0.19,
+      CO: 0.19,
+      EC: 0.15,
+      PE: 0.18,
+      MX: 0.16
+    },
+    // Pickup branch code -> { country } or { rate }; overrides the branch country
+    branches: {}
+  },
+
+  /**
+   * Rate tiers by rental length
+   * The first tier whose minDays is reached applies to every day of the rental.
+   */
+  rateTiers: [
+    { name: 'monthly', label: 'Tarifa mensual', minDays: 28, multiplier: 0.75 },
+    { name: 'weekly', label: 'Tarifa semanal', minDays: 7, multiplier: 0.85 },
+    { name: 'daily', label: 'Tarifa diaria', minDays: 1, multiplier: 1 }
+  ],
+
+  /**
+   * Weekend surcharge for short rentals
+   * days are weekdays in the branch time zone (0 = Sunday); only applied in the listed tiers.
+   */
+  weekend: {
+    days: [5, 6],
+    multiplier: 1.1,
+    tiers: ['daily']
+  },
+
+  /**
+   * Seasonal multipliers per vehicle_type
+   * from/to are MM-DD in the branch time zone and inclusive; a range may wrap around the new year.
+   * `default` applies to vehicle types not listed. The first matching season wins.
+   */
+  seasons: [
+    {
+      name: 'Temporada alta de fin de año',
+      from: '12-15',
+      to: '01-15',
+      multipliers: { default: 1.2, suv: 1.3, van: 1.3 }
+    },
+    {
+      name: 'Temporada de mitad de año',
+      from: '06-15',
+      to: '07-31',
+      multipliers: { default: 1.1, suv: 1.15, van: 1.15 }
+    }
+  ],
+
+  /**
+   * One-way drop fees
+   * Charged when a rental is returned to a branch other than the pickup one,
+   * in the currency of the rental. `fees` maps pickup branch code -> return
+   * branch code -> fee; pairs not listed are charged `defaultFee`.
+   *
+   *   fees: { 'SCL-CENTRO': { 'VAP-PUERTO': 45000 } }
+   */
+  oneWay: {
+    fees: {},
+    defaultFee: parseFloat(process.env.ONE_WAY_DEFAULT_FEE) || 0
+  },
+
+  /**
+   * Fuel and charge policy
+   * Every rental has a fuel policy; electric vehicles follow it with battery
+   * charge instead of fuel.
+   *   full_to_full  - picked up full, returned full; missing fuel is charged
+   *                   at return with the refuel service fee
+   *   prepaid       - a full tank is charged at booking; nothing at return
+   *   pay_on_return - missing fuel is charged at return, without service fee
+   * prices and serviceFees are by rental currency: price per litre of fuel,
+   * per kWh of charge, and the fee added once to a refuel or recharge. Every
+   * supported currency needs a price, or returns in it cannot be charged.
+   */
+  fuel: {
+    defaultPolicy: process.env.FUEL_DEFAULT_POLICY || 'full_to_full',
+    prices: {
+      CLP: {
+        litre: parseFloat(process.env.FUEL_PRICE_PER_LITRE) || 1300,
+        kwh: parseFloat(process.env.CHARGE_PRICE_PER_KWH) || 300
+      },
+      USD: { litre: 1.5, kwh: 0.35 },
+      PEN: { litre: 5.5, kwh: 1.3 },
+      COP: { litre: 4200, kwh: 1000 },
+      ARS: { litre: 1100, kwh: 250 },
+      MXN: { litre: 24, kwh: 5.5 },
+      EUR: { litre: 1.8, kwh: 0.45 }
+    },
+    serviceFees: {
+      full_to_full: {
+        CLP: parseFloat(process.env.REFUEL_SERVICE_FEE) || 15000,
+        USD: 20,
+        PEN: 75,
+        COP: 80000,
+        ARS: 20000,
+        MXN: 350,
+        EUR: 18
+      },
+      pay_on_return: {}
+    }
+  },
+
+  /**
+   * Mileage allowance
+   * The policy of a rental is taken from its vehicle_type (`default` for the
+   * types not listed) unless one is given at booking:
+   *   { type: 'unlimited' }
+   *   { type: 'per_day', km }   - km included per billed day
+   *   { type: 'cap', km }       - km included for the whole rental
+   * Kilometres driven over the allowance are charged at excessRates, per km
+   * by rental currency; a policy may carry its own excessRates. Every
+   * supported currency needs a rate, or vehicles priced in it cannot be rented.
+   */
+  mileage: {
+    policies: {
+      default: { type: 'per_day', km: parseInt(process.env.MILEAGE_KM_PER_DAY) || 300 },
+      van: { type: 'per_day', km: 200 }
+    },
+    excessRates: {
+      CLP: parseFloat(process.env.MILEAGE_EXCESS_RATE) || 150,
+      USD: 0.2,
+      PEN: 0.75,
+      COP: 800,
+      ARS: 200,
+      MXN: 3.5,
+      EUR: 0.18
+    }
+  },
+
+  /**
+   * Drivers
+   * Every additional driver must hold a license valid through the end of the
+   * rental and be at least minAge on the start date. Additional drivers pay
+   * additionalDriverFees and, when younger than youngDriverAge, also
+   * youngDriverFees; both are per billed day by rental currency and taxed at
+   * the rate of the rental. Every supported currency needs both fees, or
+   * additional drivers cannot be booked in it.
+   */
+  drivers: {
+    minAge: parseInt(process.env.DRIVER_MIN_AGE) || 21,
+    youngDriverAge: parseInt(process.env.YOUNG_DRIVER_AGE) || 25,
+    additionalDriverFees: {
+      CLP: parseFloat(process.env.ADDITIONAL_DRIVER_FEE) || 5000,
+      USD: 7,
+      PEN: 25,
+      COP: 28000,
+      ARS: 7000,
+      MXN: 125,
+      EUR: 6.5
+    },
+    youngDriverFees: {
+      CLP: parseFloat(process.env.YOUNG_DRIVER_FEE) || 8000,
+      USD: 10,
+      PEN: 38,
+      COP: 40000,
+      ARS: 10000,
+      MXN: 180,
+      EUR: 9
+    }
+  },
+
+  /**
+   * Protection plans
+   * Plans a rental can be booked with. Each plan has a daily price and a
+   * deductible by vehicle_type (`default` for the types not listed) and
+   * rental currency, and covers return charges of the concepts in `covers`:
+   * those charges are capped at the deductible. Rentals without a plan pay
+   * return charges in full. Plan prices are taxed at the rate of the rental.
+   * Every plan needs rates in every supported currency.
+   */
+  protection: {
+    plans: {
+      cdw: {
+        name: 'Exención de responsabilidad por daños (CDW)',
+        covers: ['damage'],
+        rates: {
+          default: {
+            CLP: { daily: 9000, deductible: 650000 },
+            USD: { daily: 12, deductible: 800 },
+            PEN: { daily: 45, deductible: 3000 },
+            COP: { daily: 48000, deductible: 3200000 },
+            ARS: { daily: 12000, deductible: 800000 },
+            MXN: { daily: 215, deductible: 14500 },
+            EUR: { daily: 11, deductible: 750 }
+          },
+          suv: {
+            CLP: { daily: 12000, deductible: 850000 },
+            USD: { daily: 15, deductible: 1000 },
+            PEN: { daily: 56, deductible: 3750 },
+            COP: { daily: 60000, deductible: 4000000 },
+            ARS: { daily: 15000, deductible: 1000000 },
+            MXN: { daily: 270, deductible: 18000 },
+            EUR: { daily: 14, deductible: 920 }
+          },
+          van: {
+            CLP: { daily: 12000, deductible: 850000 },
+            USD: { daily: 15, deductible: 1000 },
+            PEN: { daily: 56, deductible: 3750 },
+            COP: { daily: 60000, deductible: 4000000 },
+            ARS: { daily: 15000, deductible: 1000000 },
+            MXN: { daily: 270, deductible: 18000 },
+            EUR: { daily: 14, deductible: 920 }
+          }
+        }
+      },
+      theft: {
+        name: 'Protección contra robo',
+        covers: ['theft'],
+        rates: {
+          default: {
+            CLP: { daily: 5000, deductible: 900000 },
+            USD: { daily: 7, deductible: 1200 },
+            PEN: { daily: 26, deductible: 4500 },
+            COP: { daily: 28000, deductible: 4800000 },
+            ARS: { daily: 7000, deductible: 1200000 },
+            MXN: { daily: 125, deductible: 21600 },
+            EUR: { daily: 6.5, deductible: 1100 }
+          }
+        }
+      },
+      full_cover: {
+        name: 'Cobertura total',
+        covers: ['damage', 'theft'],
+        rates: {
+          default: {
+            CLP: { daily: 18000, deductible: 0 },
+            USD: { daily: 23, deductible: 0 },
+            PEN: { daily: 86, deductible: 0 },
+            COP: { daily: 92000, deductible: 0 },
+            ARS: { daily: 23000, deductible: 0 },
+            MXN: { daily: 415, deductible: 0 },
+            EUR: { daily: 21, deductible: 0 }
+          },
+          suv: {
+            CLP: { daily: 24000, deductible: 0 },
+            USD: { daily: 30, deductible: 0 },
+            PEN: { daily: 112, deductible: 0 },
+            COP: { daily: 120000, deductible: 0 },
+            ARS: { daily: 30000, deductible: 0 },
+            MXN: { daily: 540, deductible: 0 },
+            EUR: { daily: 28, deductible: 0 }
+          },
+          van: {
+            CLP: { daily: 24000, deductible: 0 },
+            USD: { daily: 30, deductible: 0 },
+            PEN: { daily: 112, deductible: 0 },
+            COP: { daily: 120000, deductible: 0 },
+            ARS: { daily: 30000, deductible: 0 },
+            MXN: { daily: 540, deductible: 0 },
+            EUR: { daily: 28, deductible: 0 }
+          }
+        }
+      }
+    }
+  },
+
+  /**
+   * Late return policy
+   *   graceMinutes       - late returns within this window are not charged
+   *   mode               - 'daily' charges every started day late,
+   *                        'hourly' charges every started hour up to a full day
+   *   dailyMultiplier    - fraction of the daily rate charged per late day
+   *   hourlyMultiplier   - fraction of the daily rate charged per late hour
+   *   maxChargedDays     - cap, in late days charged (null for no cap)
+   */
+  lateFee: {
+    graceMinutes: parseInt(process.env.LATE_FEE_GRACE_MINUTES) || 60,
+    mode: process.env.LATE_FEE_MODE || 'daily',
+    dailyMultiplier: 1.5,
+    hourlyMultiplier: 0.15,
+    maxChargedDays: 10
+  },
+
+  /**
+   * No-show policy
+   * Reserved or confirmed rentals not picked up `graceHours` after their
+   * start date are marked as no-show. The customer is charged `feeDays` days
+   * at the agreed daily rate, plus tax and never more than the booked total;
+   * everything paid above the fee is refunded and the deposit released.
+   */
+  noShow: {
+    graceHours: parseInt(process.env.NO_SHOW_GRACE_HOURS) || 4,
+    feeDays: process.env.NO_SHOW_FEE_DAYS !== undefined ? parseInt(process.env.NO_SHOW_FEE_DAYS) : 1
+  }
+};
+
+module.exports = pricing;
@@ -16,7 +16,7 @@ const options = {
         API REST para el sistema de gestión integral de alquiler de vehículos RentAutoPro.
         
         ## Características principales:
-        - Gestión de usuarios y roles (admin, gestor_flota, cliente)
+        - Gestión de usuarios, roles y permisos
         - CRUD completo de vehículos
         - Sistema de alquiler digital
         - Gestión de mantenimientos
@@ -88,8 +88,7 @@ const options = {
             },
             role: {
               type: 'string',
-              enum: ['admin', 'gestor_flota', 'cliente'],
-              description: 'Rol del usuario en el sistema'
+              description: 'Rol del usuario: admin, gestor_flota, cliente o un rol personalizado'
             },
             is_active: {
               type: 'boolean',
@@ -99,6 +98,25 @@ const options = {
               type: 'string',
               format: 'date-time',
               description: 'Último inicio de sesión'
+            },
+            failed_login_attempts: {
+              type: 'integer',
+              description: 'Intentos fallidos de inicio de sesión consecutivos'
+            },
+            locked_until: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true,
+              description: 'Hasta cuándo se rechazan los inicios de sesión por intentos fallidos'
+            },
+            two_factor_enabled: {
+              type: 'boolean',
+              description: 'Verificación en dos pasos (TOTP) activada'
+            },
+            two_factor_enabled_at: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true
             }
           }
         },
@@ -181,6 +199,11 @@ const options = {
             password: {
               type: 'string',
               description: 'Contraseña del usuario'
+            },
+            device: {
+              type: 'string',
+              maxLength: 100,
+              description: 'Nombre del dispositivo, se muestra en las sesiones activas'
             }
           }
         },
@@ -203,7 +226,21 @@ const options = {
                 },
                 token: {
                   type: 'string',
-                  description: 'JWT token para autenticación'
+                  description: 'JWT token de acceso de corta duración'
+                },
+                refresh_token: {
+                  type: 'string',
+                  description: 'Token de actualización, se canjea una sola vez en /api/auth/refresh'
+                },
+                refresh_token_expires_at: {
+                  type: 'string',
+                  format: 'date-time',
+                  description: 'Vencimiento de la sesión si no se renueva antes'
+                },
+                session_id: {
+                  type: 'string',
+                  format: 'uuid',
+                  description: 'Sesión abierta por el inicio de sesión'
                 }
               }
             }
@@ -0,0 +1,22 @@
+require('dotenv').config();
+
+/**
+ * File upload configuration
+ * Uploaded files are stored on disk under `path` and served at /uploads to
+ * users allowed to view rentals.
+ */
+const uploads = {
+  path: process.env.UPLOAD_PATH || './uploads',
+  maxFileSize: parseInt(process.env.MAX_FILE_SIZE) || 5 * 1024 * 1024,
+
+  // Inspection photos accepted per request
+  maxFiles: 10,
+  // Accepted image types and the extension files of each type are stored with
+  imageTypes: {
+    'image/jpeg': '.jpg',
+    'image/png': '.png',
+    'image/webp': '.webp'
+  }
+};
+
+module.exports = uploads;
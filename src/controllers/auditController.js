@@ -0,0 +1,74 @@
+const { AuditLog, User } = require('../models');
+const { Op } = require('sequelize');
+
+/**
+ * Get audit trail entries with filtering and pagination
+ */
+const getAuditLogs = async (req, res) => {
+  try {
+    const {
+      page = 1,
+      limit = 20,
+      entity,
+      id,
+      action,
+      actor_id,
+      start_date,
+      end_date
+    } = req.query;
+
+    const offset = (page - 1) * limit;
+    const whereClause = {};
+
+    // Apply filters
+    if (entity) whereClause.entity_type = entity;
+    if (id) whereClause.entity_id = id;
+    if (action) whereClause.action = action;
+    if (actor_id) whereClause.actor_id = actor_id;
+
+    // Date range filter
+    if (start_date || end_date) {
+      whereClause.created_at = {};
+      if (start_date) whereClause.created_at[Op.gte] = new Date(start_date);
+      if (end_date) whereClause.created_at[Op.lte] = new Date(end_date);
+    }
+
+    const { count, rows: auditLogs } = await AuditLog.findAndCountAll({
+      where: whereClause,
+      limit: parseInt(limit),
+      offset: parseInt(offset),
+      order: [['created_at', 'DESC']],
+      include: [
+        {
+          model: User,
+          as: 'actor',
+          attributes: ['id', 'first_name', 'last_name', 'email', 'role'],
+          required: false
+        }
+      ]
+    });
+
+    res.json({
+      success: true,
+      data: {
+        auditLogs,
+        pagination: {
+          total: count,
+          page: parseInt(page),
+          limit: parseInt(limit),
+          totalPages: Math.ceil(count / limit)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get audit logs error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+};
+
+module.exports = {
+  getAuditLogs
+};
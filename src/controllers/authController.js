@@ -1,61 +1,407 @@
-const jwt = require('jsonwebtoken');
-const { User } = require('../models');
+const { User, Session, LoginAttempt } = require('../models');
+const { Op } = require('sequelize');
+const {
+  openSession,
+  rotateRefreshToken,
+  revokeSession,
+  revokeUserSessions
+} = require('../services/sessionService');
+const { requestPasswordReset, resetPassword } = require('../services/passwordResetService');
+const {
+  authenticate,
+  authenticateSecondFactor,
+  completeLogin,
+  unlockUser
+} = require('../services/loginProtectionService');
+const {
+  loginChallengeFor,
+  verifyChallenge,
+  setupTwoFactor,
+  verifyFactor,
+  enableTwoFactor,
+  regenerateRecoveryCodes,
+  disableTwoFactor,
+  resetTwoFactor,
+  twoFactorStatus
+} = require('../services/twoFactorService');
+const { getUserPermissions, assertAssignableRole } = require('../services/permissionService');
+const { AppError } = require('../utils/errors');
 
 /**
- * Generate JWT token for user
+ * Device data of the request, recorded on the session
  */
-const generateToken = (userId) => {
-  return jwt.sign(
-    { userId },
-    process.env.JWT_SECRET,
-    { expiresIn: process.env.JWT_EXPIRES_IN }
-  );
+const clientOf = (req) => ({
+  device: req.body.device,
+  ip: req.ip,
+  userAgent: req.headers['user-agent']
+});
+
+/**
+ * Set the Retry-After header of a rate-limited error
+ */
+const setRetryAfter = (res, error) => {
+  if (error.retryAfter) {
+    res.set('Retry-After', String(error.retryAfter));
+  }
 };
 
 /**
  * User login
+ * Credentials are checked under the brute-force limits (see
+ * loginProtectionService). Opens a session and returns a short-lived access
+ * token (token) and a refresh token to renew it. Users with two-factor
+ * authentication get a challenge token instead, for /2fa/verify (or
+ * /2fa/setup and /2fa/enable when their role requires 2FA and they have not
+ * enrolled yet).
  */
 const login = async (req, res) => {
   try {
     const { email, password } = req.body;
 
-    // Find user by email
-    const user = await User.findOne({ 
-      where: { email, is_active: true } 
-    });
+    const user = await authenticate(email, password, clientOf(req));
 
-    if (!user) {
-      return res.status(200).json({
-        success: false,
-        message: 'Credenciales inválidas'
+    const challenge = loginChallengeFor(user);
+    if (challenge) {
+      return res.json({
+        success: true,
+        message: challenge.setup_required ?
+          'Tu rol requiere verificación en dos pasos; configúrala para iniciar sesión' :
+          'Ingresa el código de verificación',
+        data: challenge
       });
     }
 
-    // Check password
-    const isPasswordValid = await user.checkPassword(password);
-    if (!isPasswordValid) {
-      return res.status(200).json({
+    await completeLogin(user, clientOf(req));
+
+    // Open a session for this device
+    const tokens = await openSession(user, clientOf(req));
+
+    res.json({
+      success: true,
+      message: 'Login exitoso',
+      data: {
+        user: user.toJSON(),
+        ...tokens
+      }
+    });
+  } catch (error) {
+    if (error instanceof AppError) {
+      setRetryAfter(res, error);
+      return res.status(error.status).json(error.toResponse());
+    }
+
+    console.error('Login error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+};
+
+/**
+ * Second step of a login: exchange the challenge token and a TOTP code (or a
+ * recovery code) for a session
+ */
+const verifyTwoFactorLogin = async (req, res) => {
+  try {
+    const { challenge_token, code, recovery_code } = req.body;
+    const factor = recovery_code ? { recovery_code } : { code };
+
+    const user = await verifyChallenge(challenge_token, 'login');
+    await authenticateSecondFactor(user, () => verifyFactor(user, factor), clientOf(req));
+    await user.reload();
+    await completeLogin(user, clientOf(req));
+
+    const tokens = await openSession(user, clientOf(req));
+
+    res.json({
+      success: true,
+      message: 'Login exitoso',
+      data: {
+        user: user.toJSON(),
+        ...tokens,
+        ...(recovery_code && { recovery_codes_remaining: twoFactorStatus(user).recovery_codes_remaining })
+      }
+    });
+  } catch (error) {
+    if (error instanceof AppError) {
+      setRetryAfter(res, error);
+      return res.status(error.status).json(error.toResponse());
+    }
+
+    console.error('Two-factor login error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+};
+
+/**
+ * Exchange a refresh token for a new access token and refresh token
+ */
+const refreshToken = async (req, res) => {
+  try {
+    const { user, tokens } = await rotateRefreshToken(req.body.refresh_token, clientOf(req));
+
+    res.json({
+      success: true,
+      message: 'Token renovado exitosamente',
+      data: {
+        user: user.toJSON(),
+        ...tokens
+      }
+    });
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.status).json(error.toResponse());
+    }
+
+    console.error('Refresh token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+};
+
+/**
+ * Logout: revoke the session of the access token
+ */
+const logout = async (req, res) => {
+  try {
+    const session = await Session.findByPk(req.sessionId);
+    if (session) {
+      await revokeSession(session, 'logout');
+    }
+
+    res.json({
+      success: true,
+      message: 'Sesión cerrada exitosamente'
+    });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+};
+
+/**
+ * Get the active sessions of the current user
+ */
+const getSessions = async (req, res) => {
+  try {
+    const sessions = await Session.findAll({
+      where: {
+        user_id: req.user.id,
+        revoked_at: null,
+        expires_at: { [Op.gt]: new Date() }
+      },
+      order: [['last_used_at', 'DESC']]
+    });
+
+    res.json({
+      success: true,
+      data: {
+        sessions: sessions.map(session => ({
+          ...session.toJSON(),
+          current: session.id === req.sessionId
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+};
+
+/**
+ * Revoke a session of the current user (sign a device out)
+ */
+const deleteSession = async (req, res) => {
+  try {
+    const session = await Session.findOne({
+      where: { id: req.params.id, user_id: req.user.id }
+    });
+    if (!session) {
+      return res.status(404).json({
         success: false,
-        message: 'Credenciales inválidas'
+        message: 'Sesión no encontrada'
       });
     }
 
-    // Update last login
-    await user.update({ last_login: new Date() });
+    await revokeSession(session, 'revoked');
+
+    res.json({
+      success: true,
+      message: 'Sesión revocada exitosamente'
+    });
+  } catch (error) {
+    console.error('Delete session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+};
 
-    // Generate token
-    const token = generateToken(user.id);
+/**
+ * Request a password reset link
+ * The answer is the same whether the email exists or not.
+ */
+const forgotPassword = async (req, res) => {
+  try {
+    await requestPasswordReset(req.body.email, { ip: req.ip });
 
     res.json({
       success: true,
-      message: 'Login exitoso',
+      message: 'Si el email está registrado, recibirás un enlace para restablecer tu contraseña'
+    });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+};
+
+/**
+ * Reset the password with a token from the reset mail
+ * Every session of the user is revoked; the user signs in again.
+ */
+const resetPasswordWithToken = async (req, res) => {
+  try {
+    const { token, new_password } = req.body;
+
+    await resetPassword(token, new_password);
+
+    res.json({
+      success: true,
+      message: 'Contraseña restablecida exitosamente'
+    });
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.status).json(error.toResponse());
+    }
+
+    console.error('Reset password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+};
+
+/**
+ * Get the two-factor authentication state of the current user
+ */
+const getTwoFactorStatus = async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: twoFactorStatus(req.user)
+    });
+  } catch (error) {
+    console.error('Get two-factor status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+};
+
+/**
+ * Start two-factor enrolment: returns the secret and its otpauth URI
+ * Signed-in users, or users holding a setup challenge from login.
+ */
+const startTwoFactorSetup = async (req, res) => {
+  try {
+    const user = req.user || await verifyChallenge(req.body.challenge_token, 'setup');
+
+    const setup = await setupTwoFactor(user);
+
+    res.json({
+      success: true,
+      message: 'Escanea el código con tu aplicación de autenticación y confirma con un código',
+      data: setup
+    });
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.status).json(error.toResponse());
+    }
+
+    console.error('Two-factor setup error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+};
+
+/**
+ * Confirm two-factor enrolment with a code and return the recovery codes
+ * With a setup challenge the login completes and a session is opened.
+ */
+const confirmTwoFactorSetup = async (req, res) => {
+  try {
+    const user = req.user || await verifyChallenge(req.body.challenge_token, 'setup');
+
+    const recoveryCodes = await enableTwoFactor(user, req.body.code);
+
+    let tokens = {};
+    if (!req.user) {
+      await completeLogin(user, clientOf(req));
+      tokens = await openSession(user, clientOf(req));
+    }
+
+    res.json({
+      success: true,
+      message: 'Verificación en dos pasos activada. Guarda los códigos de recuperación: no se mostrarán de nuevo',
       data: {
         user: user.toJSON(),
-        token
+        recovery_codes: recoveryCodes,
+        ...tokens
       }
     });
   } catch (error) {
-    console.error('Login error:', error);
+    if (error instanceof AppError) {
+      return res.status(error.status).json(error.toResponse());
+    }
+
+    console.error('Two-factor enable error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+};
+
+/**
+ * Replace the recovery codes of the current user
+ */
+const regenerateTwoFactorRecoveryCodes = async (req, res) => {
+  try {
+    const recoveryCodes = await regenerateRecoveryCodes(req.user, req.body.code);
+
+    res.json({
+      success: true,
+      message: 'Códigos de recuperación regenerados. Los anteriores ya no funcionan',
+      data: {
+        recovery_codes: recoveryCodes
+      }
+    });
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.status).json(error.toResponse());
+    }
+
+    console.error('Regenerate recovery codes error:', error);
     res.status(500).json({
       success: false,
       message: 'Error interno del servidor'
@@ -64,12 +410,41 @@ const login = async (req, res) => {
 };
 
 /**
- * User registration (admin only)
+ * Turn two-factor authentication off for the current user
+ */
+const disableTwoFactorAuth = async (req, res) => {
+  try {
+    const { code, recovery_code } = req.body;
+
+    await disableTwoFactor(req.user, recovery_code ? { recovery_code } : { code });
+
+    res.json({
+      success: true,
+      message: 'Verificación en dos pasos desactivada'
+    });
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.status).json(error.toResponse());
+    }
+
+    console.error('Two-factor disable error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+};
+
+/**
+ * User registration (user management)
+ * Only roles whose permissions the current user holds can be assigned.
  */
 const register = async (req, res) => {
   try {
     const { email, password, first_name, last_name, phone, role } = req.body;
 
+    await assertAssignableRole(req.user, role || 'cliente');
+
     // Check if user already exists
     const existingUser = await User.findOne({ where: { email } });
     if (existingUser) {
@@ -97,6 +472,10 @@ const register = async (req, res) => {
       }
     });
   } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.status).json(error.toResponse());
+    }
+
     console.error('Registration error:', error);
     res.status(500).json({
       success: false,
@@ -106,14 +485,15 @@ const register = async (req, res) => {
 };
 
 /**
- * Get current user profile
+ * Get current user profile, with the permissions of its role
  */
 const getProfile = async (req, res) => {
   try {
     res.json({
       success: true,
       data: {
-        user: req.user.toJSON()
+        user: req.user.toJSON(),
+        permissions: await getUserPermissions(req.user)
       }
     });
   } catch (error) {
@@ -165,6 +545,7 @@ const updateProfile = async (req, res) => {
 
 /**
  * Change password
+ * Every other session of the user is revoked; the current one stays open.
  */
 const changePassword = async (req, res) => {
   try {
@@ -191,9 +572,16 @@ const changePassword = async (req, res) => {
     // Update password
     await user.update({ password: new_password });
 
+    const revokedSessions = await revokeUserSessions(user.id, 'password_changed', {
+      exceptSessionId: req.sessionId
+    });
+
     res.json({
       success: true,
-      message: 'Contraseña actualizada exitosamente'
+      message: 'Contraseña actualizada exitosamente',
+      data: {
+        revoked_sessions: revokedSessions
+      }
     });
   } catch (error) {
     console.error('Change password error:', error);
@@ -205,7 +593,7 @@ const changePassword = async (req, res) => {
 };
 
 /**
- * Get all users (admin only)
+ * Get all users (user management)
  */
 const getUsers = async (req, res) => {
   try {
@@ -245,7 +633,9 @@ const getUsers = async (req, res) => {
 };
 
 /**
- * Update user (admin only)
+ * Update user (user management)
+ * Users whose role has permissions the current user lacks cannot be edited,
+ * nor given such a role.
  */
 const updateUser = async (req, res) => {
   try {
@@ -260,6 +650,11 @@ const updateUser = async (req, res) => {
       });
     }
 
+    await assertAssignableRole(req.user, user.role);
+    if (role && role !== user.role) {
+      await assertAssignableRole(req.user, role);
+    }
+
     await user.update({
       first_name: first_name || user.first_name,
       last_name: last_name || user.last_name,
@@ -276,6 +671,10 @@ const updateUser = async (req, res) => {
       }
     });
   } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.status).json(error.toResponse());
+    }
+
     console.error('Update user error:', error);
     res.status(500).json({
       success: false,
@@ -284,6 +683,115 @@ const updateUser = async (req, res) => {
   }
 };
 
+/**
+ * Unlock a user locked out by failed logins (user management)
+ */
+const unlockUserAccount = async (req, res) => {
+  try {
+    const user = await User.findByPk(req.params.id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'Usuario no encontrado'
+      });
+    }
+
+    await unlockUser(user);
+
+    res.json({
+      success: true,
+      message: 'Usuario desbloqueado exitosamente',
+      data: {
+        user: user.toJSON()
+      }
+    });
+  } catch (error) {
+    console.error('Unlock user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+};
+
+/**
+ * Reset the two-factor authentication of a user who lost the device (user management)
+ */
+const resetUserTwoFactor = async (req, res) => {
+  try {
+    const user = await User.findByPk(req.params.id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'Usuario no encontrado'
+      });
+    }
+
+    await resetTwoFactor(user);
+
+    res.json({
+      success: true,
+      message: 'Verificación en dos pasos restablecida exitosamente',
+      data: {
+        user: user.toJSON()
+      }
+    });
+  } catch (error) {
+    console.error('Reset two-factor error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+};
+
+/**
+ * Get login attempts for security review (user management)
+ */
+const getLoginAttempts = async (req, res) => {
+  try {
+    const { page = 1, limit = 50, email, ip, user_id, success, start_date, end_date } = req.query;
+    const offset = (page - 1) * limit;
+
+    const whereClause = {};
+    if (email) whereClause.email = email;
+    if (ip) whereClause.ip_address = ip;
+    if (user_id) whereClause.user_id = user_id;
+    if (success !== undefined) whereClause.success = success === 'true';
+    if (start_date || end_date) {
+      whereClause.created_at = {};
+      if (start_date) whereClause.created_at[Op.gte] = new Date(start_date);
+      if (end_date) whereClause.created_at[Op.lte] = new Date(end_date);
+    }
+
+    const { count, rows: attempts } = await LoginAttempt.findAndCountAll({
+      where: whereClause,
+      limit: parseInt(limit),
+      offset: parseInt(offset),
+      order: [['created_at', 'DESC']]
+    });
+
+    res.json({
+      success: true,
+      data: {
+        attempts,
+        pagination: {
+          total: count,
+          page: parseInt(page),
+          limit: parseInt(limit),
+          totalPages: Math.ceil(count / limit)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get login attempts error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+};
+
 /**
  * Test endpoint for debugging auth
  */
@@ -314,11 +822,26 @@ const testAuth = async (req, res) => {
 
 module.exports = {
   login,
+  verifyTwoFactorLogin,
+  refreshToken,
+  logout,
+  getSessions,
+  deleteSession,
+  forgotPassword,
+  resetPasswordWithToken,
+  getTwoFactorStatus,
+  startTwoFactorSetup,
+  confirmTwoFactorSetup,
+  regenerateTwoFactorRecoveryCodes,
+  disableTwoFactorAuth,
   register,
   getProfile,
   updateProfile,
   changePassword,
   getUsers,
   updateUser,
+  unlockUserAccount,
+  resetUserTwoFactor,
+  getLoginAttempts,
   testAuth
 };
\ No newline at end of file
@@ -1,5 +1,7 @@
 const { Customer, Rental } = require('../models');
 const { Op } = require('sequelize');
+const { driverEligibilityErrors } = require('../services/driverService');
+const { isYoungDriver } = require('../services/pricingService');
 
 /**
  * Get all customers with filtering and pagination
@@ -324,17 +326,8 @@ const validateCustomerForRental = async (req, res) => {
       });
     }
 
-    const validationErrors = [];
-
-    // Check if driver license is expired
-    if (customer.isDriverLicenseExpired()) {
-      validationErrors.push('Licencia de conducir vencida');
-    }
-
-    // Check if customer is under 21
-    if (customer.getAge() < 21) {
-      validationErrors.push('Cliente menor de 21 años');
-    }
+    // Same rules as the additional drivers of a rental
+    const validationErrors = driverEligibilityErrors(customer);
 
     // Check for active rentals
     const activeRentals = await Rental.count({
@@ -359,6 +352,7 @@ const validateCustomerForRental = async (req, res) => {
           id: customer.id,
           fullName: customer.getFullName(),
           age: customer.getAge(),
+          youngDriver: isYoungDriver(customer, new Date()),
           licenseExpiry: customer.driver_license_expiry
         }
       }
@@ -0,0 +1,82 @@
+const { Rental, RentalDriver, Customer, sequelize } = require('../models');
+const { buildRentalDrivers, saveRentalDrivers } = require('../services/driverService');
+const { quoteAdditionalDriver } = require('../services/pricingService');
+const { refreshPaymentStatus } = require('../services/paymentService');
+const { add } = require('../utils/money');
+const { AppError, BadRequestError, NotFoundError } = require('../utils/errors');
+
+/**
+ * Add a driver to a booked or active rental
+ * The driver is checked like the drivers named at booking and charged from
+ * now (or the start of the rental) to the end date.
+ */
+const addRentalDriver = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const result = await sequelize.transaction(async (transaction) => {
+      const rental = await Rental.findByPk(id, {
+        transaction,
+        lock: transaction.LOCK.UPDATE
+      });
+      if (!rental) {
+        throw new NotFoundError('Alquiler no encontrado');
+      }
+
+      if (rental.isClosed()) {
+        throw new BadRequestError('Solo se pueden agregar conductores a alquileres reservados, confirmados o activos');
+      }
+
+      const [customer, existingDrivers] = await Promise.all([
+        Customer.findByPk(rental.customer_id, { transaction }),
+        RentalDriver.findAll({ where: { rental_id: rental.id }, transaction })
+      ]);
+
+      const [driver] = await buildRentalDrivers([req.body], {
+        customer,
+        start_date: rental.start_date,
+        end_date: rental.end_date
+      }, { existingDrivers, transaction });
+
+      const quote = quoteAdditionalDriver(rental, driver);
+
+      const breakdown = rental.price_breakdown || {};
+      await rental.update({
+        tax_amount: add(rental.tax_amount, quote.tax_amount),
+        additional_charges: add(rental.additional_charges, quote.line.amount),
+        total_amount: add(rental.total_amount, quote.total_amount),
+        price_breakdown: {
+          ...breakdown,
+          drivers: [...(breakdown.drivers || []), quote.line]
+        }
+      }, { transaction });
+
+      await saveRentalDrivers(rental, [driver], [quote.line], { user: req.user, transaction });
+
+      // The total changed: re-derive the payment status from the ledger
+      await refreshPaymentStatus(rental, { transaction });
+
+      return { driver, quote };
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Conductor agregado exitosamente',
+      data: result
+    });
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.status).json(error.toResponse());
+    }
+
+    console.error('Add rental driver error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+};
+
+module.exports = {
+  addRentalDriver
+};
@@ -0,0 +1,202 @@
+const { ExchangeRate, User } = require('../models');
+const { Op } = require('sequelize');
+const { getRate, applyRate } = require('../services/exchangeRateService');
+const { toNumber } = require('../utils/money');
+const { AppError } = require('../utils/errors');
+
+/**
+ * Get exchange rates with filtering and pagination
+ */
+const getExchangeRates = async (req, res) => {
+  try {
+    const {
+      page = 1,
+      limit = 20,
+      base_currency,
+      quote_currency,
+      date
+    } = req.query;
+
+    const offset = (page - 1) * limit;
+    const whereClause = {};
+
+    // Apply filters
+    if (base_currency) whereClause.base_currency = base_currency;
+    if (quote_currency) whereClause.quote_currency = quote_currency;
+    if (date) whereClause.effective_date = { [Op.lte]: date };
+
+    const { count, rows: exchangeRates } = await ExchangeRate.findAndCountAll({
+      where: whereClause,
+      limit: parseInt(limit),
+      offset: parseInt(offset),
+      order: [['effective_date', 'DESC'], ['base_currency', 'ASC'], ['quote_currency', 'ASC']],
+      include: [
+        { model: User, as: 'creator', attributes: ['id', 'first_name', 'last_name'] }
+      ]
+    });
+
+    res.json({
+      success: true,
+      data: {
+        exchangeRates,
+        pagination: {
+          total: count,
+          page: parseInt(page),
+          limit: parseInt(limit),
+          totalPages: Math.ceil(count / limit)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get exchange rates error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+};
+
+/**
+ * Create exchange rate
+ */
+const createExchangeRate = async (req, res) => {
+  try {
+    const { base_currency, quote_currency, effective_date } = req.body;
+
+    const existingRate = await ExchangeRate.findOne({
+      where: { base_currency, quote_currency, effective_date }
+    });
+    if (existingRate) {
+      return res.status(409).json({
+        success: false,
+        message: 'Ya existe un tipo de cambio para ese par de monedas y fecha'
+      });
+    }
+
+    const exchangeRate = await ExchangeRate.create({
+      base_currency,
+      quote_currency,
+      effective_date,
+      rate: req.body.rate,
+      notes: req.body.notes,
+      created_by: req.user.id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Tipo de cambio creado exitosamente',
+      data: { exchangeRate }
+    });
+  } catch (error) {
+    console.error('Create exchange rate error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+};
+
+/**
+ * Update exchange rate
+ * Only the rate and notes can change; a new effective date is a new rate
+ */
+const updateExchangeRate = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { rate, notes } = req.body;
+
+    const exchangeRate = await ExchangeRate.findByPk(id);
+    if (!exchangeRate) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tipo de cambio no encontrado'
+      });
+    }
+
+    await exchangeRate.update({ rate, notes });
+
+    res.json({
+      success: true,
+      message: 'Tipo de cambio actualizado exitosamente',
+      data: { exchangeRate }
+    });
+  } catch (error) {
+    console.error('Update exchange rate error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+};
+
+/**
+ * Delete exchange rate
+ */
+const deleteExchangeRate = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const exchangeRate = await ExchangeRate.findByPk(id);
+    if (!exchangeRate) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tipo de cambio no encontrado'
+      });
+    }
+
+    await exchangeRate.destroy();
+
+    res.json({
+      success: true,
+      message: 'Tipo de cambio eliminado exitosamente'
+    });
+  } catch (error) {
+    console.error('Delete exchange rate error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+};
+
+/**
+ * Convert an amount between currencies with the stored rates
+ */
+const convertAmount = async (req, res) => {
+  try {
+    const { amount, from, to, date } = req.query;
+
+    const rate = await getRate(from, to, date);
+
+    res.json({
+      success: true,
+      data: {
+        amount: toNumber(amount),
+        from,
+        to,
+        converted_amount: applyRate(amount, rate),
+        rate: rate.rate,
+        inverse: rate.inverse,
+        effective_date: rate.effective_date
+      }
+    });
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.status).json(error.toResponse());
+    }
+
+    console.error('Convert amount error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+};
+
+module.exports = {
+  getExchangeRates,
+  createExchangeRate,
+  updateExchangeRate,
+  deleteExchangeRate,
+  convertAmount
+};
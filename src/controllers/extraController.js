@@ -0,0 +1,269 @@
+const { Extra, ExtraStock, Location, RentalExtra, Rental } = require('../models');
+const { Op } = require('sequelize');
+const { LIVE_RENTAL_STATUSES } = require('../services/availabilityService');
+
+/**
+ * Stock rows of an extra, with their branch
+ */
+const STOCK_INCLUDE = {
+  model: ExtraStock,
+  as: 'stocks',
+  required: false,
+  include: [{ model: Location, as: 'location', attributes: ['id', 'code', 'name', 'city'] }]
+};
+
+/**
+ * Get extras with filtering and pagination
+ */
+const getExtras = async (req, res) => {
+  try {
+    const {
+      page = 1,
+      limit = 20,
+      category,
+      currency,
+      is_active,
+      search
+    } = req.query;
+
+    const offset = (page - 1) * limit;
+    const whereClause = {};
+
+    // Apply filters
+    if (category) whereClause.category = category;
+    if (currency) whereClause.currency = currency.toUpperCase();
+    if (is_active !== undefined) whereClause.is_active = is_active === 'true';
+
+    if (search) {
+      whereClause[Op.or] = [
+        { code: { [Op.iLike]: `%${search}%` } },
+        { name: { [Op.iLike]: `%${search}%` } }
+      ];
+    }
+
+    const { count, rows: extras } = await Extra.findAndCountAll({
+      where: whereClause,
+      limit: parseInt(limit),
+      offset: parseInt(offset),
+      order: [['name', 'ASC']]
+    });
+
+    res.json({
+      success: true,
+      data: {
+        extras,
+        pagination: {
+          total: count,
+          page: parseInt(page),
+          limit: parseInt(limit),
+          totalPages: Math.ceil(count / limit)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get extras error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+};
+
+/**
+ * Get extra by ID, with its stock at each branch
+ */
+const getExtraById = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const extra = await Extra.findByPk(id, {
+      include: [STOCK_INCLUDE]
+    });
+
+    if (!extra) {
+      return res.status(404).json({
+        success: false,
+        message: 'Extra no encontrado'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { extra }
+    });
+  } catch (error) {
+    console.error('Get extra by ID error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+};
+
+/**
+ * Create extra
+ */
+const createExtra = async (req, res) => {
+  try {
+    const existingExtra = await Extra.findOne({
+      where: { code: String(req.body.code).trim().toUpperCase() }
+    });
+    if (existingExtra) {
+      return res.status(409).json({
+        success: false,
+        message: 'Ya existe un extra con ese código'
+      });
+    }
+
+    const extra = await Extra.create(req.body);
+
+    res.status(201).json({
+      success: true,
+      message: 'Extra creado exitosamente',
+      data: { extra }
+    });
+  } catch (error) {
+    console.error('Create extra error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+};
+
+/**
+ * Update extra
+ * Booked rentals keep the price they were booked with; the code cannot change
+ */
+const updateExtra = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { code, ...updateData } = req.body;
+
+    const extra = await Extra.findByPk(id);
+    if (!extra) {
+      return res.status(404).json({
+        success: false,
+        message: 'Extra no encontrado'
+      });
+    }
+
+    await extra.update(updateData);
+
+    res.json({
+      success: true,
+      message: 'Extra actualizado exitosamente',
+      data: { extra }
+    });
+  } catch (error) {
+    console.error('Update extra error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+};
+
+/**
+ * Delete extra (soft delete)
+ * Extras booked with live rentals are kept active
+ */
+const deleteExtra = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const extra = await Extra.findByPk(id);
+    if (!extra) {
+      return res.status(404).json({
+        success: false,
+        message: 'Extra no encontrado'
+      });
+    }
+
+    const liveBookings = await RentalExtra.count({
+      where: { extra_id: id },
+      include: [{
+        model: Rental,
+        as: 'rental',
+        attributes: [],
+        where: { rental_status: { [Op.in]: LIVE_RENTAL_STATUSES } }
+      }]
+    });
+
+    if (liveBookings > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No se puede eliminar un extra reservado en alquileres pendientes'
+      });
+    }
+
+    await extra.update({ is_active: false });
+
+    res.json({
+      success: true,
+      message: 'Extra eliminado exitosamente'
+    });
+  } catch (error) {
+    console.error('Delete extra error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+};
+
+/**
+ * Set the units of an extra kept at a branch
+ */
+const setExtraStock = async (req, res) => {
+  try {
+    const { id, locationId } = req.params;
+    const { quantity } = req.body;
+
+    const [extra, location] = await Promise.all([
+      Extra.findByPk(id),
+      Location.findByPk(locationId)
+    ]);
+    if (!extra) {
+      return res.status(404).json({
+        success: false,
+        message: 'Extra no encontrado'
+      });
+    }
+    if (!location) {
+      return res.status(404).json({
+        success: false,
+        message: 'Sucursal no encontrada'
+      });
+    }
+
+    const [stock, created] = await ExtraStock.findOrCreate({
+      where: { extra_id: id, location_id: locationId },
+      defaults: { quantity }
+    });
+    if (!created) {
+      await stock.update({ quantity });
+    }
+
+    res.json({
+      success: true,
+      message: 'Stock actualizado exitosamente',
+      data: { stock }
+    });
+  } catch (error) {
+    console.error('Set extra stock error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+};
+
+module.exports = {
+  getExtras,
+  getExtraById,
+  createExtra,
+  updateExtra,
+  deleteExtra,
+  setExtraStock
+};
@@ -0,0 +1,155 @@
+const fs = require('fs');
+const { Rental, VehicleInspection, Vehicle, User, sequelize } = require('../models');
+const { createInspection, addInspectionPhotos } = require('../services/inspectionService');
+const { AppError, NotFoundError } = require('../utils/errors');
+
+/**
+ * Remove uploaded files that were not attached to an inspection
+ */
+const discardUploads = (files = []) => {
+  for (const file of files) {
+    fs.unlink(file.path, () => {});
+  }
+};
+
+/**
+ * Get the inspections of a rental with their damage diffs
+ */
+const getRentalInspections = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const rental = await Rental.findByPk(id, { attributes: ['id'] });
+    if (!rental) {
+      return res.status(404).json({
+        success: false,
+        message: 'Alquiler no encontrado'
+      });
+    }
+
+    const inspections = await VehicleInspection.findAll({
+      where: { rental_id: id },
+      include: [
+        {
+          model: Vehicle,
+          as: 'vehicle',
+          attributes: ['id', 'license_plate', 'brand', 'model']
+        },
+        {
+          model: User,
+          as: 'inspector',
+          attributes: ['id', 'first_name', 'last_name'],
+          required: false
+        }
+      ],
+      order: [['inspected_at', 'ASC']]
+    });
+
+    res.json({
+      success: true,
+      data: {
+        inspections,
+        new_damages: inspections.flatMap(inspection => (
+          inspection.damage_diff ? inspection.damage_diff.new_damages : []
+        ))
+      }
+    });
+  } catch (error) {
+    console.error('Get rental inspections error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+};
+
+/**
+ * Record a pickup or return inspection
+ * A return inspection is diffed against the pickup one to flag new damage
+ */
+const createRentalInspection = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const inspection = await sequelize.transaction(async (transaction) => {
+      const rental = await Rental.findByPk(id, {
+        transaction,
+        lock: transaction.LOCK.UPDATE
+      });
+      if (!rental) {
+        throw new NotFoundError('Alquiler no encontrado');
+      }
+
+      return createInspection(rental, req.body, { user: req.user, transaction });
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Inspección registrada exitosamente',
+      data: { inspection }
+    });
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.status).json(error.toResponse());
+    }
+
+    console.error('Create rental inspection error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+};
+
+/**
+ * Upload photos of an inspection, optionally of one damage marker
+ */
+const addRentalInspectionPhotos = async (req, res) => {
+  try {
+    const { id, inspectionId } = req.params;
+
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Debe adjuntar al menos una foto'
+      });
+    }
+
+    const photos = await sequelize.transaction(async (transaction) => {
+      const inspection = await VehicleInspection.findOne({
+        where: { id: inspectionId, rental_id: id },
+        transaction,
+        lock: transaction.LOCK.UPDATE
+      });
+      if (!inspection) {
+        throw new NotFoundError('Inspección no encontrada');
+      }
+
+      return addInspectionPhotos(inspection, req.files, req.body, { user: req.user, transaction });
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Fotos subidas exitosamente',
+      data: { photos }
+    });
+  } catch (error) {
+    discardUploads(req.files);
+
+    if (error instanceof AppError) {
+      return res.status(error.status).json(error.toResponse());
+    }
+
+    console.error('Upload inspection photos error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+};
+
+module.exports = {
+  getRentalInspections,
+  createRentalInspection,
+  addRentalInspectionPhotos
+};
@@ -0,0 +1,290 @@
+const { Rental, Invoice, Payment, Customer, Vehicle, User, sequelize } = require('../models');
+const { issueInvoice, issueCreditNote } = require('../services/invoiceService');
+const { renderInvoicePdf, renderReceiptPdf, renderContractPdf } = require('../services/pdfService');
+const { buildRentalContract } = require('../services/contractService');
+const invoicing = require('../config/invoicing');
+const { AppError, NotFoundError } = require('../utils/errors');
+
+/**
+ * Whether the client asked for the PDF version of a document
+ */
+const wantsPdf = (req) => req.query.format === 'pdf';
+
+/**
+ * Send a rendered PDF inline
+ */
+const sendPdf = (res, buffer, filename) => {
+  res.set({
+    'Content-Type': 'application/pdf',
+    'Content-Disposition': `inline; filename="${filename}"`,
+    'Content-Length': buffer.length
+  });
+  res.send(buffer);
+};
+
+/**
+ * Get the invoice of a rental with its credit notes (JSON or PDF)
+ */
+const getRentalInvoice = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const invoice = await Invoice.findOne({
+      where: { rental_id: id, type: 'invoice' },
+      include: [
+        {
+          model: Invoice,
+          as: 'creditNotes',
+          required: false
+        },
+        {
+          model: User,
+          as: 'issuedBy',
+          attributes: ['id', 'first_name', 'last_name', 'email'],
+          required: false
+        }
+      ],
+      order: [[{ model: Invoice, as: 'creditNotes' }, 'number', 'ASC']]
+    });
+
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        message: 'El alquiler no tiene una factura emitida'
+      });
+    }
+
+    if (wantsPdf(req)) {
+      return sendPdf(res, await renderInvoicePdf(invoice), `${invoice.invoice_number}.pdf`);
+    }
+
+    res.json({
+      success: true,
+      data: { invoice }
+    });
+  } catch (error) {
+    console.error('Get rental invoice error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+};
+
+/**
+ * Issue the invoice of a completed rental that has none
+ * Completion issues the invoice; this covers rentals completed before invoicing existed.
+ */
+const createRentalInvoice = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const invoice = await sequelize.transaction(async (transaction) => {
+      const rental = await Rental.findByPk(id, {
+        transaction,
+        lock: transaction.LOCK.UPDATE
+      });
+
+      if (!rental) {
+        throw new NotFoundError('Alquiler no encontrado');
+      }
+
+      return issueInvoice(rental, { user: req.user, transaction });
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Factura emitida exitosamente',
+      data: { invoice }
+    });
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.status).json(error.toResponse());
+    }
+
+    console.error('Create rental invoice error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+};
+
+/**
+ * Issue a credit note against the invoice of a rental
+ */
+const createCreditNote = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { reason, lines } = req.body;
+
+    const creditNote = await sequelize.transaction(async (transaction) => {
+      const rental = await Rental.findByPk(id, {
+        transaction,
+        lock: transaction.LOCK.UPDATE
+      });
+
+      if (!rental) {
+        throw new NotFoundError('Alquiler no encontrado');
+      }
+
+      return issueCreditNote(rental, { reason, lines }, { user: req.user, transaction });
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Nota de crédito emitida exitosamente',
+      data: { creditNote }
+    });
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.status).json(error.toResponse());
+    }
+
+    console.error('Create credit note error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+};
+
+/**
+ * Get a credit note of a rental (JSON or PDF)
+ */
+const getCreditNote = async (req, res) => {
+  try {
+    const { id, creditNoteId } = req.params;
+
+    const creditNote = await Invoice.findOne({
+      where: { id: creditNoteId, rental_id: id, type: 'credit_note' },
+      include: [
+        {
+          model: Invoice,
+          as: 'originalInvoice',
+          attributes: ['id', 'invoice_number', 'issue_date', 'total_amount']
+        }
+      ]
+    });
+
+    if (!creditNote) {
+      return res.status(404).json({
+        success: false,
+        message: 'Nota de crédito no encontrada'
+      });
+    }
+
+    if (wantsPdf(req)) {
+      return sendPdf(res, await renderInvoicePdf(creditNote), `${creditNote.invoice_number}.pdf`);
+    }
+
+    res.json({
+      success: true,
+      data: { creditNote }
+    });
+  } catch (error) {
+    console.error('Get credit note error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+};
+
+/**
+ * Get the receipt of a payment ledger entry (JSON or PDF)
+ */
+const getPaymentReceipt = async (req, res) => {
+  try {
+    const { id, paymentId } = req.params;
+
+    const payment = await Payment.findOne({
+      where: { id: paymentId, rental_id: id }
+    });
+
+    if (!payment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Pago no encontrado'
+      });
+    }
+
+    const rental = await Rental.findByPk(id, {
+      attributes: ['id', 'rental_number', 'start_date', 'end_date', 'actual_return_date', 'currency'],
+      include: [
+        {
+          model: Customer,
+          as: 'customer',
+          attributes: ['id', 'first_name', 'last_name', 'email', 'document_type', 'document_number']
+        },
+        {
+          model: Vehicle,
+          as: 'vehicle',
+          attributes: ['id', 'license_plate', 'brand', 'model']
+        }
+      ]
+    });
+
+    if (wantsPdf(req)) {
+      return sendPdf(res, await renderReceiptPdf(payment, rental, invoicing.issuer), `recibo-${rental.rental_number}-${payment.id}.pdf`);
+    }
+
+    res.json({
+      success: true,
+      data: {
+        receipt: {
+          issuer: invoicing.issuer,
+          rental,
+          payment
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get payment receipt error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+};
+
+/**
+ * Get the contract of a rental with every authorised driver (JSON or PDF)
+ */
+const getRentalContract = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const contract = await buildRentalContract(id);
+    if (!contract) {
+      return res.status(404).json({
+        success: false,
+        message: 'Alquiler no encontrado'
+      });
+    }
+
+    if (wantsPdf(req)) {
+      return sendPdf(res, await renderContractPdf(contract), `contrato-${contract.rental_number}.pdf`);
+    }
+
+    res.json({
+      success: true,
+      data: { contract }
+    });
+  } catch (error) {
+    console.error('Get rental contract error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+};
+
+module.exports = {
+  getRentalInvoice,
+  createRentalInvoice,
+  createCreditNote,
+  getCreditNote,
+  getPaymentReceipt,
+  getRentalContract
+};
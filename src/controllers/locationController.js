@@ -0,0 +1,219 @@
+const { Location, Vehicle, Rental } = require('../models');
+const { Op } = require('sequelize');
+const { LIVE_RENTAL_STATUSES } = require('../services/availabilityService');
+
+/**
+ * Get branches with filtering and pagination
+ */
+const getLocations = async (req, res) => {
+  try {
+    const {
+      page = 1,
+      limit = 20,
+      city,
+      country,
+      is_active,
+      search
+    } = req.query;
+
+    const offset = (page - 1) * limit;
+    const whereClause = {};
+
+    // Apply filters
+    if (city) whereClause.city = { [Op.iLike]: `%${city}%` };
+    if (country) whereClause.country = country.toUpperCase();
+    if (is_active !== undefined) whereClause.is_active = is_active === 'true';
+
+    if (search) {
+      whereClause[Op.or] = [
+        { code: { [Op.iLike]: `%${search}%` } },
+        { name: { [Op.iLike]: `%${search}%` } }
+      ];
+    }
+
+    const { count, rows: locations } = await Location.findAndCountAll({
+      where: whereClause,
+      limit: parseInt(limit),
+      offset: parseInt(offset),
+      order: [['name', 'ASC']]
+    });
+
+    res.json({
+      success: true,
+      data: {
+        locations,
+        pagination: {
+          total: count,
+          page: parseInt(page),
+          limit: parseInt(limit),
+          totalPages: Math.ceil(count / limit)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get locations error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+};
+
+/**
+ * Get branch by ID, with the vehicles currently parked there
+ */
+const getLocationById = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const location = await Location.findByPk(id, {
+      include: [
+        {
+          model: Vehicle,
+          as: 'vehicles',
+          attributes: ['id', 'license_plate', 'brand', 'model', 'vehicle_type', 'status'],
+          where: { is_active: true },
+          required: false
+        }
+      ]
+    });
+
+    if (!location) {
+      return res.status(404).json({
+        success: false,
+        message: 'Sucursal no encontrada'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { location }
+    });
+  } catch (error) {
+    console.error('Get location by ID error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+};
+
+/**
+ * Create branch
+ */
+const createLocation = async (req, res) => {
+  try {
+    const existingLocation = await Location.findOne({
+      where: { code: String(req.body.code).trim().toUpperCase() }
+    });
+    if (existingLocation) {
+      return res.status(409).json({
+        success: false,
+        message: 'Ya existe una sucursal con ese código'
+      });
+    }
+
+    const location = await Location.create(req.body);
+
+    res.status(201).json({
+      success: true,
+      message: 'Sucursal creada exitosamente',
+      data: { location }
+    });
+  } catch (error) {
+    console.error('Create location error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+};
+
+/**
+ * Update branch
+ * The code is the key of the branch in the pricing configuration and cannot change
+ */
+const updateLocation = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { code, ...updateData } = req.body;
+
+    const location = await Location.findByPk(id);
+    if (!location) {
+      return res.status(404).json({
+        success: false,
+        message: 'Sucursal no encontrada'
+      });
+    }
+
+    await location.update(updateData);
+
+    res.json({
+      success: true,
+      message: 'Sucursal actualizada exitosamente',
+      data: { location }
+    });
+  } catch (error) {
+    console.error('Update location error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+};
+
+/**
+ * Delete branch (soft delete)
+ * Branches with live rentals picked up or returned there are kept active
+ */
+const deleteLocation = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const location = await Location.findByPk(id);
+    if (!location) {
+      return res.status(404).json({
+        success: false,
+        message: 'Sucursal no encontrada'
+      });
+    }
+
+    const liveRentals = await Rental.count({
+      where: {
+        rental_status: { [Op.in]: LIVE_RENTAL_STATUSES },
+        [Op.or]: [
+          { pickup_location_id: id },
+          { return_location_id: id }
+        ]
+      }
+    });
+
+    if (liveRentals > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No se puede eliminar una sucursal con alquileres pendientes'
+      });
+    }
+
+    await location.update({ is_active: false });
+
+    res.json({
+      success: true,
+      message: 'Sucursal eliminada exitosamente'
+    });
+  } catch (error) {
+    console.error('Delete location error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+};
+
+module.exports = {
+  getLocations,
+  getLocationById,
+  createLocation,
+  updateLocation,
+  deleteLocation
+};
@@ -1,5 +1,9 @@
 const { Maintenance, Vehicle, User } = require('../models');
 const { Op } = require('sequelize');
+const { syncVehicleStatus } = require('../services/vehicleStatusService');
+const { createConverter } = require('../services/exchangeRateService');
+const { DEFAULT_CURRENCY, toNumber } = require('../utils/money');
+const { AppError } = require('../utils/errors');
 
 /**
  * Get all maintenances with filtering and pagination
@@ -153,12 +157,13 @@ const createMaintenance = async (req, res) => {
       });
     }
 
+    // Costs are expressed in the vehicle currency unless stated otherwise
+    maintenanceData.currency = maintenanceData.currency || vehicle.currency;
+
     const maintenance = await Maintenance.create(maintenanceData);
 
-    // If maintenance is scheduled and critical, update vehicle status
-    if (maintenance.priority === 'critical' && maintenance.status === 'scheduled') {
-      await vehicle.update({ status: 'maintenance' });
-    }
+    // A critical maintenance takes the vehicle out of service immediately
+    await syncVehicleStatus(vehicle);
 
     // Fetch complete maintenance data
     const completeMaintenance = await Maintenance.findByPk(maintenance.id, {
@@ -206,11 +211,6 @@ const updateMaintenance = async (req, res) => {
       updateData.completed_date = new Date();
       updateData.completed_by = req.user.id;
 
-      // Update vehicle status back to available if it was in maintenance
-      if (maintenance.vehicle && maintenance.vehicle.status === 'maintenance') {
-        await maintenance.vehicle.update({ status: 'available' });
-      }
-
       // Update vehicle mileage if provided
       if (updateData.mileage_at_maintenance && maintenance.vehicle) {
         await maintenance.vehicle.update({ 
@@ -222,6 +222,11 @@ const updateMaintenance = async (req, res) => {
 
     await maintenance.update(updateData);
 
+    // Status or priority changes may put the vehicle in or out of service
+    if (maintenance.vehicle) {
+      await syncVehicleStatus(maintenance.vehicle);
+    }
+
     const updatedMaintenance = await Maintenance.findByPk(id, {
       include: [
         { model: Vehicle, as: 'vehicle' },
@@ -268,6 +273,7 @@ const deleteMaintenance = async (req, res) => {
     }
 
     await maintenance.destroy();
+    await syncVehicleStatus(maintenance.vehicle_id);
 
     res.json({
       success: true,
@@ -313,9 +319,9 @@ const startMaintenance = async (req, res) => {
       mileage_at_maintenance
     });
 
-    // Update vehicle status to maintenance
+    // Take the vehicle out of service
     if (maintenance.vehicle) {
-      await maintenance.vehicle.update({ status: 'maintenance' });
+      await syncVehicleStatus(maintenance.vehicle);
     }
 
     res.json({
@@ -382,10 +388,9 @@ const completeMaintenance = async (req, res) => {
       notes
     });
 
-    // Update vehicle status and maintenance info
+    // Update vehicle maintenance info and status
     if (maintenance.vehicle) {
       const updateData = { 
-        status: 'available',
         last_maintenance_mileage: maintenance.mileage_at_maintenance
       };
       
@@ -394,6 +399,9 @@ const completeMaintenance = async (req, res) => {
       }
 
       await maintenance.vehicle.update(updateData);
+
+      // Return the vehicle to service unless other maintenances keep it out
+      await syncVehicleStatus(maintenance.vehicle);
     }
 
     res.json({
@@ -414,7 +422,7 @@ const completeMaintenance = async (req, res) => {
  */
 const getMaintenanceStats = async (req, res) => {
   try {
-    const { start_date, end_date } = req.query;
+    const { start_date, end_date, currency = DEFAULT_CURRENCY } = req.query;
     
     const dateFilter = {};
     if (start_date && end_date) {
@@ -450,10 +458,20 @@ const getMaintenanceStats = async (req, res) => {
       }
     });
 
-    const totalCost = await Maintenance.sum('actual_cost', {
-      where: { ...dateFilter, status: 'completed' }
+    // Costs are summed per currency and converted, never added across currencies
+    const costByCurrency = await Maintenance.findAll({
+      attributes: ['currency', [Maintenance.sequelize.fn('SUM', Maintenance.sequelize.col('actual_cost')), 'total']],
+      where: { ...dateFilter, status: 'completed' },
+      group: ['currency'],
+      raw: true
     });
 
+    const converter = createConverter(currency, end_date || new Date());
+    const totalCost = await converter.sum(costByCurrency.map(row => ({
+      amount: row.total,
+      currency: row.currency
+    })));
+
     // Maintenance by type
     const maintenanceByType = await Maintenance.findAll({
       attributes: [
@@ -474,11 +492,20 @@ const getMaintenanceStats = async (req, res) => {
         completedMaintenances,
         overdueMaintenances,
         criticalMaintenances,
-        totalCost: totalCost || 0,
+        totalCost,
+        currency,
+        costByCurrency: costByCurrency.map(row => ({
+          currency: row.currency,
+          total: toNumber(row.total)
+        })),
         maintenanceByType
       }
     });
   } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.status).json(error.toResponse());
+    }
+
     console.error('Get maintenance stats error:', error);
     res.status(500).json({
       success: false,
@@ -0,0 +1,105 @@
+const { Rental, Payment, User, sequelize } = require('../models');
+const { getLedgerSummary, derivePaymentStatus, recordPayment } = require('../services/paymentService');
+const { AppError, NotFoundError } = require('../utils/errors');
+
+/**
+ * Get the payments ledger of a rental with its balance summary
+ */
+const getRentalPayments = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const rental = await Rental.findByPk(id);
+    if (!rental) {
+      return res.status(404).json({
+        success: false,
+        message: 'Alquiler no encontrado'
+      });
+    }
+
+    const payments = await Payment.findAll({
+      where: { rental_id: id },
+      order: [['paid_at', 'ASC'], ['created_at', 'ASC']],
+      include: [
+        {
+          model: User,
+          as: 'receiver',
+          attributes: ['id', 'first_name', 'last_name', 'email'],
+          required: false
+        }
+      ]
+    });
+
+    const summary = await getLedgerSummary(rental);
+
+    res.json({
+      success: true,
+      data: {
+        payments,
+        summary: {
+          ...summary,
+          payment_status: derivePaymentStatus(summary)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get rental payments error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+};
+
+/**
+ * Record a payment, refund or deposit movement for a rental
+ */
+const createRentalPayment = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const payment = await sequelize.transaction(async (transaction) => {
+      // Lock the rental so concurrent payments see each other's balance
+      const rental = await Rental.findByPk(id, {
+        transaction,
+        lock: transaction.LOCK.UPDATE
+      });
+
+      if (!rental) {
+        throw new NotFoundError('Alquiler no encontrado');
+      }
+
+      return recordPayment(rental, req.body, { user: req.user, transaction });
+    });
+
+    const rental = await Rental.findByPk(id);
+    const summary = await getLedgerSummary(rental);
+
+    res.status(201).json({
+      success: true,
+      message: 'Pago registrado exitosamente',
+      data: {
+        payment,
+        summary: {
+          ...summary,
+          payment_status: rental.payment_status
+        }
+      }
+    });
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.status).json(error.toResponse());
+    }
+
+    console.error('Create rental payment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+};
+
+module.exports = {
+  getRentalPayments,
+  createRentalPayment
+};
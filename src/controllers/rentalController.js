@@ -1,5 +1,137 @@
-const { Rental, Customer, Vehicle, User } = require('../models');
+const { Rental, Customer, Vehicle, User, RentalVehicleSegment, Location, RentalExtra, Extra, RentalDriver, sequelize } = require('../models');
 const { Op } = require('sequelize');
+const {
+  assertVehicleFree,
+  assertVehicleAtLocation,
+  isVehicleAtLocation,
+  assertReturnAtLocation,
+  canReturnAtLocation,
+  findConflictingRentals,
+  findBlockingMaintenances,
+  lockVehicle,
+  lockRentalWithVehicle,
+  translateOverlapError
+} = require('../services/availabilityService');
+const { syncVehicleStatus } = require('../services/vehicleStatusService');
+const { getLedgerSummary, refreshPaymentStatus, refundAll } = require('../services/paymentService');
+const { holdDeposit, settleDeposit } = require('../services/depositService');
+const { markNoShow } = require('../services/noShowService');
+const { quoteRental, quoteExtension, quoteReturnCharges, calculateLateFee, applyProtectionPlan } = require('../services/pricingService');
+const { issueInvoice } = require('../services/invoiceService');
+const { swapVehicle, closeVehicleSegment } = require('../services/vehicleSwapService');
+const { findNewDamages, newDamageCharges, openDamageMaintenance } = require('../services/inspectionService');
+const { refuelCharges } = require('../services/fuelService');
+const { mileageCharges } = require('../services/mileageService');
+const {
+  loadExtraSelections,
+  findExtraShortages,
+  assertExtrasInStock,
+  saveRentalExtras,
+  findRentalExtraSelections,
+  extendRentalExtras
+} = require('../services/extraService');
+const {
+  buildRentalDrivers,
+  saveRentalDrivers,
+  assertDriverLicensesValid,
+  extendRentalDrivers
+} = require('../services/driverService');
+const { createConverter } = require('../services/exchangeRateService');
+const { DEFAULT_CURRENCY, toNumber, add, sum, subtract } = require('../utils/money');
+const { AppError, BadRequestError, NotFoundError } = require('../utils/errors');
+
+/**
+ * User associations recording who performed each rental transition
+ */
+const TRANSITION_ACTOR_ALIASES = ['confirmedBy', 'startedBy', 'completedBy', 'cancelledBy', 'noShowBy'];
+
+/**
+ * Fields that can only change through lifecycle endpoints, never through updateRental
+ */
+const PROTECTED_RENTAL_FIELDS = [
+  'id',
+  'rental_number',
+  'customer_id',
+  'vehicle_id',
+  'rental_status',
+  'payment_status',
+  'daily_rate',
+  'total_days',
+  'subtotal',
+  'tax_amount',
+  'additional_charges',
+  'discount_amount',
+  'total_amount',
+  'start_date',
+  'end_date',
+  'pickup_location_id',
+  'return_location_id',
+  'pickup_location',
+  'return_location',
+  'fuel_policy',
+  'mileage_policy',
+  'protection_plan',
+  'currency',
+  'price_breakdown',
+  'deposit_amount',
+  'deposit_held_at',
+  'deposit_settlement',
+  'actual_return_date',
+  // Readings the refuel and excess mileage charges are computed from; set by start, swap and complete
+  'pickup_mileage',
+  'return_mileage',
+  'fuel_level_pickup',
+  'fuel_level_return',
+  'battery_level_pickup',
+  'battery_level_return',
+  'cancellation_reason',
+  'created_by',
+  ...Object.values(Rental.TRANSITIONS).flatMap(({ stamp }) => [`${stamp}_at`, `${stamp}_by`])
+];
+
+/**
+ * Branch associations of a rental
+ */
+const LOCATION_INCLUDES = [
+  { model: Location, as: 'pickupLocation', attributes: ['id', 'code', 'name', 'city', 'timezone'] },
+  { model: Location, as: 'returnLocation', attributes: ['id', 'code', 'name', 'city', 'timezone'] }
+];
+
+/**
+ * Extras booked with a rental, with their catalogue entry
+ */
+const EXTRA_INCLUDE = {
+  model: RentalExtra,
+  as: 'extras',
+  required: false,
+  include: [{ model: Extra, as: 'extra', attributes: ['id', 'code', 'name', 'category'] }]
+};
+
+/**
+ * Additional drivers of a rental
+ */
+const DRIVER_INCLUDE = {
+  model: RentalDriver,
+  as: 'drivers',
+  required: false
+};
+
+/**
+ * Load the pickup and return branches of a booking
+ * Either id may be omitted (quotes); a given id must be an active branch.
+ */
+const loadBranches = async (pickupLocationId, returnLocationId) => {
+  const [pickup, returnLocation] = await Promise.all(
+    [pickupLocationId, returnLocationId].map(id => (id ? Location.findByPk(id) : null))
+  );
+
+  if ((pickupLocationId && (!pickup || !pickup.is_active)) ||
+      (returnLocationId && (!returnLocation || !returnLocation.is_active))) {
+    throw new BadRequestError('Sucursal no encontrada o inactiva');
+  }
+
+  return { pickup, return: returnLocation };
+};
 
 /**
  * Get all rentals with filtering and pagination
@@ -116,8 +248,28 @@ const getRentalById = async (req, res) => {
           model: User,
           as: 'creator',
           attributes: ['id', 'first_name', 'last_name', 'email']
-        }
-      ]
+        },
+        ...LOCATION_INCLUDES,
+        EXTRA_INCLUDE,
+        DRIVER_INCLUDE,
+        {
+          model: RentalVehicleSegment,
+          as: 'vehicleSegments',
+          required: false,
+          include: [{
+            model: Vehicle,
+            as: 'vehicle',
+            attributes: ['id', 'license_plate', 'brand', 'model', 'vehicle_type']
+          }]
+        },
+        ...TRANSITION_ACTOR_ALIASES.map(alias => ({
+          model: User,
+          as: alias,
+          attributes: ['id', 'first_name', 'last_name', 'email'],
+          required: false
+        }))
+      ],
+      order: [[{ model: RentalVehicleSegment, as: 'vehicleSegments' }, 'sequence', 'ASC']]
     });
 
     if (!rental) {
@@ -142,14 +294,18 @@ const getRentalById = async (req, res) => {
 
 /**
  * Create new rental
+ * Runs inside a transaction holding a row lock on the vehicle, so concurrent
+ * bookings of the same car are serialised and the overlap check cannot race.
  */
 const createRental = async (req, res) => {
+  // Rental and payment statuses are never taken from the client
+  const { rental_status, payment_status, extras: extraItems, drivers: driverItems, ...bookingData } = req.body;
+  const rentalData = {
+    ...bookingData,
+    created_by: req.user.id
+  };
+
   try {
-    const rentalData = {
-      ...req.body,
-      created_by: req.user.id
-    };
-    
     // Validate customer exists and is active
     const customer = await Customer.findByPk(rentalData.customer_id);
     if (!customer || !customer.is_active) {
@@ -159,66 +315,74 @@ const createRental = async (req, res) => {
       });
     }
 
-    // Validate vehicle exists and is available
-    const vehicle = await Vehicle.findByPk(rentalData.vehicle_id);
-    if (!vehicle || !vehicle.is_active || vehicle.status !== 'available') {
+    const startDate = new Date(rentalData.start_date);
+    const endDate = new Date(rentalData.end_date);
+    if (endDate <= startDate) {
       return res.status(400).json({
         success: false,
-        message: 'Vehículo no disponible'
+        message: 'La fecha de fin debe ser posterior a la fecha de inicio'
       });
     }
 
-    // Check for conflicting rentals
-    const conflictingRentals = await Rental.count({
-      where: {
-        vehicle_id: rentalData.vehicle_id,
-        rental_status: { [Op.in]: ['reserved', 'confirmed', 'active'] },
-        [Op.or]: [
-          {
-            start_date: { [Op.between]: [rentalData.start_date, rentalData.end_date] }
-          },
-          {
-            end_date: { [Op.between]: [rentalData.start_date, rentalData.end_date] }
-          },
-          {
-            [Op.and]: [
-              { start_date: { [Op.lte]: rentalData.start_date } },
-              { end_date: { [Op.gte]: rentalData.end_date } }
-            ]
-          }
-        ]
-      }
+    const branches = await loadBranches(rentalData.pickup_location_id, rentalData.return_location_id);
+    // Branch names are kept on the rental for reports and documents
+    rentalData.pickup_location = branches.pickup.name;
+    rentalData.return_location = branches.return.name;
+
+    const extras = await loadExtraSelections(extraItems);
+    const drivers = await buildRentalDrivers(driverItems, {
+      customer,
+      start_date: startDate,
+      end_date: endDate
     });
 
-    if (conflictingRentals > 0) {
-      return res.status(400).json({
-        success: false,
-        message: 'El vehículo ya tiene reservas en las fechas seleccionadas'
-      });
-    }
+    const rental = await sequelize.transaction(async (transaction) => {
+      // Validate vehicle exists and is active
+      const vehicle = await lockVehicle(rentalData.vehicle_id, transaction);
+      if (!vehicle || !vehicle.is_active) {
+        throw new BadRequestError('Vehículo no disponible');
+      }
 
-    // Calculate rental details
-    const startDate = new Date(rentalData.start_date);
-    const endDate = new Date(rentalData.end_date);
-    const totalDays = Math.ceil((endDate - startDate) / (1000 * 60 * 60 * 24));
-    
-    rentalData.total_days = totalDays;
-    rentalData.daily_rate = vehicle.daily_rate;
-    rentalData.subtotal = totalDays * vehicle.daily_rate;
-    rentalData.tax_amount = rentalData.subtotal * 0.19; // 19% IVA
-    rentalData.total_amount = rentalData.subtotal + rentalData.tax_amount + (rentalData.additional_charges || 0) - (rentalData.discount_amount || 0);
+      // Availability is derived from the calendar, not from the current status:
+      // reject overlapping rentals and open maintenances in the requested window
+      await assertVehicleFree(rentalData.vehicle_id, startDate, endDate, { transaction });
+      await assertVehicleAtLocation(rentalData.vehicle_id, branches.pickup.id, startDate, { transaction });
+      await assertReturnAtLocation(rentalData.vehicle_id, branches.return.id, endDate, { transaction });
+      await assertExtrasInStock(extras, branches.pickup.id, startDate, endDate, { transaction });
 
-    const rental = await Rental.create(rentalData);
+      // Price the rental with the pricing engine
+      const quote = quoteRental(vehicle, rentalData, branches, { extras, drivers });
 
-    // Update vehicle status
-    await vehicle.update({ status: 'rented' });
+      rentalData.total_days = quote.total_days;
+      rentalData.daily_rate = quote.daily_rate;
+      rentalData.subtotal = quote.subtotal;
+      rentalData.tax_amount = quote.tax_amount;
+      rentalData.additional_charges = quote.additional_charges;
+      rentalData.discount_amount = quote.discount_amount;
+      rentalData.total_amount = quote.total_amount;
+      rentalData.currency = quote.currency;
+      rentalData.fuel_policy = quote.fuel_policy;
+      rentalData.mileage_policy = quote.mileage_policy;
+      rentalData.protection_plan = quote.protection_plan;
+      rentalData.price_breakdown = quote;
+
+      // A reservation does not change the vehicle status until pickup
+      const createdRental = await Rental.create(rentalData, { transaction });
+      await saveRentalExtras(createdRental, quote.extras, { transaction });
+      await saveRentalDrivers(createdRental, drivers, quote.drivers, { user: req.user, transaction });
+
+      return createdRental;
+    });
 
     // Fetch complete rental data
     const completeRental = await Rental.findByPk(rental.id, {
       include: [
         { model: Customer, as: 'customer' },
         { model: Vehicle, as: 'vehicle' },
-        { model: User, as: 'creator', attributes: ['id', 'first_name', 'last_name'] }
+        { model: User, as: 'creator', attributes: ['id', 'first_name', 'last_name'] },
+        ...LOCATION_INCLUDES,
+        EXTRA_INCLUDE,
+        DRIVER_INCLUDE
       ]
     });
 
@@ -228,6 +392,16 @@ const createRental = async (req, res) => {
       data: { rental: completeRental }
     });
   } catch (error) {
+    const appError = await translateOverlapError(
+      error,
+      rentalData.vehicle_id,
+      rentalData.start_date,
+      rentalData.end_date
+    );
+    if (appError instanceof AppError) {
+      return res.status(appError.status).json(appError.toResponse());
+    }
+
     console.error('Create rental error:', error);
     res.status(500).json({
       success: false,
@@ -236,14 +410,96 @@ const createRental = async (req, res) => {
   }
 };
 
+/**
+ * Quote a rental
+ * Returns the itemised price computed by the pricing engine without creating
+ * the rental, plus whether the vehicle is free in the requested period and,
+ * when a pickup branch is given, will be there on the start date and the
+ * branch has the requested extras in stock.
+ */
+const getRentalQuote = async (req, res) => {
+  try {
+    const {
+      vehicle_id,
+      start_date,
+      end_date,
+      pickup_location_id,
+      return_location_id,
+      extras: extraItems,
+      drivers: driverItems
+    } = req.body;
+
+    const vehicle = await Vehicle.findByPk(vehicle_id);
+    if (!vehicle || !vehicle.is_active) {
+      return res.status(404).json({
+        success: false,
+        message: 'Vehículo no encontrado'
+      });
+    }
+
+    const startDate = new Date(start_date);
+    const endDate = new Date(end_date);
+    if (endDate <= startDate) {
+      return res.status(400).json({
+        success: false,
+        message: 'La fecha de fin debe ser posterior a la fecha de inicio'
+      });
+    }
+
+    const branches = await loadBranches(pickup_location_id, return_location_id);
+    const extras = await loadExtraSelections(extraItems);
+    const drivers = await buildRentalDrivers(driverItems, { start_date: startDate, end_date: endDate });
+    const quote = quoteRental(vehicle, req.body, branches, { extras, drivers });
+
+    const [conflictingRentals, blockingMaintenances, atPickupLocation, returnable, extraShortages] = await Promise.all([
+      findConflictingRentals(vehicle_id, startDate, endDate),
+      findBlockingMaintenances(vehicle_id, startDate, endDate),
+      branches.pickup ? isVehicleAtLocation(vehicle_id, branches.pickup.id, startDate) : true,
+      branches.return ? canReturnAtLocation(vehicle_id, branches.return.id, endDate) : true,
+      branches.pickup ? findExtraShortages(extras, branches.pickup.id, startDate, endDate) : []
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        quote,
+        extra_shortages: extraShortages,
+        available: conflictingRentals.length === 0 && blockingMaintenances.length === 0 &&
+          atPickupLocation && returnable && extraShortages.length === 0
+      }
+    });
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.status).json(error.toResponse());
+    }
+
+    console.error('Quote rental error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+};
+
 /**
  * Update rental
+ * Only descriptive fields can be edited here; status, dates and amounts change
+ * exclusively through the lifecycle endpoints (confirm, start, extend, complete, cancel).
  */
 const updateRental = async (req, res) => {
   try {
     const { id } = req.params;
     const updateData = req.body;
 
+    const protectedFields = Object.keys(updateData).filter(field => PROTECTED_RENTAL_FIELDS.includes(field));
+    if (protectedFields.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Estos campos solo pueden modificarse mediante las operaciones del ciclo de vida del alquiler',
+        fields: protectedFields
+      });
+    }
+
     const rental = await Rental.findByPk(id);
     if (!rental) {
       return res.status(404).json({
@@ -252,8 +508,8 @@ const updateRental = async (req, res) => {
       });
     }
 
-    // Prevent updates to completed or cancelled rentals
-    if (rental.rental_status === 'completed' || rental.rental_status === 'cancelled') {
+    // Prevent updates to closed rentals
+    if (rental.isClosed()) {
       return res.status(400).json({
         success: false,
         message: 'No se puede modificar un alquiler completado o cancelado'
@@ -284,48 +540,247 @@ const updateRental = async (req, res) => {
   }
 };
 
+/**
+ * Extend rental
+ * Moves the end date forward after checking the vehicle and the booked extras
+ * are free in the added window and the licenses of every driver cover it.
+ * Only the added days are priced; each extension is kept as its own entry in
+ * the price breakdown.
+ */
+const extendRental = async (req, res) => {
+  const { id } = req.params;
+  const { end_date } = req.body;
+  let rental;
+
+  try {
+    const result = await sequelize.transaction(async (transaction) => {
+      const locked = await lockRentalWithVehicle(id, transaction);
+      rental = locked.rental;
+      const { vehicle } = locked;
+
+      if (!rental) {
+        throw new NotFoundError('Alquiler no encontrado');
+      }
+
+      if (rental.isClosed()) {
+        throw new BadRequestError('Solo se pueden extender alquileres reservados, confirmados o activos');
+      }
+
+      const currentEndDate = new Date(rental.end_date);
+      const newEndDate = new Date(end_date);
+      if (newEndDate <= currentEndDate) {
+        throw new BadRequestError('La nueva fecha de fin debe ser posterior a la fecha de fin actual');
+      }
+
+      const customer = await Customer.findByPk(rental.customer_id, { transaction });
+      if (customer.isDriverLicenseExpired(newEndDate)) {
+        throw new BadRequestError('La licencia de conducir del cliente vence antes de la nueva fecha de fin', {
+          driver_license_expiry: customer.driver_license_expiry
+        });
+      }
+      await assertDriverLicensesValid(rental, newEndDate, { transaction });
+
+      // Only the added window needs to be free; the rental itself is excluded
+      await assertVehicleFree(rental.vehicle_id, currentEndDate, newEndDate, {
+        excludeRentalId: rental.id,
+        transaction
+      });
+
+      // The next rental of the vehicle may now start right at the new end date
+      if (rental.return_location_id) {
+        await assertReturnAtLocation(rental.vehicle_id, rental.return_location_id, newEndDate, { transaction });
+      }
+
+      // Rentals booked before branches existed have no branch stock to check
+      if (rental.pickup_location_id) {
+        const extras = await findRentalExtraSelections(rental, { transaction });
+        await assertExtrasInStock(extras, rental.pickup_location_id, currentEndDate, newEndDate, {
+          excludeRentalId: rental.id,
+          transaction
+        });
+      }
+
+      const extension = {
+        ...quoteExtension(rental, vehicle, newEndDate),
+        extended_at: new Date(),
+        extended_by: req.user.id
+      };
+
+      const breakdown = rental.price_breakdown || {};
+      await rental.update({
+        end_date: newEndDate,
+        total_days: extension.total_days,
+        subtotal: add(rental.subtotal, extension.subtotal),
+        tax_amount: add(rental.tax_amount, extension.tax_amount),
+        additional_charges: add(rental.additional_charges, extension.additional_charges),
+        total_amount: add(rental.total_amount, extension.total_amount),
+        price_breakdown: {
+          ...breakdown,
+          extensions: [...(breakdown.extensions || []), extension]
+        }
+      }, { transaction });
+      await extendRentalExtras(rental, extension.extras, { transaction });
+      await extendRentalDrivers(rental, extension.drivers, { transaction });
+
+      // The total changed: re-derive the payment status from the ledger
+      await refreshPaymentStatus(rental, { transaction });
+
+      return { extension };
+    });
+
+    const extendedRental = await Rental.findByPk(id, {
+      include: [
+        { model: Customer, as: 'customer' },
+        { model: Vehicle, as: 'vehicle' }
+      ]
+    });
+
+    res.json({
+      success: true,
+      message: 'Alquiler extendido exitosamente',
+      data: {
+        rental: extendedRental,
+        extension: result.extension
+      }
+    });
+  } catch (error) {
+    const appError = rental ?
+      await translateOverlapError(error, rental.vehicle_id, rental.end_date, end_date, { excludeRentalId: id }) :
+      error;
+    if (appError instanceof AppError) {
+      return res.status(appError.status).json(appError.toResponse());
+    }
+
+    console.error('Extend rental error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+};
+
+/**
+ * Confirm rental (reserved -> confirmed)
+ * Optionally holds the security deposit at confirmation time
+ */
+const confirmRental = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { deposit_amount, deposit_method, deposit_reference } = req.body;
+
+    await sequelize.transaction(async (transaction) => {
+      const { rental } = await lockRentalWithVehicle(id, transaction);
+
+      if (!rental) {
+        throw new NotFoundError('Alquiler no encontrado');
+      }
+
+      await rental.transition('confirm', { user: req.user, transaction });
+
+      if (deposit_amount !== undefined || deposit_method) {
+        await holdDeposit(rental, {
+          amount: deposit_amount,
+          method: deposit_method,
+          reference: deposit_reference
+        }, { user: req.user, transaction });
+      }
+    });
+
+    res.json({
+      success: true,
+      message: 'Alquiler confirmado exitosamente'
+    });
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.status).json(error.toResponse());
+    }
+
+    console.error('Confirm rental error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+};
+
 /**
  * Cancel rental
  */
 const cancelRental = async (req, res) => {
   try {
     const { id } = req.params;
-    const { cancellation_reason } = req.body;
+    const { cancellation_reason, refund_method } = req.body;
 
-    const rental = await Rental.findByPk(id, {
-      include: [{ model: Vehicle, as: 'vehicle' }]
-    });
+    const refunds = await sequelize.transaction(async (transaction) => {
+      const { rental, vehicle } = await lockRentalWithVehicle(id, transaction);
 
-    if (!rental) {
-      return res.status(404).json({
-        success: false,
-        message: 'Alquiler no encontrado'
+      if (!rental) {
+        throw new NotFoundError('Alquiler no encontrado');
+      }
+
+      await rental.transition('cancel', {
+        user: req.user,
+        changes: { cancellation_reason },
+        transaction
       });
-    }
 
-    if (rental.rental_status === 'completed' || rental.rental_status === 'cancelled') {
-      return res.status(400).json({
-        success: false,
-        message: 'El alquiler ya está completado o cancelado'
+      if (vehicle) {
+        await syncVehicleStatus(vehicle, { transaction });
+      }
+
+      // Give back everything paid as negative ledger entries
+      return refundAll(rental, {
+        method: refund_method,
+        reason: cancellation_reason,
+        user: req.user,
+        transaction
       });
+    });
+
+    res.json({
+      success: true,
+      message: 'Alquiler cancelado exitosamente',
+      data: { refunds }
+    });
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.status).json(error.toResponse());
     }
 
-    await rental.update({
-      rental_status: 'cancelled',
-      additional_notes: cancellation_reason || rental.additional_notes
+    console.error('Cancel rental error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
     });
+  }
+};
 
-    // Update vehicle status back to available
-    if (rental.vehicle) {
-      await rental.vehicle.update({ status: 'available' });
-    }
+/**
+ * Mark rental as no-show
+ * The customer did not pick the vehicle up: the no-show fee is charged, the
+ * rest of what was paid is refunded and the vehicle is freed. Stale
+ * reservations are also marked by the no-show job (see noShowService).
+ */
+const markRentalNoShow = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { refund_method } = req.body;
+
+    const result = await sequelize.transaction((transaction) =>
+      markNoShow(id, { user: req.user, method: refund_method, transaction })
+    );
 
     res.json({
       success: true,
-      message: 'Alquiler cancelado exitosamente'
+      message: 'Alquiler marcado como no presentado',
+      data: result
     });
   } catch (error) {
-    console.error('Cancel rental error:', error);
+    if (error instanceof AppError) {
+      return res.status(error.status).json(error.toResponse());
+    }
+
+    console.error('Mark rental no-show error:', error);
     res.status(500).json({
       success: false,
       message: 'Error interno del servidor'
@@ -335,47 +790,69 @@ const cancelRental = async (req, res) => {
 
 /**
  * Start rental (pickup)
+ * Holds the security deposit at pickup if it was not held at confirmation
  */
 const startRental = async (req, res) => {
   try {
     const { id } = req.params;
-    const { pickup_mileage, fuel_level_pickup, damage_notes_pickup } = req.body;
+    const {
+      pickup_mileage,
+      fuel_level_pickup,
+      battery_level_pickup,
+      damage_notes_pickup,
+      deposit_amount,
+      deposit_method,
+      deposit_reference
+    } = req.body;
 
-    const rental = await Rental.findByPk(id, {
-      include: [{ model: Vehicle, as: 'vehicle' }]
-    });
+    await sequelize.transaction(async (transaction) => {
+      const { rental, vehicle } = await lockRentalWithVehicle(id, transaction);
 
-    if (!rental) {
-      return res.status(404).json({
-        success: false,
-        message: 'Alquiler no encontrado'
-      });
-    }
+      if (!rental) {
+        throw new NotFoundError('Alquiler no encontrado');
+      }
 
-    if (rental.rental_status !== 'confirmed') {
-      return res.status(400).json({
-        success: false,
-        message: 'El alquiler debe estar confirmado para iniciar'
+      if (!rental.canTransition('start')) {
+        throw new BadRequestError('El alquiler debe estar confirmado para iniciar');
+      }
+
+      // The car must be physically at hand: not still out with a previous renter or in the workshop
+      if (vehicle && vehicle.status !== 'available') {
+        throw new BadRequestError('El vehículo no está disponible para la entrega');
+      }
+
+      await rental.transition('start', {
+        user: req.user,
+        changes: { pickup_mileage, fuel_level_pickup, battery_level_pickup, damage_notes_pickup },
+        transaction
       });
-    }
 
-    await rental.update({
-      rental_status: 'active',
-      pickup_mileage,
-      fuel_level_pickup,
-      damage_notes_pickup
-    });
+      if (deposit_amount !== undefined || deposit_method) {
+        await holdDeposit(rental, {
+          amount: deposit_amount,
+          method: deposit_method,
+          reference: deposit_reference
+        }, { user: req.user, transaction });
+      }
 
-    // Update vehicle mileage
-    if (rental.vehicle && pickup_mileage) {
-      await rental.vehicle.update({ current_mileage: pickup_mileage });
-    }
+      // Update vehicle mileage and mark it as rented
+      if (vehicle) {
+        if (pickup_mileage) {
+          await vehicle.update({ current_mileage: pickup_mileage }, { transaction });
+        }
+        await syncVehicleStatus(vehicle, { transaction });
+      }
+    });
 
     res.json({
       success: true,
       message: 'Alquiler iniciado exitosamente'
     });
   } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.status).json(error.toResponse());
+    }
+
     console.error('Start rental error:', error);
     res.status(500).json({
       success: false,
@@ -384,8 +861,77 @@ const startRental = async (req, res) => {
   }
 };
 
+/**
+ * Swap the vehicle of an active rental
+ * Keeps the rental, its number and its history: the rental moves to the
+ * replacement and each vehicle keeps a segment with its own mileage and fuel.
+ */
+const swapRentalVehicle = async (req, res) => {
+  const { id } = req.params;
+  let rental;
+
+  try {
+    const result = await sequelize.transaction(async (transaction) => {
+      const locked = await lockRentalWithVehicle(id, transaction);
+      rental = locked.rental;
+
+      if (!rental) {
+        throw new NotFoundError('Alquiler no encontrado');
+      }
+
+      return swapVehicle(rental, locked.vehicle, req.body, { user: req.user, transaction });
+    });
+
+    const swappedRental = await Rental.findByPk(id, {
+      include: [
+        { model: Customer, as: 'customer' },
+        { model: Vehicle, as: 'vehicle' },
+        {
+          model: RentalVehicleSegment,
+          as: 'vehicleSegments',
+          include: [{
+            model: Vehicle,
+            as: 'vehicle',
+            attributes: ['id', 'license_plate', 'brand', 'model', 'vehicle_type']
+          }]
+        }
+      ],
+      order: [[{ model: RentalVehicleSegment, as: 'vehicleSegments' }, 'sequence', 'ASC']]
+    });
+
+    res.json({
+      success: true,
+      message: 'Vehículo del alquiler cambiado exitosamente',
+      data: {
+        rental: swappedRental,
+        swap: result.swap,
+        maintenance: result.maintenance
+      }
+    });
+  } catch (error) {
+    const appError = rental ?
+      await translateOverlapError(error, req.body.vehicle_id, rental.start_date, rental.end_date) :
+      error;
+    if (appError instanceof AppError) {
+      return res.status(appError.status).json(appError.toResponse());
+    }
+
+    console.error('Swap rental vehicle error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+};
+
 /**
  * Complete rental (return)
+ * Return charges (late fees, damage, fuel...) are itemised, captured from the
+ * held deposit and the remaining deposit is released. The invoice is issued
+ * in the same transaction, so a rental is never completed without one.
+ * New damage flagged by the return inspections can be charged at its
+ * estimated cost and sent to a corrective maintenance. Charges covered by
+ * the protection plan of the rental are capped at its deductible.
  */
 const completeRental = async (req, res) => {
   try {
@@ -393,71 +939,236 @@ const completeRental = async (req, res) => {
     const { 
       return_mileage, 
       fuel_level_return, 
+      battery_level_return,
       damage_notes_return,
       additional_charges,
+      return_charges = [],
+      charge_new_damages,
+      damage_maintenance,
       actual_return_date 
     } = req.body;
 
-    const rental = await Rental.findByPk(id, {
-      include: [{ model: Vehicle, as: 'vehicle' }]
-    });
+    const result = await sequelize.transaction(async (transaction) => {
+      const { rental, vehicle } = await lockRentalWithVehicle(id, transaction);
 
-    if (!rental) {
-      return res.status(404).json({
-        success: false,
-        message: 'Alquiler no encontrado'
+      if (!rental) {
+        throw new NotFoundError('Alquiler no encontrado');
+      }
+
+      if (!rental.canTransition('complete')) {
+        throw new BadRequestError('El alquiler debe estar activo para completar');
+      }
+
+      // Itemised return charges
+      const chargeItems = return_charges.map(item => ({
+        concept: item.concept,
+        description: item.description || null,
+        amount: toNumber(item.amount)
+      }));
+
+      if (additional_charges) {
+        chargeItems.push({
+          concept: 'other',
+          description: 'Cargos adicionales',
+          amount: toNumber(additional_charges)
+        });
+      }
+
+      // Kilometres driven over the mileage allowance
+      const mileage = await mileageCharges(rental, vehicle, return_mileage, { transaction });
+      chargeItems.push(...mileage.items);
+
+      // Missing fuel or charge, following the fuel policy of the rental
+      chargeItems.push(...await refuelCharges(rental, vehicle, {
+        fuel_level_return,
+        battery_level_return
+      }, { transaction }));
+
+      const newDamages = await findNewDamages(rental, { transaction });
+      if (charge_new_damages) {
+        chargeItems.push(...newDamageCharges(newDamages));
+      }
+
+      // Late fees follow the late fee policy of the pricing engine
+      const returnDate = new Date(actual_return_date || new Date());
+      const lateFee = calculateLateFee(rental, returnDate);
+      const lateFees = lateFee.amount;
+
+      if (lateFees > 0) {
+        chargeItems.push({
+          concept: 'late_fee',
+          description: lateFee.description,
+          amount: lateFees
+        });
+      }
+
+      // The customer pays covered charges up to the deductible of the protection plan
+      const { items: returnItems, claim: protectionClaim } = applyProtectionPlan(rental.protection_plan, chargeItems);
+
+      // Charges agreed at booking are kept; return charges and their tax are added to them
+      const returnCharges = quoteReturnCharges(rental, returnItems);
+      const totalAdditionalCharges = add(rental.additional_charges, returnCharges.amount);
+      const newTaxAmount = add(rental.tax_amount, returnCharges.tax_amount);
+      const newTotalAmount = subtract(
+        add(rental.subtotal, newTaxAmount, totalAdditionalCharges),
+        rental.discount_amount
+      );
+
+      await rental.transition('complete', {
+        user: req.user,
+        changes: {
+          actual_return_date: returnDate,
+          return_mileage,
+          fuel_level_return,
+          battery_level_return,
+          damage_notes_return,
+          additional_charges: totalAdditionalCharges,
+          tax_amount: newTaxAmount,
+          total_amount: newTotalAmount,
+          price_breakdown: {
+            ...rental.price_breakdown,
+            mileage_usage: mileage.usage,
+            protection_claim: protectionClaim,
+            return_charges: returnCharges
+          }
+        },
+        transaction
       });
-    }
 
-    if (rental.rental_status !== 'active') {
-      return res.status(400).json({
-        success: false,
-        message: 'El alquiler debe estar activo para completar'
+      // The total changed: re-derive the payment status from the ledger
+      await refreshPaymentStatus(rental, { transaction });
+
+      // Rentals that had their vehicle swapped close the segment of the last vehicle
+      await closeVehicleSegment(rental, {
+        end_at: returnDate,
+        return_mileage,
+        fuel_level_return,
+        battery_level_return
+      }, { transaction });
+
+      // Capture return charges from the deposit and release the rest
+      const depositSettlement = await settleDeposit(rental, returnItems, {
+        taxAmount: returnCharges.tax_amount,
+        user: req.user,
+        transaction
       });
-    }
 
-    // Calculate late fees if applicable
-    const returnDate = new Date(actual_return_date || new Date());
-    const scheduledEndDate = new Date(rental.end_date);
-    let lateFees = 0;
+      const invoice = await issueInvoice(rental, { user: req.user, transaction });
+
+      // One repair order per damaged vehicle, including vehicles swapped out
+      const maintenances = [];
+      if (damage_maintenance && newDamages.length > 0) {
+        for (const vehicleId of new Set(newDamages.map(damage => damage.vehicle_id))) {
+          const damagedVehicle = vehicle && vehicle.id === vehicleId ?
+            vehicle :
+            await Vehicle.findByPk(vehicleId, { transaction });
+
+          maintenances.push(await openDamageMaintenance(
+            rental,
+            damagedVehicle,
+            newDamages.filter(damage => damage.vehicle_id === vehicleId),
+            {
+              ...damage_maintenance,
+              scheduled_date: returnDate,
+              mileage: damagedVehicle === vehicle ? return_mileage : undefined
+            },
+            { user: req.user, transaction }
+          ));
+
+          if (damagedVehicle !== vehicle) {
+            await syncVehicleStatus(damagedVehicle, { transaction });
+          }
+        }
+      }
+
+      // Update vehicle mileage, location and status
+      if (vehicle) {
+        await vehicle.update({ 
+          current_mileage: return_mileage || vehicle.current_mileage,
+          // The vehicle stays at the branch it was returned to
+          current_location_id: rental.return_location_id || vehicle.current_location_id
+        }, { transaction });
+        await syncVehicleStatus(vehicle, { transaction });
+      }
+
+      return {
+        lateFees,
+        totalAdditionalCharges,
+        newTotalAmount,
+        mileage: mileage.usage,
+        protectionClaim,
+        depositSettlement,
+        invoice,
+        newDamages,
+        maintenances
+      };
+    });
 
-    if (returnDate > scheduledEndDate) {
-      const lateDays = Math.ceil((returnDate - scheduledEndDate) / (1000 * 60 * 60 * 24));
-      lateFees = lateDays * rental.daily_rate * 1.5; // 150% of daily rate for late fees
+    res.json({
+      success: true,
+      message: 'Alquiler completado exitosamente',
+      data: result
+    });
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.status).json(error.toResponse());
     }
 
-    const totalAdditionalCharges = (additional_charges || 0) + lateFees;
-    const newTotalAmount = rental.subtotal + rental.tax_amount + totalAdditionalCharges - rental.discount_amount;
+    console.error('Complete rental error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+};
 
-    await rental.update({
-      rental_status: 'completed',
-      actual_return_date: returnDate,
-      return_mileage,
-      fuel_level_return,
-      damage_notes_return,
-      additional_charges: totalAdditionalCharges,
-      total_amount: newTotalAmount
+/**
+ * Get deposit settlement document of a rental
+ */
+const getDepositSettlement = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const rental = await Rental.findByPk(id, {
+      attributes: ['id', 'rental_number', 'rental_status', 'deposit_amount', 'deposit_held_at', 'deposit_settlement'],
+      include: [
+        {
+          model: Customer,
+          as: 'customer',
+          attributes: ['id', 'first_name', 'last_name', 'email', 'document_number']
+        },
+        {
+          model: Vehicle,
+          as: 'vehicle',
+          attributes: ['id', 'license_plate', 'brand', 'model']
+        }
+      ]
     });
 
-    // Update vehicle status and mileage
-    if (rental.vehicle) {
-      await rental.vehicle.update({ 
-        status: 'available',
-        current_mileage: return_mileage || rental.vehicle.current_mileage
+    if (!rental) {
+      return res.status(404).json({
+        success: false,
+        message: 'Alquiler no encontrado'
       });
     }
 
+    const summary = await getLedgerSummary(rental);
+
     res.json({
       success: true,
-      message: 'Alquiler completado exitosamente',
       data: {
-        lateFees,
-        totalAdditionalCharges,
-        newTotalAmount
+        rental_number: rental.rental_number,
+        rental_status: rental.rental_status,
+        customer: rental.customer,
+        vehicle: rental.vehicle,
+        deposit_amount: rental.deposit_amount,
+        deposit_held_at: rental.deposit_held_at,
+        deposit_currently_held: summary.deposit_held,
+        settlement: rental.deposit_settlement
       }
     });
   } catch (error) {
-    console.error('Complete rental error:', error);
+    console.error('Get deposit settlement error:', error);
     res.status(500).json({
       success: false,
       message: 'Error interno del servidor'
@@ -470,7 +1181,7 @@ const completeRental = async (req, res) => {
  */
 const getRentalStats = async (req, res) => {
   try {
-    const { start_date, end_date } = req.query;
+    const { start_date, end_date, currency = DEFAULT_CURRENCY } = req.query;
     
     const dateFilter = {};
     if (start_date && end_date) {
@@ -491,10 +1202,20 @@ const getRentalStats = async (req, res) => {
       where: { ...dateFilter, rental_status: 'cancelled' }
     });
 
-    const totalRevenue = await Rental.sum('total_amount', {
-      where: { ...dateFilter, rental_status: 'completed' }
+    // Revenue is summed per currency and converted, never added across currencies
+    const revenueByCurrency = await Rental.findAll({
+      attributes: ['currency', [sequelize.fn('SUM', sequelize.col('total_amount')), 'total']],
+      where: { ...dateFilter, rental_status: 'completed' },
+      group: ['currency'],
+      raw: true
     });
 
+    const converter = createConverter(currency, end_date || new Date());
+    const totalRevenue = await converter.sum(revenueByCurrency.map(row => ({
+      amount: row.total,
+      currency: row.currency
+    })));
+
     const overdueRentals = await Rental.count({
       where: {
         rental_status: 'active',
@@ -509,11 +1230,20 @@ const getRentalStats = async (req, res) => {
         activeRentals,
         completedRentals,
         cancelledRentals,
-        totalRevenue: totalRevenue || 0,
+        totalRevenue,
+        currency,
+        revenueByCurrency: revenueByCurrency.map(row => ({
+          currency: row.currency,
+          total: toNumber(row.total)
+        })),
         overdueRentals
       }
     });
   } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.status).json(error.toResponse());
+    }
+
     console.error('Get rental stats error:', error);
     res.status(500).json({
       success: false,
@@ -526,9 +1256,15 @@ module.exports = {
   getRentals,
   getRentalById,
   createRental,
+  getRentalQuote,
   updateRental,
+  extendRental,
+  confirmRental,
   cancelRental,
+  markRentalNoShow,
   startRental,
+  swapRentalVehicle,
   completeRental,
+  getDepositSettlement,
   getRentalStats
 };
\ No newline at end of file
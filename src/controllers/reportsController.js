@@ -1,11 +1,168 @@
 /**
  * Controlador de Reportes - Maneja la generación de reportes de ingresos, costos y disponibilidad
  */
-const { Op, fn, col, literal } = require('sequelize');
-const { Rental, Vehicle, Maintenance, Customer } = require('../models');
+const { Op, fn, col, literal, QueryTypes } = require('sequelize');
+const { Rental, Vehicle, Maintenance, Customer, Payment, RentalExtra, Extra, sequelize } = require('../models');
+const {
+  DEFAULT_CURRENCY,
+  SUPPORTED_CURRENCIES,
+  toNumber,
+  add,
+  sum,
+  subtract,
+  divide,
+  compare
+} = require('../utils/money');
+const { createConverter } = require('../services/exchangeRateService');
+const { PROTECTION_PLANS } = require('../services/pricingService');
+const pricing = require('../config/pricing');
+const { AppError, BadRequestError } = require('../utils/errors');
 
 /**
- * Obtiene reportes de ingresos por alquileres
+ * Tramos de uso de cada vehículo en alquileres activos o completados
+ * Los alquileres con cambio de vehículo aportan un tramo por vehículo; el resto
+ * aporta su período completo sobre rentals.vehicle_id.
+ */
+const VEHICLE_USAGE_SQL = `
+  SELECT segments.vehicle_id,
+         segments.rental_id,
+         segments.start_at,
+         COALESCE(segments.end_at, rentals.actual_return_date, rentals.end_date) AS end_at
+  FROM rental_vehicle_segments AS segments
+  JOIN rentals ON rentals.id = segments.rental_id
+  WHERE rentals.rental_status IN ('active', 'completed')
+  UNION ALL
+  SELECT rentals.vehicle_id,
+         rentals.id AS rental_id,
+         rentals.start_date AS start_at,
+         COALESCE(rentals.actual_return_date, rentals.end_date) AS end_at
+  FROM rentals
+  WHERE rentals.rental_status IN ('active', 'completed')
+    AND NOT EXISTS (SELECT 1 FROM rental_vehicle_segments AS segments WHERE segments.rental_id = rentals.id)
+`;
+
+/**
+ * Ingreso por plan de protección de un alquiler: el plan contratado más los
+ * días agregados por cada extensión, según el desglose de precio
+ */
+const PROTECTION_REVENUE_SQL = `
+  COALESCE((price_breakdown->'protection'->>'amount')::numeric, 0) +
+  COALESCE((
+    SELECT SUM((extension->'protection'->>'amount')::numeric)
+    FROM jsonb_array_elements(COALESCE(price_breakdown->'extensions', '[]'::jsonb)) AS extension
+  ), 0)
+`;
+
+/**
+ * Monto de cargos de devolución cubierto por el plan de protección
+ */
+const PROTECTION_COVERED_SQL = `COALESCE((price_breakdown->'protection_claim'->>'covered_amount')::numeric, 0)`;
+
+/**
+ * Conversor a la moneda del reporte
+ * Los montos en otras monedas se convierten con el tipo de cambio vigente a la
+ * fecha de corte del reporte (endDate o la fecha actual); montos de monedas
+ * distintas nunca se suman sin convertir.
+ * @param {Object} query - Query del request (currency, endDate)
+ */
+const createReportConverter = (query) => {
+  const currency = query.currency || DEFAULT_CURRENCY;
+  if (!SUPPORTED_CURRENCIES.includes(currency)) {
+    throw new BadRequestError('Moneda de reporte no soportada', { supported_currencies: SUPPORTED_CURRENCIES });
+  }
+
+  return createConverter(currency, query.endDate || new Date());
+};
+
+/**
+ * Combina filas agrupadas por moneda en una fila por clave, con los montos
+ * convertidos a la moneda del reporte
+ * @param {Array} rows - Filas (raw o instancias) con un campo currency
+ * @param {Object} converter - Conversor de createReportConverter
+ * @param {Object} options - keyOf, sumFields, countFields, maxFields, minFields,
+ *                           averages ({ campo: [campoTotal, campoConteo] })
+ */
+const mergeCurrencies = async (rows, converter, options) => {
+  const {
+    keyOf = () => 'total',
+    sumFields = [],
+    countFields = [],
+    maxFields = [],
+    minFields = [],
+    averages = {}
+  } = options;
+  const merged = new Map();
+
+  for (const row of rows) {
+    const plain = typeof row.get === 'function' ? row.get({ plain: true }) : { ...row };
+    const { currency, ...rest } = plain;
+    const key = keyOf(plain);
+
+    if (!merged.has(key)) {
+      const initial = { ...rest, currencies: [] };
+      sumFields.forEach(field => { initial[field] = 0; });
+      countFields.forEach(field => { initial[field] = 0; });
+      [...maxFields, ...minFields].forEach(field => { initial[field] = null; });
+      merged.set(key, initial);
+    }
+
+    const target = merged.get(key);
+    target.currencies.push(currency);
+
+    for (const field of sumFields) {
+      target[field] = add(target[field], await converter.convert(plain[field], currency));
+    }
+    for (const field of countFields) {
+      target[field] += parseInt(plain[field]) || 0;
+    }
+    for (const field of maxFields) {
+      if (plain[field] === null) continue;
+      const value = await converter.convert(plain[field], currency);
+      if (target[field] === null || compare(value, target[field]) > 0) target[field] = value;
+    }
+    for (const field of minFields) {
+      if (plain[field] === null) continue;
+      const value = await converter.convert(plain[field], currency);
+      if (target[field] === null || compare(value, target[field]) < 0) target[field] = value;
+    }
+  }
+
+  const result = Array.from(merged.values());
+  for (const row of result) {
+    for (const [field, [totalField, countField]] of Object.entries(averages)) {
+      row[field] = row[countField] > 0 ? divide(row[totalField], row[countField]) : 0;
+    }
+  }
+
+  return result;
+};
+
+/**
+ * Datos de moneda incluidos en cada reporte convertido
+ */
+const currencyInfo = (converter) => ({
+  currency: converter.currency,
+  exchange_rate_date: converter.date,
+  exchange_rates: converter.ratesUsed()
+});
+
+/**
+ * Respuesta de error de un reporte
+ */
+const sendReportError = (res, error, message) => {
+  if (error instanceof AppError) {
+    return res.status(error.status).json(error.toResponse());
+  }
+
+  res.status(500).json({
+    success: false,
+    message,
+    error: error.message
+  });
+};
+
+/**
+ * Obtiene reportes de ingresos por alquileres, con el desglose por extra
  * @param {Object} req - Request object
  * @param {Object} res - Response object
  */
@@ -17,6 +174,7 @@ const getIncomeReports = async (req, res) => {
       groupBy = 'month', // day, week, month, year
       vehicleId 
     } = req.query;
+    const converter = createReportConverter(req.query);
 
     // Construir filtros de fecha
     const dateFilter = {};
@@ -52,13 +210,13 @@ const getIncomeReports = async (req, res) => {
         dateFormat = 'YYYY-MM';
     }
 
-    // Consulta principal de ingresos
-    const incomeData = await Rental.findAll({
+    // Consulta principal de ingresos (por período y moneda)
+    const incomeRows = await Rental.findAll({
       attributes: [
         [fn('TO_CHAR', col('start_date'), dateFormat), 'period'],
+        'currency',
         [fn('COUNT', col('id')), 'total_rentals'],
         [fn('SUM', col('total_amount')), 'total_income'],
-        [fn('AVG', col('total_amount')), 'average_rental_amount'],
         [fn('SUM', col('daily_rate')), 'total_daily_rates']
       ],
       where: {
@@ -66,28 +224,46 @@ const getIncomeReports = async (req, res) => {
         ...(Object.keys(dateFilter).length > 0 && { start_date: dateFilter }),
         ...(vehicleId && { vehicle_id: vehicleId })
       },
-      group: [fn('TO_CHAR', col('start_date'), dateFormat)],
+      group: [fn('TO_CHAR', col('start_date'), dateFormat), 'currency'],
       order: [[fn('TO_CHAR', col('start_date'), dateFormat), 'ASC']],
       raw: true
     });
 
-    // Estadísticas generales
-    const totalStats = await Rental.findOne({
+    const incomeData = await mergeCurrencies(incomeRows, converter, {
+      keyOf: row => row.period,
+      sumFields: ['total_income', 'total_daily_rates'],
+      countFields: ['total_rentals'],
+      averages: { average_rental_amount: ['total_income', 'total_rentals'] }
+    });
+
+    // Estadísticas generales (por moneda)
+    const totalRows = await Rental.findAll({
       attributes: [
+        'currency',
         [fn('COUNT', col('id')), 'total_rentals'],
         [fn('SUM', col('total_amount')), 'total_income'],
-        [fn('AVG', col('total_amount')), 'average_rental_amount'],
         [fn('MAX', col('total_amount')), 'highest_rental'],
         [fn('MIN', col('total_amount')), 'lowest_rental']
       ],
       where: whereClause,
+      group: ['currency'],
       raw: true
     });
 
-    // Top vehículos por ingresos
-    const topVehicles = await Rental.findAll({
+    const [totalStats = { total_rentals: 0, total_income: 0, average_rental_amount: 0, highest_rental: null, lowest_rental: null }] =
+      await mergeCurrencies(totalRows, converter, {
+        sumFields: ['total_income'],
+        countFields: ['total_rentals'],
+        maxFields: ['highest_rental'],
+        minFields: ['lowest_rental'],
+        averages: { average_rental_amount: ['total_income', 'total_rentals'] }
+      });
+
+    // Top vehículos por ingresos (se ordena después de convertir)
+    const vehicleRows = await Rental.findAll({
       attributes: [
         'vehicle_id',
+        [col('Rental.currency'), 'currency'],
         [fn('COUNT', col('Rental.id')), 'rental_count'],
         [fn('SUM', col('total_amount')), 'total_income']
       ],
@@ -97,15 +273,22 @@ const getIncomeReports = async (req, res) => {
         attributes: ['brand', 'model', 'year', 'license_plate']
       }],
       where: whereClause,
-      group: ['vehicle_id', 'vehicle.id', 'vehicle.brand', 'vehicle.model', 'vehicle.year', 'vehicle.license_plate'],
-      order: [[fn('SUM', col('total_amount')), 'DESC']],
-      limit: 10
+      group: ['vehicle_id', 'Rental.currency', 'vehicle.id', 'vehicle.brand', 'vehicle.model', 'vehicle.year', 'vehicle.license_plate']
     });
 
-    // Top clientes por ingresos
-    const topCustomers = await Rental.findAll({
+    const topVehicles = (await mergeCurrencies(vehicleRows, converter, {
+      keyOf: row => row.vehicle_id,
+      sumFields: ['total_income'],
+      countFields: ['rental_count']
+    }))
+      .sort((a, b) => compare(b.total_income, a.total_income))
+      .slice(0, 10);
+
+    // Top clientes por ingresos (se ordena después de convertir)
+    const customerRows = await Rental.findAll({
       attributes: [
         'customer_id',
+        [col('Rental.currency'), 'currency'],
         [fn('COUNT', col('Rental.id')), 'rental_count'],
         [fn('SUM', col('total_amount')), 'total_spent']
       ],
@@ -115,18 +298,58 @@ const getIncomeReports = async (req, res) => {
         attributes: ['first_name', 'last_name', 'email']
       }],
       where: whereClause,
-      group: ['customer_id', 'customer.id', 'customer.first_name', 'customer.last_name', 'customer.email'],
-      order: [[fn('SUM', col('total_amount')), 'DESC']],
-      limit: 10
+      group: ['customer_id', 'Rental.currency', 'customer.id', 'customer.first_name', 'customer.last_name', 'customer.email']
     });
 
+    const topCustomers = (await mergeCurrencies(customerRows, converter, {
+      keyOf: row => row.customer_id,
+      sumFields: ['total_spent'],
+      countFields: ['rental_count']
+    }))
+      .sort((a, b) => compare(b.total_spent, a.total_spent))
+      .slice(0, 10);
+
+    // Ingresos por extra (se ordena después de convertir)
+    const extraRows = await RentalExtra.findAll({
+      attributes: [
+        'extra_id',
+        [col('rental.currency'), 'currency'],
+        [fn('COUNT', col('RentalExtra.id')), 'rental_count'],
+        [fn('SUM', col('RentalExtra.quantity')), 'units'],
+        [fn('SUM', col('RentalExtra.amount')), 'total_income']
+      ],
+      include: [
+        {
+          model: Rental,
+          as: 'rental',
+          attributes: [],
+          where: whereClause
+        },
+        {
+          model: Extra,
+          as: 'extra',
+          attributes: ['code', 'name', 'category']
+        }
+      ],
+      group: ['extra_id', 'rental.currency', 'extra.id', 'extra.code', 'extra.name', 'extra.category']
+    });
+
+    const incomeByExtra = (await mergeCurrencies(extraRows, converter, {
+      keyOf: row => row.extra_id,
+      sumFields: ['total_income'],
+      countFields: ['rental_count', 'units']
+    }))
+      .sort((a, b) => compare(b.total_income, a.total_income));
+
     res.json({
       success: true,
       data: {
+        ...currencyInfo(converter),
         income_by_period: incomeData,
         total_stats: totalStats,
         top_vehicles: topVehicles,
         top_customers: topCustomers,
+        income_by_extra: incomeByExtra,
         filters: {
           startDate,
           endDate,
@@ -138,11 +361,7 @@ const getIncomeReports = async (req, res) => {
 
   } catch (error) {
     console.error('Error getting income reports:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Error al obtener reportes de ingresos',
-      error: error.message
-    });
+    sendReportError(res, error, 'Error al obtener reportes de ingresos');
   }
 };
 
@@ -160,6 +379,7 @@ const getMaintenanceCostReports = async (req, res) => {
       vehicleId,
       maintenanceType 
     } = req.query;
+    const converter = createReportConverter(req.query);
 
     // Construir filtros de fecha
     const dateFilter = {};
@@ -199,19 +419,20 @@ const getMaintenanceCostReports = async (req, res) => {
         dateFormat = 'YYYY-MM';
     }
 
-    // Consulta principal de costos de mantenimiento
-    const maintenanceCosts = await Maintenance.findAll({
+    // Consulta principal de costos de mantenimiento (por período, tipo y moneda)
+    const costRows = await Maintenance.findAll({
       attributes: [
         [fn('TO_CHAR', col('completed_date'), dateFormat), 'period'],
+        'maintenance_type',
+        'currency',
         [fn('COUNT', col('id')), 'total_maintenances'],
-        [fn('SUM', col('actual_cost')), 'total_cost'],
-        [fn('AVG', col('actual_cost')), 'average_cost'],
-        'maintenance_type'
+        [fn('SUM', col('actual_cost')), 'total_cost']
       ],
       where: whereClause,
       group: [
         fn('TO_CHAR', col('completed_date'), dateFormat),
-        'maintenance_type'
+        'maintenance_type',
+        'currency'
       ],
       order: [
         [fn('TO_CHAR', col('completed_date'), dateFormat), 'ASC'],
@@ -220,55 +441,86 @@ const getMaintenanceCostReports = async (req, res) => {
       raw: true
     });
 
+    const maintenanceCosts = await mergeCurrencies(costRows, converter, {
+      keyOf: row => `${row.period}|${row.maintenance_type}`,
+      sumFields: ['total_cost'],
+      countFields: ['total_maintenances'],
+      averages: { average_cost: ['total_cost', 'total_maintenances'] }
+    });
+
     // Estadísticas generales por tipo de mantenimiento
-    const costsByType = await Maintenance.findAll({
+    const typeRows = await Maintenance.findAll({
       attributes: [
         'maintenance_type',
+        'currency',
         [fn('COUNT', col('id')), 'total_count'],
         [fn('SUM', col('actual_cost')), 'total_cost'],
-        [fn('AVG', col('actual_cost')), 'average_cost'],
         [fn('MAX', col('actual_cost')), 'highest_cost'],
         [fn('MIN', col('actual_cost')), 'lowest_cost']
       ],
       where: whereClause,
-      group: ['maintenance_type'],
-      order: [[fn('SUM', col('actual_cost')), 'DESC']],
+      group: ['maintenance_type', 'currency'],
       raw: true
     });
 
-    // Vehículos con mayores costos de mantenimiento
-    const vehiclesCosts = await Maintenance.findAll({
+    const costsByType = (await mergeCurrencies(typeRows, converter, {
+      keyOf: row => row.maintenance_type,
+      sumFields: ['total_cost'],
+      countFields: ['total_count'],
+      maxFields: ['highest_cost'],
+      minFields: ['lowest_cost'],
+      averages: { average_cost: ['total_cost', 'total_count'] }
+    })).sort((a, b) => compare(b.total_cost, a.total_cost));
+
+    // Vehículos con mayores costos de mantenimiento (se ordena después de convertir)
+    const vehicleRows = await Maintenance.findAll({
       attributes: [
         'vehicle_id',
+        [col('Maintenance.currency'), 'currency'],
         [fn('COUNT', col('Maintenance.id')), 'maintenance_count'],
-        [fn('SUM', col('actual_cost')), 'total_cost'],
-        [fn('AVG', col('actual_cost')), 'average_cost']
+        [fn('SUM', col('actual_cost')), 'total_cost']
       ],
       include: [{
         model: Vehicle,
         as: 'vehicle',
-        attributes: ['brand', 'model', 'year', 'license_plate', 'mileage']
+        attributes: ['brand', 'model', 'year', 'license_plate', 'current_mileage']
       }],
       where: whereClause,
-      group: ['vehicle_id', 'vehicle.id', 'vehicle.brand', 'vehicle.model', 'vehicle.year', 'vehicle.license_plate', 'vehicle.mileage'],
-      order: [[fn('SUM', col('actual_cost')), 'DESC']],
-      limit: 10
+      group: ['vehicle_id', 'Maintenance.currency', 'vehicle.id', 'vehicle.brand', 'vehicle.model', 'vehicle.year', 'vehicle.license_plate', 'vehicle.current_mileage']
     });
 
+    const vehiclesCosts = (await mergeCurrencies(vehicleRows, converter, {
+      keyOf: row => row.vehicle_id,
+      sumFields: ['total_cost'],
+      countFields: ['maintenance_count'],
+      averages: { average_cost: ['total_cost', 'maintenance_count'] }
+    }))
+      .sort((a, b) => compare(b.total_cost, a.total_cost))
+      .slice(0, 10);
+
     // Estadísticas totales
-    const totalStats = await Maintenance.findOne({
+    const totalRows = await Maintenance.findAll({
       attributes: [
+        'currency',
         [fn('COUNT', col('id')), 'total_maintenances'],
-        [fn('SUM', col('actual_cost')), 'total_cost'],
-        [fn('AVG', col('actual_cost')), 'average_cost']
+        [fn('SUM', col('actual_cost')), 'total_cost']
       ],
       where: whereClause,
+      group: ['currency'],
       raw: true
     });
 
+    const [totalStats = { total_maintenances: 0, total_cost: 0, average_cost: 0 }] =
+      await mergeCurrencies(totalRows, converter, {
+        sumFields: ['total_cost'],
+        countFields: ['total_maintenances'],
+        averages: { average_cost: ['total_cost', 'total_maintenances'] }
+      });
+
     res.json({
       success: true,
       data: {
+        ...currencyInfo(converter),
         costs_by_period: maintenanceCosts,
         costs_by_type: costsByType,
         vehicles_costs: vehiclesCosts,
@@ -285,16 +537,14 @@ const getMaintenanceCostReports = async (req, res) => {
 
   } catch (error) {
     console.error('Error getting maintenance cost reports:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Error al obtener reportes de costos de mantenimiento',
-      error: error.message
-    });
+    sendReportError(res, error, 'Error al obtener reportes de costos de mantenimiento');
   }
 };
 
 /**
  * Obtiene reportes de disponibilidad de la flota
+ * Los días alquilados se atribuyen a cada vehículo según sus tramos de uso,
+ * de modo que un alquiler con cambio de vehículo se reparte entre ambos.
  * @param {Object} req - Request object
  * @param {Object} res - Response object
  */
@@ -311,10 +561,9 @@ const getFleetAvailabilityReports = async (req, res) => {
       where: { status: { [Op.ne]: 'inactive' } }
     });
 
-    // Construir filtros de fecha para alquileres
-    const dateFilter = {};
-    if (startDate) dateFilter[Op.gte] = new Date(startDate);
-    if (endDate) dateFilter[Op.lte] = new Date(endDate);
+    // Período del reporte (por defecto, los últimos 30 días)
+    const periodStart = startDate ? new Date(startDate) : new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
+    const periodEnd = endDate ? new Date(endDate) : new Date();
 
     // Configurar agrupación por período (PostgreSQL format)
     let dateFormat;
@@ -332,20 +581,23 @@ const getFleetAvailabilityReports = async (req, res) => {
         dateFormat = 'YYYY-MM';
     }
 
-    // Disponibilidad por período
-    const availabilityByPeriod = await Rental.findAll({
-      attributes: [
-        [fn('TO_CHAR', col('start_date'), dateFormat), 'period'],
-        [fn('COUNT', fn('DISTINCT', col('vehicle_id'))), 'vehicles_rented'],
-        [fn('COUNT', col('id')), 'total_rentals']
-      ],
-      where: {
-        rental_status: { [Op.in]: ['active', 'completed'] },
-        ...(Object.keys(dateFilter).length > 0 && { start_date: dateFilter })
+    // Disponibilidad por período: cada tramo cuenta en el período en que empezó
+    const availabilityByPeriod = await sequelize.query(`
+      SELECT TO_CHAR(usage.start_at, :dateFormat) AS period,
+             COUNT(DISTINCT usage.vehicle_id)::int AS vehicles_rented,
+             COUNT(DISTINCT usage.rental_id)::int AS total_rentals
+      FROM (${VEHICLE_USAGE_SQL}) AS usage
+      WHERE (CAST(:startDate AS timestamptz) IS NULL OR usage.start_at >= :startDate)
+        AND (CAST(:endDate AS timestamptz) IS NULL OR usage.start_at <= :endDate)
+      GROUP BY period
+      ORDER BY period ASC
+    `, {
+      replacements: {
+        dateFormat,
+        startDate: startDate ? new Date(startDate) : null,
+        endDate: endDate ? new Date(endDate) : null
       },
-      group: [fn('TO_CHAR', col('start_date'), dateFormat)],
-      order: [[fn('TO_CHAR', col('start_date'), dateFormat), 'ASC']],
-      raw: true
+      type: QueryTypes.SELECT
     });
 
     // Calcular disponibilidad
@@ -395,59 +647,41 @@ const getFleetAvailabilityReports = async (req, res) => {
       }
     });
 
-    // Métricas de utilización por vehículo
-    const vehicleUtilization = await Vehicle.findAll({
-      attributes: [
-        'id',
-        'brand',
-        'model',
-        'license_plate',
-        'status',
-        [
-          literal(`(
-            SELECT COUNT(*) 
-            FROM rentals 
-            WHERE rentals.vehicle_id = Vehicle.id 
-            AND rentals.rental_status IN ('completed', 'active')
-            ${Object.keys(dateFilter).length > 0 ? 
-              `AND rentals.start_date >= '${startDate}' AND rentals.start_date <= '${endDate}'` : 
-              ''
-            }
-          )`),
-          'total_rentals'
-        ],
-        [
-          literal(`(
-            SELECT COALESCE(SUM(DATEDIFF(
-              LEAST(rentals.end_date, CURDATE()),
-              GREATEST(rentals.start_date, '${startDate || '1900-01-01'}')
-            )), 0)
-            FROM rentals 
-            WHERE rentals.vehicle_id = Vehicle.id 
-            AND rentals.rental_status IN ('completed', 'active')
-            ${Object.keys(dateFilter).length > 0 ? 
-              `AND rentals.start_date <= '${endDate}' AND rentals.end_date >= '${startDate}'` : 
-              ''
-            }
-          )`),
-          'days_rented'
-        ]
-      ],
-      where: { status: { [Op.ne]: 'inactive' } },
-      order: [['brand', 'ASC'], ['model', 'ASC']]
-    });
+    // Métricas de utilización por vehículo: días de cada tramo dentro del período
+    const [vehicles, usageByVehicle] = await Promise.all([
+      Vehicle.findAll({
+        attributes: ['id', 'brand', 'model', 'license_plate', 'status'],
+        where: { status: { [Op.ne]: 'inactive' } },
+        order: [['brand', 'ASC'], ['model', 'ASC']]
+      }),
+      sequelize.query(`
+        SELECT usage.vehicle_id,
+               COUNT(DISTINCT usage.rental_id)::int AS total_rentals,
+               COALESCE(SUM(GREATEST(0, EXTRACT(EPOCH FROM (
+                 LEAST(usage.end_at, :periodEnd, NOW()) - GREATEST(usage.start_at, :periodStart)
+               )))), 0) / 86400 AS days_rented
+        FROM (${VEHICLE_USAGE_SQL}) AS usage
+        WHERE usage.start_at < :periodEnd AND usage.end_at > :periodStart
+        GROUP BY usage.vehicle_id
+      `, {
+        replacements: { periodStart, periodEnd },
+        type: QueryTypes.SELECT
+      })
+    ]);
+
+    const usageMap = new Map(usageByVehicle.map(row => [row.vehicle_id, row]));
 
     // Calcular días totales del período para utilización
-    const periodStart = startDate ? new Date(startDate) : new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
-    const periodEnd = endDate ? new Date(endDate) : new Date();
     const totalDays = Math.ceil((periodEnd - periodStart) / (1000 * 60 * 60 * 24));
 
-    const vehicleUtilizationWithRate = vehicleUtilization.map(vehicle => {
-      const daysRented = parseInt(vehicle.dataValues.days_rented) || 0;
+    const vehicleUtilizationWithRate = vehicles.map(vehicle => {
+      const usage = usageMap.get(vehicle.id);
+      const daysRented = usage ? Number(parseFloat(usage.days_rented).toFixed(2)) : 0;
       const utilizationRate = totalDays > 0 ? ((daysRented / totalDays) * 100).toFixed(2) : 0;
       
       return {
         ...vehicle.toJSON(),
+        total_rentals: usage ? usage.total_rentals : 0,
         days_rented: daysRented,
         total_days_in_period: totalDays,
         utilization_rate: utilizationRate
@@ -496,40 +730,57 @@ const getFleetAvailabilityReports = async (req, res) => {
 const getExecutiveSummary = async (req, res) => {
   try {
     const { startDate, endDate } = req.query;
+    const converter = createReportConverter(req.query);
     
     // Construir filtros de fecha
     const dateFilter = {};
     if (startDate) dateFilter[Op.gte] = new Date(startDate);
     if (endDate) dateFilter[Op.lte] = new Date(endDate);
 
-    // Resumen de ingresos
-    const incomeStats = await Rental.findOne({
+    // Resumen de ingresos (por moneda)
+    const incomeRows = await Rental.findAll({
       attributes: [
+        'currency',
         [fn('COUNT', col('id')), 'total_rentals'],
-        [fn('SUM', col('total_amount')), 'total_income'],
-        [fn('AVG', col('total_amount')), 'average_rental']
+        [fn('SUM', col('total_amount')), 'total_income']
       ],
       where: {
         rental_status: { [Op.in]: ['completed', 'active'] },
         ...(Object.keys(dateFilter).length > 0 && { start_date: dateFilter })
       },
+      group: ['currency'],
       raw: true
     });
 
-    // Resumen de costos de mantenimiento
-    const maintenanceStats = await Maintenance.findOne({
+    const [incomeStats = { total_rentals: 0, total_income: 0, average_rental: 0 }] =
+      await mergeCurrencies(incomeRows, converter, {
+        sumFields: ['total_income'],
+        countFields: ['total_rentals'],
+        averages: { average_rental: ['total_income', 'total_rentals'] }
+      });
+
+    // Resumen de costos de mantenimiento (por moneda)
+    const maintenanceRows = await Maintenance.findAll({
       attributes: [
+        'currency',
         [fn('COUNT', col('id')), 'total_maintenances'],
-        [fn('SUM', col('actual_cost')), 'total_cost'],
-        [fn('AVG', col('actual_cost')), 'average_cost']
+        [fn('SUM', col('actual_cost')), 'total_cost']
       ],
       where: {
         status: 'completed',
         ...(Object.keys(dateFilter).length > 0 && { completed_date: dateFilter })
       },
+      group: ['currency'],
       raw: true
     });
 
+    const [maintenanceStats = { total_maintenances: 0, total_cost: 0, average_cost: 0 }] =
+      await mergeCurrencies(maintenanceRows, converter, {
+        sumFields: ['total_cost'],
+        countFields: ['total_maintenances'],
+        averages: { average_cost: ['total_cost', 'total_maintenances'] }
+      });
+
     // Resumen de flota
     const fleetStats = await Vehicle.findAll({
       attributes: [
@@ -541,21 +792,27 @@ const getExecutiveSummary = async (req, res) => {
       raw: true
     });
 
-    const totalVehicles = fleetStats.reduce((sum, item) => sum + parseInt(item.count), 0);
+    const totalVehicles = fleetStats.reduce((total, item) => total + parseInt(item.count), 0);
     const availableVehicles = fleetStats.find(item => item.status === 'available')?.count || 0;
 
+    // Montos ya convertidos a la moneda del reporte
+    const totalIncome = incomeStats.total_income;
+    const totalMaintenanceCost = maintenanceStats.total_cost;
+    const netIncome = subtract(totalIncome, totalMaintenanceCost);
+
     res.json({
       success: true,
       data: {
+        ...currencyInfo(converter),
         income: {
-          total_rentals: parseInt(incomeStats.total_rentals) || 0,
-          total_income: parseFloat(incomeStats.total_income) || 0,
-          average_rental: parseFloat(incomeStats.average_rental) || 0
+          total_rentals: incomeStats.total_rentals,
+          total_income: totalIncome,
+          average_rental: incomeStats.average_rental
         },
         maintenance: {
-          total_maintenances: parseInt(maintenanceStats.total_maintenances) || 0,
-          total_cost: parseFloat(maintenanceStats.total_cost) || 0,
-          average_cost: parseFloat(maintenanceStats.average_cost) || 0
+          total_maintenances: maintenanceStats.total_maintenances,
+          total_cost: totalMaintenanceCost,
+          average_cost: maintenanceStats.average_cost
         },
         fleet: {
           total_vehicles: totalVehicles,
@@ -565,12 +822,11 @@ const getExecutiveSummary = async (req, res) => {
           fleet_breakdown: fleetStats
         },
         profitability: {
-          gross_income: parseFloat(incomeStats.total_income) || 0,
-          maintenance_costs: parseFloat(maintenanceStats.total_cost) || 0,
-          net_income: (parseFloat(incomeStats.total_income) || 0) - (parseFloat(maintenanceStats.total_cost) || 0),
-          profit_margin: (parseFloat(incomeStats.total_income) || 0) > 0 ? 
-            ((((parseFloat(incomeStats.total_income) || 0) - (parseFloat(maintenanceStats.total_cost) || 0)) / 
-              (parseFloat(incomeStats.total_income) || 0)) * 100).toFixed(2) : 0
+          gross_income: totalIncome,
+          maintenance_costs: totalMaintenanceCost,
+          net_income: netIncome,
+          profit_margin: totalIncome > 0 ? 
+            ((netIncome / totalIncome) * 100).toFixed(2) : 0
         },
         filters: { startDate, endDate }
       }
@@ -578,11 +834,169 @@ const getExecutiveSummary = async (req, res) => {
 
   } catch (error) {
     console.error('Error getting executive summary:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Error al obtener resumen ejecutivo',
-      error: error.message
+    sendReportError(res, error, 'Error al obtener resumen ejecutivo');
+  }
+};
+
+/**
+ * Obtiene el pasivo por depósitos retenidos por sucursal
+ * Un depósito sigue retenido mientras la suma de sus movimientos (retención,
+ * liberación y captura) en el libro de pagos sea mayor a cero.
+ * @param {Object} req - Request object
+ * @param {Object} res - Response object
+ */
+const getDepositLiabilityReport = async (req, res) => {
+  try {
+    const converter = createReportConverter(req.query);
+
+    // Saldo de depósito retenido por alquiler
+    const heldByRental = await Payment.findAll({
+      attributes: [
+        'rental_id',
+        [fn('SUM', col('Payment.amount')), 'deposit_held']
+      ],
+      where: {
+        type: { [Op.in]: Payment.DEPOSIT_TYPES }
+      },
+      include: [{
+        model: Rental,
+        as: 'rental',
+        attributes: ['rental_number', 'rental_status', 'pickup_location', 'end_date', 'currency']
+      }],
+      group: ['Payment.rental_id', 'rental.id'],
+      having: literal('SUM("Payment"."amount") > 0'),
+      raw: true,
+      nest: true
+    });
+
+    // Agrupar por sucursal de retiro
+    const branches = {};
+    for (const row of heldByRental) {
+      const branch = row.rental.pickup_location;
+      if (!branches[branch]) {
+        branches[branch] = { branch, rentals_count: 0, deposit_held: 0, rentals: [] };
+      }
+
+      const depositHeld = toNumber(row.deposit_held);
+      const convertedHeld = await converter.convert(depositHeld, row.rental.currency);
+      branches[branch].rentals_count++;
+      branches[branch].deposit_held = add(branches[branch].deposit_held, convertedHeld);
+      branches[branch].rentals.push({
+        rental_id: row.rental_id,
+        rental_number: row.rental.rental_number,
+        rental_status: row.rental.rental_status,
+        end_date: row.rental.end_date,
+        rental_currency: row.rental.currency,
+        deposit_held_original: depositHeld,
+        deposit_held: convertedHeld
+      });
+    }
+
+    const byBranch = Object.values(branches)
+      .sort((a, b) => b.deposit_held - a.deposit_held);
+
+    const totalHeld = sum(byBranch.map(branch => branch.deposit_held));
+
+    res.json({
+      success: true,
+      data: {
+        ...currencyInfo(converter),
+        summary: {
+          total_deposit_held: totalHeld,
+          rentals_with_deposit: heldByRental.length,
+          branches: byBranch.length
+        },
+        by_branch: byBranch
+      }
     });
+
+  } catch (error) {
+    console.error('Error getting deposit liability report:', error);
+    sendReportError(res, error, 'Error al obtener reporte de depósitos retenidos');
+  }
+};
+
+/**
+ * Obtiene la penetración y los ingresos de los planes de protección
+ * La penetración de cada plan es la proporción de alquileres activos o
+ * completados del período que lo contrataron; el monto cubierto es la parte
+ * de los cargos de devolución absorbida por el plan sobre el deducible.
+ * @param {Object} req - Request object
+ * @param {Object} res - Response object
+ */
+const getProtectionReport = async (req, res) => {
+  try {
+    const { startDate, endDate } = req.query;
+    const converter = createReportConverter(req.query);
+
+    const whereClause = {
+      rental_status: { [Op.in]: ['completed', 'active'] }
+    };
+
+    const dateFilter = {};
+    if (startDate) dateFilter[Op.gte] = new Date(startDate);
+    if (endDate) dateFilter[Op.lte] = new Date(endDate);
+    if (Object.keys(dateFilter).length > 0) {
+      whereClause.start_date = dateFilter;
+    }
+
+    // Alquileres, ingresos y montos cubiertos por plan y moneda
+    const planRows = await Rental.findAll({
+      attributes: [
+        [literal(`protection_plan->>'code'`), 'plan'],
+        'currency',
+        [fn('COUNT', col('id')), 'rentals'],
+        [fn('SUM', literal(PROTECTION_REVENUE_SQL)), 'revenue'],
+        [fn('SUM', literal(PROTECTION_COVERED_SQL)), 'covered_amount'],
+        [fn('COUNT', literal(`price_breakdown->'protection_claim'->>'plan'`)), 'claims']
+      ],
+      where: whereClause,
+      group: [literal(`protection_plan->>'code'`), 'currency'],
+      raw: true
+    });
+
+    const totalRentals = planRows.reduce((total, row) => total + (parseInt(row.rentals) || 0), 0);
+    const plans = await mergeCurrencies(planRows, converter, {
+      keyOf: row => row.plan,
+      sumFields: ['revenue', 'covered_amount'],
+      countFields: ['rentals', 'claims'],
+      averages: { average_revenue: ['revenue', 'rentals'] }
+    });
+
+    const byPlan = PROTECTION_PLANS.map(code => {
+      const row = plans.find(plan => plan.plan === code) ||
+        { plan: code, rentals: 0, claims: 0, revenue: 0, covered_amount: 0, average_revenue: 0, currencies: [] };
+      return {
+        ...row,
+        name: pricing.protection.plans[code].name,
+        penetration_rate: totalRentals > 0 ? ((row.rentals / totalRentals) * 100).toFixed(2) : 0
+      };
+    });
+
+    const protectedRentals = byPlan.reduce((total, plan) => total + plan.rentals, 0);
+
+    res.json({
+      success: true,
+      data: {
+        ...currencyInfo(converter),
+        summary: {
+          total_rentals: totalRentals,
+          protected_rentals: protectedRentals,
+          penetration_rate: totalRentals > 0 ? ((protectedRentals / totalRentals) * 100).toFixed(2) : 0,
+          total_revenue: sum(byPlan.map(plan => plan.revenue)),
+          total_covered_amount: sum(byPlan.map(plan => plan.covered_amount))
+        },
+        by_plan: byPlan,
+        filters: {
+          startDate,
+          endDate
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Error getting protection report:', error);
+    sendReportError(res, error, 'Error al obtener reporte de planes de protección');
   }
 };
 
@@ -590,5 +1004,7 @@ module.exports = {
   getIncomeReports,
   getMaintenanceCostReports,
   getFleetAvailabilityReports,
-  getExecutiveSummary
+  getExecutiveSummary,
+  getDepositLiabilityReport,
+  getProtectionReport
 };
\ No newline at end of file
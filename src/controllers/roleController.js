@@ -0,0 +1,238 @@
+const { Role, User, sequelize } = require('../models');
+const { PERMISSIONS, SUPER_ROLE } = require('../config/permissions');
+const { assertGrantable } = require('../services/permissionService');
+const { AppError } = require('../utils/errors');
+
+/**
+ * Get the permission catalogue
+ */
+const getPermissions = async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: {
+        permissions: Object.entries(PERMISSIONS).map(([code, description]) => ({ code, description }))
+      }
+    });
+  } catch (error) {
+    console.error('Get permissions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+};
+
+/**
+ * Get roles with the number of users holding each
+ */
+const getRoles = async (req, res) => {
+  try {
+    const roles = await Role.findAll({
+      order: [['is_system', 'DESC'], ['name', 'ASC']]
+    });
+
+    const counts = await User.findAll({
+      attributes: ['role', [sequelize.fn('COUNT', sequelize.col('id')), 'count']],
+      group: ['role'],
+      raw: true
+    });
+    const usersByRole = Object.fromEntries(counts.map(row => [row.role, parseInt(row.count)]));
+
+    res.json({
+      success: true,
+      data: {
+        roles: roles.map(role => ({
+          ...role.toJSON(),
+          users_count: usersByRole[role.name] || 0
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('Get roles error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+};
+
+/**
+ * Get role by ID
+ */
+const getRoleById = async (req, res) => {
+  try {
+    const role = await Role.findByPk(req.params.id);
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        message: 'Rol no encontrado'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { role }
+    });
+  } catch (error) {
+    console.error('Get role by ID error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+};
+
+/**
+ * Create custom role
+ * Only with permissions the current user holds.
+ */
+const createRole = async (req, res) => {
+  try {
+    const { name, description, permissions } = req.body;
+
+    const existingRole = await Role.findOne({ where: { name } });
+    if (existingRole) {
+      return res.status(409).json({
+        success: false,
+        message: 'Ya existe un rol con ese nombre'
+      });
+    }
+
+    await assertGrantable(req.user, permissions);
+
+    const role = await Role.create({
+      name,
+      description,
+      permissions: [...new Set(permissions)],
+      is_system: false
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Rol creado exitosamente',
+      data: { role }
+    });
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.status).json(error.toResponse());
+    }
+
+    console.error('Create role error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+};
+
+/**
+ * Update the description or permissions of a role
+ * The name cannot change (users reference it) and admin always keeps every
+ * permission. Changes apply to the role's users on their next request.
+ */
+const updateRole = async (req, res) => {
+  try {
+    const { description, permissions } = req.body;
+
+    const role = await Role.findByPk(req.params.id);
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        message: 'Rol no encontrado'
+      });
+    }
+
+    if (permissions !== undefined) {
+      if (role.name === SUPER_ROLE) {
+        return res.status(400).json({
+          success: false,
+          message: 'Los permisos del rol admin no se pueden modificar'
+        });
+      }
+
+      // Both the permissions taken away and the ones granted must be the actor's own
+      await assertGrantable(req.user, [...new Set([...role.permissions, ...permissions])]);
+    }
+
+    await role.update({
+      description: description !== undefined ? description : role.description,
+      permissions: permissions !== undefined ? [...new Set(permissions)] : role.permissions
+    });
+
+    res.json({
+      success: true,
+      message: 'Rol actualizado exitosamente',
+      data: { role }
+    });
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.status).json(error.toResponse());
+    }
+
+    console.error('Update role error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+};
+
+/**
+ * Delete custom role
+ * System roles and roles still assigned to users are kept
+ */
+const deleteRole = async (req, res) => {
+  try {
+    const role = await Role.findByPk(req.params.id);
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        message: 'Rol no encontrado'
+      });
+    }
+
+    if (role.is_system) {
+      return res.status(400).json({
+        success: false,
+        message: 'Los roles del sistema no se pueden eliminar'
+      });
+    }
+
+    const usersCount = await User.count({ where: { role: role.name } });
+    if (usersCount > 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'No se puede eliminar un rol asignado a usuarios',
+        users_count: usersCount
+      });
+    }
+
+    await assertGrantable(req.user, role.permissions);
+    await role.destroy();
+
+    res.json({
+      success: true,
+      message: 'Rol eliminado exitosamente'
+    });
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.status).json(error.toResponse());
+    }
+
+    console.error('Delete role error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+};
+
+module.exports = {
+  getPermissions,
+  getRoles,
+  getRoleById,
+  createRole,
+  updateRole,
+  deleteRole
+};
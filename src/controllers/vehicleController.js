@@ -1,5 +1,21 @@
-const { Vehicle, Rental, Maintenance } = require('../models');
+const { Vehicle, Rental, Maintenance, Location } = require('../models');
 const { Op } = require('sequelize');
+const {
+  LIVE_RENTAL_STATUSES,
+  overlapCondition,
+  blockingMaintenanceCondition,
+  expectedLocationCondition,
+  returnLocationCondition
+} = require('../services/availabilityService');
+const { syncVehicleStatus } = require('../services/vehicleStatusService');
+
+/**
+ * Whether a branch exists and is active, so vehicles can be parked there
+ */
+const isActiveBranch = async (locationId) => {
+  const location = await Location.findByPk(locationId);
+  return Boolean(location && location.is_active);
+};
 
 /**
  * Get all vehicles with filtering and pagination
@@ -92,6 +108,11 @@ const getVehicleById = async (req, res) => {
           as: 'maintenances',
           order: [['scheduled_date', 'DESC']],
           limit: 5
+        },
+        {
+          model: Location,
+          as: 'currentLocation',
+          attributes: ['id', 'code', 'name', 'city']
         }
       ]
     });
@@ -121,9 +142,19 @@ const getVehicleById = async (req, res) => {
  */
 const createVehicle = async (req, res) => {
   try {
-    const vehicleData = req.body;
-    
+    // Status is derived from rentals and maintenances, never set by the client
+    const { status, ...vehicleData } = req.body;
+
+    // Vehicles can only be booked from the branch they are at
+    if (!(await isActiveBranch(vehicleData.current_location_id))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Sucursal no encontrada o inactiva'
+      });
+    }
+
     const vehicle = await Vehicle.create(vehicleData);
+    await syncVehicleStatus(vehicle);
 
     res.status(201).json({
       success: true,
@@ -145,7 +176,8 @@ const createVehicle = async (req, res) => {
 const updateVehicle = async (req, res) => {
   try {
     const { id } = req.params;
-    const updateData = req.body;
+    // Status is derived from rentals and maintenances, never set by the client
+    const { status, ...updateData } = req.body;
 
     const vehicle = await Vehicle.findByPk(id);
     if (!vehicle) {
@@ -155,7 +187,15 @@ const updateVehicle = async (req, res) => {
       });
     }
 
+    if (updateData.current_location_id !== undefined && !(await isActiveBranch(updateData.current_location_id))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Sucursal no encontrada o inactiva'
+      });
+    }
+
     await vehicle.update(updateData);
+    await syncVehicleStatus(vehicle);
 
     res.json({
       success: true,
@@ -190,7 +230,7 @@ const deleteVehicle = async (req, res) => {
     const activeRentals = await Rental.count({
       where: {
         vehicle_id: id,
-        rental_status: { [Op.in]: ['reserved', 'confirmed', 'active'] }
+        rental_status: { [Op.in]: LIVE_RENTAL_STATUSES }
       }
     });
 
@@ -201,7 +241,8 @@ const deleteVehicle = async (req, res) => {
       });
     }
 
-    await vehicle.update({ is_active: false, status: 'inactive' });
+    await vehicle.update({ is_active: false });
+    await syncVehicleStatus(vehicle);
 
     res.json({
       success: true,
@@ -218,10 +259,19 @@ const deleteVehicle = async (req, res) => {
 
 /**
  * Get available vehicles for rental
+ * Availability is derived from the rental calendar: a vehicle is offered for the
+ * window if it has no overlapping live rentals and no open maintenances, whatever
+ * its current status (a car rented today can be available next month).
+ * With a pickup branch, only vehicles that will be there on the start date are
+ * offered: those returned there by their last rental before it or, when no
+ * rental ends before it, currently parked there. With a return branch (the
+ * pickup branch unless given), vehicles whose next rental is picked up at
+ * another branch are left out.
  */
 const getAvailableVehicles = async (req, res) => {
   try {
-    const { start_date, end_date, vehicle_type } = req.query;
+    const { start_date, end_date, vehicle_type, pickup_location_id } = req.query;
+    const returnLocationId = req.query.return_location_id || pickup_location_id;
 
     if (!start_date || !end_date) {
       return res.status(400).json({
@@ -230,8 +280,17 @@ const getAvailableVehicles = async (req, res) => {
       });
     }
 
+    const startDate = new Date(start_date);
+    const endDate = new Date(end_date);
+
+    if (endDate <= startDate) {
+      return res.status(400).json({
+        success: false,
+        message: 'La fecha de fin debe ser posterior a la fecha de inicio'
+      });
+    }
+
     const whereClause = {
-      status: 'available',
       is_active: true
     };
 
@@ -239,39 +298,45 @@ const getAvailableVehicles = async (req, res) => {
       whereClause.vehicle_type = vehicle_type;
     }
 
-    // Find vehicles that don't have conflicting rentals
+    whereClause[Op.and] = [];
+    if (pickup_location_id) {
+      whereClause[Op.and].push(expectedLocationCondition(pickup_location_id, startDate));
+    }
+    if (returnLocationId) {
+      whereClause[Op.and].push(returnLocationCondition(returnLocationId, endDate));
+    }
+
+    // Find vehicles with their conflicting rentals and blocking maintenances
     const vehicles = await Vehicle.findAll({
       where: whereClause,
       include: [
         {
           model: Rental,
           as: 'rentals',
+          attributes: ['id'],
           where: {
-            rental_status: { [Op.in]: ['reserved', 'confirmed', 'active'] },
-            [Op.or]: [
-              {
-                start_date: { [Op.between]: [start_date, end_date] }
-              },
-              {
-                end_date: { [Op.between]: [start_date, end_date] }
-              },
-              {
-                [Op.and]: [
-                  { start_date: { [Op.lte]: start_date } },
-                  { end_date: { [Op.gte]: end_date } }
-                ]
-              }
-            ]
+            rental_status: { [Op.in]: LIVE_RENTAL_STATUSES },
+            ...overlapCondition(startDate, endDate)
           },
           required: false
+        },
+        {
+          model: Maintenance,
+          as: 'maintenances',
+          attributes: ['id'],
+          where: blockingMaintenanceCondition(startDate, endDate),
+          required: false
         }
       ]
     });
 
-    // Filter out vehicles with conflicting rentals
-    const availableVehicles = vehicles.filter(vehicle => 
-      vehicle.rentals.length === 0
-    );
+    // Filter out vehicles with conflicts
+    const availableVehicles = vehicles
+      .filter(vehicle => vehicle.rentals.length === 0 && vehicle.maintenances.length === 0)
+      .map(vehicle => {
+        const { rentals, maintenances, ...data } = vehicle.toJSON();
+        return data;
+      });
 
     res.json({
       success: true,
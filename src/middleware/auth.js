@@ -1,8 +1,12 @@
 const jwt = require('jsonwebtoken');
 const { User } = require('../models');
+const { setContextUser } = require('./requestContext');
+const { isSessionActive } = require('../services/sessionService');
+const { getUserPermissions } = require('../services/permissionService');
 
 /**
  * Middleware to verify JWT token and authenticate user
+ * The token must belong to a session that has not been revoked or expired.
  */
 const authenticateToken = async (req, res, next) => {
   try {
@@ -35,7 +39,17 @@ const authenticateToken = async (req, res, next) => {
       });
     }
 
+    if (!decoded.sid || !(await isSessionActive(decoded.sid, user.id))) {
+      console.log('❌ Auth middleware - Session revoked or expired');
+      return res.status(401).json({
+        success: false,
+        message: 'Sesión revocada o expirada'
+      });
+    }
+
     req.user = user;
+    req.sessionId = decoded.sid;
+    setContextUser(user);
     console.log('✅ Auth middleware - User set in req.user:', { id: user.id, role: user.role });
     next();
   } catch (error) {
@@ -62,46 +76,44 @@ const authenticateToken = async (req, res, next) => {
 };
 
 /**
- * Middleware to check if user has required role
+ * Middleware to check if user's role grants every given permission
+ * The permissions are read from the role on each request, so changes to a
+ * role apply at once; they are left in req.permissions.
  */
-const requireRole = (...roles) => {
-  return (req, res, next) => {
-    console.log('🛡️ Role middleware - Required roles:', roles);
-    console.log('👤 Role middleware - User in req:', req.user ? { id: req.user.id, role: req.user.role } : 'null');
-    
-    if (!req.user) {
-      console.log('❌ Role middleware - No user in request');
-      return res.status(401).json({
-        success: false,
-        message: 'Usuario no autenticado'
-      });
-    }
+const requirePermission = (...permissions) => {
+  return async (req, res, next) => {
+    try {
+      if (!req.user) {
+        console.log('❌ Permission middleware - No user in request');
+        return res.status(401).json({
+          success: false,
+          message: 'Usuario no autenticado'
+        });
+      }
 
-    console.log('🔍 Role middleware - Checking if role', req.user.role, 'is in', roles);
-    
-    if (!roles.includes(req.user.role)) {
-      console.log('❌ Role middleware - Role not authorized:', req.user.role, 'not in', roles);
-      return res.status(403).json({
+      const granted = await getUserPermissions(req.user);
+      const missing = permissions.filter(permission => !granted.includes(permission));
+
+      if (missing.length > 0) {
+        console.log('❌ Permission middleware - Role', req.user.role, 'lacks', missing);
+        return res.status(403).json({
+          success: false,
+          message: 'No tienes permisos para realizar esta acción'
+        });
+      }
+
+      req.permissions = granted;
+      next();
+    } catch (error) {
+      console.error('❌ Permission middleware error:', error);
+      return res.status(500).json({
         success: false,
-        message: 'No tienes permisos para realizar esta acción'
+        message: 'Error interno del servidor'
       });
     }
-
-    console.log('✅ Role middleware - Access granted for role:', req.user.role);
-    next();
   };
 };
 
-/**
- * Middleware to check if user is admin
- */
-const requireAdmin = requireRole('admin');
-
-/**
- * Middleware to check if user is admin or fleet manager
- */
-const requireAdminOrFleetManager = requireRole('admin', 'gestor_flota');
-
 /**
  * Middleware for optional authentication (doesn't fail if no token)
  */
@@ -113,8 +125,10 @@ const optionalAuth = async (req, res, next) => {
     if (token) {
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
       const user = await User.findByPk(decoded.userId);
-      if (user && user.is_active) {
+      if (user && user.is_active && decoded.sid && await isSessionActive(decoded.sid, user.id)) {
         req.user = user;
+        req.sessionId = decoded.sid;
+        setContextUser(user);
       }
     }
     
@@ -127,8 +141,6 @@ const optionalAuth = async (req, res, next) => {
 
 module.exports = {
   authenticateToken,
-  requireRole,
-  requireAdmin,
-  requireAdminOrFleetManager,
+  requirePermission,
   optionalAuth
 };
\ No newline at end of file
@@ -0,0 +1,39 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+/**
+ * Per-request context (client IP, user agent, authenticated user)
+ * Lets code without access to `req`, such as Sequelize hooks, know who is acting
+ */
+const storage = new AsyncLocalStorage();
+
+/**
+ * Middleware that opens a context for the rest of the request
+ */
+const requestContext = (req, res, next) => {
+  storage.run({
+    ip: req.ip,
+    userAgent: req.headers['user-agent'] || null,
+    user: null
+  }, next);
+};
+
+/**
+ * Get the context of the current request, or null outside a request
+ */
+const getRequestContext = () => storage.getStore() || null;
+
+/**
+ * Record the authenticated user in the current request context
+ */
+const setContextUser = (user) => {
+  const context = storage.getStore();
+  if (context) {
+    context.user = user;
+  }
+};
+
+module.exports = {
+  requestContext,
+  getRequestContext,
+  setContextUser
+};
@@ -0,0 +1,102 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const express = require('express');
+const multer = require('multer');
+const uploads = require('../config/uploads');
+const { authenticateToken, requirePermission } = require('./auth');
+
+/**
+ * Disk storage under a subdirectory of the upload path
+ * Files get a random name and the extension of their accepted type, never
+ * the client's; the original name is kept in the stored metadata.
+ */
+const diskStorage = (subdirectory) => multer.diskStorage({
+  destination: (req, file, cb) => {
+    const directory = path.join(uploads.path, subdirectory);
+    fs.mkdir(directory, { recursive: true }, (error) => cb(error, directory));
+  },
+  filename: (req, file, cb) => {
+    cb(null, `${crypto.randomUUID()}${uploads.imageTypes[file.mimetype]}`);
+  }
+});
+
+/**
+ * Only accept the configured image types
+ */
+const imageFilter = (req, file, cb) => {
+  if (!Object.prototype.hasOwnProperty.call(uploads.imageTypes, file.mimetype)) {
+    return cb(new multer.MulterError('LIMIT_UNEXPECTED_FILE', file.fieldname));
+  }
+  cb(null, true);
+};
+
+/**
+ * Spanish message of a multer error
+ */
+const MULTER_MESSAGES = {
+  LIMIT_FILE_SIZE: 'El archivo excede el tamaño máximo permitido',
+  LIMIT_FILE_COUNT: 'Se excedió la cantidad máxima de archivos',
+  LIMIT_UNEXPECTED_FILE: 'Archivo no permitido: solo se aceptan imágenes JPEG, PNG o WEBP'
+};
+
+/**
+ * Wrap a multer middleware so upload errors are answered with a 400
+ */
+const handleUpload = (upload) => (req, res, next) => {
+  upload(req, res, (error) => {
+    if (error instanceof multer.MulterError) {
+      return res.status(400).json({
+        success: false,
+        message: MULTER_MESSAGES[error.code] || 'Error al subir el archivo'
+      });
+    }
+    next(error);
+  });
+};
+
+/**
+ * Middleware to upload inspection photos (multipart field `photos`)
+ */
+const uploadInspectionPhotos = handleUpload(
+  multer({
+    storage: diskStorage('inspections'),
+    fileFilter: imageFilter,
+    limits: {
+      fileSize: uploads.maxFileSize,
+      files: uploads.maxFiles
+    }
+  }).array('photos', uploads.maxFiles)
+);
+
+/**
+ * Extensions uploaded files are stored with
+ */
+const IMAGE_EXTENSIONS = Object.values(uploads.imageTypes);
+
+/**
+ * Middleware to serve stored uploads to users allowed to view rentals
+ * Only files with an image extension are served, never sniffed as another type.
+ */
+const serveUploads = [
+  authenticateToken,
+  requirePermission('rental.view'),
+  (req, res, next) => {
+    if (!IMAGE_EXTENSIONS.includes(path.extname(req.path).toLowerCase())) {
+      return res.status(404).json({
+        success: false,
+        message: 'Archivo no encontrado'
+      });
+    }
+    next();
+  },
+  express.static(uploads.path, {
+    index: false,
+    setHeaders: (res) => res.set('X-Content-Type-Options', 'nosniff')
+  })
+];
+
+module.exports = {
+  uploadInspectionPhotos,
+  serveUploads
+};
@@ -49,6 +49,13 @@ const handleSequelizeErrors = (error, req, res, next) => {
     });
   }
   
+  if (error.name === 'SequelizeExclusionConstraintError') {
+    return res.status(409).json({
+      success: false,
+      message: 'El vehículo ya tiene reservas en las fechas seleccionadas'
+    });
+  }
+  
   if (error.name === 'SequelizeForeignKeyConstraintError') {
     return res.status(400).json({
       success: false,
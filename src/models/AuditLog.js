@@ -0,0 +1,73 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * AuditLog model for the change history of business entities
+ * Rows are written by Sequelize hooks and are immutable once created
+ */
+const AuditLog = sequelize.define('AuditLog', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  entity_type: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  entity_id: {
+    type: DataTypes.UUID,
+    allowNull: false
+  },
+  action: {
+    type: DataTypes.ENUM('create', 'update', 'delete'),
+    allowNull: false
+  },
+  changes: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: {},
+    comment: 'Changed fields: { field: { before, after } }'
+  },
+  actor_id: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    comment: 'User who made the change; null for system processes'
+  },
+  actor_email: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  ip_address: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  user_agent: {
+    type: DataTypes.STRING(500),
+    allowNull: true
+  }
+}, {
+  tableName: 'audit_logs',
+  updatedAt: false,
+  hooks: {
+    beforeUpdate: () => {
+      throw new Error('Audit log entries are immutable');
+    },
+    beforeDestroy: () => {
+      throw new Error('Audit log entries are immutable');
+    }
+  },
+  indexes: [
+    {
+      fields: ['entity_type', 'entity_id']
+    },
+    {
+      fields: ['actor_id']
+    },
+    {
+      fields: ['created_at']
+    }
+  ]
+});
+
+module.exports = AuditLog;
@@ -133,18 +133,17 @@ Customer.prototype.getFullName = function() {
 };
 
 /**
- * Instance method to check if driver license is expired
+ * Instance method to check if driver license is expired (today or at a given date)
  */
-Customer.prototype.isDriverLicenseExpired = function() {
-  const today = new Date();
-  return new Date(this.driver_license_expiry) < today;
+Customer.prototype.isDriverLicenseExpired = function(date = new Date()) {
+  return new Date(this.driver_license_expiry) < new Date(date);
 };
 
 /**
- * Instance method to calculate age
+ * Instance method to calculate age (today or at a given date)
  */
-Customer.prototype.getAge = function() {
-  const today = new Date();
+Customer.prototype.getAge = function(date = new Date()) {
+  const today = new Date(date);
   const birthDate = new Date(this.date_of_birth);
   let age = today.getFullYear() - birthDate.getFullYear();
   const monthDiff = today.getMonth() - birthDate.getMonth();
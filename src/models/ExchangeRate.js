@@ -0,0 +1,73 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { SUPPORTED_CURRENCIES } = require('../utils/money');
+
+/**
+ * ExchangeRate model - manually maintained conversion rates
+ * One unit of base_currency is worth `rate` units of quote_currency from
+ * effective_date until a newer rate for the same pair takes effect.
+ */
+const ExchangeRate = sequelize.define('ExchangeRate', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  base_currency: {
+    type: DataTypes.STRING(3),
+    allowNull: false,
+    validate: {
+      isIn: [SUPPORTED_CURRENCIES]
+    }
+  },
+  quote_currency: {
+    type: DataTypes.STRING(3),
+    allowNull: false,
+    validate: {
+      isIn: [SUPPORTED_CURRENCIES]
+    }
+  },
+  rate: {
+    type: DataTypes.DECIMAL(18, 8),
+    allowNull: false,
+    validate: {
+      min: 0.00000001
+    }
+  },
+  effective_date: {
+    type: DataTypes.DATEONLY,
+    allowNull: false
+  },
+  notes: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  created_by: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  }
+}, {
+  tableName: 'exchange_rates',
+  validate: {
+    differentCurrencies() {
+      if (this.base_currency === this.quote_currency) {
+        throw new Error('Las monedas base y destino deben ser distintas');
+      }
+    }
+  },
+  indexes: [
+    {
+      unique: true,
+      fields: ['base_currency', 'quote_currency', 'effective_date']
+    },
+    {
+      fields: ['effective_date']
+    }
+  ]
+});
+
+module.exports = ExchangeRate;
@@ -0,0 +1,108 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { DEFAULT_CURRENCY, SUPPORTED_CURRENCIES, moneyGetter } = require('../utils/money');
+
+const EXTRA_CATEGORIES = ['equipment', 'coverage', 'service'];
+const EXTRA_PRICING_TYPES = ['per_day', 'per_rental'];
+
+/**
+ * Extra model - add-ons that can be booked with a rental
+ * Child seats, GPS units, additional drivers, coverages... Equipment is
+ * usually stock tracked: the units of each branch (ExtraStock) bound how many
+ * can be out on overlapping rentals picked up there.
+ */
+const Extra = sequelize.define('Extra', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  code: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    unique: true,
+    set(value) {
+      this.setDataValue('code', value ? String(value).trim().toUpperCase() : value);
+    }
+  },
+  name: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    validate: {
+      len: [2, 100]
+    }
+  },
+  description: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  category: {
+    type: DataTypes.ENUM(...EXTRA_CATEGORIES),
+    allowNull: false,
+    defaultValue: 'equipment'
+  },
+  pricing_type: {
+    type: DataTypes.ENUM(...EXTRA_PRICING_TYPES),
+    allowNull: false,
+    defaultValue: 'per_day',
+    comment: 'per_day: price x units x rental days; per_rental: price x units'
+  },
+  price: {
+    type: DataTypes.DECIMAL(10, 2),
+    get: moneyGetter('price'),
+    allowNull: false,
+    validate: {
+      min: 0
+    }
+  },
+  currency: {
+    type: DataTypes.STRING(3),
+    allowNull: false,
+    defaultValue: DEFAULT_CURRENCY,
+    validate: {
+      isIn: [SUPPORTED_CURRENCIES]
+    },
+    comment: 'Currency of price (ISO 4217); the extra can only be booked with rentals in this currency'
+  },
+  taxable: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: true,
+    comment: 'Whether the extra is taxed at the rate of the rental'
+  },
+  track_stock: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: true,
+    comment: 'Whether bookings are limited by the units of the pickup branch'
+  },
+  max_quantity: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 1,
+    validate: {
+      min: 1
+    },
+    comment: 'Most units of the extra a single rental can book'
+  },
+  is_active: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: true
+  }
+}, {
+  tableName: 'extras',
+  indexes: [
+    {
+      unique: true,
+      fields: ['code']
+    },
+    {
+      fields: ['is_active']
+    }
+  ]
+});
+
+Extra.CATEGORIES = EXTRA_CATEGORIES;
+Extra.PRICING_TYPES = EXTRA_PRICING_TYPES;
+
+module.exports = Extra;
@@ -0,0 +1,49 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * ExtraStock model - units of a stock tracked extra kept at a branch
+ * Units are not moved between branches by rentals: an extra booked with a
+ * one-way rental counts against the pickup branch for the rental period.
+ */
+const ExtraStock = sequelize.define('ExtraStock', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  extra_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'extras',
+      key: 'id'
+    }
+  },
+  location_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'locations',
+      key: 'id'
+    }
+  },
+  quantity: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    validate: {
+      min: 0
+    }
+  }
+}, {
+  tableName: 'extra_stocks',
+  indexes: [
+    {
+      unique: true,
+      fields: ['extra_id', 'location_id']
+    }
+  ]
+});
+
+module.exports = ExtraStock;
@@ -0,0 +1,160 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { SUPPORTED_CURRENCIES, moneyGetter } = require('../utils/money');
+
+/**
+ * Invoice model - invoices and credit notes issued for rentals
+ * A document is a snapshot: customer, vehicle, lines and amounts are copied
+ * at issue time so later edits to the rental never change it. Documents are
+ * immutable once created; adjustments are made with credit notes.
+ */
+const Invoice = sequelize.define('Invoice', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  type: {
+    type: DataTypes.ENUM('invoice', 'credit_note'),
+    allowNull: false,
+    defaultValue: 'invoice'
+  },
+  series: {
+    type: DataTypes.STRING(10),
+    allowNull: false
+  },
+  number: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    validate: {
+      min: 1
+    }
+  },
+  invoice_number: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    unique: true,
+    comment: 'Series and padded number, e.g. F-000123'
+  },
+  rental_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'rentals',
+      key: 'id'
+    }
+  },
+  customer_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'customers',
+      key: 'id'
+    }
+  },
+  original_invoice_id: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'invoices',
+      key: 'id'
+    },
+    comment: 'Invoice adjusted by a credit note'
+  },
+  issue_date: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  },
+  currency: {
+    type: DataTypes.STRING(3),
+    allowNull: false,
+    validate: {
+      isIn: [SUPPORTED_CURRENCIES]
+    }
+  },
+  issuer: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    comment: 'Issuer data at issue time'
+  },
+  customer_snapshot: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    comment: 'Customer name, document and address at issue time'
+  },
+  rental_snapshot: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    comment: 'Rental number, dates, locations and vehicle at issue time'
+  },
+  lines: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: [],
+    comment: 'Array of lines: [{concept, description, quantity, unit_price, amount}]'
+  },
+  subtotal: {
+    type: DataTypes.DECIMAL(10, 2),
+    get: moneyGetter('subtotal'),
+    allowNull: false,
+    comment: 'Sum of the lines, before tax'
+  },
+  tax_rate: {
+    type: DataTypes.DECIMAL(5, 4),
+    allowNull: false,
+    defaultValue: 0
+  },
+  tax_amount: {
+    type: DataTypes.DECIMAL(10, 2),
+    get: moneyGetter('tax_amount'),
+    allowNull: false,
+    defaultValue: 0
+  },
+  total_amount: {
+    type: DataTypes.DECIMAL(10, 2),
+    get: moneyGetter('total_amount'),
+    allowNull: false
+  },
+  reason: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    comment: 'Reason of a credit note'
+  },
+  issued_by: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  }
+}, {
+  tableName: 'invoices',
+  updatedAt: false,
+  hooks: {
+    beforeUpdate: () => {
+      throw new Error('Invoices are immutable; issue a credit note instead');
+    },
+    beforeDestroy: () => {
+      throw new Error('Invoices are immutable; issue a credit note instead');
+    }
+  },
+  indexes: [
+    {
+      unique: true,
+      fields: ['series', 'number']
+    },
+    {
+      fields: ['rental_id']
+    },
+    {
+      fields: ['customer_id']
+    },
+    {
+      fields: ['issue_date']
+    }
+  ]
+});
+
+module.exports = Invoice;
@@ -0,0 +1,27 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * InvoiceSeries model - last number issued in each numbering series
+ * The row is locked while a document is issued so numbers are assigned one at
+ * a time, and it is updated in the same transaction as the document insert:
+ * a rolled back issue gives its number back, keeping the series gap-free.
+ */
+const InvoiceSeries = sequelize.define('InvoiceSeries', {
+  code: {
+    type: DataTypes.STRING(10),
+    primaryKey: true
+  },
+  last_number: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    validate: {
+      min: 0
+    }
+  }
+}, {
+  tableName: 'invoice_series'
+});
+
+module.exports = InvoiceSeries;
@@ -0,0 +1,117 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const WEEK_DAYS = ['mon', 'tue', 'wed', 'thu', 'fri', 'sat', 'sun'];
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+/**
+ * Location model - branches where vehicles are picked up and returned
+ * Vehicles have a current location that moves to the return branch when a
+ * rental is completed. The branch country determines the tax of rentals
+ * picked up there.
+ */
+const Location = sequelize.define('Location', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  code: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    unique: true,
+    comment: 'Short branch code, used as key in the pricing configuration (e.g. SCL-AEROPUERTO)',
+    set(value) {
+      this.setDataValue('code', value ? String(value).trim().toUpperCase() : value);
+    }
+  },
+  name: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    validate: {
+      len: [3, 100]
+    }
+  },
+  address: {
+    type: DataTypes.STRING(200),
+    allowNull: false,
+    validate: {
+      len: [5, 200]
+    }
+  },
+  city: {
+    type: DataTypes.STRING(100),
+    allowNull: false
+  },
+  country: {
+    type: DataTypes.STRING(2),
+    allowNull: false,
+    comment: 'ISO 3166-1 alpha-2 country code, determines the tax rate'
+  },
+  timezone: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+    defaultValue: 'America/Santiago',
+    validate: {
+      isTimeZone(value) {
+        try {
+          new Intl.DateTimeFormat('en-US', { timeZone: value });
+        } catch (error) {
+          throw new Error('Zona horaria inválida');
+        }
+      }
+    },
+    comment: 'IANA time zone of the branch'
+  },
+  opening_hours: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: {},
+    validate: {
+      isValidSchedule(value) {
+        for (const [day, intervals] of Object.entries(value || {})) {
+          if (!WEEK_DAYS.includes(day) || !Array.isArray(intervals)) {
+            throw new Error('Horario inválido');
+          }
+          for (const interval of intervals) {
+            if (!TIME_PATTERN.test(interval.open) || !TIME_PATTERN.test(interval.close) || interval.open >= interval.close) {
+              throw new Error('Horario inválido');
+            }
+          }
+        }
+      }
+    },
+    comment: 'Opening hours in branch local time: {mon: [{open: "08:00", close: "20:00"}], ...}; days not listed are closed'
+  },
+  phone: {
+    type: DataTypes.STRING(20),
+    allowNull: true
+  },
+  email: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    validate: {
+      isEmail: true
+    }
+  },
+  is_active: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: true
+  }
+}, {
+  tableName: 'locations',
+  indexes: [
+    {
+      unique: true,
+      fields: ['code']
+    },
+    {
+      fields: ['is_active']
+    }
+  ]
+});
+
+Location.WEEK_DAYS = WEEK_DAYS;
+Location.TIME_PATTERN = TIME_PATTERN;
+
+module.exports = Location;
@@ -0,0 +1,59 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * LoginAttempt model - every login attempt, successful or not
+ * Kept for security review and to count recent failures per IP across all
+ * API processes.
+ */
+const LoginAttempt = sequelize.define('LoginAttempt', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  email: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    comment: 'Email given, whether or not it belongs to a user'
+  },
+  user_id: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  ip_address: {
+    type: DataTypes.STRING(45),
+    allowNull: true
+  },
+  user_agent: {
+    type: DataTypes.STRING(500),
+    allowNull: true
+  },
+  success: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false
+  },
+  failure_reason: {
+    type: DataTypes.ENUM('invalid_credentials', 'invalid_two_factor', 'account_locked', 'ip_blocked'),
+    allowNull: true
+  }
+}, {
+  tableName: 'login_attempts',
+  updatedAt: false,
+  indexes: [
+    {
+      fields: ['email', 'created_at']
+    },
+    {
+      fields: ['ip_address', 'created_at']
+    }
+  ]
+});
+
+LoginAttempt.FAILURE_REASONS = ['invalid_credentials', 'invalid_two_factor', 'account_locked', 'ip_blocked'];
+
+module.exports = LoginAttempt;
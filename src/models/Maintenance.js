@@ -1,5 +1,6 @@
 const { DataTypes } = require('sequelize');
 const { sequelize } = require('../config/database');
+const { DEFAULT_CURRENCY, SUPPORTED_CURRENCIES, moneyGetter, add, sum } = require('../utils/money');
 
 /**
  * Maintenance model for vehicle maintenance management
@@ -56,6 +57,7 @@ const Maintenance = sequelize.define('Maintenance', {
   },
   estimated_cost: {
     type: DataTypes.DECIMAL(10, 2),
+    get: moneyGetter('estimated_cost'),
     allowNull: true,
     validate: {
       min: 0
@@ -63,11 +65,21 @@ const Maintenance = sequelize.define('Maintenance', {
   },
   actual_cost: {
     type: DataTypes.DECIMAL(10, 2),
+    get: moneyGetter('actual_cost'),
     allowNull: true,
     validate: {
       min: 0
     }
   },
+  currency: {
+    type: DataTypes.STRING(3),
+    allowNull: false,
+    defaultValue: DEFAULT_CURRENCY,
+    validate: {
+      isIn: [SUPPORTED_CURRENCIES]
+    },
+    comment: 'Currency of the maintenance costs (ISO 4217)'
+  },
   service_provider: {
     type: DataTypes.STRING,
     allowNull: true,
@@ -96,6 +108,7 @@ const Maintenance = sequelize.define('Maintenance', {
   },
   labor_cost: {
     type: DataTypes.DECIMAL(10, 2),
+    get: moneyGetter('labor_cost'),
     allowNull: true,
     validate: {
       min: 0
@@ -224,11 +237,10 @@ Maintenance.prototype.daysUntilScheduled = function() {
  * Instance method to calculate total cost
  */
 Maintenance.prototype.getTotalCost = function() {
-  const laborCost = parseFloat(this.labor_cost) || 0;
   const partsCost = this.parts_replaced ? 
-    this.parts_replaced.reduce((total, part) => total + (parseFloat(part.cost) || 0), 0) : 0;
+    sum(this.parts_replaced.map(part => part.cost || 0)) : 0;
   
-  return laborCost + partsCost;
+  return add(this.labor_cost, partsCost);
 };
 
 module.exports = Maintenance;
\ No newline at end of file
@@ -0,0 +1,57 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * PasswordResetToken model - single-use token sent to reset a forgotten password
+ * Only the hash of the token is stored; the token itself travels in the mail.
+ */
+const PasswordResetToken = sequelize.define('PasswordResetToken', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  user_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  token_hash: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+    unique: true,
+    comment: 'SHA-256 of the token'
+  },
+  expires_at: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  used_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'When the token reset the password or was superseded by a newer one'
+  },
+  requested_ip: {
+    type: DataTypes.STRING(45),
+    allowNull: true
+  }
+}, {
+  tableName: 'password_reset_tokens',
+  indexes: [
+    {
+      fields: ['user_id']
+    }
+  ]
+});
+
+/**
+ * Instance method to check whether the token can still be used
+ */
+PasswordResetToken.prototype.isUsable = function(date = new Date()) {
+  return !this.used_at && new Date(this.expires_at) > new Date(date);
+};
+
+module.exports = PasswordResetToken;
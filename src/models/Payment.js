@@ -0,0 +1,110 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { DEFAULT_CURRENCY, SUPPORTED_CURRENCIES, moneyGetter } = require('../utils/money');
+
+/**
+ * Payment model - ledger of money movements for a rental
+ * Amounts are signed: charges and deposit holds are positive,
+ * refunds, deposit releases and deposit captures are negative.
+ * A deposit capture moves held deposit money into payment of the rental:
+ * it reduces the held deposit and counts as paid towards the total.
+ */
+const Payment = sequelize.define('Payment', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  rental_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'rentals',
+      key: 'id'
+    }
+  },
+  type: {
+    type: DataTypes.ENUM('charge', 'refund', 'deposit_hold', 'deposit_release', 'deposit_capture'),
+    allowNull: false
+  },
+  amount: {
+    type: DataTypes.DECIMAL(10, 2),
+    get: moneyGetter('amount'),
+    allowNull: false
+  },
+  currency: {
+    type: DataTypes.STRING(3),
+    allowNull: false,
+    defaultValue: DEFAULT_CURRENCY,
+    validate: {
+      isIn: [SUPPORTED_CURRENCIES]
+    },
+    comment: 'Always the currency of the rental (ISO 4217)'
+  },
+  method: {
+    type: DataTypes.ENUM('cash', 'card', 'transfer'),
+    allowNull: false
+  },
+  reference: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    validate: {
+      len: [1, 100]
+    }
+  },
+  notes: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  paid_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  },
+  received_by: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  }
+}, {
+  tableName: 'payments',
+  validate: {
+    signMatchesType() {
+      const amount = parseFloat(this.amount);
+      if (amount === 0 || (amount < 0) !== Payment.NEGATIVE_TYPES.includes(this.type)) {
+        throw new Error('El signo del monto no corresponde al tipo de movimiento');
+      }
+    }
+  },
+  indexes: [
+    {
+      fields: ['rental_id']
+    },
+    {
+      fields: ['type']
+    },
+    {
+      fields: ['paid_at']
+    }
+  ]
+});
+
+/**
+ * Movement types that settle the rental total
+ */
+Payment.SETTLEMENT_TYPES = ['charge', 'refund', 'deposit_capture'];
+
+/**
+ * Movement types for the security deposit
+ */
+Payment.DEPOSIT_TYPES = ['deposit_hold', 'deposit_release', 'deposit_capture'];
+
+/**
+ * Movement types stored with a negative amount
+ */
+Payment.NEGATIVE_TYPES = ['refund', 'deposit_release', 'deposit_capture'];
+
+module.exports = Payment;
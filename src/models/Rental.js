@@ -1,5 +1,51 @@
 const { DataTypes } = require('sequelize');
 const { sequelize } = require('../config/database');
+const { BadRequestError } = require('../utils/errors');
+const { DEFAULT_CURRENCY, SUPPORTED_CURRENCIES, moneyGetter } = require('../utils/money');
+const { calculateLateFee } = require('../services/pricingService');
+
+/**
+ * Rental state machine
+ * Every status change goes through one of these transitions; each one stamps
+ * `<stamp>_at` and `<stamp>_by` with the time and the user who performed it.
+ *
+ *   reserved -> confirmed -> active -> completed
+ *   reserved | confirmed -> cancelled | no_show
+ */
+const RENTAL_TRANSITIONS = {
+  confirm: { from: ['reserved'], to: 'confirmed', stamp: 'confirmed' },
+  start: { from: ['confirmed'], to: 'active', stamp: 'started' },
+  complete: { from: ['active'], to: 'completed', stamp: 'completed' },
+  cancel: { from: ['reserved', 'confirmed'], to: 'cancelled', stamp: 'cancelled' },
+  no_show: { from: ['reserved', 'confirmed'], to: 'no_show', stamp: 'no_show' }
+};
+
+/**
+ * Statuses with no outgoing transition
+ */
+const TERMINAL_RENTAL_STATUSES = ['completed', 'cancelled', 'no_show'];
+
+/**
+ * Build the who/when columns recorded by each transition
+ */
+const transitionStampFields = () => {
+  const fields = {};
+  for (const { stamp } of Object.values(RENTAL_TRANSITIONS)) {
+    fields[`${stamp}_at`] = {
+      type: DataTypes.DATE,
+      allowNull: true
+    };
+    fields[`${stamp}_by`] = {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    };
+  }
+  return fields;
+};
 
 /**
  * Rental model for managing vehicle rentals
@@ -44,22 +90,41 @@ const Rental = sequelize.define('Rental', {
     type: DataTypes.DATE,
     allowNull: true
   },
+  pickup_location_id: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'locations',
+      key: 'id'
+    }
+  },
+  return_location_id: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'locations',
+      key: 'id'
+    }
+  },
   pickup_location: {
     type: DataTypes.STRING,
     allowNull: false,
     validate: {
-      len: [5, 200]
-    }
+      len: [3, 200]
+    },
+    comment: 'Pickup branch name (free text in rentals made before branches existed)'
   },
   return_location: {
     type: DataTypes.STRING,
     allowNull: false,
     validate: {
-      len: [5, 200]
-    }
+      len: [3, 200]
+    },
+    comment: 'Return branch name (free text in rentals made before branches existed)'
   },
   daily_rate: {
     type: DataTypes.DECIMAL(10, 2),
+    get: moneyGetter('daily_rate'),
     allowNull: false,
     validate: {
       min: 0
@@ -74,6 +139,7 @@ const Rental = sequelize.define('Rental', {
   },
   subtotal: {
     type: DataTypes.DECIMAL(10, 2),
+    get: moneyGetter('subtotal'),
     allowNull: false,
     validate: {
       min: 0
@@ -81,6 +147,7 @@ const Rental = sequelize.define('Rental', {
   },
   tax_amount: {
     type: DataTypes.DECIMAL(10, 2),
+    get: moneyGetter('tax_amount'),
     allowNull: false,
     defaultValue: 0,
     validate: {
@@ -89,6 +156,7 @@ const Rental = sequelize.define('Rental', {
   },
   additional_charges: {
     type: DataTypes.DECIMAL(10, 2),
+    get: moneyGetter('additional_charges'),
     allowNull: false,
     defaultValue: 0,
     validate: {
@@ -97,6 +165,7 @@ const Rental = sequelize.define('Rental', {
   },
   discount_amount: {
     type: DataTypes.DECIMAL(10, 2),
+    get: moneyGetter('discount_amount'),
     allowNull: false,
     defaultValue: 0,
     validate: {
@@ -105,13 +174,29 @@ const Rental = sequelize.define('Rental', {
   },
   total_amount: {
     type: DataTypes.DECIMAL(10, 2),
+    get: moneyGetter('total_amount'),
     allowNull: false,
     validate: {
       min: 0
     }
   },
+  currency: {
+    type: DataTypes.STRING(3),
+    allowNull: false,
+    defaultValue: DEFAULT_CURRENCY,
+    validate: {
+      isIn: [SUPPORTED_CURRENCIES]
+    },
+    comment: 'Currency of every amount of the rental, taken from the vehicle rate at booking (ISO 4217)'
+  },
+  price_breakdown: {
+    type: DataTypes.JSONB,
+    allowNull: true,
+    comment: 'Itemised price computed by the pricing engine at booking: rate tier, day lines, tax rate'
+  },
   deposit_amount: {
     type: DataTypes.DECIMAL(10, 2),
+    get: moneyGetter('deposit_amount'),
     allowNull: false,
     defaultValue: 0,
     validate: {
@@ -124,7 +209,7 @@ const Rental = sequelize.define('Rental', {
     defaultValue: 'pending'
   },
   rental_status: {
-    type: DataTypes.ENUM('reserved', 'confirmed', 'active', 'completed', 'cancelled'),
+    type: DataTypes.ENUM('reserved', 'confirmed', 'active', 'completed', 'cancelled', 'no_show'),
     allowNull: false,
     defaultValue: 'reserved'
   },
@@ -151,6 +236,40 @@ const Rental = sequelize.define('Rental', {
     type: DataTypes.ENUM('empty', 'quarter', 'half', 'three_quarters', 'full'),
     allowNull: true
   },
+  battery_level_pickup: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    validate: {
+      min: 0,
+      max: 100
+    },
+    comment: 'State of charge (%) of electric vehicles at pickup'
+  },
+  battery_level_return: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    validate: {
+      min: 0,
+      max: 100
+    },
+    comment: 'State of charge (%) of electric vehicles at return'
+  },
+  mileage_policy: {
+    type: DataTypes.JSONB,
+    allowNull: true,
+    comment: 'Mileage allowance agreed at booking: {type: unlimited|per_day|cap, km, excess_rate}; null for rentals made before mileage was charged'
+  },
+  protection_plan: {
+    type: DataTypes.JSONB,
+    allowNull: true,
+    comment: 'Protection plan agreed at booking: {code, name, covers, daily_price, deductible, currency}; null when booked without one'
+  },
+  fuel_policy: {
+    type: DataTypes.ENUM('full_to_full', 'prepaid', 'pay_on_return'),
+    allowNull: false,
+    defaultValue: 'full_to_full',
+    comment: 'How fuel or charge is paid, see config/pricing.js'
+  },
   damage_notes_pickup: {
     type: DataTypes.TEXT,
     allowNull: true
@@ -163,6 +282,19 @@ const Rental = sequelize.define('Rental', {
     type: DataTypes.TEXT,
     allowNull: true
   },
+  cancellation_reason: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  deposit_held_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  deposit_settlement: {
+    type: DataTypes.JSONB,
+    allowNull: true,
+    comment: 'Deposit settlement document produced at return: held, itemised charges, captured, released, outstanding'
+  },
   created_by: {
     type: DataTypes.UUID,
     allowNull: false,
@@ -170,7 +302,8 @@ const Rental = sequelize.define('Rental', {
       model: 'users',
       key: 'id'
     }
-  }
+  },
+  ...transitionStampFields()
 }, {
   tableName: 'rentals',
   hooks: {
@@ -182,6 +315,43 @@ const Rental = sequelize.define('Rental', {
       const day = String(date.getDate()).padStart(2, '0');
       const random = Math.floor(Math.random() * 1000).toString().padStart(3, '0');
       rental.rental_number = `RNT-${year}${month}${day}-${random}`;
+    },
+    afterSync: async (options) => {
+      // Database-level guard against double booking, enforced even outside the API
+      const { transaction } = options;
+      const [existing] = await sequelize.query(
+        "SELECT 1 FROM pg_constraint WHERE conname = 'rentals_no_overlap'",
+        { transaction }
+      );
+      if (existing.length > 0) {
+        return;
+      }
+
+      // Rentals booked before the guard existed may already overlap; the
+      // constraint cannot be added until someone resolves them
+      const [overlaps] = await sequelize.query(`
+        SELECT a.rental_number AS rental, b.rental_number AS overlaps_with
+        FROM rentals a
+        JOIN rentals b ON a.vehicle_id = b.vehicle_id AND a.id < b.id
+          AND tstzrange(a.start_date, a.end_date) && tstzrange(b.start_date, b.end_date)
+        WHERE a.rental_status IN ('reserved', 'confirmed', 'active')
+          AND b.rental_status IN ('reserved', 'confirmed', 'active')
+        ORDER BY a.rental_number, b.rental_number
+      `, { transaction });
+      if (overlaps.length > 0) {
+        const pairs = overlaps.map(row => `${row.rental} / ${row.overlaps_with}`).join(', ');
+        throw new Error(
+          `Cannot add rentals_no_overlap: live rentals overlap on the same vehicle (${pairs}). ` +
+          'Cancel or reschedule one of each pair and restart.'
+        );
+      }
+
+      await sequelize.query('CREATE EXTENSION IF NOT EXISTS btree_gist', { transaction });
+      await sequelize.query(`
+        ALTER TABLE rentals ADD CONSTRAINT rentals_no_overlap
+          EXCLUDE USING gist (vehicle_id WITH =, tstzrange(start_date, end_date) WITH &&)
+          WHERE (rental_status IN ('reserved', 'confirmed', 'active'))
+      `, { transaction });
     }
   },
   indexes: [
@@ -203,11 +373,54 @@ const Rental = sequelize.define('Rental', {
   ]
 });
 
+/**
+ * Instance method to check if a transition is allowed from the current status
+ */
+Rental.prototype.canTransition = function(action) {
+  const transition = RENTAL_TRANSITIONS[action];
+  return Boolean(transition) && transition.from.includes(this.rental_status);
+};
+
+/**
+ * Instance method to apply a state machine transition
+ * Throws a BadRequestError if the transition is not allowed from the current status
+ */
+Rental.prototype.transition = async function(action, { user, changes = {}, transaction } = {}) {
+  const transition = RENTAL_TRANSITIONS[action];
+  if (!transition) {
+    throw new Error(`Unknown rental transition: ${action}`);
+  }
+
+  if (!transition.from.includes(this.rental_status)) {
+    throw new BadRequestError(
+      `No se puede pasar un alquiler de estado '${this.rental_status}' a '${transition.to}'`,
+      {
+        current_status: this.rental_status,
+        allowed_from: transition.from
+      }
+    );
+  }
+
+  return this.update({
+    ...changes,
+    rental_status: transition.to,
+    [`${transition.stamp}_at`]: new Date(),
+    [`${transition.stamp}_by`]: user ? user.id : null
+  }, { transaction });
+};
+
+/**
+ * Instance method to check if rental is in a terminal status
+ */
+Rental.prototype.isClosed = function() {
+  return TERMINAL_RENTAL_STATUSES.includes(this.rental_status);
+};
+
 /**
  * Instance method to check if rental is overdue
  */
 Rental.prototype.isOverdue = function() {
-  if (this.rental_status === 'completed' || this.rental_status === 'cancelled') {
+  if (this.isClosed()) {
     return false;
   }
   const today = new Date();
@@ -216,23 +429,32 @@ Rental.prototype.isOverdue = function() {
 
 /**
  * Instance method to calculate total mileage driven
+ * With vehicleSegments loaded, adds up the mileage driven on each vehicle
  */
 Rental.prototype.getTotalMileage = function() {
+  if (this.vehicleSegments && this.vehicleSegments.length > 0) {
+    return this.vehicleSegments.reduce((total, segment) => (
+      segment.pickup_mileage && segment.return_mileage ?
+        total + segment.return_mileage - segment.pickup_mileage :
+        total
+    ), 0);
+  }
+
   if (!this.pickup_mileage || !this.return_mileage) return 0;
   return this.return_mileage - this.pickup_mileage;
 };
 
 /**
- * Instance method to calculate late fees
+ * Instance method to calculate late fees if returned at `returnDate` (default now)
+ * Follows the late fee policy of the pricing engine
  */
-Rental.prototype.calculateLateFees = function(dailyLateFee = 50) {
-  if (!this.isOverdue()) return 0;
-  
-  const endDate = new Date(this.end_date);
-  const today = new Date();
-  const daysLate = Math.ceil((today - endDate) / (1000 * 60 * 60 * 24));
-  
-  return daysLate * dailyLateFee;
+Rental.prototype.calculateLateFees = function(returnDate = new Date()) {
+  if (this.isClosed()) return 0;
+
+  return calculateLateFee(this, returnDate).amount;
 };
 
+Rental.TRANSITIONS = RENTAL_TRANSITIONS;
+Rental.TERMINAL_STATUSES = TERMINAL_RENTAL_STATUSES;
+
 module.exports = Rental;
\ No newline at end of file
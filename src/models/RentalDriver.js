@@ -0,0 +1,161 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { moneyGetter } = require('../utils/money');
+
+/**
+ * RentalDriver model - additional driver authorised on a rental
+ * The customer of the rental is its main driver and is not listed here.
+ * Drivers may be existing customers or people known only by their license
+ * data; either way the identity and license are copied at booking so the
+ * contract keeps naming the driver as authorised.
+ */
+const RentalDriver = sequelize.define('RentalDriver', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  rental_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'rentals',
+      key: 'id'
+    }
+  },
+  customer_id: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'customers',
+      key: 'id'
+    },
+    comment: 'Customer record of the driver, if any'
+  },
+  first_name: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    validate: {
+      len: [2, 50]
+    }
+  },
+  last_name: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    validate: {
+      len: [2, 50]
+    }
+  },
+  document_type: {
+    type: DataTypes.ENUM('dni', 'passport', 'license'),
+    allowNull: false,
+    defaultValue: 'dni'
+  },
+  document_number: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    validate: {
+      len: [8, 20]
+    }
+  },
+  date_of_birth: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  driver_license_number: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    validate: {
+      len: [8, 20]
+    }
+  },
+  driver_license_expiry: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  young_driver: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false,
+    comment: 'Whether the driver was charged the young driver surcharge'
+  },
+  days: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    validate: {
+      min: 1
+    },
+    comment: 'Days charged, extensions included'
+  },
+  daily_fee: {
+    type: DataTypes.DECIMAL(10, 2),
+    get: moneyGetter('daily_fee'),
+    allowNull: false,
+    defaultValue: 0,
+    validate: {
+      min: 0
+    },
+    comment: 'Additional driver fee plus young driver surcharge, per day'
+  },
+  amount: {
+    type: DataTypes.DECIMAL(10, 2),
+    get: moneyGetter('amount'),
+    allowNull: false,
+    defaultValue: 0,
+    validate: {
+      min: 0
+    },
+    comment: 'daily_fee x days, before tax, in the currency of the rental'
+  },
+  created_by: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  }
+}, {
+  tableName: 'rental_drivers',
+  indexes: [
+    {
+      unique: true,
+      fields: ['rental_id', 'driver_license_number']
+    },
+    {
+      fields: ['customer_id']
+    }
+  ]
+});
+
+/**
+ * Instance method to get full name
+ */
+RentalDriver.prototype.getFullName = function() {
+  return `${this.first_name} ${this.last_name}`;
+};
+
+/**
+ * Instance method to check if driver license is expired (today or at a given date)
+ */
+RentalDriver.prototype.isDriverLicenseExpired = function(date = new Date()) {
+  return new Date(this.driver_license_expiry) < new Date(date);
+};
+
+/**
+ * Instance method to calculate age (today or at a given date)
+ */
+RentalDriver.prototype.getAge = function(date = new Date()) {
+  const today = new Date(date);
+  const birthDate = new Date(this.date_of_birth);
+  let age = today.getFullYear() - birthDate.getFullYear();
+  const monthDiff = today.getMonth() - birthDate.getMonth();
+
+  if (monthDiff < 0 || (monthDiff === 0 && today.getDate() < birthDate.getDate())) {
+    age--;
+  }
+
+  return age;
+};
+
+module.exports = RentalDriver;
@@ -0,0 +1,89 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { moneyGetter } = require('../utils/money');
+
+/**
+ * RentalExtra model - extra booked with a rental
+ * Price, pricing type and taxability are copied from the catalogue at booking
+ * so later catalogue changes do not reprice existing rentals. Extensions add
+ * their days to per-day extras.
+ */
+const RentalExtra = sequelize.define('RentalExtra', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  rental_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'rentals',
+      key: 'id'
+    }
+  },
+  extra_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'extras',
+      key: 'id'
+    }
+  },
+  quantity: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 1,
+    validate: {
+      min: 1
+    }
+  },
+  pricing_type: {
+    type: DataTypes.ENUM('per_day', 'per_rental'),
+    allowNull: false
+  },
+  days: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 1,
+    validate: {
+      min: 1
+    },
+    comment: 'Days charged; 1 for per-rental extras'
+  },
+  unit_price: {
+    type: DataTypes.DECIMAL(10, 2),
+    get: moneyGetter('unit_price'),
+    allowNull: false,
+    validate: {
+      min: 0
+    }
+  },
+  amount: {
+    type: DataTypes.DECIMAL(10, 2),
+    get: moneyGetter('amount'),
+    allowNull: false,
+    validate: {
+      min: 0
+    },
+    comment: 'unit_price x quantity x days, before tax, in the currency of the rental'
+  },
+  taxable: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: true
+  }
+}, {
+  tableName: 'rental_extras',
+  indexes: [
+    {
+      unique: true,
+      fields: ['rental_id', 'extra_id']
+    },
+    {
+      fields: ['extra_id']
+    }
+  ]
+});
+
+module.exports = RentalExtra;
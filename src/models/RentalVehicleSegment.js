@@ -0,0 +1,131 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const FUEL_LEVELS = ['empty', 'quarter', 'half', 'three_quarters', 'full'];
+
+/**
+ * RentalVehicleSegment model - period a rental spent on one vehicle
+ * Segments are recorded when a vehicle is swapped mid-rental: the first one
+ * covers the original vehicle from pickup to the swap and the last one stays
+ * open (end_at null) until the rental is completed. Rentals that were never
+ * swapped have no segments and used rental.vehicle_id for their whole period.
+ */
+const RentalVehicleSegment = sequelize.define('RentalVehicleSegment', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  rental_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'rentals',
+      key: 'id'
+    }
+  },
+  vehicle_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'vehicles',
+      key: 'id'
+    }
+  },
+  sequence: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    validate: {
+      min: 1
+    }
+  },
+  start_at: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  end_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'Null while the rental is on this vehicle'
+  },
+  pickup_mileage: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    validate: {
+      min: 0
+    }
+  },
+  return_mileage: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    validate: {
+      min: 0
+    }
+  },
+  fuel_level_pickup: {
+    type: DataTypes.ENUM(...FUEL_LEVELS),
+    allowNull: true
+  },
+  fuel_level_return: {
+    type: DataTypes.ENUM(...FUEL_LEVELS),
+    allowNull: true
+  },
+  battery_level_pickup: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    validate: {
+      min: 0,
+      max: 100
+    }
+  },
+  battery_level_return: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    validate: {
+      min: 0,
+      max: 100
+    }
+  },
+  end_reason: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    comment: 'Why the vehicle was swapped'
+  },
+  maintenance_id: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'maintenances',
+      key: 'id'
+    },
+    comment: 'Corrective maintenance opened for the vehicle when it was swapped out'
+  },
+  created_by: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  }
+}, {
+  tableName: 'rental_vehicle_segments',
+  validate: {
+    endAfterStart() {
+      if (this.end_at && new Date(this.end_at) < new Date(this.start_at)) {
+        throw new Error('El fin del tramo debe ser posterior a su inicio');
+      }
+    }
+  },
+  indexes: [
+    {
+      unique: true,
+      fields: ['rental_id', 'sequence']
+    },
+    {
+      fields: ['vehicle_id', 'start_at']
+    }
+  ]
+});
+
+module.exports = RentalVehicleSegment;
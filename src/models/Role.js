@@ -0,0 +1,58 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { ALL_PERMISSIONS } = require('../config/permissions');
+
+/**
+ * Role model - a named set of permissions, assigned to users by name
+ * System roles (admin, gestor_flota, cliente) are created on startup and
+ * cannot be deleted; admins may add custom roles. The catalogue of
+ * permissions lives in config/permissions.js.
+ */
+const Role = sequelize.define('Role', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  name: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+    unique: true,
+    validate: {
+      is: /^[a-z][a-z0-9_]*$/
+    },
+    comment: 'Key stored in users.role'
+  },
+  description: {
+    type: DataTypes.STRING(200),
+    allowNull: true
+  },
+  permissions: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: [],
+    validate: {
+      isKnownPermissions(value) {
+        if (!Array.isArray(value) || value.some(permission => !ALL_PERMISSIONS.includes(permission))) {
+          throw new Error('Permissions must be a list of known permissions');
+        }
+      }
+    }
+  },
+  is_system: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false
+  }
+}, {
+  tableName: 'roles'
+});
+
+/**
+ * Instance method to check whether the role grants a permission
+ */
+Role.prototype.hasPermission = function(permission) {
+  return (this.permissions || []).includes(permission);
+};
+
+module.exports = Role;
@@ -0,0 +1,93 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * Session model - a signed-in device of a user
+ * Each login opens a session holding the hash of its current refresh token;
+ * the token rotates on every refresh, so a session is the family of all the
+ * refresh tokens issued from one login. Access tokens carry the session id
+ * and stop working as soon as the session is revoked.
+ */
+const Session = sequelize.define('Session', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  user_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  refresh_token_hash: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+    comment: 'SHA-256 of the current refresh token; the token itself is never stored'
+  },
+  rotation_count: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    comment: 'Refresh tokens issued after the one of the login'
+  },
+  device: {
+    type: DataTypes.STRING(100),
+    allowNull: true,
+    comment: 'Device name given by the client at login'
+  },
+  ip_address: {
+    type: DataTypes.STRING(45),
+    allowNull: true,
+    comment: 'IP of the last login or refresh'
+  },
+  user_agent: {
+    type: DataTypes.STRING(500),
+    allowNull: true,
+    comment: 'User agent of the last login or refresh'
+  },
+  last_used_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  },
+  expires_at: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  revoked_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  revoked_reason: {
+    type: DataTypes.ENUM('logout', 'revoked', 'password_changed', 'password_reset', 'reuse_detected'),
+    allowNull: true
+  }
+}, {
+  tableName: 'sessions',
+  indexes: [
+    {
+      fields: ['user_id']
+    }
+  ]
+});
+
+/**
+ * Instance method to check whether the session can still be used
+ */
+Session.prototype.isActive = function(date = new Date()) {
+  return !this.revoked_at && new Date(this.expires_at) > new Date(date);
+};
+
+/**
+ * Instance method to get the session without its token hash
+ */
+Session.prototype.toJSON = function() {
+  const values = { ...this.get() };
+  delete values.refresh_token_hash;
+  return values;
+};
+
+module.exports = Session;
@@ -4,7 +4,8 @@ const { sequelize } = require('../config/database');
 
 /**
  * User model for authentication and role management
- * Supports roles: admin, gestor_flota, cliente
+ * The role (admin, gestor_flota, cliente or a custom role) determines the
+ * user's permissions, see Role.
  */
 const User = sequelize.define('User', {
   id: {
@@ -49,9 +50,10 @@ const User = sequelize.define('User', {
     }
   },
   role: {
-    type: DataTypes.ENUM('admin', 'gestor_flota', 'cliente'),
+    type: DataTypes.STRING(50),
     allowNull: false,
-    defaultValue: 'cliente'
+    defaultValue: 'cliente',
+    comment: 'Name of a role in the roles table (admin, gestor_flota, cliente or a custom role)'
   },
   is_active: {
     type: DataTypes.BOOLEAN,
@@ -60,6 +62,46 @@ const User = sequelize.define('User', {
   last_login: {
     type: DataTypes.DATE,
     allowNull: true
+  },
+  failed_login_attempts: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    comment: 'Consecutive failed logins since the last successful one or unlock'
+  },
+  last_failed_login_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  locked_until: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'Logins are refused until this time (progressive delay or lockout)'
+  },
+  two_factor_enabled: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false
+  },
+  two_factor_secret: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    comment: 'Base32 TOTP secret; set at setup, in use once two_factor_enabled'
+  },
+  two_factor_enabled_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  two_factor_last_step: {
+    type: DataTypes.BIGINT,
+    allowNull: true,
+    comment: 'TOTP time step of the last accepted code, so a code cannot be replayed'
+  },
+  two_factor_recovery_codes: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: [],
+    comment: 'SHA-256 hashes of the unused recovery codes'
   }
 }, {
   tableName: 'users',
@@ -85,11 +127,21 @@ User.prototype.checkPassword = async function(password) {
 };
 
 /**
- * Instance method to get user without password
+ * Instance method to check whether logins are refused at a given time
+ */
+User.prototype.isLoginLocked = function(date = new Date()) {
+  return Boolean(this.locked_until) && new Date(this.locked_until) > new Date(date);
+};
+
+/**
+ * Instance method to get user without password or two-factor secrets
  */
 User.prototype.toJSON = function() {
   const values = { ...this.get() };
   delete values.password;
+  delete values.two_factor_secret;
+  delete values.two_factor_last_step;
+  delete values.two_factor_recovery_codes;
   return values;
 };
 
@@ -1,5 +1,6 @@
 const { DataTypes } = require('sequelize');
 const { sequelize } = require('../config/database');
+const { DEFAULT_CURRENCY, SUPPORTED_CURRENCIES, moneyGetter } = require('../utils/money');
 
 /**
  * Vehicle model for fleet management
@@ -57,6 +58,22 @@ const Vehicle = sequelize.define('Vehicle', {
     allowNull: false,
     defaultValue: 'gasoline'
   },
+  tank_capacity: {
+    type: DataTypes.DECIMAL(6, 2),
+    allowNull: true,
+    validate: {
+      min: 0
+    },
+    comment: 'Fuel tank capacity in litres, used to price refuels'
+  },
+  battery_capacity: {
+    type: DataTypes.DECIMAL(6, 2),
+    allowNull: true,
+    validate: {
+      min: 0
+    },
+    comment: 'Usable battery capacity in kWh of electric vehicles, used to price recharges'
+  },
   transmission: {
     type: DataTypes.ENUM('manual', 'automatic'),
     allowNull: false,
@@ -72,11 +89,21 @@ const Vehicle = sequelize.define('Vehicle', {
   },
   daily_rate: {
     type: DataTypes.DECIMAL(10, 2),
+    get: moneyGetter('daily_rate'),
     allowNull: false,
     validate: {
       min: 0
     }
   },
+  currency: {
+    type: DataTypes.STRING(3),
+    allowNull: false,
+    defaultValue: DEFAULT_CURRENCY,
+    validate: {
+      isIn: [SUPPORTED_CURRENCIES]
+    },
+    comment: 'Currency of daily_rate (ISO 4217)'
+  },
   current_mileage: {
     type: DataTypes.INTEGER,
     allowNull: false,
@@ -94,6 +121,15 @@ const Vehicle = sequelize.define('Vehicle', {
     type: DataTypes.INTEGER,
     allowNull: true
   },
+  current_location_id: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'locations',
+      key: 'id'
+    },
+    comment: 'Branch where the vehicle is; moves to the return branch when a rental is completed'
+  },
   status: {
     type: DataTypes.ENUM('available', 'rented', 'maintenance', 'inactive'),
     allowNull: false,
@@ -138,6 +174,9 @@ const Vehicle = sequelize.define('Vehicle', {
     },
     {
       fields: ['is_active']
+    },
+    {
+      fields: ['current_location_id']
     }
   ]
 });
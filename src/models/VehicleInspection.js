@@ -0,0 +1,102 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const FUEL_LEVELS = ['empty', 'quarter', 'half', 'three_quarters', 'full'];
+
+/**
+ * VehicleInspection model - condition of a vehicle at pickup or return
+ * Each rental vehicle gets at most one pickup and one return inspection. The
+ * return inspection stores its diff against the pickup one, which flags the
+ * damage found at return that was not there at pickup.
+ */
+const VehicleInspection = sequelize.define('VehicleInspection', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  rental_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'rentals',
+      key: 'id'
+    }
+  },
+  vehicle_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'vehicles',
+      key: 'id'
+    }
+  },
+  inspection_type: {
+    type: DataTypes.ENUM('pickup', 'return'),
+    allowNull: false
+  },
+  mileage: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    validate: {
+      min: 0
+    }
+  },
+  fuel_level: {
+    type: DataTypes.ENUM(...FUEL_LEVELS),
+    allowNull: true
+  },
+  checklist: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: {},
+    comment: 'Checklist items: {tires: {status: ok|damaged|missing, notes}, ...}'
+  },
+  damages: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: [],
+    comment: 'Damage markers: [{id, panel, severity, description, estimated_cost}]'
+  },
+  photos: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: [],
+    comment: 'Uploaded photos: [{id, url, original_name, mimetype, size, damage_id, uploaded_by, uploaded_at}]'
+  },
+  damage_diff: {
+    type: DataTypes.JSONB,
+    allowNull: true,
+    comment: 'Return inspections only: {pickup_inspection_id, new_damages, checklist_regressions}'
+  },
+  notes: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  inspected_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  },
+  inspected_by: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  }
+}, {
+  tableName: 'vehicle_inspections',
+  indexes: [
+    {
+      unique: true,
+      fields: ['rental_id', 'vehicle_id', 'inspection_type']
+    },
+    {
+      fields: ['vehicle_id', 'inspected_at']
+    }
+  ]
+});
+
+module.exports = VehicleInspection;
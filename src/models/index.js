@@ -6,6 +6,23 @@ const Vehicle = require('./Vehicle');
 const Customer = require('./Customer');
 const Rental = require('./Rental');
 const Maintenance = require('./Maintenance');
+const Payment = require('./Payment');
+const AuditLog = require('./AuditLog');
+const ExchangeRate = require('./ExchangeRate');
+const Invoice = require('./Invoice');
+const InvoiceSeries = require('./InvoiceSeries');
+const RentalVehicleSegment = require('./RentalVehicleSegment');
+const Location = require('./Location');
+const VehicleInspection = require('./VehicleInspection');
+const Extra = require('./Extra');
+const ExtraStock = require('./ExtraStock');
+const RentalExtra = require('./RentalExtra');
+const RentalDriver = require('./RentalDriver');
+const Session = require('./Session');
+const PasswordResetToken = require('./PasswordResetToken');
+const LoginAttempt = require('./LoginAttempt');
+const Role = require('./Role');
+const { registerAuditHooks } = require('../services/auditService');
 
 /**
  * Define model associations
@@ -27,6 +44,40 @@ User.hasMany(Maintenance, {
   as: 'completedMaintenances' 
 });
 
+User.hasMany(Session, { 
+  foreignKey: 'user_id', 
+  as: 'sessions' 
+});
+
+User.hasMany(PasswordResetToken, { 
+  foreignKey: 'user_id', 
+  as: 'passwordResetTokens' 
+});
+
+// Session associations
+Session.belongsTo(User, { 
+  foreignKey: 'user_id', 
+  as: 'user' 
+});
+
+User.hasMany(LoginAttempt, { 
+  foreignKey: 'user_id', 
+  as: 'loginAttempts' 
+});
+
+// Login attempt associations
+LoginAttempt.belongsTo(User, { 
+  foreignKey: 'user_id', 
+  as: 'user',
+  constraints: false
+});
+
+// Password reset token associations
+PasswordResetToken.belongsTo(User, { 
+  foreignKey: 'user_id', 
+  as: 'user' 
+});
+
 // Vehicle associations
 Vehicle.hasMany(Rental, { 
   foreignKey: 'vehicle_id', 
@@ -38,6 +89,17 @@ Vehicle.hasMany(Maintenance, {
   as: 'maintenances' 
 });
 
+Vehicle.belongsTo(Location, { 
+  foreignKey: 'current_location_id', 
+  as: 'currentLocation' 
+});
+
+// Location associations
+Location.hasMany(Vehicle, { 
+  foreignKey: 'current_location_id', 
+  as: 'vehicles' 
+});
+
 // Customer associations
 Customer.hasMany(Rental, { 
   foreignKey: 'customer_id', 
@@ -55,11 +117,62 @@ Rental.belongsTo(Vehicle, {
   as: 'vehicle' 
 });
 
+Rental.belongsTo(Location, { 
+  foreignKey: 'pickup_location_id', 
+  as: 'pickupLocation' 
+});
+
+Rental.belongsTo(Location, { 
+  foreignKey: 'return_location_id', 
+  as: 'returnLocation' 
+});
+
 Rental.belongsTo(User, { 
   foreignKey: 'created_by', 
   as: 'creator' 
 });
 
+Rental.belongsTo(User, { 
+  foreignKey: 'confirmed_by', 
+  as: 'confirmedBy' 
+});
+
+Rental.belongsTo(User, { 
+  foreignKey: 'started_by', 
+  as: 'startedBy' 
+});
+
+Rental.belongsTo(User, { 
+  foreignKey: 'completed_by', 
+  as: 'completedBy' 
+});
+
+Rental.belongsTo(User, { 
+  foreignKey: 'cancelled_by', 
+  as: 'cancelledBy' 
+});
+
+Rental.belongsTo(User, { 
+  foreignKey: 'no_show_by', 
+  as: 'noShowBy' 
+});
+
+Rental.hasMany(Payment, { 
+  foreignKey: 'rental_id', 
+  as: 'payments' 
+});
+
+// Payment associations
+Payment.belongsTo(Rental, { 
+  foreignKey: 'rental_id', 
+  as: 'rental' 
+});
+
+Payment.belongsTo(User, { 
+  foreignKey: 'received_by', 
+  as: 'receiver' 
+});
+
 // Maintenance associations
 Maintenance.belongsTo(Vehicle, { 
   foreignKey: 'vehicle_id', 
@@ -76,6 +189,179 @@ Maintenance.belongsTo(User, {
   as: 'completedBy' 
 });
 
+// Invoice associations
+Rental.hasMany(Invoice, { 
+  foreignKey: 'rental_id', 
+  as: 'invoices' 
+});
+
+Invoice.belongsTo(Rental, { 
+  foreignKey: 'rental_id', 
+  as: 'rental' 
+});
+
+Invoice.belongsTo(Customer, { 
+  foreignKey: 'customer_id', 
+  as: 'customer' 
+});
+
+Invoice.belongsTo(User, { 
+  foreignKey: 'issued_by', 
+  as: 'issuedBy' 
+});
+
+Invoice.belongsTo(Invoice, { 
+  foreignKey: 'original_invoice_id', 
+  as: 'originalInvoice' 
+});
+
+Invoice.hasMany(Invoice, { 
+  foreignKey: 'original_invoice_id', 
+  as: 'creditNotes' 
+});
+
+// Vehicle segment associations
+Rental.hasMany(RentalVehicleSegment, { 
+  foreignKey: 'rental_id', 
+  as: 'vehicleSegments' 
+});
+
+RentalVehicleSegment.belongsTo(Rental, { 
+  foreignKey: 'rental_id', 
+  as: 'rental' 
+});
+
+RentalVehicleSegment.belongsTo(Vehicle, { 
+  foreignKey: 'vehicle_id', 
+  as: 'vehicle' 
+});
+
+RentalVehicleSegment.belongsTo(Maintenance, { 
+  foreignKey: 'maintenance_id', 
+  as: 'maintenance' 
+});
+
+RentalVehicleSegment.belongsTo(User, { 
+  foreignKey: 'created_by', 
+  as: 'creator' 
+});
+
+// Inspection associations
+Rental.hasMany(VehicleInspection, { 
+  foreignKey: 'rental_id', 
+  as: 'inspections' 
+});
+
+VehicleInspection.belongsTo(Rental, { 
+  foreignKey: 'rental_id', 
+  as: 'rental' 
+});
+
+Vehicle.hasMany(VehicleInspection, { 
+  foreignKey: 'vehicle_id', 
+  as: 'inspections' 
+});
+
+VehicleInspection.belongsTo(Vehicle, { 
+  foreignKey: 'vehicle_id', 
+  as: 'vehicle' 
+});
+
+VehicleInspection.belongsTo(User, { 
+  foreignKey: 'inspected_by', 
+  as: 'inspector' 
+});
+
+// Extra associations
+Extra.hasMany(ExtraStock, { 
+  foreignKey: 'extra_id', 
+  as: 'stocks' 
+});
+
+ExtraStock.belongsTo(Extra, { 
+  foreignKey: 'extra_id', 
+  as: 'extra' 
+});
+
+ExtraStock.belongsTo(Location, { 
+  foreignKey: 'location_id', 
+  as: 'location' 
+});
+
+Rental.hasMany(RentalExtra, { 
+  foreignKey: 'rental_id', 
+  as: 'extras' 
+});
+
+RentalExtra.belongsTo(Rental, { 
+  foreignKey: 'rental_id', 
+  as: 'rental' 
+});
+
+RentalExtra.belongsTo(Extra, { 
+  foreignKey: 'extra_id', 
+  as: 'extra' 
+});
+
+Extra.hasMany(RentalExtra, { 
+  foreignKey: 'extra_id', 
+  as: 'rentalExtras' 
+});
+
+// Additional driver associations
+Rental.hasMany(RentalDriver, { 
+  foreignKey: 'rental_id', 
+  as: 'drivers' 
+});
+
+RentalDriver.belongsTo(Rental, { 
+  foreignKey: 'rental_id', 
+  as: 'rental' 
+});
+
+RentalDriver.belongsTo(Customer, { 
+  foreignKey: 'customer_id', 
+  as: 'customer' 
+});
+
+RentalDriver.belongsTo(User, { 
+  foreignKey: 'created_by', 
+  as: 'creator' 
+});
+
+// Exchange rate associations
+ExchangeRate.belongsTo(User, { 
+  foreignKey: 'created_by', 
+  as: 'creator' 
+});
+
+// Audit log associations
+AuditLog.belongsTo(User, { 
+  foreignKey: 'actor_id', 
+  as: 'actor',
+  constraints: false
+});
+
+/**
+ * Audit trail hooks
+ */
+registerAuditHooks(Location, 'location');
+registerAuditHooks(Vehicle, 'vehicle');
+registerAuditHooks(Customer, 'customer');
+registerAuditHooks(Rental, 'rental');
+registerAuditHooks(Maintenance, 'maintenance');
+registerAuditHooks(Payment, 'payment');
+registerAuditHooks(ExchangeRate, 'exchange_rate');
+registerAuditHooks(Invoice, 'invoice');
+registerAuditHooks(RentalVehicleSegment, 'rental_vehicle_segment');
+registerAuditHooks(VehicleInspection, 'vehicle_inspection');
+registerAuditHooks(Extra, 'extra');
+registerAuditHooks(ExtraStock, 'extra_stock');
+registerAuditHooks(RentalExtra, 'rental_extra');
+registerAuditHooks(RentalDriver, 'rental_driver');
+registerAuditHooks(User, 'user');
+registerAuditHooks(Role, 'role');
+
 /**
  * Sync database function with automatic schema updates and seeds
  */
@@ -95,6 +381,11 @@ const syncDatabase = async (force = false) => {
     // Ejecutar seeds después de la sincronización
     const { runSeeds } = require('../seeds');
     await runSeeds();
+
+    // Recalcular estados de vehículos derivados de alquileres y mantenimientos
+    const { syncAllVehicleStatuses } = require('../services/vehicleStatusService');
+    const updatedVehicles = await syncAllVehicleStatuses();
+    console.log(`✅ Vehicle statuses synchronized (${updatedVehicles} updated).`);
     
   } catch (error) {
     console.error('❌ Error synchronizing database:', error);
@@ -105,9 +396,25 @@ const syncDatabase = async (force = false) => {
 module.exports = {
   sequelize,
   User,
+  Location,
   Vehicle,
   Customer,
   Rental,
   Maintenance,
+  Payment,
+  AuditLog,
+  ExchangeRate,
+  Invoice,
+  InvoiceSeries,
+  RentalVehicleSegment,
+  VehicleInspection,
+  Extra,
+  ExtraStock,
+  RentalExtra,
+  RentalDriver,
+  Session,
+  PasswordResetToken,
+  LoginAttempt,
+  Role,
   syncDatabase
 };
\ No newline at end of file
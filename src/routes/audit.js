@@ -0,0 +1,167 @@
+const express = require('express');
+const router = express.Router();
+const { query } = require('express-validator');
+const { handleValidationErrors } = require('../middleware/validation');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { getAuditLogs } = require('../controllers/auditController');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Audit
+ *   description: Change history of vehicles, customers, rentals, payments, maintenances and users
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     AuditLog:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *         entity_type:
+ *           type: string
+ *           enum: [location, vehicle, customer, rental, maintenance, payment, invoice, rental_vehicle_segment, vehicle_inspection, extra, extra_stock, rental_extra, rental_driver, exchange_rate, user, role]
+ *           description: Type of the audited entity
+ *         entity_id:
+ *           type: string
+ *           format: uuid
+ *           description: ID of the audited entity
+ *         action:
+ *           type: string
+ *           enum: [create, update, delete]
+ *         changes:
+ *           type: object
+ *           description: 'Changed fields, each with its before and after values'
+ *         actor_id:
+ *           type: string
+ *           format: uuid
+ *           description: User who made the change (null for system processes)
+ *         actor_email:
+ *           type: string
+ *         ip_address:
+ *           type: string
+ *         user_agent:
+ *           type: string
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ */
+
+// Validation rules
+const auditQueryValidation = [
+  query('entity')
+    .optional()
+    .isIn(['location', 'vehicle', 'customer', 'rental', 'maintenance', 'payment', 'invoice', 'rental_vehicle_segment', 'vehicle_inspection', 'extra', 'extra_stock', 'rental_extra', 'rental_driver', 'exchange_rate', 'user', 'role'])
+    .withMessage('Entidad inválida'),
+  query('id')
+    .optional()
+    .isUUID()
+    .withMessage('ID de entidad inválido'),
+  query('action')
+    .optional()
+    .isIn(['create', 'update', 'delete'])
+    .withMessage('Acción inválida'),
+  query('actor_id')
+    .optional()
+    .isUUID()
+    .withMessage('ID de usuario inválido'),
+  query('start_date')
+    .optional()
+    .isISO8601()
+    .withMessage('Fecha de inicio inválida'),
+  query('end_date')
+    .optional()
+    .isISO8601()
+    .withMessage('Fecha de fin inválida'),
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('La página debe ser un entero positivo'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('El límite debe estar entre 1 y 100')
+];
+
+/**
+ * @swagger
+ * /api/audit:
+ *   get:
+ *     summary: Get audit trail entries (requires audit.view)
+ *     tags: [Audit]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: entity
+ *         schema:
+ *           type: string
+ *           enum: [location, vehicle, customer, rental, maintenance, payment, invoice, rental_vehicle_segment, vehicle_inspection, extra, extra_stock, rental_extra, rental_driver, exchange_rate, user, role]
+ *         description: Filter by entity type
+ *       - in: query
+ *         name: id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Filter by entity ID
+ *       - in: query
+ *         name: action
+ *         schema:
+ *           type: string
+ *           enum: [create, update, delete]
+ *         description: Filter by action
+ *       - in: query
+ *         name: actor_id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Filter by the user who made the change
+ *       - in: query
+ *         name: start_date
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Changes made on or after this date
+ *       - in: query
+ *         name: end_date
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Changes made on or before this date
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *         description: Items per page
+ *     responses:
+ *       200:
+ *         description: Audit entries retrieved successfully
+ *       400:
+ *         description: Invalid filters
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Insufficient permissions
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/',
+  authenticateToken,
+  requirePermission('audit.view'),
+  auditQueryValidation,
+  handleValidationErrors,
+  getAuditLogs
+);
+
+module.exports = router;
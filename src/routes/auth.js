@@ -1,17 +1,31 @@
 const express = require('express');
-const { body } = require('express-validator');
+const { body, param, query } = require('express-validator');
 const {
   login,
+  verifyTwoFactorLogin,
+  refreshToken,
+  logout,
+  getSessions,
+  deleteSession,
+  forgotPassword,
+  resetPasswordWithToken,
+  getTwoFactorStatus,
+  startTwoFactorSetup,
+  confirmTwoFactorSetup,
+  regenerateTwoFactorRecoveryCodes,
+  disableTwoFactorAuth,
   register,
   getProfile,
   updateProfile,
   changePassword,
   getUsers,
   updateUser,
+  unlockUserAccount,
+  resetUserTwoFactor,
+  getLoginAttempts,
   testAuth
 } = require('../controllers/authController');
-const { requireAdmin } = require('../middleware/auth');
-const { authenticateToken } = require('../middleware/auth');
+const { authenticateToken, optionalAuth, requirePermission } = require('../middleware/auth');
 const { handleValidationErrors } = require('../middleware/validation');
 
 const router = express.Router();
@@ -33,7 +47,84 @@ const loginValidation = [
     .normalizeEmail(),
   body('password')
     .notEmpty()
-    .withMessage('Contraseña es requerida')
+    .withMessage('Contraseña es requerida'),
+  body('device')
+    .optional()
+    .isLength({ max: 100 })
+    .withMessage('El nombre del dispositivo no puede exceder 100 caracteres')
+    .trim()
+];
+
+/**
+ * Refresh token validation rules
+ */
+const refreshValidation = [
+  body('refresh_token')
+    .isString()
+    .notEmpty()
+    .withMessage('Token de actualización es requerido')
+];
+
+/**
+ * Forgot password validation rules
+ */
+const forgotPasswordValidation = [
+  body('email')
+    .isEmail()
+    .withMessage('Email debe ser válido')
+    .normalizeEmail()
+];
+
+/**
+ * Reset password validation rules
+ */
+const resetPasswordValidation = [
+  body('token')
+    .isString()
+    .notEmpty()
+    .withMessage('Token de restablecimiento es requerido'),
+  body('new_password')
+    .isLength({ min: 6 })
+    .withMessage('Nueva contraseña debe tener al menos 6 caracteres')
+];
+
+/**
+ * TOTP code validation rules
+ */
+const twoFactorCodeValidation = [
+  body('code')
+    .matches(/^\d{6}$/)
+    .withMessage('El código de verificación debe tener 6 dígitos')
+];
+
+/**
+ * Two-factor factor validation rules: a TOTP code or a recovery code
+ */
+const twoFactorFactorValidation = [
+  body('recovery_code')
+    .optional()
+    .isString()
+    .withMessage('Código de recuperación inválido'),
+  body('code')
+    .if(body('recovery_code').not().exists())
+    .matches(/^\d{6}$/)
+    .withMessage('El código de verificación debe tener 6 dígitos')
+];
+
+/**
+ * Two-factor login validation rules
+ */
+const twoFactorLoginValidation = [
+  body('challenge_token')
+    .isString()
+    .notEmpty()
+    .withMessage('Token de desafío es requerido'),
+  ...twoFactorFactorValidation,
+  body('device')
+    .optional()
+    .isLength({ max: 100 })
+    .withMessage('El nombre del dispositivo no puede exceder 100 caracteres')
+    .trim()
 ];
 
 /**
@@ -61,8 +152,8 @@ const registerValidation = [
     .withMessage('Teléfono debe tener entre 8 y 15 caracteres'),
   body('role')
     .optional()
-    .isIn(['admin', 'gestor_flota', 'cliente'])
-    .withMessage('Rol debe ser admin, gestor_flota o cliente')
+    .matches(/^[a-z][a-z0-9_]*$/)
+    .withMessage('Rol inválido')
 ];
 
 /**
@@ -85,6 +176,22 @@ const updateProfileValidation = [
     .withMessage('Teléfono debe tener entre 8 y 15 caracteres')
 ];
 
+/**
+ * User update validation rules (user management)
+ */
+const updateUserValidation = [
+  param('id').isUUID().withMessage('ID de usuario inválido'),
+  ...updateProfileValidation,
+  body('role')
+    .optional()
+    .matches(/^[a-z][a-z0-9_]*$/)
+    .withMessage('Rol inválido'),
+  body('is_active')
+    .optional()
+    .isBoolean()
+    .withMessage('is_active debe ser booleano')
+];
+
 /**
  * Change password validation rules
  */
@@ -104,6 +211,7 @@ const changePasswordValidation = [
  * /api/auth/login:
  *   post:
  *     summary: Iniciar sesión en el sistema
+ *     description: Si el usuario tiene verificación en dos pasos (o su rol la exige) la respuesta no abre una sesión sino que devuelve two_factor_required, setup_required y un challenge_token para /2fa/verify (o /2fa/setup y /2fa/enable). Tras varios intentos fallidos consecutivos cada nuevo intento de la cuenta debe esperar un tiempo creciente y, al alcanzar el máximo, la cuenta se bloquea temporalmente; mientras tanto la respuesta es la misma 401 que con una contraseña errónea. Una IP con demasiados intentos fallidos recientes también es rechazada. Todos los intentos quedan registrados.
  *     tags: [Authentication]
  *     security: []
  *     requestBody:
@@ -129,7 +237,13 @@ const changePasswordValidation = [
  *             schema:
  *               $ref: '#/components/schemas/Error'
  *       401:
- *         description: Credenciales inválidas
+ *         description: Credenciales inválidas, también cuando la cuenta está bloqueada por intentos fallidos, para no revelar qué emails están registrados
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       429:
+ *         description: IP con demasiados intentos fallidos; el header Retry-After y retry_after indican los segundos a esperar
  *         content:
  *           application/json:
  *             schema:
@@ -137,8 +251,268 @@ const changePasswordValidation = [
  */
 router.post('/login', loginValidation, handleValidationErrors, login);
 
+/**
+ * @swagger
+ * /api/auth/2fa/verify:
+ *   post:
+ *     summary: Completar el inicio de sesión con verificación en dos pasos
+ *     description: Intercambia el challenge_token devuelto por /login y un código TOTP (o un código de recuperación, que deja de funcionar) por una sesión. Los códigos erróneos cuentan como intentos fallidos de la cuenta.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [challenge_token]
+ *             properties:
+ *               challenge_token:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *                 example: "123456"
+ *                 description: Código de la aplicación de autenticación
+ *               recovery_code:
+ *                 type: string
+ *                 example: "a1b2c-3d4e5"
+ *                 description: Código de recuperación, en lugar de code
+ *               device:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Login exitoso
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AuthResponse'
+ *       401:
+ *         description: Desafío inválido o expirado, o código de verificación inválido
+ *       429:
+ *         description: Cuenta o IP con demasiados intentos fallidos
+ */
+router.post('/2fa/verify', twoFactorLoginValidation, handleValidationErrors, verifyTwoFactorLogin);
+
+/**
+ * @swagger
+ * /api/auth/refresh:
+ *   post:
+ *     summary: Renovar el token de acceso
+ *     description: Entrega un nuevo token de acceso y un nuevo token de actualización; el token de actualización usado deja de ser válido. Presentar un token de actualización ya usado revoca la sesión completa.
+ *     tags: [Authentication]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [refresh_token]
+ *             properties:
+ *               refresh_token:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Tokens renovados
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AuthResponse'
+ *       400:
+ *         description: Datos de entrada inválidos
+ *       401:
+ *         description: Token de actualización inválido, reutilizado o sesión expirada
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/refresh', refreshValidation, handleValidationErrors, refreshToken);
+
+/**
+ * @swagger
+ * /api/auth/forgot-password:
+ *   post:
+ *     summary: Solicitar un enlace para restablecer la contraseña
+ *     description: Envía al email, si pertenece a un usuario activo, un enlace de un solo uso que vence a los minutos configurados. La respuesta es la misma exista o no el email.
+ *     tags: [Authentication]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [email]
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *     responses:
+ *       200:
+ *         description: Solicitud recibida
+ *       400:
+ *         description: Datos de entrada inválidos
+ */
+router.post('/forgot-password', forgotPasswordValidation, handleValidationErrors, forgotPassword);
+
+/**
+ * @swagger
+ * /api/auth/reset-password:
+ *   post:
+ *     summary: Restablecer la contraseña con el token del enlace
+ *     description: El token se invalida al usarse y se revocan todas las sesiones del usuario.
+ *     tags: [Authentication]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [token, new_password]
+ *             properties:
+ *               token:
+ *                 type: string
+ *                 description: Token recibido en el enlace
+ *               new_password:
+ *                 type: string
+ *                 minLength: 6
+ *     responses:
+ *       200:
+ *         description: Contraseña restablecida
+ *       400:
+ *         description: Datos inválidos o token inválido, usado o expirado
+ */
+router.post('/reset-password', resetPasswordValidation, handleValidationErrors, resetPasswordWithToken);
+
+/**
+ * @swagger
+ * /api/auth/2fa/setup:
+ *   post:
+ *     summary: Iniciar la configuración de la verificación en dos pasos
+ *     description: Genera un secreto TOTP y su URI otpauth (para mostrar como código QR). No se usa hasta confirmarlo en /2fa/enable. Requiere el token de acceso, o el challenge_token de configuración que /login devuelve cuando el rol exige la verificación en dos pasos.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *       - {}
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               challenge_token:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Secreto (secret) y URI otpauth (otpauth_uri)
+ *       401:
+ *         description: No autorizado o desafío inválido
+ *       409:
+ *         description: La verificación en dos pasos ya está activada
+ */
+router.post('/2fa/setup', optionalAuth, startTwoFactorSetup);
+
+/**
+ * @swagger
+ * /api/auth/2fa/enable:
+ *   post:
+ *     summary: Activar la verificación en dos pasos
+ *     description: Confirma el secreto de /2fa/setup con un código y devuelve los códigos de recuperación, que solo se muestran esta vez. Con un challenge_token de configuración además completa el inicio de sesión y devuelve los tokens de la sesión.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *       - {}
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [code]
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 example: "123456"
+ *               challenge_token:
+ *                 type: string
+ *               device:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Verificación activada, con recovery_codes
+ *       400:
+ *         description: Código inválido o configuración no iniciada
+ *       401:
+ *         description: No autorizado o desafío inválido
+ *       409:
+ *         description: La verificación en dos pasos ya está activada
+ */
+router.post('/2fa/enable', optionalAuth, twoFactorCodeValidation, handleValidationErrors, confirmTwoFactorSetup);
+
 // Protected routes
 
+/**
+ * @swagger
+ * /api/auth/logout:
+ *   post:
+ *     summary: Cerrar la sesión del token de acceso
+ *     description: Revoca la sesión; sus tokens de acceso y de actualización dejan de ser válidos.
+ *     tags: [Authentication]
+ *     responses:
+ *       200:
+ *         description: Sesión cerrada
+ *       401:
+ *         description: No autorizado
+ */
+router.post('/logout', authenticateToken, logout);
+
+/**
+ * @swagger
+ * /api/auth/sessions:
+ *   get:
+ *     summary: Obtener las sesiones activas del usuario autenticado
+ *     description: Una sesión por inicio de sesión, con su dispositivo, IP, user agent y último uso; current indica la sesión del token de acceso.
+ *     tags: [Authentication]
+ *     responses:
+ *       200:
+ *         description: Sesiones activas, la más reciente primero
+ *       401:
+ *         description: No autorizado
+ */
+router.get('/sessions', authenticateToken, getSessions);
+
+/**
+ * @swagger
+ * /api/auth/sessions/{id}:
+ *   delete:
+ *     summary: Revocar una sesión del usuario autenticado
+ *     tags: [Authentication]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: ID de la sesión
+ *     responses:
+ *       200:
+ *         description: Sesión revocada
+ *       400:
+ *         description: ID inválido
+ *       401:
+ *         description: No autorizado
+ *       404:
+ *         description: Sesión no encontrada
+ */
+router.delete('/sessions/:id',
+  authenticateToken,
+  param('id').isUUID().withMessage('ID de sesión inválido'),
+  handleValidationErrors,
+  deleteSession
+);
+
 /**
  * @swagger
  * /api/auth/profile:
@@ -166,6 +540,75 @@ router.post('/login', loginValidation, handleValidationErrors, login);
  */
 router.get('/profile', authenticateToken, getProfile);
 
+/**
+ * @swagger
+ * /api/auth/2fa:
+ *   get:
+ *     summary: Estado de la verificación en dos pasos del usuario autenticado
+ *     tags: [Authentication]
+ *     responses:
+ *       200:
+ *         description: enabled, enabled_at, required (exigida por el rol) y recovery_codes_remaining
+ *       401:
+ *         description: No autorizado
+ */
+router.get('/2fa', authenticateToken, getTwoFactorStatus);
+
+/**
+ * @swagger
+ * /api/auth/2fa/recovery-codes:
+ *   post:
+ *     summary: Regenerar los códigos de recuperación
+ *     description: Los códigos anteriores dejan de funcionar. Requiere un código de la aplicación de autenticación.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [code]
+ *             properties:
+ *               code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Nuevos recovery_codes
+ *       400:
+ *         description: Código inválido o verificación no activada
+ *       401:
+ *         description: No autorizado
+ */
+router.post('/2fa/recovery-codes', authenticateToken, twoFactorCodeValidation, handleValidationErrors, regenerateTwoFactorRecoveryCodes);
+
+/**
+ * @swagger
+ * /api/auth/2fa/disable:
+ *   post:
+ *     summary: Desactivar la verificación en dos pasos
+ *     description: Requiere un código o un código de recuperación. No disponible para roles que exigen la verificación en dos pasos.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               code:
+ *                 type: string
+ *               recovery_code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Verificación desactivada
+ *       400:
+ *         description: Código inválido, verificación no activada o exigida por el rol
+ *       401:
+ *         description: No autorizado
+ */
+router.post('/2fa/disable', authenticateToken, twoFactorFactorValidation, handleValidationErrors, disableTwoFactorAuth);
+
 /**
  * @swagger
  * /api/auth/profile:
@@ -215,6 +658,7 @@ router.put('/profile', authenticateToken, updateProfileValidation, handleValidat
  * /api/auth/change-password:
  *   put:
  *     summary: Cambiar contraseña del usuario autenticado
+ *     description: Revoca todas las demás sesiones del usuario; la sesión actual sigue abierta.
  *     tags: [Authentication]
  *     requestBody:
  *       required: true
@@ -241,13 +685,13 @@ router.put('/profile', authenticateToken, updateProfileValidation, handleValidat
  */
 router.put('/change-password', authenticateToken, changePasswordValidation, handleValidationErrors, changePassword);
 
-// Admin only routes
+// User management routes
 
 /**
  * @swagger
  * /api/auth/register:
  *   post:
- *     summary: Registrar nuevo usuario (Solo administradores)
+ *     summary: Registrar nuevo usuario (requiere user.manage)
  *     tags: [Authentication]
  *     requestBody:
  *       required: true
@@ -277,8 +721,8 @@ router.put('/change-password', authenticateToken, changePasswordValidation, hand
  *                 maxLength: 15
  *               role:
  *                 type: string
- *                 enum: [admin, gestor_flota, cliente]
  *                 default: cliente
+ *                 description: Nombre de un rol existente (admin, gestor_flota, cliente o un rol personalizado); solo se pueden asignar roles cuyos permisos se tienen
  *     responses:
  *       201:
  *         description: Usuario registrado exitosamente
@@ -293,13 +737,13 @@ router.put('/change-password', authenticateToken, changePasswordValidation, hand
  *       403:
  *         description: Permisos insuficientes (requiere rol admin)
  */
-router.post('/register', authenticateToken, requireAdmin, registerValidation, handleValidationErrors, register);
+router.post('/register', authenticateToken, requirePermission('user.manage'), registerValidation, handleValidationErrors, register);
 
 /**
  * @swagger
  * /api/auth/users:
  *   get:
- *     summary: Obtener lista de usuarios (Solo administradores)
+ *     summary: Obtener lista de usuarios (requiere user.view)
  *     tags: [Authentication]
  *     parameters:
  *       - in: query
@@ -321,7 +765,6 @@ router.post('/register', authenticateToken, requireAdmin, registerValidation, ha
  *         name: role
  *         schema:
  *           type: string
- *           enum: [admin, gestor_flota, cliente]
  *         description: Filtrar por rol
  *       - in: query
  *         name: search
@@ -358,13 +801,13 @@ router.post('/register', authenticateToken, requireAdmin, registerValidation, ha
  *       403:
  *         description: Permisos insuficientes
  */
-router.get('/users', authenticateToken, requireAdmin, getUsers);
+router.get('/users', authenticateToken, requirePermission('user.view'), getUsers);
 
 /**
  * @swagger
  * /api/auth/users/{id}:
  *   put:
- *     summary: Actualizar usuario por ID (Solo administradores)
+ *     summary: Actualizar usuario por ID (requiere user.manage)
  *     tags: [Authentication]
  *     parameters:
  *       - in: path
@@ -395,7 +838,7 @@ router.get('/users', authenticateToken, requireAdmin, getUsers);
  *                 maxLength: 15
  *               role:
  *                 type: string
- *                 enum: [admin, gestor_flota, cliente]
+ *                 description: Nombre de un rol existente; solo se pueden asignar roles cuyos permisos se tienen
  *               is_active:
  *                 type: boolean
  *     responses:
@@ -419,10 +862,144 @@ router.get('/users', authenticateToken, requireAdmin, getUsers);
  *       404:
  *         description: Usuario no encontrado
  */
-router.put('/users/:id', authenticateToken, requireAdmin, updateProfileValidation, handleValidationErrors, updateUser);
+router.put('/users/:id', authenticateToken, requirePermission('user.manage'), updateUserValidation, handleValidationErrors, updateUser);
+
+/**
+ * @swagger
+ * /api/auth/users/{id}/unlock:
+ *   post:
+ *     summary: Desbloquear un usuario bloqueado por intentos fallidos (requiere user.manage)
+ *     tags: [Authentication]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: ID del usuario
+ *     responses:
+ *       200:
+ *         description: Usuario desbloqueado; su contador de intentos fallidos vuelve a cero
+ *       400:
+ *         description: ID inválido
+ *       401:
+ *         description: No autorizado
+ *       403:
+ *         description: Permisos insuficientes
+ *       404:
+ *         description: Usuario no encontrado
+ */
+router.post('/users/:id/unlock',
+  authenticateToken,
+  requirePermission('user.manage'),
+  param('id').isUUID().withMessage('ID de usuario inválido'),
+  handleValidationErrors,
+  unlockUserAccount
+);
+
+/**
+ * @swagger
+ * /api/auth/users/{id}/2fa/reset:
+ *   post:
+ *     summary: Restablecer la verificación en dos pasos de un usuario (requiere user.manage)
+ *     description: Borra el secreto y los códigos de recuperación, por ejemplo si el usuario perdió su dispositivo. Si su rol la exige, deberá configurarla de nuevo en su próximo inicio de sesión.
+ *     tags: [Authentication]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: ID del usuario
+ *     responses:
+ *       200:
+ *         description: Verificación en dos pasos restablecida
+ *       400:
+ *         description: ID inválido
+ *       401:
+ *         description: No autorizado
+ *       403:
+ *         description: Permisos insuficientes
+ *       404:
+ *         description: Usuario no encontrado
+ */
+router.post('/users/:id/2fa/reset',
+  authenticateToken,
+  requirePermission('user.manage'),
+  param('id').isUUID().withMessage('ID de usuario inválido'),
+  handleValidationErrors,
+  resetUserTwoFactor
+);
+
+/**
+ * @swagger
+ * /api/auth/login-attempts:
+ *   get:
+ *     summary: Obtener los intentos de inicio de sesión (requiere user.view)
+ *     tags: [Authentication]
+ *     parameters:
+ *       - in: query
+ *         name: email
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: ip
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: user_id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: query
+ *         name: success
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: start_date
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: end_date
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *     responses:
+ *       200:
+ *         description: Intentos, el más reciente primero, con el motivo de cada fallo (invalid_credentials, account_locked, ip_blocked)
+ *       401:
+ *         description: No autorizado
+ *       403:
+ *         description: Permisos insuficientes
+ */
+router.get('/login-attempts',
+  authenticateToken,
+  requirePermission('user.view'),
+  query('user_id').optional().isUUID().withMessage('ID de usuario inválido'),
+  query('success').optional().isBoolean().withMessage('success debe ser booleano'),
+  query('start_date').optional().isISO8601().withMessage('Fecha de inicio inválida'),
+  query('end_date').optional().isISO8601().withMessage('Fecha de fin inválida'),
+  query('page').optional().isInt({ min: 1 }).withMessage('La página debe ser un número entero positivo'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('El límite debe estar entre 1 y 100'),
+  handleValidationErrors,
+  getLoginAttempts
+);
 
 // Test routes
 router.get('/test-auth', authenticateToken, testAuth);
-router.get('/test-admin', authenticateToken, requireAdmin, testAuth);
+router.get('/test-admin', authenticateToken, requirePermission('user.manage'), testAuth);
 
 module.exports = router;
\ No newline at end of file
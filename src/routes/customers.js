@@ -2,7 +2,7 @@ const express = require('express');
 const router = express.Router();
 const { body, param, query } = require('express-validator');
 const { handleValidationErrors } = require('../middleware/validation');
-const { authenticateToken, requireRole } = require('../middleware/auth');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
 const {
   getCustomers,
   getCustomerById,
@@ -270,7 +270,7 @@ const updateCustomerValidation = [
  *       500:
  *         description: Internal server error
  */
-router.get('/', authenticateToken, getCustomers);
+router.get('/', authenticateToken, requirePermission('customer.view'), getCustomers);
 
 /**
  * @swagger
@@ -290,7 +290,7 @@ router.get('/', authenticateToken, getCustomers);
  *       500:
  *         description: Internal server error
  */
-router.get('/stats', authenticateToken, getCustomerStats);
+router.get('/stats', authenticateToken, requirePermission('customer.view'), getCustomerStats);
 
 /**
  * @swagger
@@ -322,6 +322,7 @@ router.get('/stats', authenticateToken, getCustomerStats);
  */
 router.get('/:id', 
   authenticateToken,
+  requirePermission('customer.view'),
   param('id').isUUID().withMessage('ID de cliente inválido'),
   handleValidationErrors,
   getCustomerById
@@ -357,7 +358,7 @@ router.get('/:id',
  */
 router.get('/:id/validate', 
   authenticateToken,
-  //requireRole(['admin', 'gestor_flota']),
+  requirePermission('customer.view'),
   param('id').isUUID().withMessage('ID de cliente inválido'),
   handleValidationErrors,
   validateCustomerForRental
@@ -391,7 +392,7 @@ router.get('/:id/validate',
  */
 router.post('/', 
   authenticateToken, 
-  //requireRole(['admin', 'gestor_flota']),
+  requirePermission('customer.create'),
   customerValidation,
   handleValidationErrors,
   createCustomer
@@ -435,7 +436,7 @@ router.post('/',
  */
 router.put('/:id', 
   authenticateToken,
-  //requireRole(['admin', 'gestor_flota']),
+  requirePermission('customer.update'),
   param('id').isUUID().withMessage('ID de cliente inválido'),
   updateCustomerValidation,
   handleValidationErrors,
@@ -474,7 +475,7 @@ router.put('/:id',
  */
 router.delete('/:id', 
   authenticateToken,
-  //requireRole(['admin']),
+  requirePermission('customer.delete'),
   param('id').isUUID().withMessage('ID de cliente inválido'),
   handleValidationErrors,
   deleteCustomer
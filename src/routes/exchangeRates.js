@@ -0,0 +1,329 @@
+const express = require('express');
+const router = express.Router();
+const { body, param, query } = require('express-validator');
+const { handleValidationErrors } = require('../middleware/validation');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { SUPPORTED_CURRENCIES } = require('../utils/money');
+const {
+  getExchangeRates,
+  createExchangeRate,
+  updateExchangeRate,
+  deleteExchangeRate,
+  convertAmount
+} = require('../controllers/exchangeRateController');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Exchange Rates
+ *   description: Manually maintained exchange rates used to convert reports between currencies
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ExchangeRate:
+ *       type: object
+ *       required:
+ *         - base_currency
+ *         - quote_currency
+ *         - rate
+ *         - effective_date
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *           readOnly: true
+ *         base_currency:
+ *           type: string
+ *           enum: [CLP, USD, PEN, COP, ARS, MXN, EUR]
+ *         quote_currency:
+ *           type: string
+ *           enum: [CLP, USD, PEN, COP, ARS, MXN, EUR]
+ *         rate:
+ *           type: number
+ *           description: Units of quote_currency worth one unit of base_currency
+ *         effective_date:
+ *           type: string
+ *           format: date
+ *           description: First day the rate applies; it applies until a newer rate for the pair
+ *         notes:
+ *           type: string
+ */
+
+// Validation rules
+const exchangeRateValidation = [
+  body('base_currency')
+    .isIn(SUPPORTED_CURRENCIES)
+    .withMessage('Moneda base no soportada'),
+  body('quote_currency')
+    .isIn(SUPPORTED_CURRENCIES)
+    .withMessage('Moneda destino no soportada')
+    .custom((value, { req }) => value !== req.body.base_currency)
+    .withMessage('Las monedas base y destino deben ser distintas'),
+  body('rate')
+    .isFloat({ gt: 0 })
+    .withMessage('El tipo de cambio debe ser un número mayor a cero'),
+  body('effective_date')
+    .isISO8601()
+    .withMessage('Fecha de vigencia inválida'),
+  body('notes')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Las notas no pueden exceder 500 caracteres')
+];
+
+const updateExchangeRateValidation = [
+  param('id').isUUID().withMessage('ID de tipo de cambio inválido'),
+  body('rate')
+    .optional()
+    .isFloat({ gt: 0 })
+    .withMessage('El tipo de cambio debe ser un número mayor a cero'),
+  body('notes')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Las notas no pueden exceder 500 caracteres')
+];
+
+/**
+ * @swagger
+ * /api/exchange-rates:
+ *   get:
+ *     summary: Get exchange rates
+ *     tags: [Exchange Rates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: base_currency
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: quote_currency
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: date
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Only rates effective on or before this date
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Exchange rates, newest first
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/',
+  authenticateToken,
+  requirePermission('exchange_rate.view'),
+  query('base_currency')
+    .optional()
+    .isIn(SUPPORTED_CURRENCIES)
+    .withMessage('Moneda base no soportada'),
+  query('quote_currency')
+    .optional()
+    .isIn(SUPPORTED_CURRENCIES)
+    .withMessage('Moneda destino no soportada'),
+  query('date')
+    .optional()
+    .isISO8601()
+    .withMessage('Fecha inválida'),
+  handleValidationErrors,
+  getExchangeRates
+);
+
+/**
+ * @swagger
+ * /api/exchange-rates/convert:
+ *   get:
+ *     summary: Convert an amount with the rate effective on a date
+ *     description: Uses the stored from/to rate or, if only the to/from rate is stored, divides by it.
+ *     tags: [Exchange Rates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: amount
+ *         required: true
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: from
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: to
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: date
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Conversion date (defaults to today)
+ *     responses:
+ *       200:
+ *         description: Converted amount and the rate applied
+ *       400:
+ *         description: Invalid parameters or no rate stored for the pair
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/convert',
+  authenticateToken,
+  requirePermission('exchange_rate.view'),
+  query('amount')
+    .isFloat()
+    .withMessage('Monto inválido'),
+  query('from')
+    .isIn(SUPPORTED_CURRENCIES)
+    .withMessage('Moneda de origen no soportada'),
+  query('to')
+    .isIn(SUPPORTED_CURRENCIES)
+    .withMessage('Moneda destino no soportada'),
+  query('date')
+    .optional()
+    .isISO8601()
+    .withMessage('Fecha inválida'),
+  handleValidationErrors,
+  convertAmount
+);
+
+/**
+ * @swagger
+ * /api/exchange-rates:
+ *   post:
+ *     summary: Create exchange rate (requires exchange_rate.manage)
+ *     tags: [Exchange Rates]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ExchangeRate'
+ *     responses:
+ *       201:
+ *         description: Exchange rate created successfully
+ *       400:
+ *         description: Invalid input data
+ *       409:
+ *         description: A rate for the pair and effective date already exists
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Insufficient permissions
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/',
+  authenticateToken,
+  requirePermission('exchange_rate.manage'),
+  exchangeRateValidation,
+  handleValidationErrors,
+  createExchangeRate
+);
+
+/**
+ * @swagger
+ * /api/exchange-rates/{id}:
+ *   put:
+ *     summary: Update the rate or notes of an exchange rate (requires exchange_rate.manage)
+ *     tags: [Exchange Rates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               rate:
+ *                 type: number
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Exchange rate updated successfully
+ *       400:
+ *         description: Invalid input data
+ *       404:
+ *         description: Exchange rate not found
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Insufficient permissions
+ *       500:
+ *         description: Internal server error
+ */
+router.put('/:id',
+  authenticateToken,
+  requirePermission('exchange_rate.manage'),
+  updateExchangeRateValidation,
+  handleValidationErrors,
+  updateExchangeRate
+);
+
+/**
+ * @swagger
+ * /api/exchange-rates/{id}:
+ *   delete:
+ *     summary: Delete exchange rate (requires exchange_rate.manage)
+ *     tags: [Exchange Rates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Exchange rate deleted successfully
+ *       404:
+ *         description: Exchange rate not found
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Insufficient permissions
+ *       500:
+ *         description: Internal server error
+ */
+router.delete('/:id',
+  authenticateToken,
+  requirePermission('exchange_rate.manage'),
+  param('id').isUUID().withMessage('ID de tipo de cambio inválido'),
+  handleValidationErrors,
+  deleteExchangeRate
+);
+
+module.exports = router;
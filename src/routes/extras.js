@@ -0,0 +1,434 @@
+const express = require('express');
+const router = express.Router();
+const { body, param, query } = require('express-validator');
+const { handleValidationErrors } = require('../middleware/validation');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { Extra } = require('../models');
+const { SUPPORTED_CURRENCIES } = require('../utils/money');
+const {
+  getExtras,
+  getExtraById,
+  createExtra,
+  updateExtra,
+  deleteExtra,
+  setExtraStock
+} = require('../controllers/extraController');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Extras
+ *   description: Add-ons booked with rentals (child seats, GPS units, coverages)
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Extra:
+ *       type: object
+ *       required:
+ *         - code
+ *         - name
+ *         - price
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *           readOnly: true
+ *         code:
+ *           type: string
+ *           maxLength: 20
+ *         name:
+ *           type: string
+ *           minLength: 2
+ *           maxLength: 100
+ *         description:
+ *           type: string
+ *         category:
+ *           type: string
+ *           enum: [equipment, coverage, service]
+ *           default: equipment
+ *         pricing_type:
+ *           type: string
+ *           enum: [per_day, per_rental]
+ *           default: per_day
+ *           description: per_day charges the price for every rental day, per_rental once per rental
+ *         price:
+ *           type: number
+ *           minimum: 0
+ *           description: Price per unit, per day or per rental
+ *         currency:
+ *           type: string
+ *           enum: [CLP, USD, PEN, COP, ARS, MXN, EUR]
+ *           description: Currency of the price; the extra can only be booked with rentals in this currency
+ *         taxable:
+ *           type: boolean
+ *           default: true
+ *           description: Whether the extra is taxed at the rate of the rental
+ *         track_stock:
+ *           type: boolean
+ *           default: true
+ *           description: Whether bookings are limited by the units kept at the pickup branch
+ *         max_quantity:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *           description: Most units a single rental can book
+ *         is_active:
+ *           type: boolean
+ *           readOnly: true
+ */
+
+// Validation rules
+const extraValidation = [
+  body('code')
+    .trim()
+    .isLength({ min: 2, max: 20 })
+    .withMessage('El código debe tener entre 2 y 20 caracteres'),
+  body('name')
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('El nombre debe tener entre 2 y 100 caracteres'),
+  body('category')
+    .optional()
+    .isIn(Extra.CATEGORIES)
+    .withMessage('Categoría inválida'),
+  body('pricing_type')
+    .optional()
+    .isIn(Extra.PRICING_TYPES)
+    .withMessage('Tipo de precio inválido'),
+  body('price')
+    .isFloat({ min: 0 })
+    .withMessage('El precio debe ser un número positivo'),
+  body('currency')
+    .optional()
+    .isIn(SUPPORTED_CURRENCIES)
+    .withMessage('Moneda no soportada'),
+  body('taxable')
+    .optional()
+    .isBoolean()
+    .withMessage('taxable debe ser booleano'),
+  body('track_stock')
+    .optional()
+    .isBoolean()
+    .withMessage('track_stock debe ser booleano'),
+  body('max_quantity')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('La cantidad máxima debe ser un número entero positivo')
+];
+
+const updateExtraValidation = [
+  param('id').isUUID().withMessage('ID de extra inválido'),
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('El nombre debe tener entre 2 y 100 caracteres'),
+  body('category')
+    .optional()
+    .isIn(Extra.CATEGORIES)
+    .withMessage('Categoría inválida'),
+  body('pricing_type')
+    .optional()
+    .isIn(Extra.PRICING_TYPES)
+    .withMessage('Tipo de precio inválido'),
+  body('price')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('El precio debe ser un número positivo'),
+  body('currency')
+    .optional()
+    .isIn(SUPPORTED_CURRENCIES)
+    .withMessage('Moneda no soportada'),
+  body('taxable')
+    .optional()
+    .isBoolean()
+    .withMessage('taxable debe ser booleano'),
+  body('track_stock')
+    .optional()
+    .isBoolean()
+    .withMessage('track_stock debe ser booleano'),
+  body('max_quantity')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('La cantidad máxima debe ser un número entero positivo'),
+  body('is_active')
+    .optional()
+    .isBoolean()
+    .withMessage('is_active debe ser booleano')
+];
+
+/**
+ * @swagger
+ * /api/extras:
+ *   get:
+ *     summary: Get extras
+ *     tags: [Extras]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *           enum: [equipment, coverage, service]
+ *       - in: query
+ *         name: currency
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: is_active
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Search by code or name
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Extras sorted by name
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/',
+  authenticateToken,
+  requirePermission('extra.view'),
+  query('category')
+    .optional()
+    .isIn(Extra.CATEGORIES)
+    .withMessage('Categoría inválida'),
+  query('is_active')
+    .optional()
+    .isBoolean()
+    .withMessage('is_active debe ser booleano'),
+  handleValidationErrors,
+  getExtras
+);
+
+/**
+ * @swagger
+ * /api/extras/{id}:
+ *   get:
+ *     summary: Get extra by ID with its stock at each branch
+ *     tags: [Extras]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Extra retrieved successfully
+ *       404:
+ *         description: Extra not found
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/:id',
+  authenticateToken,
+  requirePermission('extra.view'),
+  param('id').isUUID().withMessage('ID de extra inválido'),
+  handleValidationErrors,
+  getExtraById
+);
+
+/**
+ * @swagger
+ * /api/extras:
+ *   post:
+ *     summary: Create extra (requires extra.manage)
+ *     tags: [Extras]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Extra'
+ *     responses:
+ *       201:
+ *         description: Extra created successfully
+ *       400:
+ *         description: Invalid input data
+ *       409:
+ *         description: An extra with the code already exists
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Insufficient permissions
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/',
+  authenticateToken,
+  requirePermission('extra.manage'),
+  extraValidation,
+  handleValidationErrors,
+  createExtra
+);
+
+/**
+ * @swagger
+ * /api/extras/{id}:
+ *   put:
+ *     summary: Update extra (requires extra.manage)
+ *     description: The code cannot change. Rentals already booked keep the price they were booked with.
+ *     tags: [Extras]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Extra'
+ *     responses:
+ *       200:
+ *         description: Extra updated successfully
+ *       400:
+ *         description: Invalid input data
+ *       404:
+ *         description: Extra not found
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Insufficient permissions
+ *       500:
+ *         description: Internal server error
+ */
+router.put('/:id',
+  authenticateToken,
+  requirePermission('extra.manage'),
+  updateExtraValidation,
+  handleValidationErrors,
+  updateExtra
+);
+
+/**
+ * @swagger
+ * /api/extras/{id}:
+ *   delete:
+ *     summary: Deactivate extra (requires extra.manage)
+ *     tags: [Extras]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Extra deactivated successfully
+ *       400:
+ *         description: The extra is booked with pending rentals
+ *       404:
+ *         description: Extra not found
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Insufficient permissions
+ *       500:
+ *         description: Internal server error
+ */
+router.delete('/:id',
+  authenticateToken,
+  requirePermission('extra.manage'),
+  param('id').isUUID().withMessage('ID de extra inválido'),
+  handleValidationErrors,
+  deleteExtra
+);
+
+/**
+ * @swagger
+ * /api/extras/{id}/stock/{locationId}:
+ *   put:
+ *     summary: Set the units of an extra kept at a branch (requires extra.manage_stock)
+ *     description: Units booked with live rentals are not subtracted here; bookings are checked against this quantity for their period.
+ *     tags: [Extras]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: path
+ *         name: locationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - quantity
+ *             properties:
+ *               quantity:
+ *                 type: integer
+ *                 minimum: 0
+ *     responses:
+ *       200:
+ *         description: Stock updated successfully
+ *       400:
+ *         description: Invalid input data
+ *       404:
+ *         description: Extra or branch not found
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Insufficient permissions
+ *       500:
+ *         description: Internal server error
+ */
+router.put('/:id/stock/:locationId',
+  authenticateToken,
+  requirePermission('extra.manage_stock'),
+  param('id').isUUID().withMessage('ID de extra inválido'),
+  param('locationId').isUUID().withMessage('ID de sucursal inválido'),
+  body('quantity')
+    .isInt({ min: 0 })
+    .withMessage('La cantidad debe ser un número entero no negativo')
+    .toInt(),
+  handleValidationErrors,
+  setExtraStock
+);
+
+module.exports = router;
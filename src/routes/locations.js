@@ -0,0 +1,407 @@
+const express = require('express');
+const router = express.Router();
+const { body, param, query } = require('express-validator');
+const { handleValidationErrors } = require('../middleware/validation');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { Location } = require('../models');
+const pricing = require('../config/pricing');
+const {
+  getLocations,
+  getLocationById,
+  createLocation,
+  updateLocation,
+  deleteLocation
+} = require('../controllers/locationController');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Locations
+ *   description: Branches where vehicles are picked up and returned
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Location:
+ *       type: object
+ *       required:
+ *         - code
+ *         - name
+ *         - address
+ *         - city
+ *         - country
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *           readOnly: true
+ *         code:
+ *           type: string
+ *           maxLength: 20
+ *           description: Short branch code, key of the branch in the tax and one-way fee configuration
+ *         name:
+ *           type: string
+ *           minLength: 3
+ *           maxLength: 100
+ *         address:
+ *           type: string
+ *           minLength: 5
+ *           maxLength: 200
+ *         city:
+ *           type: string
+ *         country:
+ *           type: string
+ *           minLength: 2
+ *           maxLength: 2
+ *           description: ISO 3166-1 alpha-2 country code, determines the tax rate; must have a rate in the pricing configuration
+ *         timezone:
+ *           type: string
+ *           default: America/Santiago
+ *           description: IANA time zone of the branch
+ *         opening_hours:
+ *           type: object
+ *           description: Opening hours in branch local time by day (mon to sun); days not listed are closed
+ *           additionalProperties:
+ *             type: array
+ *             items:
+ *               type: object
+ *               properties:
+ *                 open:
+ *                   type: string
+ *                   example: '08:00'
+ *                 close:
+ *                   type: string
+ *                   example: '20:00'
+ *         phone:
+ *           type: string
+ *         email:
+ *           type: string
+ *           format: email
+ *         is_active:
+ *           type: boolean
+ *           readOnly: true
+ */
+
+/**
+ * Whether a value is a valid IANA time zone
+ */
+const isTimeZone = (value) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: value });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Whether a value is an opening hours object: {mon: [{open: 'HH:MM', close: 'HH:MM'}]}
+ */
+const isOpeningHours = (value) =>
+  value !== null && typeof value === 'object' && !Array.isArray(value) &&
+  Object.entries(value).every(([day, intervals]) => (
+    Location.WEEK_DAYS.includes(day) &&
+    Array.isArray(intervals) &&
+    intervals.every(interval => (
+      Location.TIME_PATTERN.test(interval && interval.open) &&
+      Location.TIME_PATTERN.test(interval && interval.close) &&
+      interval.open < interval.close
+    ))
+  ));
+
+// Validation rules
+const locationValidation = [
+  body('code')
+    .trim()
+    .isLength({ min: 2, max: 20 })
+    .withMessage('El código debe tener entre 2 y 20 caracteres'),
+  body('name')
+    .trim()
+    .isLength({ min: 3, max: 100 })
+    .withMessage('El nombre debe tener entre 3 y 100 caracteres'),
+  body('address')
+    .trim()
+    .isLength({ min: 5, max: 200 })
+    .withMessage('La dirección debe tener entre 5 y 200 caracteres'),
+  body('city')
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('La ciudad debe tener entre 2 y 100 caracteres'),
+  body('country')
+    .isISO31661Alpha2()
+    .withMessage('Código de país inválido')
+    .toUpperCase()
+    .isIn(Object.keys(pricing.tax.countries))
+    .withMessage('No hay tasa de impuesto configurada para el país'),
+  body('timezone')
+    .optional()
+    .custom(isTimeZone)
+    .withMessage('Zona horaria inválida'),
+  body('opening_hours')
+    .optional()
+    .custom(isOpeningHours)
+    .withMessage('Horario inválido'),
+  body('phone')
+    .optional()
+    .isLength({ max: 20 })
+    .withMessage('El teléfono no puede exceder 20 caracteres'),
+  body('email')
+    .optional()
+    .isEmail()
+    .withMessage('Email inválido')
+];
+
+const updateLocationValidation = [
+  param('id').isUUID().withMessage('ID de sucursal inválido'),
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 3, max: 100 })
+    .withMessage('El nombre debe tener entre 3 y 100 caracteres'),
+  body('address')
+    .optional()
+    .trim()
+    .isLength({ min: 5, max: 200 })
+    .withMessage('La dirección debe tener entre 5 y 200 caracteres'),
+  body('city')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('La ciudad debe tener entre 2 y 100 caracteres'),
+  body('country')
+    .optional()
+    .isISO31661Alpha2()
+    .withMessage('Código de país inválido')
+    .toUpperCase()
+    .isIn(Object.keys(pricing.tax.countries))
+    .withMessage('No hay tasa de impuesto configurada para el país'),
+  body('timezone')
+    .optional()
+    .custom(isTimeZone)
+    .withMessage('Zona horaria inválida'),
+  body('opening_hours')
+    .optional()
+    .custom(isOpeningHours)
+    .withMessage('Horario inválido'),
+  body('phone')
+    .optional()
+    .isLength({ max: 20 })
+    .withMessage('El teléfono no puede exceder 20 caracteres'),
+  body('email')
+    .optional()
+    .isEmail()
+    .withMessage('Email inválido'),
+  body('is_active')
+    .optional()
+    .isBoolean()
+    .withMessage('is_active debe ser booleano')
+];
+
+/**
+ * @swagger
+ * /api/locations:
+ *   get:
+ *     summary: Get branches
+ *     tags: [Locations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: city
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: country
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: is_active
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Search by code or name
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Branches sorted by name
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/',
+  authenticateToken,
+  requirePermission('location.view'),
+  query('is_active')
+    .optional()
+    .isBoolean()
+    .withMessage('is_active debe ser booleano'),
+  handleValidationErrors,
+  getLocations
+);
+
+/**
+ * @swagger
+ * /api/locations/{id}:
+ *   get:
+ *     summary: Get branch by ID with the vehicles parked there
+ *     tags: [Locations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Branch retrieved successfully
+ *       404:
+ *         description: Branch not found
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/:id',
+  authenticateToken,
+  requirePermission('location.view'),
+  param('id').isUUID().withMessage('ID de sucursal inválido'),
+  handleValidationErrors,
+  getLocationById
+);
+
+/**
+ * @swagger
+ * /api/locations:
+ *   post:
+ *     summary: Create branch (requires location.manage)
+ *     tags: [Locations]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Location'
+ *     responses:
+ *       201:
+ *         description: Branch created successfully
+ *       400:
+ *         description: Invalid input data
+ *       409:
+ *         description: A branch with the code already exists
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Insufficient permissions
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/',
+  authenticateToken,
+  requirePermission('location.manage'),
+  locationValidation,
+  handleValidationErrors,
+  createLocation
+);
+
+/**
+ * @swagger
+ * /api/locations/{id}:
+ *   put:
+ *     summary: Update branch (requires location.manage)
+ *     description: The code cannot change.
+ *     tags: [Locations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Location'
+ *     responses:
+ *       200:
+ *         description: Branch updated successfully
+ *       400:
+ *         description: Invalid input data
+ *       404:
+ *         description: Branch not found
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Insufficient permissions
+ *       500:
+ *         description: Internal server error
+ */
+router.put('/:id',
+  authenticateToken,
+  requirePermission('location.manage'),
+  updateLocationValidation,
+  handleValidationErrors,
+  updateLocation
+);
+
+/**
+ * @swagger
+ * /api/locations/{id}:
+ *   delete:
+ *     summary: Deactivate branch (requires location.manage)
+ *     tags: [Locations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Branch deactivated successfully
+ *       400:
+ *         description: The branch has pending rentals
+ *       404:
+ *         description: Branch not found
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Insufficient permissions
+ *       500:
+ *         description: Internal server error
+ */
+router.delete('/:id',
+  authenticateToken,
+  requirePermission('location.manage'),
+  param('id').isUUID().withMessage('ID de sucursal inválido'),
+  handleValidationErrors,
+  deleteLocation
+);
+
+module.exports = router;
@@ -2,7 +2,8 @@ const express = require('express');
 const router = express.Router();
 const { body, param, query } = require('express-validator');
 const { handleValidationErrors } = require('../middleware/validation');
-const { authenticateToken, requireRole } = require('../middleware/auth');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { SUPPORTED_CURRENCIES } = require('../utils/money');
 const {
   getMaintenances,
   getMaintenanceById,
@@ -78,6 +79,10 @@ const {
  *           type: number
  *           minimum: 0
  *           description: Actual cost
+ *         currency:
+ *           type: string
+ *           enum: [CLP, USD, PEN, COP, ARS, MXN, EUR]
+ *           description: Currency of the costs (defaults to the vehicle currency)
  *         service_provider:
  *           type: string
  *           minLength: 2
@@ -161,6 +166,10 @@ const maintenanceValidation = [
     .optional()
     .isFloat({ min: 0 })
     .withMessage('El costo estimado debe ser un número positivo'),
+  body('currency')
+    .optional()
+    .isIn(SUPPORTED_CURRENCIES)
+    .withMessage('Moneda no soportada'),
   body('service_provider')
     .optional()
     .isLength({ min: 2, max: 100 })
@@ -204,6 +213,10 @@ const updateMaintenanceValidation = [
     .optional()
     .isFloat({ min: 0 })
     .withMessage('El costo estimado debe ser un número positivo'),
+  body('currency')
+    .optional()
+    .isIn(SUPPORTED_CURRENCIES)
+    .withMessage('Moneda no soportada'),
   body('actual_cost')
     .optional()
     .isFloat({ min: 0 })
@@ -326,7 +339,7 @@ const updateMaintenanceValidation = [
  *       500:
  *         description: Internal server error
  */
-router.get('/', authenticateToken, getMaintenances);
+router.get('/', authenticateToken, requirePermission('maintenance.view'), getMaintenances);
 
 /**
  * @swagger
@@ -349,6 +362,12 @@ router.get('/', authenticateToken, getMaintenances);
  *           type: string
  *           format: date
  *         description: End date for statistics
+ *       - in: query
+ *         name: currency
+ *         schema:
+ *           type: string
+ *           enum: [CLP, USD, PEN, COP, ARS, MXN, EUR]
+ *         description: Currency totals are converted into (defaults to the system currency)
  *     responses:
  *       200:
  *         description: Maintenance statistics retrieved successfully
@@ -359,7 +378,16 @@ router.get('/', authenticateToken, getMaintenances);
  *       500:
  *         description: Internal server error
  */
-router.get('/stats', authenticateToken, getMaintenanceStats);
+router.get('/stats', 
+  authenticateToken,
+  requirePermission('maintenance.view'),
+  query('currency')
+    .optional()
+    .isIn(SUPPORTED_CURRENCIES)
+    .withMessage('Moneda no soportada'),
+  handleValidationErrors,
+  getMaintenanceStats
+);
 
 /**
  * @swagger
@@ -386,7 +414,7 @@ router.get('/stats', authenticateToken, getMaintenanceStats);
  *       500:
  *         description: Internal server error
  */
-router.get('/vehicles-due', authenticateToken, getVehiclesDueForMaintenance);
+router.get('/vehicles-due', authenticateToken, requirePermission('maintenance.view'), getVehiclesDueForMaintenance);
 
 /**
  * @swagger
@@ -418,7 +446,7 @@ router.get('/vehicles-due', authenticateToken, getVehiclesDueForMaintenance);
  */
 router.get('/:id', 
   authenticateToken,
-  //requireRole(['admin', 'gestor_flota']),
+  requirePermission('maintenance.view'),
   param('id').isUUID().withMessage('ID de mantenimiento inválido'),
   handleValidationErrors,
   getMaintenanceById
@@ -452,7 +480,7 @@ router.get('/:id',
  */
 router.post('/', 
   authenticateToken, 
-  //requireRole(['admin', 'gestor_flota']),
+  requirePermission('maintenance.create'),
   maintenanceValidation,
   handleValidationErrors,
   createMaintenance
@@ -496,7 +524,7 @@ router.post('/',
  */
 router.put('/:id', 
   authenticateToken,
-  //requireRole(['admin', 'gestor_flota']),
+  requirePermission('maintenance.update'),
   param('id').isUUID().withMessage('ID de mantenimiento inválido'),
   updateMaintenanceValidation,
   handleValidationErrors,
@@ -548,7 +576,7 @@ router.put('/:id',
  */
 router.patch('/:id/start', 
   authenticateToken,
-  //requireRole(['admin', 'gestor_flota']),
+  requirePermission('maintenance.update'),
   param('id').isUUID().withMessage('ID de mantenimiento inválido'),
   body('mileage_at_maintenance')
     .isInt({ min: 0 })
@@ -639,7 +667,7 @@ router.patch('/:id/start',
  */
 router.patch('/:id/complete', 
   authenticateToken,
-  //requireRole(['admin', 'gestor_flota']),
+  requirePermission('maintenance.update'),
   param('id').isUUID().withMessage('ID de mantenimiento inválido'),
   body('actual_cost')
     .optional()
@@ -705,7 +733,7 @@ router.patch('/:id/complete',
  */
 router.delete('/:id', 
   authenticateToken,
- //requireRole(['admin']),
+  requirePermission('maintenance.delete'),
   param('id').isUUID().withMessage('ID de mantenimiento inválido'),
   handleValidationErrors,
   deleteMaintenance
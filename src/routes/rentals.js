@@ -2,17 +2,52 @@ const express = require('express');
 const router = express.Router();
 const { body, param, query } = require('express-validator');
 const { handleValidationErrors } = require('../middleware/validation');
-const { authenticateToken, requireRole } = require('../middleware/auth');
+const { SUPPORTED_CURRENCIES } = require('../utils/money');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
 const {
   getRentals,
   getRentalById,
   createRental,
+  getRentalQuote,
   updateRental,
+  extendRental,
+  confirmRental,
   cancelRental,
+  markRentalNoShow,
   startRental,
+  swapRentalVehicle,
   completeRental,
+  getDepositSettlement,
   getRentalStats
 } = require('../controllers/rentalController');
+const { RETURN_CHARGE_CONCEPTS } = require('../services/depositService');
+const { SWAP_PRICE_POLICIES } = require('../services/vehicleSwapService');
+const { FUEL_POLICIES, MILEAGE_POLICY_TYPES, PROTECTION_PLANS } = require('../services/pricingService');
+const {
+  CHECKLIST_ITEMS,
+  CHECKLIST_STATUSES,
+  BODY_PANELS,
+  DAMAGE_SEVERITIES
+} = require('../services/inspectionService');
+const { uploadInspectionPhotos } = require('../middleware/upload');
+const {
+  getRentalPayments,
+  createRentalPayment
+} = require('../controllers/paymentController');
+const {
+  getRentalInvoice,
+  createRentalInvoice,
+  createCreditNote,
+  getCreditNote,
+  getPaymentReceipt,
+  getRentalContract
+} = require('../controllers/invoiceController');
+const {
+  getRentalInspections,
+  createRentalInspection,
+  addRentalInspectionPhotos
+} = require('../controllers/inspectionController');
+const { addRentalDriver } = require('../controllers/driverController');
 
 /**
  * @swagger
@@ -25,6 +60,30 @@ const {
  * @swagger
  * components:
  *   schemas:
+ *     AdditionalDriver:
+ *       type: object
+ *       description: Existing customer (customer_id) or identity and license data of the driver
+ *       properties:
+ *         customer_id:
+ *           type: string
+ *           format: uuid
+ *         first_name:
+ *           type: string
+ *         last_name:
+ *           type: string
+ *         document_type:
+ *           type: string
+ *           enum: [dni, passport, license]
+ *         document_number:
+ *           type: string
+ *         date_of_birth:
+ *           type: string
+ *           format: date
+ *         driver_license_number:
+ *           type: string
+ *         driver_license_expiry:
+ *           type: string
+ *           format: date
  *     Rental:
  *       type: object
  *       required:
@@ -32,8 +91,8 @@ const {
  *         - vehicle_id
  *         - start_date
  *         - end_date
- *         - pickup_location
- *         - return_location
+ *         - pickup_location_id
+ *         - return_location_id
  *       properties:
  *         id:
  *           type: string
@@ -62,16 +121,22 @@ const {
  *           type: string
  *           format: date
  *           description: Actual return date
+ *         pickup_location_id:
+ *           type: string
+ *           format: uuid
+ *           description: Pickup branch, the vehicle must be there on the start date
+ *         return_location_id:
+ *           type: string
+ *           format: uuid
+ *           description: Return branch, a different branch adds the one-way fee; must be the pickup branch of the next rental of the vehicle, if any
  *         pickup_location:
  *           type: string
- *           minLength: 5
- *           maxLength: 200
- *           description: Pickup location
+ *           readOnly: true
+ *           description: Pickup branch name (free text on rentals made before branches)
  *         return_location:
  *           type: string
- *           minLength: 5
- *           maxLength: 200
- *           description: Return location
+ *           readOnly: true
+ *           description: Return branch name (free text on rentals made before branches)
  *         daily_rate:
  *           type: number
  *           minimum: 0
@@ -95,22 +160,40 @@ const {
  *         discount_amount:
  *           type: number
  *           minimum: 0
- *           description: Discount amount
+ *           description: Discount amount, taken off the taxable amount before tax
  *         total_amount:
  *           type: number
  *           minimum: 0
  *           description: Total amount
+ *         currency:
+ *           type: string
+ *           readOnly: true
+ *           description: Currency of every amount of the rental, taken from the vehicle rate
+ *         price_breakdown:
+ *           type: object
+ *           readOnly: true
+ *           description: Itemised price computed by the pricing engine at booking, plus one entry per extension and per vehicle swap
  *         deposit_amount:
  *           type: number
  *           minimum: 0
  *           description: Deposit amount
+ *         deposit_held_at:
+ *           type: string
+ *           format: date-time
+ *           readOnly: true
+ *           description: When the security deposit was held
+ *         deposit_settlement:
+ *           type: object
+ *           readOnly: true
+ *           description: Deposit settlement at return (itemised charges, their tax, captured, released and outstanding amounts)
  *         payment_status:
  *           type: string
  *           enum: [pending, partial, paid, refunded]
- *           description: Payment status
+ *           readOnly: true
+ *           description: Payment status, derived from the payments ledger balance against total_amount
  *         rental_status:
  *           type: string
- *           enum: [reserved, confirmed, active, completed, cancelled]
+ *           enum: [reserved, confirmed, active, completed, cancelled, no_show]
  *           description: Rental status
  *         pickup_mileage:
  *           type: integer
@@ -128,6 +211,59 @@ const {
  *           type: string
  *           enum: [empty, quarter, half, three_quarters, full]
  *           description: Fuel level at return
+ *         battery_level_pickup:
+ *           type: integer
+ *           minimum: 0
+ *           maximum: 100
+ *           description: State of charge (%) of electric vehicles at pickup
+ *         battery_level_return:
+ *           type: integer
+ *           minimum: 0
+ *           maximum: 100
+ *           description: State of charge (%) of electric vehicles at return
+ *         mileage_policy:
+ *           type: object
+ *           description: Mileage allowance, defaults to the policy of the vehicle type; kilometres over it are charged at return
+ *           properties:
+ *             type:
+ *               type: string
+ *               enum: [unlimited, per_day, cap]
+ *             km:
+ *               type: integer
+ *               description: Kilometres included per day (per_day) or for the whole rental (cap)
+ *             excess_rate:
+ *               type: number
+ *               description: Price per excess kilometre, in the rental currency
+ *         extras:
+ *           type: array
+ *           description: Catalogue extras to book, checked against the stock of the pickup branch and charged in the additional charges; the rental returns the booked extras with their price
+ *           items:
+ *             type: object
+ *             required:
+ *               - extra_id
+ *             properties:
+ *               extra_id:
+ *                 type: string
+ *                 format: uuid
+ *               quantity:
+ *                 type: integer
+ *                 minimum: 1
+ *                 default: 1
+ *         drivers:
+ *           type: array
+ *           maxItems: 5
+ *           description: Additional drivers; each must hold a license valid through the end date and meet the minimum age. Each driver is charged the additional driver fee per day, plus the young driver surcharge under the configured age
+ *           items:
+ *             $ref: '#/components/schemas/AdditionalDriver'
+ *         fuel_policy:
+ *           type: string
+ *           enum: [full_to_full, prepaid, pay_on_return]
+ *           default: full_to_full
+ *           description: With full_to_full missing fuel or charge is charged at return plus a service fee, with prepaid a full tank is charged at booking, with pay_on_return missing fuel is charged at return without fee
+ *         protection_plan:
+ *           type: string
+ *           enum: [cdw, theft, full_cover]
+ *           description: Protection plan to book, priced per day by vehicle type and charged in the additional charges; damage (cdw), theft (theft) or both (full_cover) charged at return are capped at the plan deductible. The rental returns the agreed plan with its daily price and deductible
  *         damage_notes_pickup:
  *           type: string
  *           description: Damage notes at pickup
@@ -137,7 +273,153 @@ const {
  *         additional_notes:
  *           type: string
  *           description: Additional notes
+ *         cancellation_reason:
+ *           type: string
+ *           readOnly: true
+ *           description: Reason given when the rental was cancelled
+ *         confirmed_at:
+ *           type: string
+ *           format: date-time
+ *           readOnly: true
+ *           description: When the rental was confirmed (confirmed_by holds the user)
+ *         started_at:
+ *           type: string
+ *           format: date-time
+ *           readOnly: true
+ *           description: When the vehicle was picked up (started_by holds the user)
+ *         completed_at:
+ *           type: string
+ *           format: date-time
+ *           readOnly: true
+ *           description: When the vehicle was returned (completed_by holds the user)
+ *         cancelled_at:
+ *           type: string
+ *           format: date-time
+ *           readOnly: true
+ *           description: When the rental was cancelled (cancelled_by holds the user)
+ *         no_show_at:
+ *           type: string
+ *           format: date-time
+ *           readOnly: true
+ *           description: When the rental was marked as no-show (no_show_by holds the user)
+ *     Invoice:
+ *       type: object
+ *       description: Invoice or credit note. Documents are immutable snapshots; adjustments are made with credit notes.
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *         type:
+ *           type: string
+ *           enum: [invoice, credit_note]
+ *         invoice_number:
+ *           type: string
+ *           description: Series and gap-free number, e.g. F-000123
+ *         rental_id:
+ *           type: string
+ *           format: uuid
+ *         original_invoice_id:
+ *           type: string
+ *           format: uuid
+ *           description: Invoice adjusted by a credit note
+ *         issue_date:
+ *           type: string
+ *           format: date-time
+ *         currency:
+ *           type: string
+ *         issuer:
+ *           type: object
+ *         customer_snapshot:
+ *           type: object
+ *           description: Customer name, document and address at issue time
+ *         rental_snapshot:
+ *           type: object
+ *           description: Rental number, dates, locations and vehicle at issue time
+ *         lines:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               concept:
+ *                 type: string
+ *                 enum: [rental, extension, vehicle_swap, additional_charges, one_way_fee, prepaid_fuel, extra, additional_driver, protection, excess_mileage, late_fee, damage, theft, fuel, cleaning, other, discount, adjustment]
+ *               description:
+ *                 type: string
+ *               quantity:
+ *                 type: number
+ *               unit_price:
+ *                 type: number
+ *               amount:
+ *                 type: number
+ *         subtotal:
+ *           type: number
+ *         tax_rate:
+ *           type: number
+ *         tax_amount:
+ *           type: number
+ *         total_amount:
+ *           type: number
+ *         reason:
+ *           type: string
+ *           description: Reason of a credit note
+ */
+
+/**
+ * Whether a driver names an existing customer or carries its identity and license data
  */
+const isDriverData = (value) =>
+  value !== null && typeof value === 'object' && !Array.isArray(value) && (
+    Boolean(value.customer_id) ||
+    ['first_name', 'last_name', 'document_number', 'date_of_birth', 'driver_license_number', 'driver_license_expiry']
+      .every(field => Boolean(value[field]))
+  );
+
+/**
+ * Validation of an additional driver, the request body or each item of `drivers`
+ */
+const driverValidation = (path) => {
+  const field = (name) => (path ? `${path}.${name}` : name);
+
+  return [
+    (path ? body(path) : body())
+      .custom(isDriverData)
+      .withMessage('Cada conductor debe indicar un cliente o sus datos de identidad y licencia'),
+    body(field('customer_id'))
+      .optional()
+      .isUUID()
+      .withMessage('ID de cliente del conductor inválido'),
+    body(field('first_name'))
+      .optional()
+      .trim()
+      .isLength({ min: 2, max: 50 })
+      .withMessage('El nombre del conductor debe tener entre 2 y 50 caracteres'),
+    body(field('last_name'))
+      .optional()
+      .trim()
+      .isLength({ min: 2, max: 50 })
+      .withMessage('El apellido del conductor debe tener entre 2 y 50 caracteres'),
+    body(field('document_type'))
+      .optional()
+      .isIn(['dni', 'passport', 'license'])
+      .withMessage('Tipo de documento inválido'),
+    body(field('document_number'))
+      .optional()
+      .isLength({ min: 8, max: 20 })
+      .withMessage('El número de documento debe tener entre 8 y 20 caracteres'),
+    body(field('date_of_birth'))
+      .optional()
+      .isISO8601()
+      .withMessage('Fecha de nacimiento inválida'),
+    body(field('driver_license_number'))
+      .optional()
+      .isLength({ min: 8, max: 20 })
+      .withMessage('El número de licencia debe tener entre 8 y 20 caracteres'),
+    body(field('driver_license_expiry'))
+      .optional()
+      .isISO8601()
+      .withMessage('Fecha de vencimiento de licencia inválida')
+  ];
+};
 
 // Validation rules
 const rentalValidation = [
@@ -153,51 +435,52 @@ const rentalValidation = [
   body('end_date')
     .isISO8601()
     .withMessage('Fecha de fin inválida'),
-  body('pickup_location')
-    .isLength({ min: 5, max: 200 })
-    .withMessage('La ubicación de recogida debe tener entre 5 y 200 caracteres'),
-  body('return_location')
-    .isLength({ min: 5, max: 200 })
-    .withMessage('La ubicación de devolución debe tener entre 5 y 200 caracteres'),
-  body('deposit_amount')
-    .optional()
-    .isFloat({ min: 0 })
-    .withMessage('El depósito debe ser un número positivo'),
-  body('discount_amount')
-    .optional()
-    .isFloat({ min: 0 })
-    .withMessage('El descuento debe ser un número positivo'),
-  body('additional_charges')
+  body('pickup_location_id')
+    .isUUID()
+    .withMessage('ID de sucursal de retiro inválido'),
+  body('return_location_id')
+    .isUUID()
+    .withMessage('ID de sucursal de devolución inválido'),
+  body('fuel_policy')
     .optional()
-    .isFloat({ min: 0 })
-    .withMessage('Los cargos adicionales deben ser un número positivo')
-];
-
-const updateRentalValidation = [
-  body('start_date')
+    .isIn(FUEL_POLICIES)
+    .withMessage('Política de combustible inválida'),
+  body('protection_plan')
     .optional()
-    .isISO8601()
-    .withMessage('Fecha de inicio inválida'),
-  body('end_date')
+    .isIn(PROTECTION_PLANS)
+    .withMessage('Plan de protección inválido'),
+  body('mileage_policy')
     .optional()
-    .isISO8601()
-    .withMessage('Fecha de fin inválida'),
-  body('pickup_location')
+    .isObject()
+    .withMessage('La política de kilometraje debe ser un objeto'),
+  body('mileage_policy.type')
+    .if(body('mileage_policy').exists())
+    .isIn(MILEAGE_POLICY_TYPES)
+    .withMessage('Tipo de política de kilometraje inválido'),
+  body('mileage_policy.km')
+    .if(body('mileage_policy.type').isIn(['per_day', 'cap']))
+    .isInt({ min: 1 })
+    .withMessage('Los kilómetros incluidos deben ser un número entero positivo'),
+  body('mileage_policy.excess_rate')
     .optional()
-    .isLength({ min: 5, max: 200 })
-    .withMessage('La ubicación de recogida debe tener entre 5 y 200 caracteres'),
-  body('return_location')
+    .isFloat({ min: 0 })
+    .withMessage('La tarifa por kilómetro excedido debe ser un número positivo'),
+  body('extras')
     .optional()
-    .isLength({ min: 5, max: 200 })
-    .withMessage('La ubicación de devolución debe tener entre 5 y 200 caracteres'),
-  body('payment_status')
+    .isArray({ max: 20 })
+    .withMessage('Los extras deben ser una lista'),
+  body('extras.*.extra_id')
+    .isUUID()
+    .withMessage('ID de extra inválido'),
+  body('extras.*.quantity')
     .optional()
-    .isIn(['pending', 'partial', 'paid', 'refunded'])
-    .withMessage('Estado de pago inválido'),
-  body('rental_status')
+    .isInt({ min: 1 })
+    .withMessage('La cantidad del extra debe ser un número entero positivo'),
+  body('drivers')
     .optional()
-    .isIn(['reserved', 'confirmed', 'active', 'completed', 'cancelled'])
-    .withMessage('Estado de alquiler inválido'),
+    .isArray({ max: 5 })
+    .withMessage('Los conductores adicionales deben ser una lista de hasta 5'),
+  ...driverValidation('drivers.*'),
   body('deposit_amount')
     .optional()
     .isFloat({ min: 0 })
@@ -212,6 +495,22 @@ const updateRentalValidation = [
     .withMessage('Los cargos adicionales deben ser un número positivo')
 ];
 
+const documentFormatValidation = query('format')
+  .optional()
+  .isIn(['json', 'pdf'])
+  .withMessage('Formato inválido');
+
+const updateRentalValidation = [
+  body('damage_notes_pickup')
+    .optional()
+    .isLength({ max: 1000 })
+    .withMessage('Las notas de daños no pueden exceder 1000 caracteres'),
+  body('additional_notes')
+    .optional()
+    .isLength({ max: 2000 })
+    .withMessage('Las notas adicionales no pueden exceder 2000 caracteres')
+];
+
 /**
  * @swagger
  * /api/rentals:
@@ -237,7 +536,7 @@ const updateRentalValidation = [
  *         name: rental_status
  *         schema:
  *           type: string
- *           enum: [reserved, confirmed, active, completed, cancelled]
+ *           enum: [reserved, confirmed, active, completed, cancelled, no_show]
  *         description: Filter by rental status
  *       - in: query
  *         name: payment_status
@@ -284,7 +583,7 @@ const updateRentalValidation = [
  *       500:
  *         description: Internal server error
  */
-router.get('/', authenticateToken, getRentals);
+router.get('/', authenticateToken, requirePermission('rental.view'), getRentals);
 
 /**
  * @swagger
@@ -307,6 +606,12 @@ router.get('/', authenticateToken, getRentals);
  *           type: string
  *           format: date
  *         description: End date for statistics
+ *       - in: query
+ *         name: currency
+ *         schema:
+ *           type: string
+ *           enum: [CLP, USD, PEN, COP, ARS, MXN, EUR]
+ *         description: Currency totals are converted into (defaults to the system currency)
  *     responses:
  *       200:
  *         description: Rental statistics retrieved successfully
@@ -317,7 +622,16 @@ router.get('/', authenticateToken, getRentals);
  *       500:
  *         description: Internal server error
  */
-router.get('/stats', authenticateToken, getRentalStats);
+router.get('/stats', 
+  authenticateToken,
+  requirePermission('rental.view'),
+  query('currency')
+    .optional()
+    .isIn(SUPPORTED_CURRENCIES)
+    .withMessage('Moneda no soportada'),
+  handleValidationErrors,
+  getRentalStats
+);
 
 /**
  * @swagger
@@ -349,7 +663,7 @@ router.get('/stats', authenticateToken, getRentalStats);
  */
 router.get('/:id', 
   authenticateToken,
-  //requireRole(['admin', 'gestor_flota']),
+  requirePermission('rental.view'),
   param('id').isUUID().withMessage('ID de alquiler inválido'),
   handleValidationErrors,
   getRentalById
@@ -374,6 +688,8 @@ router.get('/:id',
  *         description: Rental created successfully
  *       400:
  *         description: Invalid input data or vehicle not available
+ *       409:
+ *         description: Vehicle already booked in an overlapping period (returns conflicting_rentals) or extras short of stock at the pickup branch (returns extras)
  *       401:
  *         description: Unauthorized
  *       403:
@@ -383,17 +699,187 @@ router.get('/:id',
  */
 router.post('/', 
   authenticateToken, 
-  //requireRole(['admin', 'gestor_flota']),
+  requirePermission('rental.create'),
   rentalValidation,
   handleValidationErrors,
   createRental
 );
 
+/**
+ * @swagger
+ * /api/rentals/quote:
+ *   post:
+ *     summary: Quote a rental without creating it
+ *     description: Itemised price from the pricing engine (rate tier, weekend and seasonal day lines, tax by pickup branch) the mileage policy with the kilometres included and whether the vehicle is free in the period, at the pickup branch on the start date and returned where its next rental picks it up.
+ *     tags: [Rentals]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - vehicle_id
+ *               - start_date
+ *               - end_date
+ *             properties:
+ *               vehicle_id:
+ *                 type: string
+ *                 format: uuid
+ *               start_date:
+ *                 type: string
+ *                 format: date-time
+ *               end_date:
+ *                 type: string
+ *                 format: date-time
+ *               pickup_location_id:
+ *                 type: string
+ *                 format: uuid
+ *                 description: Pickup branch, determines the tax rate and is checked against the vehicle location
+ *               return_location_id:
+ *                 type: string
+ *                 format: uuid
+ *                 description: Return branch, a different branch adds the one-way fee
+ *               fuel_policy:
+ *                 type: string
+ *                 enum: [full_to_full, prepaid, pay_on_return]
+ *                 description: The prepaid policy adds a full tank or battery to the additional charges
+ *               protection_plan:
+ *                 type: string
+ *                 enum: [cdw, theft, full_cover]
+ *                 description: Protection plan to price with its daily price and deductible for the vehicle type
+ *               mileage_policy:
+ *                 type: object
+ *                 description: Mileage allowance, defaults to the policy of the vehicle type; kilometres over it are charged at return
+ *                 properties:
+ *                   type:
+ *                     type: string
+ *                     enum: [unlimited, per_day, cap]
+ *                   km:
+ *                     type: integer
+ *                     description: Kilometres included per day (per_day) or for the whole rental (cap)
+ *                   excess_rate:
+ *                     type: number
+ *                     description: Price per excess kilometre, in the rental currency
+ *               extras:
+ *                 type: array
+ *                 description: Catalogue extras to price; with a pickup branch their stock is checked too
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - extra_id
+ *                   properties:
+ *                     extra_id:
+ *                       type: string
+ *                       format: uuid
+ *                     quantity:
+ *                       type: integer
+ *                       minimum: 1
+ *                       default: 1
+ *               drivers:
+ *                 type: array
+ *                 maxItems: 5
+ *                 description: Additional drivers to price, checked for eligibility
+ *                 items:
+ *                   $ref: '#/components/schemas/AdditionalDriver'
+ *               additional_charges:
+ *                 type: number
+ *                 minimum: 0
+ *               discount_amount:
+ *                 type: number
+ *                 minimum: 0
+ *     responses:
+ *       200:
+ *         description: Itemised quote, vehicle availability and extras short of stock at the pickup branch
+ *       400:
+ *         description: Invalid input data
+ *       404:
+ *         description: Vehicle not found
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/quote', 
+  authenticateToken,
+  requirePermission('rental.quote'),
+  body('vehicle_id')
+    .isUUID()
+    .withMessage('ID de vehículo inválido'),
+  body('start_date')
+    .isISO8601()
+    .withMessage('Fecha de inicio inválida'),
+  body('end_date')
+    .isISO8601()
+    .withMessage('Fecha de fin inválida'),
+  body('pickup_location_id')
+    .optional()
+    .isUUID()
+    .withMessage('ID de sucursal de retiro inválido'),
+  body('return_location_id')
+    .optional()
+    .isUUID()
+    .withMessage('ID de sucursal de devolución inválido'),
+  body('fuel_policy')
+    .optional()
+    .isIn(FUEL_POLICIES)
+    .withMessage('Política de combustible inválida'),
+  body('protection_plan')
+    .optional()
+    .isIn(PROTECTION_PLANS)
+    .withMessage('Plan de protección inválido'),
+  body('mileage_policy')
+    .optional()
+    .isObject()
+    .withMessage('La política de kilometraje debe ser un objeto'),
+  body('mileage_policy.type')
+    .if(body('mileage_policy').exists())
+    .isIn(MILEAGE_POLICY_TYPES)
+    .withMessage('Tipo de política de kilometraje inválido'),
+  body('mileage_policy.km')
+    .if(body('mileage_policy.type').isIn(['per_day', 'cap']))
+    .isInt({ min: 1 })
+    .withMessage('Los kilómetros incluidos deben ser un número entero positivo'),
+  body('mileage_policy.excess_rate')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('La tarifa por kilómetro excedido debe ser un número positivo'),
+  body('extras')
+    .optional()
+    .isArray({ max: 20 })
+    .withMessage('Los extras deben ser una lista'),
+  body('extras.*.extra_id')
+    .isUUID()
+    .withMessage('ID de extra inválido'),
+  body('extras.*.quantity')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('La cantidad del extra debe ser un número entero positivo'),
+  body('drivers')
+    .optional()
+    .isArray({ max: 5 })
+    .withMessage('Los conductores adicionales deben ser una lista de hasta 5'),
+  ...driverValidation('drivers.*'),
+  body('discount_amount')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('El descuento debe ser un número positivo'),
+  body('additional_charges')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Los cargos adicionales deben ser un número positivo'),
+  handleValidationErrors,
+  getRentalQuote
+);
+
 /**
  * @swagger
  * /api/rentals/{id}:
  *   put:
  *     summary: Update rental
+ *     description: Edits descriptive fields only. Status, dates, amounts, customer and vehicle are rejected with 400 and change exclusively through the lifecycle endpoints (use /extend to move the end date).
  *     tags: [Rentals]
  *     security:
  *       - bearerAuth: []
@@ -415,7 +901,7 @@ router.post('/',
  *       200:
  *         description: Rental updated successfully
  *       400:
- *         description: Invalid input data or rental cannot be modified
+ *         description: Invalid input data, protected fields in body or rental cannot be modified
  *       404:
  *         description: Rental not found
  *       401:
@@ -427,7 +913,7 @@ router.post('/',
  */
 router.put('/:id', 
   authenticateToken,
-  //requireRole(['admin', 'gestor_flota']),
+  requirePermission('rental.update'),
   param('id').isUUID().withMessage('ID de alquiler inválido'),
   updateRentalValidation,
   handleValidationErrors,
@@ -436,9 +922,10 @@ router.put('/:id',
 
 /**
  * @swagger
- * /api/rentals/{id}/cancel:
- *   patch:
- *     summary: Cancel rental
+ * /api/rentals/{id}/extend:
+ *   post:
+ *     summary: Extend rental to a later end date
+ *     description: Checks that the vehicle is free between the current and the new end date (the rental itself excluded) and that the licenses of the customer and of the additional drivers are valid through the new end date. Booked extras must also be in stock at the pickup branch for the added window, and the next rental of the vehicle must be picked up at the return branch. Only the added days are priced, at the agreed daily rate with the rate tier of the extended length, plus per-day extras and additional drivers for the added days, and the extension is recorded as its own entry in price_breakdown.extensions.
  *     tags: [Rentals]
  *     security:
  *       - bearerAuth: []
@@ -451,21 +938,27 @@ router.put('/:id',
  *           format: uuid
  *         description: Rental ID
  *     requestBody:
+ *       required: true
  *       content:
  *         application/json:
  *           schema:
  *             type: object
+ *             required:
+ *               - end_date
  *             properties:
- *               cancellation_reason:
+ *               end_date:
  *                 type: string
- *                 description: Reason for cancellation
+ *                 format: date-time
+ *                 description: New end date, after the current one
  *     responses:
  *       200:
- *         description: Rental cancelled successfully
+ *         description: Rental extended; returns the rental and the priced extension
  *       400:
- *         description: Rental cannot be cancelled
+ *         description: Invalid date, rental closed or driver license expires before the new end date
  *       404:
  *         description: Rental not found
+ *       409:
+ *         description: Vehicle booked or under maintenance in the added period (returns conflicting_rentals or conflicting_maintenances)
  *       401:
  *         description: Unauthorized
  *       403:
@@ -473,23 +966,23 @@ router.put('/:id',
  *       500:
  *         description: Internal server error
  */
-router.patch('/:id/cancel', 
+router.post('/:id/extend', 
   authenticateToken,
-  //requireRole(['admin', 'gestor_flota']),
+  requirePermission('rental.update'),
   param('id').isUUID().withMessage('ID de alquiler inválido'),
-  body('cancellation_reason')
-    .optional()
-    .isLength({ max: 500 })
-    .withMessage('La razón de cancelación no puede exceder 500 caracteres'),
+  body('end_date')
+    .isISO8601()
+    .withMessage('Fecha de fin inválida'),
   handleValidationErrors,
-  cancelRental
+  extendRental
 );
 
 /**
  * @swagger
- * /api/rentals/{id}/start:
- *   patch:
- *     summary: Start rental (pickup)
+ * /api/rentals/{id}/drivers:
+ *   post:
+ *     summary: Add an additional driver to a rental
+ *     description: The driver is checked like the drivers named at booking and charged the driver fees from now, or the start of the rental, to the end date. Only reserved, confirmed or active rentals accept drivers.
  *     tags: [Rentals]
  *     security:
  *       - bearerAuth: []
@@ -506,27 +999,12 @@ router.patch('/:id/cancel',
  *       content:
  *         application/json:
  *           schema:
- *             type: object
- *             required:
- *               - pickup_mileage
- *               - fuel_level_pickup
- *             properties:
- *               pickup_mileage:
- *                 type: integer
- *                 minimum: 0
- *                 description: Vehicle mileage at pickup
- *               fuel_level_pickup:
- *                 type: string
- *                 enum: [empty, quarter, half, three_quarters, full]
- *                 description: Fuel level at pickup
- *               damage_notes_pickup:
- *                 type: string
- *                 description: Damage notes at pickup
+ *             $ref: '#/components/schemas/AdditionalDriver'
  *     responses:
- *       200:
- *         description: Rental started successfully
+ *       201:
+ *         description: Driver added, with its price
  *       400:
- *         description: Invalid data or rental cannot be started
+ *         description: Invalid input data, driver not eligible or already authorised, or rental closed
  *       404:
  *         description: Rental not found
  *       401:
@@ -536,29 +1014,20 @@ router.patch('/:id/cancel',
  *       500:
  *         description: Internal server error
  */
-router.patch('/:id/start', 
+router.post('/:id/drivers', 
   authenticateToken,
-  //requireRole(['admin', 'gestor_flota']),
+  requirePermission('rental.update'),
   param('id').isUUID().withMessage('ID de alquiler inválido'),
-  body('pickup_mileage')
-    .isInt({ min: 0 })
-    .withMessage('El kilometraje debe ser un número entero positivo'),
-  body('fuel_level_pickup')
-    .isIn(['empty', 'quarter', 'half', 'three_quarters', 'full'])
-    .withMessage('Nivel de combustible inválido'),
-  body('damage_notes_pickup')
-    .optional()
-    .isLength({ max: 1000 })
-    .withMessage('Las notas de daños no pueden exceder 1000 caracteres'),
+  driverValidation(),
   handleValidationErrors,
-  startRental
+  addRentalDriver
 );
 
 /**
  * @swagger
- * /api/rentals/{id}/complete:
+ * /api/rentals/{id}/confirm:
  *   patch:
- *     summary: Complete rental (return)
+ *     summary: Confirm rental (reserved -> confirmed)
  *     tags: [Rentals]
  *     security:
  *       - bearerAuth: []
@@ -571,39 +1040,230 @@ router.patch('/:id/start',
  *           format: uuid
  *         description: Rental ID
  *     requestBody:
- *       required: true
  *       content:
  *         application/json:
  *           schema:
  *             type: object
- *             required:
- *               - return_mileage
- *               - fuel_level_return
  *             properties:
- *               return_mileage:
- *                 type: integer
+ *               deposit_amount:
+ *                 type: number
  *                 minimum: 0
- *                 description: Vehicle mileage at return
- *               fuel_level_return:
+ *                 description: Security deposit held at confirmation (defaults to the rental deposit_amount)
+ *               deposit_method:
  *                 type: string
- *                 enum: [empty, quarter, half, three_quarters, full]
- *                 description: Fuel level at return
- *               damage_notes_return:
+ *                 enum: [cash, card, transfer]
+ *                 default: card
+ *                 description: Payment method used for the deposit
+ *               deposit_reference:
  *                 type: string
- *                 description: Damage notes at return
- *               additional_charges:
+ *                 description: Voucher or transaction reference of the deposit
+ *     responses:
+ *       200:
+ *         description: Rental confirmed successfully
+ *       400:
+ *         description: Invalid data or rental is not reserved
+ *       404:
+ *         description: Rental not found
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Insufficient permissions
+ *       500:
+ *         description: Internal server error
+ */
+router.patch('/:id/confirm', 
+  authenticateToken,
+  requirePermission('rental.confirm'),
+  param('id').isUUID().withMessage('ID de alquiler inválido'),
+  body('deposit_amount')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('El depósito debe ser un número positivo'),
+  body('deposit_method')
+    .optional()
+    .isIn(['cash', 'card', 'transfer'])
+    .withMessage('Método de pago inválido'),
+  body('deposit_reference')
+    .optional()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('La referencia debe tener entre 1 y 100 caracteres'),
+  handleValidationErrors,
+  confirmRental
+);
+
+/**
+ * @swagger
+ * /api/rentals/{id}/cancel:
+ *   patch:
+ *     summary: Cancel rental
+ *     tags: [Rentals]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Rental ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               cancellation_reason:
+ *                 type: string
+ *                 description: Reason for cancellation
+ *               refund_method:
+ *                 type: string
+ *                 enum: [cash, card, transfer]
+ *                 default: transfer
+ *                 description: Method used to refund payments and release the deposit
+ *     responses:
+ *       200:
+ *         description: Rental cancelled successfully; returns the refund ledger entries created
+ *       400:
+ *         description: Rental cannot be cancelled
+ *       404:
+ *         description: Rental not found
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Insufficient permissions
+ *       500:
+ *         description: Internal server error
+ */
+router.patch('/:id/cancel', 
+  authenticateToken,
+  requirePermission('rental.cancel'),
+  param('id').isUUID().withMessage('ID de alquiler inválido'),
+  body('cancellation_reason')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('La razón de cancelación no puede exceder 500 caracteres'),
+  body('refund_method')
+    .optional()
+    .isIn(['cash', 'card', 'transfer'])
+    .withMessage('Método de reembolso inválido'),
+  handleValidationErrors,
+  cancelRental
+);
+
+/**
+ * @swagger
+ * /api/rentals/{id}/no-show:
+ *   patch:
+ *     summary: Mark rental as no-show
+ *     description: For reserved or confirmed rentals whose start date has passed without pickup. The rental total becomes the no-show fee of the no-show policy (configured days at the agreed daily rate plus tax, never more than the booked total); payments above the fee are refunded, the held deposit covers the unpaid fee and is released, and the vehicle is freed. Rentals still not picked up after the grace window are marked automatically by the no-show job.
+ *     tags: [Rentals]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Rental ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               refund_method:
+ *                 type: string
+ *                 enum: [cash, card, transfer]
+ *                 default: transfer
+ *                 description: Method used to refund payments above the fee
+ *     responses:
+ *       200:
+ *         description: Rental marked as no-show; returns the rental, the fee, the refunds and the deposit settlement
+ *       400:
+ *         description: Rental is not reserved or confirmed, or has not started yet
+ *       404:
+ *         description: Rental not found
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Insufficient permissions
+ *       500:
+ *         description: Internal server error
+ */
+router.patch('/:id/no-show',
+  authenticateToken,
+  requirePermission('rental.no_show'),
+  param('id').isUUID().withMessage('ID de alquiler inválido'),
+  body('refund_method')
+    .optional()
+    .isIn(['cash', 'card', 'transfer'])
+    .withMessage('Método de reembolso inválido'),
+  handleValidationErrors,
+  markRentalNoShow
+);
+
+/**
+ * @swagger
+ * /api/rentals/{id}/start:
+ *   patch:
+ *     summary: Start rental (pickup)
+ *     tags: [Rentals]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Rental ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - pickup_mileage
+ *               - fuel_level_pickup
+ *             properties:
+ *               pickup_mileage:
+ *                 type: integer
+ *                 minimum: 0
+ *                 description: Vehicle mileage at pickup
+ *               fuel_level_pickup:
+ *                 type: string
+ *                 enum: [empty, quarter, half, three_quarters, full]
+ *                 description: Fuel level at pickup, not required when battery_level_pickup is sent
+ *               battery_level_pickup:
+ *                 type: integer
+ *                 minimum: 0
+ *                 maximum: 100
+ *                 description: State of charge (%) of electric vehicles at pickup
+ *               damage_notes_pickup:
+ *                 type: string
+ *                 description: Damage notes at pickup
+ *               deposit_amount:
  *                 type: number
  *                 minimum: 0
- *                 description: Additional charges
- *               actual_return_date:
+ *                 description: Security deposit held at pickup, if it was not held at confirmation
+ *               deposit_method:
  *                 type: string
- *                 format: date-time
- *                 description: Actual return date
+ *                 enum: [cash, card, transfer]
+ *                 default: card
+ *                 description: Payment method used for the deposit
+ *               deposit_reference:
+ *                 type: string
+ *                 description: Voucher or transaction reference of the deposit
  *     responses:
  *       200:
- *         description: Rental completed successfully
+ *         description: Rental started successfully
  *       400:
- *         description: Invalid data or rental cannot be completed
+ *         description: Invalid data or rental cannot be started
  *       404:
  *         description: Rental not found
  *       401:
@@ -613,30 +1273,1086 @@ router.patch('/:id/start',
  *       500:
  *         description: Internal server error
  */
-router.patch('/:id/complete', 
+router.patch('/:id/start', 
   authenticateToken,
-  //requireRole(['admin', 'gestor_flota']),
+  requirePermission('rental.start'),
   param('id').isUUID().withMessage('ID de alquiler inválido'),
-  body('return_mileage')
+  body('pickup_mileage')
     .isInt({ min: 0 })
     .withMessage('El kilometraje debe ser un número entero positivo'),
-  body('fuel_level_return')
+  body('fuel_level_pickup')
+    .if(body('battery_level_pickup').not().exists())
     .isIn(['empty', 'quarter', 'half', 'three_quarters', 'full'])
     .withMessage('Nivel de combustible inválido'),
-  body('damage_notes_return')
+  body('battery_level_pickup')
+    .optional()
+    .isInt({ min: 0, max: 100 })
+    .withMessage('El nivel de carga debe ser un porcentaje entre 0 y 100'),
+  body('damage_notes_pickup')
     .optional()
     .isLength({ max: 1000 })
     .withMessage('Las notas de daños no pueden exceder 1000 caracteres'),
-  body('additional_charges')
+  body('deposit_amount')
     .optional()
     .isFloat({ min: 0 })
-    .withMessage('Los cargos adicionales deben ser un número positivo'),
-  body('actual_return_date')
+    .withMessage('El depósito debe ser un número positivo'),
+  body('deposit_method')
     .optional()
-    .isISO8601()
-    .withMessage('Fecha de devolución inválida'),
+    .isIn(['cash', 'card', 'transfer'])
+    .withMessage('Método de pago inválido'),
+  body('deposit_reference')
+    .optional()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('La referencia debe tener entre 1 y 100 caracteres'),
   handleValidationErrors,
-  completeRental
+  startRental
+);
+
+/**
+ * @swagger
+ * /api/rentals/{id}/swap-vehicle:
+ *   post:
+ *     summary: Swap the vehicle of an active rental
+ *     description: Closes the segment of the current vehicle with its return mileage and fuel, opens a segment on the replacement with its pickup mileage and fuel and moves the rental to the replacement, keeping the rental number and history. The next rental of the replacement must be picked up at the return branch. Optionally opens a corrective maintenance on the vehicle swapped out. With price_policy keep the agreed price is kept; with reprice the remaining days are charged at the replacement rate and vehicle type.
+ *     tags: [Rentals]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Rental ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - vehicle_id
+ *               - reason
+ *               - return_mileage
+ *               - fuel_level_return
+ *               - pickup_mileage
+ *               - fuel_level_pickup
+ *             properties:
+ *               vehicle_id:
+ *                 type: string
+ *                 format: uuid
+ *                 description: Replacement vehicle
+ *               reason:
+ *                 type: string
+ *               swap_date:
+ *                 type: string
+ *                 format: date-time
+ *                 description: When the replacement was handed over (defaults to now)
+ *               price_policy:
+ *                 type: string
+ *                 enum: [keep, reprice]
+ *                 default: keep
+ *               return_mileage:
+ *                 type: integer
+ *                 minimum: 0
+ *                 description: Mileage of the vehicle swapped out
+ *               fuel_level_return:
+ *                 type: string
+ *                 enum: [empty, quarter, half, three_quarters, full]
+ *               battery_level_return:
+ *                 type: integer
+ *                 minimum: 0
+ *                 maximum: 100
+ *                 description: State of charge (%) of an electric vehicle swapped out, replaces fuel_level_return
+ *               pickup_mileage:
+ *                 type: integer
+ *                 minimum: 0
+ *                 description: Mileage of the replacement
+ *               fuel_level_pickup:
+ *                 type: string
+ *                 enum: [empty, quarter, half, three_quarters, full]
+ *               battery_level_pickup:
+ *                 type: integer
+ *                 minimum: 0
+ *                 maximum: 100
+ *                 description: State of charge (%) of an electric replacement, replaces fuel_level_pickup
+ *               maintenance:
+ *                 type: object
+ *                 description: Corrective maintenance to open on the vehicle swapped out
+ *                 properties:
+ *                   title:
+ *                     type: string
+ *                   description:
+ *                     type: string
+ *                   priority:
+ *                     type: string
+ *                     enum: [low, medium, high, critical]
+ *                     default: critical
+ *     responses:
+ *       200:
+ *         description: Vehicle swapped; returns the rental with its vehicle segments, the swap entry and the maintenance opened
+ *       400:
+ *         description: Invalid data, rental not active or replacement not available
+ *       404:
+ *         description: Rental not found
+ *       409:
+ *         description: Replacement booked or under maintenance before the rental ends
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Insufficient permissions
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/:id/swap-vehicle', 
+  authenticateToken,
+  requirePermission('rental.update'),
+  param('id').isUUID().withMessage('ID de alquiler inválido'),
+  body('vehicle_id')
+    .isUUID()
+    .withMessage('ID de vehículo inválido'),
+  body('reason')
+    .trim()
+    .isLength({ min: 1, max: 1000 })
+    .withMessage('El motivo es requerido y no puede exceder 1000 caracteres'),
+  body('swap_date')
+    .optional()
+    .isISO8601()
+    .withMessage('Fecha del cambio inválida'),
+  body('price_policy')
+    .optional()
+    .isIn(SWAP_PRICE_POLICIES)
+    .withMessage('Política de precio inválida'),
+  body('return_mileage')
+    .isInt({ min: 0 })
+    .withMessage('El kilometraje debe ser un número entero positivo'),
+  body('fuel_level_return')
+    .if(body('battery_level_return').not().exists())
+    .isIn(['empty', 'quarter', 'half', 'three_quarters', 'full'])
+    .withMessage('Nivel de combustible inválido'),
+  body('battery_level_return')
+    .optional()
+    .isInt({ min: 0, max: 100 })
+    .withMessage('El nivel de carga debe ser un porcentaje entre 0 y 100'),
+  body('pickup_mileage')
+    .isInt({ min: 0 })
+    .withMessage('El kilometraje debe ser un número entero positivo'),
+  body('fuel_level_pickup')
+    .if(body('battery_level_pickup').not().exists())
+    .isIn(['empty', 'quarter', 'half', 'three_quarters', 'full'])
+    .withMessage('Nivel de combustible inválido'),
+  body('battery_level_pickup')
+    .optional()
+    .isInt({ min: 0, max: 100 })
+    .withMessage('El nivel de carga debe ser un porcentaje entre 0 y 100'),
+  body('maintenance')
+    .optional()
+    .isObject()
+    .withMessage('El mantenimiento debe ser un objeto'),
+  body('maintenance.title')
+    .optional()
+    .isLength({ min: 5, max: 100 })
+    .withMessage('El título debe tener entre 5 y 100 caracteres'),
+  body('maintenance.priority')
+    .optional()
+    .isIn(['low', 'medium', 'high', 'critical'])
+    .withMessage('Prioridad inválida'),
+  handleValidationErrors,
+  swapRentalVehicle
+);
+
+/**
+ * @swagger
+ * /api/rentals/{id}/complete:
+ *   patch:
+ *     summary: Complete rental (return)
+ *     description: Late fees, kilometres driven over the mileage allowance and the fuel or charge missing with respect to pickup are added as return charges. The return mileage may not be below the pickup mileage nor the vehicle odometer; the refuel follows the fuel policy of the rental and is priced per litre or kWh of the vehicle capacity, plus the service fee with full_to_full. With a protection plan, the damage or theft charges it covers are capped at its deductible and the covered amount is reported as protectionClaim. Return charges are taxed at the tax rate of the rental and the tax is added to tax_amount and captured from the deposit with them.
+ *     tags: [Rentals]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Rental ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - return_mileage
+ *               - fuel_level_return
+ *             properties:
+ *               return_mileage:
+ *                 type: integer
+ *                 minimum: 0
+ *                 description: Vehicle mileage at return
+ *               fuel_level_return:
+ *                 type: string
+ *                 enum: [empty, quarter, half, three_quarters, full]
+ *                 description: Fuel level at return, not required when battery_level_return is sent
+ *               battery_level_return:
+ *                 type: integer
+ *                 minimum: 0
+ *                 maximum: 100
+ *                 description: State of charge (%) of electric vehicles at return
+ *               damage_notes_return:
+ *                 type: string
+ *                 description: Damage notes at return
+ *               additional_charges:
+ *                 type: number
+ *                 minimum: 0
+ *                 description: Additional charges, recorded as a return charge of concept other
+ *               return_charges:
+ *                 type: array
+ *                 description: Itemised return charges, captured from the held deposit
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - concept
+ *                     - amount
+ *                   properties:
+ *                     concept:
+ *                       type: string
+ *                       enum: [damage, theft, fuel, late_fee, cleaning, other]
+ *                     description:
+ *                       type: string
+ *                     amount:
+ *                       type: number
+ *                       minimum: 0.01
+ *               charge_new_damages:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Charge the new damage flagged by the return inspections at its estimated cost
+ *               damage_maintenance:
+ *                 type: object
+ *                 description: Corrective maintenance to open on each vehicle with new damage
+ *                 properties:
+ *                   title:
+ *                     type: string
+ *                   description:
+ *                     type: string
+ *                   priority:
+ *                     type: string
+ *                     enum: [low, medium, high, critical]
+ *                     default: high
+ *               actual_return_date:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Actual return date
+ *     responses:
+ *       200:
+ *         description: Rental completed successfully; returns the deposit settlement (captured, released and outstanding charges), the issued invoice, the new damage and the maintenances opened
+ *       400:
+ *         description: Invalid data or rental cannot be completed
+ *       404:
+ *         description: Rental not found
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Insufficient permissions
+ *       500:
+ *         description: Internal server error
+ */
+router.patch('/:id/complete', 
+  authenticateToken,
+  requirePermission('rental.complete'),
+  param('id').isUUID().withMessage('ID de alquiler inválido'),
+  body('return_mileage')
+    .isInt({ min: 0 })
+    .withMessage('El kilometraje debe ser un número entero positivo'),
+  body('fuel_level_return')
+    .if(body('battery_level_return').not().exists())
+    .isIn(['empty', 'quarter', 'half', 'three_quarters', 'full'])
+    .withMessage('Nivel de combustible inválido'),
+  body('battery_level_return')
+    .optional()
+    .isInt({ min: 0, max: 100 })
+    .withMessage('El nivel de carga debe ser un porcentaje entre 0 y 100'),
+  body('damage_notes_return')
+    .optional()
+    .isLength({ max: 1000 })
+    .withMessage('Las notas de daños no pueden exceder 1000 caracteres'),
+  body('additional_charges')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Los cargos adicionales deben ser un número positivo'),
+  body('return_charges')
+    .optional()
+    .isArray()
+    .withMessage('Los cargos de devolución deben ser una lista'),
+  body('return_charges.*.concept')
+    .isIn(RETURN_CHARGE_CONCEPTS)
+    .withMessage('Concepto de cargo inválido'),
+  body('return_charges.*.description')
+    .optional()
+    .isLength({ max: 255 })
+    .withMessage('La descripción no puede exceder 255 caracteres'),
+  body('return_charges.*.amount')
+    .isFloat({ gt: 0 })
+    .withMessage('El monto del cargo debe ser un número mayor a cero'),
+  body('charge_new_damages')
+    .optional()
+    .isBoolean()
+    .withMessage('El indicador de cobro de daños debe ser verdadero o falso')
+    .toBoolean(),
+  body('damage_maintenance')
+    .optional()
+    .isObject()
+    .withMessage('El mantenimiento debe ser un objeto'),
+  body('damage_maintenance.title')
+    .optional()
+    .isLength({ min: 5, max: 100 })
+    .withMessage('El título debe tener entre 5 y 100 caracteres'),
+  body('damage_maintenance.priority')
+    .optional()
+    .isIn(['low', 'medium', 'high', 'critical'])
+    .withMessage('Prioridad inválida'),
+  body('actual_return_date')
+    .optional()
+    .isISO8601()
+    .withMessage('Fecha de devolución inválida'),
+  handleValidationErrors,
+  completeRental
+);
+
+/**
+ * @swagger
+ * /api/rentals/{id}/deposit-settlement:
+ *   get:
+ *     summary: Get the deposit settlement of a rental
+ *     description: Itemised return charges, amount captured from the deposit, amount released and charges not covered by the deposit.
+ *     tags: [Rentals]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Rental ID
+ *     responses:
+ *       200:
+ *         description: Deposit settlement (settlement is null until the rental is returned)
+ *       404:
+ *         description: Rental not found
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/:id/deposit-settlement', 
+  authenticateToken,
+  requirePermission('rental.view'),
+  param('id').isUUID().withMessage('ID de alquiler inválido'),
+  handleValidationErrors,
+  getDepositSettlement
+);
+
+/**
+ * @swagger
+ * /api/rentals/{id}/payments:
+ *   get:
+ *     summary: Get the payments ledger of a rental
+ *     tags: [Rentals]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Rental ID
+ *     responses:
+ *       200:
+ *         description: Ledger entries and balance summary (total charged, refunded, balance due, deposit held)
+ *       404:
+ *         description: Rental not found
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/:id/payments', 
+  authenticateToken,
+  requirePermission('payment.view'),
+  param('id').isUUID().withMessage('ID de alquiler inválido'),
+  handleValidationErrors,
+  getRentalPayments
+);
+
+/**
+ * @swagger
+ * /api/rentals/{id}/payments:
+ *   post:
+ *     summary: Record a payment, refund or deposit movement
+ *     description: Amounts are always sent as positive numbers; refunds, deposit releases and deposit captures are stored as negative entries. The rental payment_status is recomputed from the ledger.
+ *     tags: [Rentals]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Rental ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - type
+ *               - amount
+ *               - method
+ *             properties:
+ *               type:
+ *                 type: string
+ *                 enum: [charge, refund, deposit_hold, deposit_release, deposit_capture]
+ *               amount:
+ *                 type: number
+ *                 minimum: 0.01
+ *               method:
+ *                 type: string
+ *                 enum: [cash, card, transfer]
+ *               reference:
+ *                 type: string
+ *                 description: Voucher or transaction reference
+ *               notes:
+ *                 type: string
+ *               paid_at:
+ *                 type: string
+ *                 format: date-time
+ *                 description: When the money moved (defaults to now)
+ *     responses:
+ *       201:
+ *         description: Ledger entry recorded
+ *       400:
+ *         description: Invalid data, amount exceeds balance, paid amount or held deposit
+ *       404:
+ *         description: Rental not found
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/:id/payments', 
+  authenticateToken,
+  requirePermission('payment.create'),
+  param('id').isUUID().withMessage('ID de alquiler inválido'),
+  body('type')
+    .isIn(['charge', 'refund', 'deposit_hold', 'deposit_release', 'deposit_capture'])
+    .withMessage('Tipo de movimiento inválido'),
+  body('amount')
+    .isFloat({ gt: 0 })
+    .withMessage('El monto debe ser un número mayor a cero'),
+  body('method')
+    .isIn(['cash', 'card', 'transfer'])
+    .withMessage('Método de pago inválido'),
+  body('reference')
+    .optional()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('La referencia debe tener entre 1 y 100 caracteres'),
+  body('notes')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Las notas no pueden exceder 500 caracteres'),
+  body('paid_at')
+    .optional()
+    .isISO8601()
+    .withMessage('Fecha de pago inválida'),
+  handleValidationErrors,
+  createRentalPayment
+);
+
+/**
+ * @swagger
+ * /api/rentals/{id}/payments/{paymentId}/receipt:
+ *   get:
+ *     summary: Get the receipt of a payment
+ *     description: Receipts are not fiscal documents and are not numbered. Send format=pdf for the PDF version.
+ *     tags: [Rentals]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Rental ID
+ *       - in: path
+ *         name: paymentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Payment ID
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, pdf]
+ *           default: json
+ *     responses:
+ *       200:
+ *         description: Receipt as JSON or application/pdf
+ *       404:
+ *         description: Payment not found
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/:id/payments/:paymentId/receipt', 
+  authenticateToken,
+  requirePermission('payment.view'),
+  param('id').isUUID().withMessage('ID de alquiler inválido'),
+  param('paymentId').isUUID().withMessage('ID de pago inválido'),
+  documentFormatValidation,
+  handleValidationErrors,
+  getPaymentReceipt
+);
+
+/**
+ * @swagger
+ * /api/rentals/{id}/contract:
+ *   get:
+ *     summary: Get the rental contract
+ *     description: Contract with the vehicle, period, branches, booked extras, amounts and every authorised driver. Send format=pdf for the PDF version.
+ *     tags: [Rentals]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Rental ID
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, pdf]
+ *           default: json
+ *     responses:
+ *       200:
+ *         description: Contract as JSON or application/pdf
+ *         content:
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       404:
+ *         description: Rental not found
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/:id/contract', 
+  authenticateToken,
+  requirePermission('rental.view'),
+  param('id').isUUID().withMessage('ID de alquiler inválido'),
+  documentFormatValidation,
+  handleValidationErrors,
+  getRentalContract
+);
+
+/**
+ * @swagger
+ * /api/rentals/{id}/invoice:
+ *   get:
+ *     summary: Get the invoice of a rental
+ *     description: Invoice with its credit notes. Send format=pdf for the PDF version.
+ *     tags: [Rentals]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Rental ID
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, pdf]
+ *           default: json
+ *     responses:
+ *       200:
+ *         description: Invoice as JSON or application/pdf
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Invoice'
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       404:
+ *         description: Rental has no invoice
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/:id/invoice', 
+  authenticateToken,
+  requirePermission('invoice.view'),
+  param('id').isUUID().withMessage('ID de alquiler inválido'),
+  documentFormatValidation,
+  handleValidationErrors,
+  getRentalInvoice
+);
+
+/**
+ * @swagger
+ * /api/rentals/{id}/invoice:
+ *   post:
+ *     summary: Issue the invoice of a completed rental
+ *     description: Completing a rental issues its invoice; this is for completed rentals that have none.
+ *     tags: [Rentals]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Rental ID
+ *     responses:
+ *       201:
+ *         description: Invoice issued
+ *       400:
+ *         description: Rental is not completed
+ *       404:
+ *         description: Rental not found
+ *       409:
+ *         description: Rental already has an invoice
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Insufficient permissions
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/:id/invoice', 
+  authenticateToken,
+  requirePermission('invoice.create'),
+  param('id').isUUID().withMessage('ID de alquiler inválido'),
+  handleValidationErrors,
+  createRentalInvoice
+);
+
+/**
+ * @swagger
+ * /api/rentals/{id}/credit-notes:
+ *   post:
+ *     summary: Issue a credit note against the invoice of a rental
+ *     description: Line amounts are positive and before tax; taxable lines are taxed at the invoice rate. The credited total cannot exceed the invoice total less previous credit notes and is deducted from the rental total; money already paid is returned by recording a refund.
+ *     tags: [Rentals]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Rental ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *               - lines
+ *             properties:
+ *               reason:
+ *                 type: string
+ *               lines:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - description
+ *                     - amount
+ *                   properties:
+ *                     description:
+ *                       type: string
+ *                     amount:
+ *                       type: number
+ *                       minimum: 0.01
+ *                     taxable:
+ *                       type: boolean
+ *                       default: true
+ *     responses:
+ *       201:
+ *         description: Credit note issued
+ *       400:
+ *         description: Invalid data, rental has no invoice or amount exceeds the invoiced balance
+ *       404:
+ *         description: Rental not found
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Insufficient permissions
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/:id/credit-notes', 
+  authenticateToken,
+  requirePermission('invoice.credit_note'),
+  param('id').isUUID().withMessage('ID de alquiler inválido'),
+  body('reason')
+    .trim()
+    .isLength({ min: 1, max: 500 })
+    .withMessage('El motivo es requerido y no puede exceder 500 caracteres'),
+  body('lines')
+    .isArray({ min: 1 })
+    .withMessage('La nota de crédito debe tener al menos una línea'),
+  body('lines.*.description')
+    .trim()
+    .isLength({ min: 1, max: 255 })
+    .withMessage('La descripción es requerida y no puede exceder 255 caracteres'),
+  body('lines.*.amount')
+    .isFloat({ gt: 0 })
+    .withMessage('El monto de la línea debe ser un número mayor a cero'),
+  body('lines.*.taxable')
+    .default(true)
+    .isBoolean()
+    .withMessage('El indicador de impuesto debe ser verdadero o falso')
+    .toBoolean(),
+  handleValidationErrors,
+  createCreditNote
+);
+
+/**
+ * @swagger
+ * /api/rentals/{id}/credit-notes/{creditNoteId}:
+ *   get:
+ *     summary: Get a credit note of a rental
+ *     description: Send format=pdf for the PDF version.
+ *     tags: [Rentals]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Rental ID
+ *       - in: path
+ *         name: creditNoteId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Credit note ID
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, pdf]
+ *           default: json
+ *     responses:
+ *       200:
+ *         description: Credit note as JSON or application/pdf
+ *       404:
+ *         description: Credit note not found
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/:id/credit-notes/:creditNoteId', 
+  authenticateToken,
+  requirePermission('invoice.view'),
+  param('id').isUUID().withMessage('ID de alquiler inválido'),
+  param('creditNoteId').isUUID().withMessage('ID de nota de crédito inválido'),
+  documentFormatValidation,
+  handleValidationErrors,
+  getCreditNote
+);
+
+/**
+ * @swagger
+ * /api/rentals/{id}/inspections:
+ *   get:
+ *     summary: Get the pickup and return inspections of a rental
+ *     description: Each return inspection carries its diff against the pickup inspection of the same vehicle; new_damages lists the new damage of all of them.
+ *     tags: [Rentals]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Rental ID
+ *     responses:
+ *       200:
+ *         description: Inspections and new damage
+ *       404:
+ *         description: Rental not found
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/:id/inspections', 
+  authenticateToken,
+  requirePermission('rental.view'),
+  param('id').isUUID().withMessage('ID de alquiler inválido'),
+  handleValidationErrors,
+  getRentalInspections
+);
+
+/**
+ * @swagger
+ * /api/rentals/{id}/inspections:
+ *   post:
+ *     summary: Record a pickup or return inspection of a rental vehicle
+ *     description: Checklist and damage markers by body panel. Pickup inspections need a confirmed or active rental, return inspections an active one. A return inspection is diffed against the pickup inspection of the same vehicle and flags damage on panels that were undamaged or less damaged at pickup.
+ *     tags: [Rentals]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Rental ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - inspection_type
+ *             properties:
+ *               inspection_type:
+ *                 type: string
+ *                 enum: [pickup, return]
+ *               vehicle_id:
+ *                 type: string
+ *                 format: uuid
+ *                 description: Vehicle inspected, defaults to the current vehicle of the rental; a vehicle swapped out can also be inspected
+ *               mileage:
+ *                 type: integer
+ *                 minimum: 0
+ *               fuel_level:
+ *                 type: string
+ *                 enum: [empty, quarter, half, three_quarters, full]
+ *               checklist:
+ *                 type: object
+ *                 description: Status of each checklist item (tires, lights, windshield, interior, spare_tire, documents)
+ *                 additionalProperties:
+ *                   type: object
+ *                   properties:
+ *                     status:
+ *                       type: string
+ *                       enum: [ok, damaged, missing]
+ *                     notes:
+ *                       type: string
+ *               damages:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - panel
+ *                     - severity
+ *                   properties:
+ *                     panel:
+ *                       type: string
+ *                       enum: [front_bumper, rear_bumper, hood, roof, trunk, front_left_fender, front_right_fender, rear_left_fender, rear_right_fender, front_left_door, front_right_door, rear_left_door, rear_right_door, left_mirror, right_mirror, windshield, rear_window, wheels, undercarriage]
+ *                     severity:
+ *                       type: string
+ *                       enum: [minor, moderate, severe]
+ *                     description:
+ *                       type: string
+ *                     estimated_cost:
+ *                       type: number
+ *                       minimum: 0
+ *                       description: Estimated repair cost, charged at return when the damage is new
+ *               notes:
+ *                 type: string
+ *               inspected_at:
+ *                 type: string
+ *                 format: date-time
+ *     responses:
+ *       201:
+ *         description: Inspection recorded; return inspections include the damage diff
+ *       400:
+ *         description: Invalid data, rental status does not allow the inspection or vehicle not in the rental
+ *       404:
+ *         description: Rental not found
+ *       409:
+ *         description: The vehicle already has an inspection of this type in the rental
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Insufficient permissions
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/:id/inspections', 
+  authenticateToken,
+  requirePermission('rental.inspect'),
+  param('id').isUUID().withMessage('ID de alquiler inválido'),
+  body('inspection_type')
+    .isIn(['pickup', 'return'])
+    .withMessage('Tipo de inspección inválido'),
+  body('vehicle_id')
+    .optional()
+    .isUUID()
+    .withMessage('ID de vehículo inválido'),
+  body('mileage')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('El kilometraje debe ser un número entero positivo'),
+  body('fuel_level')
+    .optional()
+    .isIn(['empty', 'quarter', 'half', 'three_quarters', 'full'])
+    .withMessage('Nivel de combustible inválido'),
+  body('checklist')
+    .optional()
+    .isObject()
+    .withMessage('La lista de revisión debe ser un objeto')
+    .custom(checklist => Object.keys(checklist).every(item => CHECKLIST_ITEMS.includes(item)))
+    .withMessage('Elemento de la lista de revisión inválido'),
+  body('checklist.*.status')
+    .isIn(CHECKLIST_STATUSES)
+    .withMessage('Estado de revisión inválido'),
+  body('checklist.*.notes')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Las notas no pueden exceder 500 caracteres'),
+  body('damages')
+    .optional()
+    .isArray()
+    .withMessage('Los daños deben ser una lista'),
+  body('damages.*.panel')
+    .isIn(Object.keys(BODY_PANELS))
+    .withMessage('Panel inválido'),
+  body('damages.*.severity')
+    .isIn(DAMAGE_SEVERITIES)
+    .withMessage('Severidad inválida'),
+  body('damages.*.description')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('La descripción no puede exceder 500 caracteres'),
+  body('damages.*.estimated_cost')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('El costo estimado debe ser un número positivo'),
+  body('notes')
+    .optional()
+    .isLength({ max: 2000 })
+    .withMessage('Las notas no pueden exceder 2000 caracteres'),
+  body('inspected_at')
+    .optional()
+    .isISO8601()
+    .withMessage('Fecha de inspección inválida'),
+  handleValidationErrors,
+  createRentalInspection
+);
+
+/**
+ * @swagger
+ * /api/rentals/{id}/inspections/{inspectionId}/photos:
+ *   post:
+ *     summary: Upload photos of an inspection
+ *     description: Up to 10 JPEG, PNG or WEBP images per request. Send damage_id to link the photos to a damage marker of the inspection.
+ *     tags: [Rentals]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Rental ID
+ *       - in: path
+ *         name: inspectionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Inspection ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - photos
+ *             properties:
+ *               photos:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   format: binary
+ *               damage_id:
+ *                 type: string
+ *                 format: uuid
+ *     responses:
+ *       201:
+ *         description: Photos stored; returns their metadata and URLs
+ *       400:
+ *         description: No photos, file too large or not an image
+ *       404:
+ *         description: Inspection or damage marker not found
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Insufficient permissions
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/:id/inspections/:inspectionId/photos', 
+  authenticateToken,
+  requirePermission('rental.inspect'),
+  param('id').isUUID().withMessage('ID de alquiler inválido'),
+  param('inspectionId').isUUID().withMessage('ID de inspección inválido'),
+  handleValidationErrors,
+  uploadInspectionPhotos,
+  addRentalInspectionPhotos
 );
 
 module.exports = router;
\ No newline at end of file
@@ -3,12 +3,14 @@
  */
 const express = require('express');
 const router = express.Router();
-const { authenticateToken } = require('../middleware/auth');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
 const {
   getIncomeReports,
   getMaintenanceCostReports,
   getFleetAvailabilityReports,
-  getExecutiveSummary
+  getExecutiveSummary,
+  getDepositLiabilityReport,
+  getProtectionReport
 } = require('../controllers/reportsController');
 
 // Aplicar middleware de autenticación a todas las rutas
@@ -16,44 +18,65 @@ router.use(authenticateToken);
 
 /**
  * @route GET /api/reports/income
- * @desc Obtener reportes de ingresos por alquileres
- * @access Private
+ * @desc Obtener reportes de ingresos por alquileres, incluidos los ingresos por extra
+ * @access Private - permiso report.view_financial
  * @query {string} startDate - Fecha de inicio (YYYY-MM-DD)
  * @query {string} endDate - Fecha de fin (YYYY-MM-DD)
  * @query {string} groupBy - Agrupación: day, week, month, year (default: month)
  * @query {number} vehicleId - ID del vehículo específico (opcional)
+ * @query {string} currency - Moneda del reporte (default: moneda por defecto); los montos se convierten con el tipo de cambio vigente a endDate
  */
-router.get('/income', getIncomeReports);
+router.get('/income', requirePermission('report.view_financial'), getIncomeReports);
 
 /**
  * @route GET /api/reports/maintenance-costs
  * @desc Obtener reportes de costos de mantenimiento
- * @access Private
+ * @access Private - permiso report.view_financial
  * @query {string} startDate - Fecha de inicio (YYYY-MM-DD)
  * @query {string} endDate - Fecha de fin (YYYY-MM-DD)
  * @query {string} groupBy - Agrupación: day, week, month, year (default: month)
  * @query {number} vehicleId - ID del vehículo específico (opcional)
  * @query {string} maintenanceType - Tipo de mantenimiento (opcional)
+ * @query {string} currency - Moneda del reporte (default: moneda por defecto); los montos se convierten con el tipo de cambio vigente a endDate
  */
-router.get('/maintenance-costs', getMaintenanceCostReports);
+router.get('/maintenance-costs', requirePermission('report.view_financial'), getMaintenanceCostReports);
 
 /**
  * @route GET /api/reports/fleet-availability
  * @desc Obtener reportes de disponibilidad de la flota
- * @access Private
+ * @access Private - permiso report.view_operational
  * @query {string} startDate - Fecha de inicio (YYYY-MM-DD)
  * @query {string} endDate - Fecha de fin (YYYY-MM-DD)
  * @query {string} groupBy - Agrupación: day, week, month, year (default: month)
  */
-router.get('/fleet-availability', getFleetAvailabilityReports);
+router.get('/fleet-availability', requirePermission('report.view_operational'), getFleetAvailabilityReports);
 
 /**
  * @route GET /api/reports/executive-summary
  * @desc Obtener resumen ejecutivo de todos los reportes
- * @access Private
+ * @access Private - permiso report.view_financial
  * @query {string} startDate - Fecha de inicio (YYYY-MM-DD)
  * @query {string} endDate - Fecha de fin (YYYY-MM-DD)
+ * @query {string} currency - Moneda del reporte (default: moneda por defecto); los montos se convierten con el tipo de cambio vigente a endDate
  */
-router.get('/executive-summary', getExecutiveSummary);
+router.get('/executive-summary', requirePermission('report.view_financial'), getExecutiveSummary);
+
+/**
+ * @route GET /api/reports/deposit-liability
+ * @desc Obtener el total de depósitos retenidos por sucursal
+ * @access Private - permiso report.view_financial
+ * @query {string} currency - Moneda del reporte (default: moneda por defecto); los montos se convierten con el tipo de cambio vigente a la fecha actual
+ */
+router.get('/deposit-liability', requirePermission('report.view_financial'), getDepositLiabilityReport);
+
+/**
+ * @route GET /api/reports/protection
+ * @desc Obtener la penetración y los ingresos de los planes de protección
+ * @access Private - permiso report.view_financial
+ * @query {string} startDate - Fecha de inicio (YYYY-MM-DD)
+ * @query {string} endDate - Fecha de fin (YYYY-MM-DD)
+ * @query {string} currency - Moneda del reporte (default: moneda por defecto); los montos se convierten con el tipo de cambio vigente a endDate
+ */
+router.get('/protection', requirePermission('report.view_financial'), getProtectionReport);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,295 @@
+const express = require('express');
+const router = express.Router();
+const { body, param } = require('express-validator');
+const { handleValidationErrors } = require('../middleware/validation');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { ALL_PERMISSIONS } = require('../config/permissions');
+const {
+  getPermissions,
+  getRoles,
+  getRoleById,
+  createRole,
+  updateRole,
+  deleteRole
+} = require('../controllers/roleController');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Roles
+ *   description: Roles and the permissions they grant
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Role:
+ *       type: object
+ *       required:
+ *         - name
+ *         - permissions
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *           readOnly: true
+ *         name:
+ *           type: string
+ *           maxLength: 50
+ *           pattern: '^[a-z][a-z0-9_]*$'
+ *           description: Key assigned to users as their role; cannot change
+ *         description:
+ *           type: string
+ *           maxLength: 200
+ *         permissions:
+ *           type: array
+ *           items:
+ *             type: string
+ *           example: [rental.view, rental.create, customer.view]
+ *           description: Permission codes, see /api/roles/permissions
+ *         is_system:
+ *           type: boolean
+ *           readOnly: true
+ *           description: Built-in role (admin, gestor_flota, cliente); cannot be deleted
+ */
+
+const permissionsRule = (field) => body(field)
+  .isArray()
+  .withMessage('Los permisos deben ser una lista')
+  .custom(value => value.every(permission => ALL_PERMISSIONS.includes(permission)))
+  .withMessage('La lista contiene permisos desconocidos');
+
+const roleValidation = [
+  body('name')
+    .isLength({ min: 2, max: 50 })
+    .withMessage('El nombre debe tener entre 2 y 50 caracteres')
+    .matches(/^[a-z][a-z0-9_]*$/)
+    .withMessage('El nombre solo puede contener minúsculas, números y guiones bajos, y debe empezar con una letra'),
+  body('description')
+    .optional()
+    .isLength({ max: 200 })
+    .withMessage('La descripción no puede exceder 200 caracteres'),
+  permissionsRule('permissions')
+];
+
+const updateRoleValidation = [
+  param('id').isUUID().withMessage('ID de rol inválido'),
+  body('description')
+    .optional()
+    .isLength({ max: 200 })
+    .withMessage('La descripción no puede exceder 200 caracteres'),
+  permissionsRule('permissions').optional()
+];
+
+/**
+ * @swagger
+ * /api/roles/permissions:
+ *   get:
+ *     summary: Get the permission catalogue (requires role.manage)
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Every permission code with its description
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Insufficient permissions
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/permissions',
+  authenticateToken,
+  requirePermission('role.manage'),
+  getPermissions
+);
+
+/**
+ * @swagger
+ * /api/roles:
+ *   get:
+ *     summary: Get roles (requires role.manage)
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Roles, system roles first, each with users_count
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Insufficient permissions
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/',
+  authenticateToken,
+  requirePermission('role.manage'),
+  getRoles
+);
+
+/**
+ * @swagger
+ * /api/roles/{id}:
+ *   get:
+ *     summary: Get role by ID (requires role.manage)
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Role retrieved successfully
+ *       404:
+ *         description: Role not found
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Insufficient permissions
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/:id',
+  authenticateToken,
+  requirePermission('role.manage'),
+  param('id').isUUID().withMessage('ID de rol inválido'),
+  handleValidationErrors,
+  getRoleById
+);
+
+/**
+ * @swagger
+ * /api/roles:
+ *   post:
+ *     summary: Create custom role (requires role.manage)
+ *     description: Only permissions the current user holds can be granted.
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Role'
+ *     responses:
+ *       201:
+ *         description: Role created successfully
+ *       400:
+ *         description: Invalid input data
+ *       409:
+ *         description: A role with the name already exists
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Insufficient permissions, or permissions the current user lacks
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/',
+  authenticateToken,
+  requirePermission('role.manage'),
+  roleValidation,
+  handleValidationErrors,
+  createRole
+);
+
+/**
+ * @swagger
+ * /api/roles/{id}:
+ *   put:
+ *     summary: Update the description or permissions of a role (requires role.manage)
+ *     description: The name cannot change and the permissions of admin cannot be edited. Permissions granted or removed must be held by the current user. Users of the role get the new permissions on their next request.
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               description:
+ *                 type: string
+ *               permissions:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: Role updated successfully
+ *       400:
+ *         description: Invalid input data, or the role is admin
+ *       404:
+ *         description: Role not found
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Insufficient permissions, or permissions the current user lacks
+ *       500:
+ *         description: Internal server error
+ */
+router.put('/:id',
+  authenticateToken,
+  requirePermission('role.manage'),
+  updateRoleValidation,
+  handleValidationErrors,
+  updateRole
+);
+
+/**
+ * @swagger
+ * /api/roles/{id}:
+ *   delete:
+ *     summary: Delete custom role (requires role.manage)
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Role deleted successfully
+ *       400:
+ *         description: System roles cannot be deleted
+ *       404:
+ *         description: Role not found
+ *       409:
+ *         description: The role is assigned to users
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Insufficient permissions
+ *       500:
+ *         description: Internal server error
+ */
+router.delete('/:id',
+  authenticateToken,
+  requirePermission('role.manage'),
+  param('id').isUUID().withMessage('ID de rol inválido'),
+  handleValidationErrors,
+  deleteRole
+);
+
+module.exports = router;
@@ -2,8 +2,9 @@ const express = require('express');
 const router = express.Router();
 const { body, param, query } = require('express-validator');
 const { handleValidationErrors } = require('../middleware/validation');
-const { requireRole } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/auth');
 const { authenticateToken } = require('../middleware/auth');
+const { SUPPORTED_CURRENCIES } = require('../utils/money');
 const {
   getVehicles,
   getVehicleById,
@@ -36,6 +37,7 @@ const {
  *         - color
  *         - vehicle_type
  *         - daily_rate
+ *         - current_location_id
  *       properties:
  *         id:
  *           type: string
@@ -73,6 +75,14 @@ const {
  *           type: string
  *           enum: [gasoline, diesel, hybrid, electric]
  *           description: Fuel type
+ *         tank_capacity:
+ *           type: number
+ *           minimum: 0
+ *           description: Fuel tank capacity in litres, used to price refuels
+ *         battery_capacity:
+ *           type: number
+ *           minimum: 0
+ *           description: Usable battery capacity in kWh of electric vehicles, used to price recharges
  *         transmission:
  *           type: string
  *           enum: [manual, automatic]
@@ -86,6 +96,15 @@ const {
  *           type: number
  *           minimum: 0
  *           description: Daily rental rate
+ *         currency:
+ *           type: string
+ *           enum: [CLP, USD, PEN, COP, ARS, MXN, EUR]
+ *           default: CLP
+ *           description: Currency of the daily rate; rentals of the vehicle are priced in it
+ *         current_location_id:
+ *           type: string
+ *           format: uuid
+ *           description: Branch where the vehicle is parked, moved to the return branch of each completed rental
  *         current_mileage:
  *           type: integer
  *           minimum: 0
@@ -93,7 +112,8 @@ const {
  *         status:
  *           type: string
  *           enum: [available, rented, maintenance, inactive]
- *           description: Vehicle status
+ *           readOnly: true
+ *           description: Current vehicle status, derived from active rentals and open maintenances (ignored on create/update)
  *         is_active:
  *           type: boolean
  *           description: Whether vehicle is active
@@ -127,6 +147,14 @@ const vehicleValidation = [
     .optional()
     .isIn(['gasoline', 'diesel', 'hybrid', 'electric'])
     .withMessage('Tipo de combustible inválido'),
+  body('tank_capacity')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('La capacidad del estanque debe ser un número positivo'),
+  body('battery_capacity')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('La capacidad de la batería debe ser un número positivo'),
   body('transmission')
     .optional()
     .isIn(['manual', 'automatic'])
@@ -136,7 +164,14 @@ const vehicleValidation = [
     .withMessage('El número de asientos debe estar entre 2 y 9'),
   body('daily_rate')
     .isFloat({ min: 0 })
-    .withMessage('La tarifa diaria debe ser un número positivo')
+    .withMessage('La tarifa diaria debe ser un número positivo'),
+  body('currency')
+    .optional()
+    .isIn(SUPPORTED_CURRENCIES)
+    .withMessage('Moneda no soportada'),
+  body('current_location_id')
+    .isUUID()
+    .withMessage('La sucursal actual del vehículo es requerida')
 ];
 
 const updateVehicleValidation = [
@@ -172,6 +207,14 @@ const updateVehicleValidation = [
     .optional()
     .isIn(['gasoline', 'diesel', 'hybrid', 'electric'])
     .withMessage('Tipo de combustible inválido'),
+  body('tank_capacity')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('La capacidad del estanque debe ser un número positivo'),
+  body('battery_capacity')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('La capacidad de la batería debe ser un número positivo'),
   body('transmission')
     .optional()
     .isIn(['manual', 'automatic'])
@@ -183,7 +226,15 @@ const updateVehicleValidation = [
   body('daily_rate')
     .optional()
     .isFloat({ min: 0 })
-    .withMessage('La tarifa diaria debe ser un número positivo')
+    .withMessage('La tarifa diaria debe ser un número positivo'),
+  body('currency')
+    .optional()
+    .isIn(SUPPORTED_CURRENCIES)
+    .withMessage('Moneda no soportada'),
+  body('current_location_id')
+    .optional()
+    .isUUID()
+    .withMessage('ID de sucursal inválido')
 ];
 
 /**
@@ -191,6 +242,7 @@ const updateVehicleValidation = [
  * /api/vehicles/available:
  *   get:
  *     summary: Get available vehicles for rental
+ *     description: Returns active vehicles without overlapping reserved, confirmed or active rentals and without open maintenances in the requested window, regardless of their current status.
  *     tags: [Vehicles]
  *     security:
  *       - bearerAuth: []
@@ -215,17 +267,42 @@ const updateVehicleValidation = [
  *           type: string
  *           enum: [sedan, suv, hatchback, pickup, van, coupe]
  *         description: Filter by vehicle type
+ *       - in: query
+ *         name: pickup_location_id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Only vehicles that will be at this branch on the start date
+ *       - in: query
+ *         name: return_location_id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Only vehicles whose next rental, if any, is picked up at this branch (defaults to pickup_location_id)
  *     responses:
  *       200:
  *         description: Available vehicles retrieved successfully
  *       400:
- *         description: Missing required dates
+ *         description: Missing or invalid dates
  *       401:
  *         description: Unauthorized
  *       500:
  *         description: Internal server error
  */
-router.get('/available', authenticateToken, getAvailableVehicles);
+router.get('/available',
+  authenticateToken,
+  requirePermission('vehicle.view'),
+  query('pickup_location_id')
+    .optional()
+    .isUUID()
+    .withMessage('ID de sucursal inválido'),
+  query('return_location_id')
+    .optional()
+    .isUUID()
+    .withMessage('ID de sucursal inválido'),
+  handleValidationErrors,
+  getAvailableVehicles
+);
 
 /**
  * @swagger
@@ -245,7 +322,7 @@ router.get('/available', authenticateToken, getAvailableVehicles);
  *       500:
  *         description: Internal server error
  */
-router.get('/stats', authenticateToken, getVehicleStats);
+router.get('/stats', authenticateToken, requirePermission('vehicle.view'), getVehicleStats);
 
 /**
  * @swagger
@@ -298,7 +375,7 @@ router.get('/stats', authenticateToken, getVehicleStats);
  *       500:
  *         description: Internal server error
  */
-router.get('/', authenticateToken, getVehicles);
+router.get('/', authenticateToken, requirePermission('vehicle.view'), getVehicles);
 
 /**
  * @swagger
@@ -328,6 +405,7 @@ router.get('/', authenticateToken, getVehicles);
  */
 router.get('/:id', 
   authenticateToken,
+  requirePermission('vehicle.view'),
   param('id').isUUID().withMessage('ID de vehículo inválido'),
   handleValidationErrors,
   getVehicleById
@@ -361,7 +439,7 @@ router.get('/:id',
  */
 router.post('/', 
   authenticateToken, 
-  requireRole('admin', 'gestor_flota'),
+  requirePermission('vehicle.create'),
   vehicleValidation,
   handleValidationErrors,
   createVehicle
@@ -405,7 +483,7 @@ router.post('/',
  */
 router.put('/:id', 
   authenticateToken,
-  requireRole('admin', 'gestor_flota'),
+  requirePermission('vehicle.update'),
   param('id').isUUID().withMessage('ID de vehículo inválido'),
   updateVehicleValidation,
   handleValidationErrors,
@@ -457,7 +535,7 @@ router.put('/:id',
  */
 router.patch('/:id/mileage', 
   authenticateToken,
-  requireRole('admin', 'gestor_flota'),
+  requirePermission('vehicle.update'),
   param('id').isUUID().withMessage('ID de vehículo inválido'),
   body('current_mileage')
     .isInt({ min: 0 })
@@ -498,7 +576,7 @@ router.patch('/:id/mileage',
  */
 router.delete('/:id', 
   authenticateToken,
-  requireRole('admin', 'gestor_flota'),
+  requirePermission('vehicle.delete'),
   param('id').isUUID().withMessage('ID de vehículo inválido'),
   handleValidationErrors,
   deleteVehicle
@@ -1,5 +1,6 @@
 const bcrypt = require('bcryptjs');
-const { User } = require('../models');
+const { User, Role, Location, Vehicle, sequelize } = require('../models');
+const { SYSTEM_ROLES, SUPER_ROLE, ALL_PERMISSIONS } = require('../config/permissions');
 
 /**
  * Seeds para usuarios demo del sistema RentAutoPro
@@ -70,12 +71,111 @@ const seedUsers = async () => {
   }
 };
 
+/**
+ * Sucursal principal, creada si no existe ninguna sucursal
+ * Los vehículos sin sucursal quedan en ella para poder reservarse
+ */
+const defaultLocation = {
+  code: 'CASA-MATRIZ',
+  name: 'Casa Matriz',
+  address: 'Dirección por configurar',
+  city: 'Santiago',
+  country: 'CL',
+  timezone: 'America/Santiago',
+  is_active: true
+};
+
+/**
+ * Función para asignar una sucursal a los vehículos que no tienen
+ * Cada vehículo queda en la sucursal de devolución de su último alquiler
+ * completado o, si no tiene, en la primera sucursal activa (creando la
+ * sucursal principal si no hay ninguna)
+ */
+const seedLocations = async () => {
+  try {
+    console.log('🌱 Iniciando seeds de sucursales...');
+
+    const unassigned = await Vehicle.count({ where: { current_location_id: null } });
+    if (unassigned === 0) {
+      console.log('🌱 Todos los vehículos tienen sucursal, omitiendo...');
+      return;
+    }
+
+    let location = await Location.findOne({
+      where: { is_active: true },
+      order: [['created_at', 'ASC']]
+    });
+    if (!location) {
+      location = await Location.create(defaultLocation);
+      console.log(`✅ Sucursal creada: ${location.code}`);
+    }
+
+    // Último lugar conocido: la devolución del último alquiler completado
+    await sequelize.query(`
+      UPDATE vehicles SET current_location_id = last_return.return_location_id
+      FROM (
+        SELECT DISTINCT ON (vehicle_id) vehicle_id, return_location_id
+        FROM rentals
+        WHERE rental_status = 'completed' AND return_location_id IS NOT NULL
+        ORDER BY vehicle_id, end_date DESC
+      ) AS last_return
+      WHERE vehicles.id = last_return.vehicle_id AND vehicles.current_location_id IS NULL
+    `);
+
+    const [assigned] = await Vehicle.update(
+      { current_location_id: location.id },
+      { where: { current_location_id: null } }
+    );
+
+    console.log(`✅ Sucursal asignada a ${unassigned} vehículos (${assigned} en ${location.code})`);
+  } catch (error) {
+    console.error('❌ Error al ejecutar seeds de sucursales:', error);
+    throw error;
+  }
+};
+
+/**
+ * Función para crear los roles del sistema
+ * Los roles existentes conservan sus permisos (los administradores pueden
+ * editarlos), salvo admin, que siempre recibe todos los permisos del catálogo
+ */
+const seedRoles = async () => {
+  try {
+    console.log('🌱 Iniciando seeds de roles...');
+
+    for (const [name, definition] of Object.entries(SYSTEM_ROLES)) {
+      const [role, created] = await Role.findOrCreate({
+        where: { name },
+        defaults: {
+          description: definition.description,
+          permissions: definition.permissions,
+          is_system: true
+        }
+      });
+
+      if (created) {
+        console.log(`✅ Rol creado: ${role.name}`);
+      } else if (name === SUPER_ROLE && [...role.permissions].sort().join() !== [...ALL_PERMISSIONS].sort().join()) {
+        await role.update({ permissions: ALL_PERMISSIONS });
+        console.log(`🔄 Permisos del rol ${role.name} actualizados`);
+      }
+    }
+
+    console.log('🌱 Seeds de roles completados exitosamente');
+  } catch (error) {
+    console.error('❌ Error al ejecutar seeds de roles:', error);
+    throw error;
+  }
+};
+
 /**
  * Función para ejecutar todos los seeds
  */
 const runSeeds = async () => {
   try {
+    await seedRoles();
     await seedUsers();
+    await seedLocations();
     console.log('🎉 Todos los seeds ejecutados correctamente');
   } catch (error) {
     console.error('❌ Error ejecutando seeds:', error);
@@ -84,6 +184,8 @@ const runSeeds = async () => {
 };
 
 module.exports = {
+  seedRoles,
   seedUsers,
+  seedLocations,
   runSeeds
 };
\ No newline at end of file
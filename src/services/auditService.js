@@ -0,0 +1,99 @@
+const AuditLog = require('../models/AuditLog');
+const { getRequestContext } = require('../middleware/requestContext');
+
+/**
+ * Fields never copied into the audit trail
+ */
+const IGNORED_FIELDS = ['created_at', 'updated_at', 'createdAt', 'updatedAt'];
+
+/**
+ * Fields whose values are replaced by a marker in the audit trail
+ */
+const REDACTED_FIELDS = ['password', 'two_factor_secret', 'two_factor_recovery_codes'];
+
+const REDACTED_VALUE = '[REDACTED]';
+
+/**
+ * Normalise a value for JSON storage
+ */
+const serialize = (field, value) => {
+  if (value === undefined) return null;
+  if (REDACTED_FIELDS.includes(field) && value !== null) return REDACTED_VALUE;
+  return value;
+};
+
+/**
+ * Build the { field: { before, after } } diff for an instance
+ */
+const buildChanges = (instance, action) => {
+  const changes = {};
+  const fields = action === 'update' ?
+    (instance.changed() || []) :
+    Object.keys(instance.constructor.rawAttributes);
+
+  for (const field of fields) {
+    if (IGNORED_FIELDS.includes(field)) continue;
+
+    const before = action === 'create' ? null : instance.previous(field);
+    const after = action === 'delete' ? null : instance.get(field);
+
+    if (action === 'update' && JSON.stringify(before) === JSON.stringify(after)) continue;
+
+    changes[field] = {
+      before: serialize(field, before),
+      after: serialize(field, after)
+    };
+  }
+
+  return changes;
+};
+
+/**
+ * Write an audit entry for an instance, inside the caller's transaction
+ */
+const recordAudit = async (entityType, action, instance, options = {}) => {
+  const changes = buildChanges(instance, action);
+  if (action === 'update' && Object.keys(changes).length === 0) return;
+
+  const context = getRequestContext();
+  const actor = context && context.user;
+
+  await AuditLog.create({
+    entity_type: entityType,
+    entity_id: instance.get(instance.constructor.primaryKeyAttribute),
+    action,
+    changes,
+    actor_id: actor ? actor.id : null,
+    actor_email: actor ? actor.email : null,
+    ip_address: context ? context.ip : null,
+    user_agent: context && context.userAgent ? context.userAgent.slice(0, 500) : null
+  }, { transaction: options.transaction });
+};
+
+/**
+ * Attach audit hooks to a model
+ * Bulk updates and destroys are switched to individual hooks so every row is recorded.
+ */
+const registerAuditHooks = (model, entityType) => {
+  model.addHook('afterCreate', 'audit', (instance, options) =>
+    recordAudit(entityType, 'create', instance, options));
+
+  model.addHook('afterUpdate', 'audit', (instance, options) =>
+    recordAudit(entityType, 'update', instance, options));
+
+  model.addHook('afterDestroy', 'audit', (instance, options) =>
+    recordAudit(entityType, 'delete', instance, options));
+
+  model.addHook('beforeBulkUpdate', 'audit', (options) => {
+    options.individualHooks = true;
+  });
+
+  model.addHook('beforeBulkDestroy', 'audit', (options) => {
+    options.individualHooks = true;
+  });
+};
+
+module.exports = {
+  registerAuditHooks,
+  recordAudit
+};
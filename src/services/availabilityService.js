@@ -0,0 +1,258 @@
+const { Op } = require('sequelize');
+const { Rental, Vehicle, Maintenance, sequelize } = require('../models');
+const { BadRequestError, RentalConflictError, MaintenanceConflictError } = require('../utils/errors');
+
+/**
+ * Rental statuses that keep a vehicle booked.
+ * Must match the WHERE clause of the rentals_no_overlap exclusion constraint.
+ */
+const LIVE_RENTAL_STATUSES = ['reserved', 'confirmed', 'active'];
+
+/**
+ * Where clause for rentals whose [start_date, end_date) range overlaps the given one
+ * Uses the same half-open semantics as tstzrange, so back-to-back rentals do not clash
+ */
+const overlapCondition = (startDate, endDate) => ({
+  start_date: { [Op.lt]: endDate },
+  end_date: { [Op.gt]: startDate }
+});
+
+/**
+ * Find live rentals of a vehicle overlapping the given period
+ */
+const findConflictingRentals = async (vehicleId, startDate, endDate, options = {}) => {
+  const { excludeRentalId, transaction } = options;
+
+  const whereClause = {
+    vehicle_id: vehicleId,
+    rental_status: { [Op.in]: LIVE_RENTAL_STATUSES },
+    ...overlapCondition(startDate, endDate)
+  };
+
+  if (excludeRentalId) {
+    whereClause.id = { [Op.ne]: excludeRentalId };
+  }
+
+  return Rental.findAll({
+    where: whereClause,
+    attributes: ['id', 'rental_number', 'start_date', 'end_date', 'rental_status'],
+    order: [['start_date', 'ASC']],
+    transaction
+  });
+};
+
+/**
+ * Maintenance statuses that take a vehicle out of service until completed
+ */
+const OPEN_MAINTENANCE_STATUSES = ['scheduled', 'in_progress', 'overdue'];
+
+/**
+ * Where clause for open maintenances blocking the given period.
+ * Maintenances have no end date: once scheduled they block every window
+ * ending after the scheduled date, until they are completed or cancelled.
+ */
+const blockingMaintenanceCondition = (startDate, endDate) => ({
+  status: { [Op.in]: OPEN_MAINTENANCE_STATUSES },
+  [Op.or]: [
+    { status: 'in_progress' },
+    { scheduled_date: { [Op.lt]: endDate } }
+  ]
+});
+
+/**
+ * Find open maintenances of a vehicle blocking the given period
+ */
+const findBlockingMaintenances = async (vehicleId, startDate, endDate, options = {}) => {
+  const { transaction } = options;
+
+  return Maintenance.findAll({
+    where: {
+      vehicle_id: vehicleId,
+      ...blockingMaintenanceCondition(startDate, endDate)
+    },
+    attributes: ['id', 'maintenance_number', 'scheduled_date', 'status'],
+    order: [['scheduled_date', 'ASC']],
+    transaction
+  });
+};
+
+/**
+ * SQL expression with the branch a vehicle will be at on `date`
+ * That is the return branch of its last live rental ending by then or, when
+ * it has none, its current location. Must be used in queries on Vehicle.
+ */
+const expectedLocationSql = (date) => `COALESCE((
+  SELECT prior_rentals.return_location_id
+  FROM rentals AS prior_rentals
+  WHERE prior_rentals.vehicle_id = "Vehicle"."id"
+    AND prior_rentals.rental_status IN (${LIVE_RENTAL_STATUSES.map(status => sequelize.escape(status)).join(', ')})
+    AND prior_rentals.end_date <= ${sequelize.escape(new Date(date))}
+  ORDER BY prior_rentals.end_date DESC
+  LIMIT 1
+), "Vehicle"."current_location_id")`;
+
+/**
+ * Where condition for vehicles that will be at a branch on `date`
+ */
+const expectedLocationCondition = (locationId, date) =>
+  sequelize.where(sequelize.literal(expectedLocationSql(date)), locationId);
+
+/**
+ * Whether the vehicle will be at a branch on `date`
+ */
+const isVehicleAtLocation = async (vehicleId, locationId, date, options = {}) => {
+  const { transaction } = options;
+
+  const found = await Vehicle.count({
+    where: {
+      id: vehicleId,
+      [Op.and]: [expectedLocationCondition(locationId, date)]
+    },
+    transaction
+  });
+
+  return found > 0;
+};
+
+/**
+ * Throw a bad request error if the vehicle will not be at the pickup branch on the pickup date
+ */
+const assertVehicleAtLocation = async (vehicleId, locationId, date, options = {}) => {
+  if (!(await isVehicleAtLocation(vehicleId, locationId, date, options))) {
+    throw new BadRequestError('El vehículo no estará en la sucursal de retiro en la fecha solicitada');
+  }
+};
+
+/**
+ * SQL expression with the pickup branch of the next live rental of a vehicle
+ * starting at or after `date`, or NULL when it has none. Must be used in
+ * queries on Vehicle.
+ */
+const nextPickupLocationSql = (date) => `(
+  SELECT next_rentals.pickup_location_id
+  FROM rentals AS next_rentals
+  WHERE next_rentals.vehicle_id = "Vehicle"."id"
+    AND next_rentals.rental_status IN (${LIVE_RENTAL_STATUSES.map(status => sequelize.escape(status)).join(', ')})
+    AND next_rentals.start_date >= ${sequelize.escape(new Date(date))}
+  ORDER BY next_rentals.start_date ASC
+  LIMIT 1
+)`;
+
+/**
+ * Where condition for vehicles that can be returned to a branch on `date`
+ * without leaving their next rental at another branch: they have no next
+ * rental, it is picked up there or it was booked before branches existed
+ */
+const returnLocationCondition = (locationId, date) => sequelize.where(
+  sequelize.literal(`COALESCE(${nextPickupLocationSql(date)}, ${sequelize.escape(locationId)})`),
+  locationId
+);
+
+/**
+ * Whether the vehicle can be returned to a branch on `date`
+ */
+const canReturnAtLocation = async (vehicleId, locationId, date, options = {}) => {
+  const { transaction } = options;
+
+  const found = await Vehicle.count({
+    where: {
+      id: vehicleId,
+      [Op.and]: [returnLocationCondition(locationId, date)]
+    },
+    transaction
+  });
+
+  return found > 0;
+};
+
+/**
+ * Throw a bad request error if returning the vehicle to a branch on `date`
+ * would leave its next rental without it at the pickup branch
+ */
+const assertReturnAtLocation = async (vehicleId, locationId, date, options = {}) => {
+  if (!(await canReturnAtLocation(vehicleId, locationId, date, options))) {
+    throw new BadRequestError('El vehículo debe devolverse en la sucursal de retiro de su siguiente alquiler');
+  }
+};
+
+/**
+ * Throw a conflict error if the vehicle is booked or under maintenance in the given period
+ */
+const assertVehicleFree = async (vehicleId, startDate, endDate, options = {}) => {
+  const conflicts = await findConflictingRentals(vehicleId, startDate, endDate, options);
+  if (conflicts.length > 0) {
+    throw new RentalConflictError(conflicts);
+  }
+
+  const maintenances = await findBlockingMaintenances(vehicleId, startDate, endDate, options);
+  if (maintenances.length > 0) {
+    throw new MaintenanceConflictError(maintenances);
+  }
+};
+
+/**
+ * Load a vehicle with a row lock (SELECT ... FOR UPDATE) inside a transaction.
+ * Concurrent bookings of the same vehicle serialise on this lock.
+ */
+const lockVehicle = async (vehicleId, transaction) => {
+  return Vehicle.findByPk(vehicleId, {
+    transaction,
+    lock: transaction.LOCK.UPDATE
+  });
+};
+
+/**
+ * Lock a rental and its vehicle inside a transaction.
+ * The vehicle is always locked before the rental so that lifecycle operations
+ * and new bookings acquire locks in the same order.
+ */
+const lockRentalWithVehicle = async (rentalId, transaction) => {
+  const current = await Rental.findByPk(rentalId, {
+    attributes: ['id', 'vehicle_id'],
+    transaction
+  });
+
+  if (!current) {
+    return { rental: null, vehicle: null };
+  }
+
+  const vehicle = await lockVehicle(current.vehicle_id, transaction);
+  const rental = await Rental.findByPk(rentalId, {
+    transaction,
+    lock: transaction.LOCK.UPDATE
+  });
+
+  return { rental, vehicle };
+};
+
+/**
+ * Translate a violation of the rentals_no_overlap constraint into a RentalConflictError.
+ * Called after the failed transaction rolled back; other errors are returned unchanged.
+ */
+const translateOverlapError = async (error, vehicleId, startDate, endDate, options = {}) => {
+  if (error.name !== 'SequelizeExclusionConstraintError') {
+    return error;
+  }
+
+  const conflicts = await findConflictingRentals(vehicleId, startDate, endDate, options);
+  return new RentalConflictError(conflicts);
+};
+
+module.exports = {
+  LIVE_RENTAL_STATUSES,
+  OPEN_MAINTENANCE_STATUSES,
+  overlapCondition,
+  blockingMaintenanceCondition,
+  findConflictingRentals,
+  findBlockingMaintenances,
+  assertVehicleFree,
+  expectedLocationCondition,
+  isVehicleAtLocation,
+  assertVehicleAtLocation,
+  returnLocationCondition,
+  canReturnAtLocation,
+  assertReturnAtLocation,
+  lockVehicle,
+  lockRentalWithVehicle,
+  translateOverlapError
+};
@@ -0,0 +1,99 @@
+const { Rental, Customer, Vehicle, Location, RentalExtra, Extra, RentalDriver } = require('../models');
+const invoicing = require('../config/invoicing');
+
+/**
+ * Rental contract
+ * The contract is rendered from the current rental on every request: it names
+ * the vehicle, the period, the branches, every authorised driver, the booked
+ * extras, the protection plan and the agreed amounts.
+ */
+
+/**
+ * Driver entry of a contract
+ */
+const contractDriver = (driver, role) => ({
+  role,
+  name: `${driver.first_name} ${driver.last_name}`,
+  document_type: driver.document_type,
+  document_number: driver.document_number,
+  date_of_birth: driver.date_of_birth,
+  driver_license_number: driver.driver_license_number,
+  driver_license_expiry: driver.driver_license_expiry,
+  young_driver: role === 'additional' ? driver.young_driver : undefined
+});
+
+/**
+ * Contract of a rental, or null if the rental does not exist
+ */
+const buildRentalContract = async (rentalId) => {
+  const rental = await Rental.findByPk(rentalId, {
+    include: [
+      { model: Customer, as: 'customer' },
+      { model: Vehicle, as: 'vehicle', attributes: ['id', 'brand', 'model', 'year', 'color', 'license_plate', 'vin'] },
+      { model: Location, as: 'pickupLocation', attributes: ['id', 'code', 'name', 'address', 'city'] },
+      { model: Location, as: 'returnLocation', attributes: ['id', 'code', 'name', 'address', 'city'] },
+      {
+        model: RentalExtra,
+        as: 'extras',
+        required: false,
+        include: [{ model: Extra, as: 'extra', attributes: ['code', 'name'] }]
+      },
+      { model: RentalDriver, as: 'drivers', required: false }
+    ],
+    order: [[{ model: RentalDriver, as: 'drivers' }, 'created_at', 'ASC']]
+  });
+
+  if (!rental) {
+    return null;
+  }
+
+  const customer = rental.customer;
+
+  return {
+    issuer: invoicing.issuer,
+    rental_number: rental.rental_number,
+    rental_status: rental.rental_status,
+    customer: {
+      name: customer.getFullName(),
+      document_type: customer.document_type,
+      document_number: customer.document_number,
+      email: customer.email,
+      phone: customer.phone,
+      address: customer.address
+    },
+    drivers: [
+      contractDriver(customer, 'main'),
+      ...rental.drivers.map(driver => contractDriver(driver, 'additional'))
+    ],
+    vehicle: rental.vehicle,
+    start_date: rental.start_date,
+    end_date: rental.end_date,
+    pickup_location: rental.pickupLocation || { name: rental.pickup_location },
+    return_location: rental.returnLocation || { name: rental.return_location },
+    fuel_policy: rental.fuel_policy,
+    mileage_policy: rental.mileage_policy,
+    protection_plan: rental.protection_plan,
+    extras: rental.extras.map(rentalExtra => ({
+      code: rentalExtra.extra.code,
+      name: rentalExtra.extra.name,
+      quantity: rentalExtra.quantity,
+      pricing_type: rentalExtra.pricing_type,
+      days: rentalExtra.days,
+      unit_price: rentalExtra.unit_price,
+      amount: rentalExtra.amount
+    })),
+    currency: rental.currency,
+    daily_rate: rental.daily_rate,
+    total_days: rental.total_days,
+    subtotal: rental.subtotal,
+    tax_amount: rental.tax_amount,
+    additional_charges: rental.additional_charges,
+    discount_amount: rental.discount_amount,
+    total_amount: rental.total_amount,
+    deposit_amount: rental.deposit_amount
+  };
+};
+
+module.exports = {
+  buildRentalContract
+};
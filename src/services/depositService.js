@@ -0,0 +1,123 @@
+const { Payment } = require('../models');
+const { getLedgerSummary, recordPayment } = require('./paymentService');
+const { BadRequestError } = require('../utils/errors');
+const { toNumber, add, sum, subtract, min, max } = require('../utils/money');
+
+/**
+ * Security deposit lifecycle
+ *
+ *   hold    - at confirmation or pickup, a deposit_hold entry is added to the ledger
+ *   settle  - at return, return charges (damage, fuel, late fees...) are captured
+ *             from the held deposit and whatever is left is released
+ *   release - on cancellation the whole deposit is released (see refundAll)
+ */
+
+/**
+ * Concepts accepted as itemised return charges
+ */
+const RETURN_CHARGE_CONCEPTS = ['damage', 'theft', 'fuel', 'late_fee', 'cleaning', 'other'];
+
+/**
+ * Hold the security deposit of a rental
+ * `amount` defaults to the rental deposit_amount
+ */
+const holdDeposit = async (rental, data, options = {}) => {
+  const { transaction } = options;
+  const amount = toNumber(data.amount !== undefined ? data.amount : rental.deposit_amount);
+
+  const summary = await getLedgerSummary(rental, { transaction });
+  if (summary.deposit_held > 0) {
+    throw new BadRequestError('El depósito ya se encuentra retenido', { deposit_held: summary.deposit_held });
+  }
+
+  if (!(amount > 0)) {
+    throw new BadRequestError('El alquiler no tiene un monto de depósito definido');
+  }
+
+  const payment = await recordPayment(rental, {
+    type: 'deposit_hold',
+    amount,
+    method: data.method || 'card',
+    reference: data.reference
+  }, options);
+
+  await rental.update({
+    deposit_amount: amount,
+    deposit_held_at: new Date()
+  }, { transaction });
+
+  return payment;
+};
+
+/**
+ * Method used to hold the deposit, reused to capture and release it
+ */
+const getDepositMethod = async (rental, options = {}) => {
+  const hold = await Payment.findOne({
+    where: { rental_id: rental.id, type: 'deposit_hold' },
+    order: [['paid_at', 'DESC']],
+    transaction: options.transaction
+  });
+  return hold ? hold.method : 'card';
+};
+
+/**
+ * Settle the deposit at return
+ * Captures the itemised return charges and their tax from the held deposit (up to the amount
+ * held and the rental balance due), releases the rest, and stores the settlement
+ * document on the rental.
+ *
+ * @param {Object} rental - Rental whose total already includes the return charges
+ * @param {Array} items - [{ concept, description, amount }]
+ * @param {Object} options - { taxAmount, user, transaction }; taxAmount is the tax of the items
+ */
+const settleDeposit = async (rental, items, options = {}) => {
+  const { taxAmount = 0, user, transaction } = options;
+
+  const summary = await getLedgerSummary(rental, { transaction });
+  const depositHeld = summary.deposit_held;
+  const totalCharges = add(sum(items.map(item => item.amount)), taxAmount);
+  const captured = max(0, min(depositHeld, totalCharges, summary.balance_due));
+  const released = subtract(depositHeld, captured);
+  const method = await getDepositMethod(rental, { transaction });
+
+  if (captured > 0) {
+    await recordPayment(rental, {
+      type: 'deposit_capture',
+      amount: captured,
+      method,
+      notes: 'Cargos de devolución cubiertos con el depósito'
+    }, options);
+  }
+
+  if (released > 0) {
+    await recordPayment(rental, {
+      type: 'deposit_release',
+      amount: released,
+      method,
+      notes: 'Liberación de depósito en la devolución'
+    }, options);
+  }
+
+  const settlement = {
+    deposit_held: depositHeld,
+    items,
+    tax_amount: toNumber(taxAmount),
+    total_charges: totalCharges,
+    captured,
+    released,
+    outstanding_charges: subtract(totalCharges, captured),
+    settled_at: new Date(),
+    settled_by: user ? user.id : null
+  };
+
+  await rental.update({ deposit_settlement: settlement }, { transaction });
+
+  return settlement;
+};
+
+module.exports = {
+  RETURN_CHARGE_CONCEPTS,
+  holdDeposit,
+  settleDeposit
+};
@@ -0,0 +1,175 @@
+const { Customer, RentalDriver } = require('../models');
+const pricing = require('../config/pricing');
+const { isYoungDriver } = require('./pricingService');
+const { add } = require('../utils/money');
+const { BadRequestError } = require('../utils/errors');
+
+/**
+ * Drivers of a rental
+ * The customer of a rental is its main driver; additional drivers are named
+ * on the rental (RentalDriver) and must meet the same rules.
+ */
+
+/**
+ * Identity and license fields copied into an additional driver
+ */
+const DRIVER_FIELDS = [
+  'first_name',
+  'last_name',
+  'document_type',
+  'document_number',
+  'date_of_birth',
+  'driver_license_number',
+  'driver_license_expiry'
+];
+
+/**
+ * Reasons a driver may not drive a rental
+ * The license must be valid through `endDate` and the driver must be of the
+ * minimum age on `startDate`.
+ *
+ * @param {Object} driver - Customer or RentalDriver
+ * @returns {Array} Messages, empty when the driver is eligible
+ */
+const driverEligibilityErrors = (driver, startDate = new Date(), endDate = startDate) => {
+  const errors = [];
+
+  if (driver.isDriverLicenseExpired(endDate)) {
+    errors.push('Licencia de conducir vencida');
+  }
+
+  if (driver.getAge(startDate) < pricing.drivers.minAge) {
+    errors.push(`Conductor menor de ${pricing.drivers.minAge} años`);
+  }
+
+  return errors;
+};
+
+/**
+ * Build the additional drivers of a booking, checking their eligibility
+ * Each item names an existing customer ({ customer_id }) or carries the
+ * driver identity and license data.
+ *
+ * @param {Array} items - Drivers requested
+ * @param {Object} booking - { customer, start_date, end_date } of the rental
+ * @param {Object} options - existingDrivers already on the rental, transaction
+ * @returns {Array} Unsaved RentalDriver instances, young_driver set
+ */
+const buildRentalDrivers = async (items = [], booking, options = {}) => {
+  const { existingDrivers = [], transaction } = options;
+  const drivers = [];
+
+  for (const item of items) {
+    let data = item;
+
+    if (item.customer_id) {
+      if (booking.customer && item.customer_id === booking.customer.id) {
+        throw new BadRequestError('El cliente del alquiler ya es su conductor principal');
+      }
+
+      const customer = await Customer.findByPk(item.customer_id, { transaction });
+      if (!customer || !customer.is_active) {
+        throw new BadRequestError('Conductor adicional no encontrado o inactivo', { customer_id: item.customer_id });
+      }
+      data = customer;
+    }
+
+    const driver = RentalDriver.build({
+      customer_id: item.customer_id || null,
+      ...Object.fromEntries(DRIVER_FIELDS.map(field => [field, data[field]]))
+    });
+
+    const errors = driverEligibilityErrors(driver, booking.start_date, booking.end_date);
+    if (errors.length > 0) {
+      throw new BadRequestError('Conductor adicional no habilitado', {
+        driver: driver.getFullName(),
+        errors
+      });
+    }
+
+    const licenses = [booking.customer, ...existingDrivers, ...drivers]
+      .filter(Boolean)
+      .map(other => other.driver_license_number);
+    if (licenses.includes(driver.driver_license_number)) {
+      throw new BadRequestError('El conductor ya está autorizado en el alquiler', {
+        driver_license_number: driver.driver_license_number
+      });
+    }
+
+    driver.young_driver = isYoungDriver(driver, booking.start_date);
+    drivers.push(driver);
+  }
+
+  return drivers;
+};
+
+/**
+ * Store the additional drivers of a rental with their priced lines
+ *
+ * @param {Array} drivers - From buildRentalDrivers
+ * @param {Array} lines - Driver lines of the quote, in the same order
+ */
+const saveRentalDrivers = async (rental, drivers, lines, options = {}) => {
+  const { user, transaction } = options;
+
+  for (const [index, driver] of drivers.entries()) {
+    driver.set({
+      rental_id: rental.id,
+      days: lines[index].days,
+      daily_fee: lines[index].daily_fee,
+      amount: lines[index].amount,
+      created_by: user ? user.id : null
+    });
+    await driver.save({ transaction });
+  }
+
+  return drivers;
+};
+
+/**
+ * Throw if an additional driver's license expires before `endDate`
+ */
+const assertDriverLicensesValid = async (rental, endDate, options = {}) => {
+  const { transaction } = options;
+
+  const drivers = await RentalDriver.findAll({
+    where: { rental_id: rental.id },
+    transaction
+  });
+
+  const expired = drivers.find(driver => driver.isDriverLicenseExpired(endDate));
+  if (expired) {
+    throw new BadRequestError('La licencia de conducir de un conductor adicional vence antes de la nueva fecha de fin', {
+      driver: expired.getFullName(),
+      driver_license_expiry: expired.driver_license_expiry
+    });
+  }
+};
+
+/**
+ * Add the driver lines of an extension to the additional drivers
+ */
+const extendRentalDrivers = async (rental, lines, options = {}) => {
+  const { transaction } = options;
+
+  for (const line of lines) {
+    const driver = await RentalDriver.findOne({
+      where: { rental_id: rental.id, driver_license_number: line.driver_license_number },
+      transaction
+    });
+    if (driver) {
+      await driver.update({
+        days: driver.days + line.days,
+        amount: add(driver.amount, line.amount)
+      }, { transaction });
+    }
+  }
+};
+
+module.exports = {
+  driverEligibilityErrors,
+  buildRentalDrivers,
+  saveRentalDrivers,
+  assertDriverLicensesValid,
+  extendRentalDrivers
+};
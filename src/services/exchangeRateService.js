@@ -0,0 +1,116 @@
+const { Op } = require('sequelize');
+const { ExchangeRate } = require('../models');
+const { multiply, divide, add } = require('../utils/money');
+const { ExchangeRateNotFoundError } = require('../utils/errors');
+
+/**
+ * Currency conversion with the stored exchange rate table
+ * A pair can be converted in either direction: A -> B uses the A/B rate or,
+ * when only B/A is stored, divides by it. The rate applied is the latest one
+ * whose effective_date is on or before the conversion date.
+ */
+
+/**
+ * YYYY-MM-DD of a date
+ */
+const toDateOnly = (date) => new Date(date || new Date()).toISOString().slice(0, 10);
+
+/**
+ * Latest stored rate for a pair effective on a date, or null
+ */
+const findEffectiveRate = (base, quote, date, options = {}) => ExchangeRate.findOne({
+  where: {
+    base_currency: base,
+    quote_currency: quote,
+    effective_date: { [Op.lte]: date }
+  },
+  order: [['effective_date', 'DESC']],
+  transaction: options.transaction
+});
+
+/**
+ * Rate to convert `from` into `to` on a date
+ * Returns { rate, inverse } where inverse means the amount is divided by rate
+ */
+const getRate = async (from, to, date, options = {}) => {
+  if (from === to) {
+    return { rate: 1, inverse: false, effective_date: null };
+  }
+
+  const day = toDateOnly(date);
+
+  const direct = await findEffectiveRate(from, to, day, options);
+  if (direct) {
+    return { rate: direct.rate, inverse: false, effective_date: direct.effective_date };
+  }
+
+  const reverse = await findEffectiveRate(to, from, day, options);
+  if (reverse) {
+    return { rate: reverse.rate, inverse: true, effective_date: reverse.effective_date };
+  }
+
+  throw new ExchangeRateNotFoundError(from, to, day);
+};
+
+/**
+ * Apply a rate returned by getRate to an amount
+ */
+const applyRate = (amount, { rate, inverse }) => (inverse ? divide(amount, rate) : multiply(amount, rate));
+
+/**
+ * Convert an amount between currencies at the rate effective on `date`
+ */
+const convert = async (amount, from, to, date, options = {}) =>
+  applyRate(amount, await getRate(from, to, date, options));
+
+/**
+ * Converter into a target currency at a fixed date
+ * Rates are looked up once per source currency. `rates_used` lists the
+ * conversions applied, to be returned alongside converted reports.
+ */
+const createConverter = (to, date, options = {}) => {
+  const rates = new Map();
+
+  const rateFor = async (from) => {
+    if (!rates.has(from)) {
+      rates.set(from, await getRate(from, to, date, options));
+    }
+    return rates.get(from);
+  };
+
+  return {
+    currency: to,
+    date: toDateOnly(date),
+
+    convert: async (amount, from) => applyRate(amount, await rateFor(from)),
+
+    /**
+     * Sum amounts given in several currencies: [{ amount, currency }]
+     */
+    sum: async (amounts) => {
+      const converted = [];
+      for (const { amount, currency } of amounts) {
+        converted.push(applyRate(amount, await rateFor(currency)));
+      }
+      return add(...converted);
+    },
+
+    ratesUsed: () => Array.from(rates.entries())
+      .filter(([from]) => from !== to)
+      .map(([from, { rate, inverse, effective_date }]) => ({
+        from,
+        to,
+        rate,
+        // true when the stored rate is to -> from and amounts were divided by it
+        inverse,
+        effective_date
+      }))
+  };
+};
+
+module.exports = {
+  getRate,
+  applyRate,
+  convert,
+  createConverter
+};
@@ -0,0 +1,206 @@
+const { Op } = require('sequelize');
+const { Extra, ExtraStock, RentalExtra, Rental } = require('../models');
+const { LIVE_RENTAL_STATUSES } = require('./availabilityService');
+const { add } = require('../utils/money');
+const { BadRequestError, ConflictError } = require('../utils/errors');
+
+/**
+ * Extras booked with rentals
+ * Stock tracked extras are taken from the pickup branch for the whole rental
+ * period, whatever their pricing type; a branch can hand out at most its
+ * stock at any moment.
+ */
+
+/**
+ * Load the catalogue extras of a booking request
+ * Repeated extras are merged; every extra must be active and within its
+ * per-rental quantity limit.
+ *
+ * @param {Array} items - [{ extra_id, quantity }]
+ * @returns {Array} [{ extra, quantity }]
+ */
+const loadExtraSelections = async (items = [], options = {}) => {
+  const { transaction } = options;
+
+  const quantities = new Map();
+  for (const item of items) {
+    quantities.set(item.extra_id, (quantities.get(item.extra_id) || 0) + (parseInt(item.quantity) || 1));
+  }
+  if (quantities.size === 0) {
+    return [];
+  }
+
+  const extras = await Extra.findAll({
+    where: { id: { [Op.in]: Array.from(quantities.keys()) }, is_active: true },
+    transaction
+  });
+
+  return Array.from(quantities.entries()).map(([extraId, quantity]) => {
+    const extra = extras.find(candidate => candidate.id === extraId);
+    if (!extra) {
+      throw new BadRequestError('Extra no encontrado o inactivo', { extra_id: extraId });
+    }
+    if (quantity > extra.max_quantity) {
+      throw new BadRequestError(`Se pueden reservar como máximo ${extra.max_quantity} unidad(es) de ${extra.name}`, {
+        extra_id: extraId
+      });
+    }
+
+    return { extra, quantity };
+  });
+};
+
+/**
+ * Most units of an extra out at the same time among the given bookings
+ */
+const peakQuantity = (bookings) => {
+  const events = bookings.flatMap(booking => [
+    { at: new Date(booking.start_date).getTime(), change: booking.quantity },
+    { at: new Date(booking.end_date).getTime(), change: -booking.quantity }
+  ]);
+  // Half-open periods: a unit returned at a time can go out again at that time
+  events.sort((a, b) => a.at - b.at || a.change - b.change);
+
+  let current = 0;
+  let peak = 0;
+  for (const event of events) {
+    current += event.change;
+    peak = Math.max(peak, current);
+  }
+
+  return peak;
+};
+
+/**
+ * Stock tracked extras a branch cannot supply for a period
+ *
+ * @param {Array} selections - [{ extra, quantity }]
+ * @param {string} locationId - Pickup branch
+ * @param {Object} options - excludeRentalId, transaction and lock (lock the
+ *                           stock rows, to serialise concurrent bookings)
+ * @returns {Array} [{ extra_id, code, name, requested, available }]
+ */
+const findExtraShortages = async (selections, locationId, startDate, endDate, options = {}) => {
+  const { excludeRentalId, transaction, lock = false } = options;
+  const shortages = [];
+
+  for (const { extra, quantity } of selections.filter(selection => selection.extra.track_stock)) {
+    const stock = await ExtraStock.findOne({
+      where: { extra_id: extra.id, location_id: locationId },
+      transaction,
+      ...(lock && { lock: transaction.LOCK.UPDATE })
+    });
+
+    const rentalWhere = {
+      pickup_location_id: locationId,
+      rental_status: { [Op.in]: LIVE_RENTAL_STATUSES },
+      start_date: { [Op.lt]: endDate },
+      end_date: { [Op.gt]: startDate }
+    };
+    if (excludeRentalId) {
+      rentalWhere.id = { [Op.ne]: excludeRentalId };
+    }
+
+    const booked = await RentalExtra.findAll({
+      where: { extra_id: extra.id },
+      include: [{
+        model: Rental,
+        as: 'rental',
+        attributes: ['start_date', 'end_date'],
+        where: rentalWhere
+      }],
+      transaction
+    });
+
+    const available = Math.max(0, (stock ? stock.quantity : 0) - peakQuantity(booked.map(rentalExtra => ({
+      start_date: rentalExtra.rental.start_date,
+      end_date: rentalExtra.rental.end_date,
+      quantity: rentalExtra.quantity
+    }))));
+
+    if (quantity > available) {
+      shortages.push({
+        extra_id: extra.id,
+        code: extra.code,
+        name: extra.name,
+        requested: quantity,
+        available
+      });
+    }
+  }
+
+  return shortages;
+};
+
+/**
+ * Throw a ConflictError if the pickup branch cannot supply the extras
+ * Locks the stock rows: must run in the transaction that books the extras.
+ */
+const assertExtrasInStock = async (selections, locationId, startDate, endDate, options = {}) => {
+  const shortages = await findExtraShortages(selections, locationId, startDate, endDate, { ...options, lock: true });
+  if (shortages.length > 0) {
+    throw new ConflictError('No hay stock suficiente de extras en la sucursal de retiro', { extras: shortages });
+  }
+};
+
+/**
+ * Store the extra lines of a rental quote
+ */
+const saveRentalExtras = async (rental, lines, options = {}) => {
+  const { transaction } = options;
+
+  return RentalExtra.bulkCreate(lines.map(line => ({
+    rental_id: rental.id,
+    extra_id: line.extra_id,
+    quantity: line.quantity,
+    pricing_type: line.pricing_type,
+    days: line.days,
+    unit_price: line.unit_price,
+    amount: line.amount,
+    taxable: line.taxable
+  })), { transaction, individualHooks: true });
+};
+
+/**
+ * Extras booked with a rental, as selections for a stock check
+ */
+const findRentalExtraSelections = async (rental, options = {}) => {
+  const { transaction } = options;
+
+  const rentalExtras = await RentalExtra.findAll({
+    where: { rental_id: rental.id },
+    include: [{ model: Extra, as: 'extra' }],
+    transaction
+  });
+
+  return rentalExtras.map(rentalExtra => ({ extra: rentalExtra.extra, quantity: rentalExtra.quantity }));
+};
+
+/**
+ * Add the extra lines of an extension to the booked per-day extras
+ */
+const extendRentalExtras = async (rental, lines, options = {}) => {
+  const { transaction } = options;
+
+  for (const line of lines) {
+    const rentalExtra = await RentalExtra.findOne({
+      where: { rental_id: rental.id, extra_id: line.extra_id },
+      transaction
+    });
+    if (rentalExtra) {
+      await rentalExtra.update({
+        days: rentalExtra.days + line.days,
+        amount: add(rentalExtra.amount, line.amount)
+      }, { transaction });
+    }
+  }
+};
+
+module.exports = {
+  loadExtraSelections,
+  findExtraShortages,
+  assertExtrasInStock,
+  saveRentalExtras,
+  findRentalExtraSelections,
+  extendRentalExtras
+};
@@ -0,0 +1,51 @@
+const { RentalVehicleSegment, Vehicle } = require('../models');
+const { energyLevel, calculateRefuelCharge } = require('./pricingService');
+const { DEFAULT_CURRENCY } = require('../utils/money');
+
+/**
+ * Refuel and recharge charges of a rental at return
+ * Each vehicle the rental used is charged for the fuel or charge missing
+ * between its pickup and its return; for the vehicle being returned the
+ * return levels are the ones given. Every charge is its own return item.
+ *
+ * @param {Object} rental - Rental being completed
+ * @param {Object} vehicle - Vehicle being returned
+ * @param {Object} returnLevels - { fuel_level_return, battery_level_return }
+ * @returns {Array} Return items of concept fuel, with the refuel detail
+ */
+const refuelCharges = async (rental, vehicle, returnLevels, options = {}) => {
+  const { transaction } = options;
+
+  const segments = await RentalVehicleSegment.findAll({
+    where: { rental_id: rental.id },
+    include: [{ model: Vehicle, as: 'vehicle' }],
+    order: [['sequence', 'ASC']],
+    transaction
+  });
+
+  // Rentals that were never swapped used one vehicle from pickup to return
+  const legs = segments.length > 0 ?
+    segments.map(segment => ({
+      vehicle: segment.end_at ? segment.vehicle : vehicle,
+      pickup: segment,
+      return: segment.end_at ? segment : returnLevels
+    })) :
+    [{ vehicle, pickup: rental, return: returnLevels }];
+
+  return legs
+    .map(leg => calculateRefuelCharge(rental.fuel_policy, leg.vehicle, {
+      pickup: energyLevel(leg.vehicle, leg.pickup.fuel_level_pickup, leg.pickup.battery_level_pickup),
+      return: energyLevel(leg.vehicle, leg.return.fuel_level_return, leg.return.battery_level_return)
+    }, rental.currency || DEFAULT_CURRENCY))
+    .filter(Boolean)
+    .map(refuel => ({
+      concept: 'fuel',
+      description: refuel.description,
+      amount: refuel.amount,
+      refuel
+    }));
+};
+
+module.exports = {
+  refuelCharges
+};
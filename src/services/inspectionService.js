@@ -0,0 +1,284 @@
+const crypto = require('crypto');
+const { VehicleInspection, RentalVehicleSegment, Maintenance } = require('../models');
+const { toNumber } = require('../utils/money');
+const { BadRequestError, ConflictError, NotFoundError } = require('../utils/errors');
+
+/**
+ * Checklist items reviewed in every inspection
+ */
+const CHECKLIST_ITEMS = ['tires', 'lights', 'windshield', 'interior', 'spare_tire', 'documents'];
+
+const CHECKLIST_STATUSES = ['ok', 'damaged', 'missing'];
+
+/**
+ * Body panels damage can be marked on, with their printable label
+ */
+const BODY_PANELS = {
+  front_bumper: 'parachoques delantero',
+  rear_bumper: 'parachoques trasero',
+  hood: 'capó',
+  roof: 'techo',
+  trunk: 'maletero',
+  front_left_fender: 'tapabarro delantero izquierdo',
+  front_right_fender: 'tapabarro delantero derecho',
+  rear_left_fender: 'tapabarro trasero izquierdo',
+  rear_right_fender: 'tapabarro trasero derecho',
+  front_left_door: 'puerta delantera izquierda',
+  front_right_door: 'puerta delantera derecha',
+  rear_left_door: 'puerta trasera izquierda',
+  rear_right_door: 'puerta trasera derecha',
+  left_mirror: 'espejo izquierdo',
+  right_mirror: 'espejo derecho',
+  windshield: 'parabrisas',
+  rear_window: 'luneta trasera',
+  wheels: 'llantas',
+  undercarriage: 'bajos'
+};
+
+/**
+ * Damage severities, from least to most severe
+ */
+const DAMAGE_SEVERITIES = ['minor', 'moderate', 'severe'];
+
+const SEVERITY_LABELS = {
+  minor: 'leve',
+  moderate: 'moderado',
+  severe: 'grave'
+};
+
+/**
+ * Vehicles used by a rental: the current one and those swapped out
+ */
+const rentalVehicleIds = async (rental, transaction) => {
+  const segments = await RentalVehicleSegment.findAll({
+    where: { rental_id: rental.id },
+    attributes: ['vehicle_id'],
+    transaction
+  });
+
+  return [...new Set([rental.vehicle_id, ...segments.map(segment => segment.vehicle_id)])];
+};
+
+/**
+ * Compare a return inspection against the pickup one
+ * A return damage is new when its panel had no damage at pickup or had only
+ * less severe damage (worsened). A checklist item regresses when it was ok
+ * or not checked at pickup and is damaged or missing at return.
+ */
+const diffInspections = (pickup, returnInspection) => {
+  const severityRank = (damage) => DAMAGE_SEVERITIES.indexOf(damage.severity);
+
+  const newDamages = returnInspection.damages
+    .map(damage => {
+      const previous = pickup.damages.filter(item => item.panel === damage.panel);
+      if (previous.length === 0) {
+        return { ...damage, worsened: false };
+      }
+      const previousRank = Math.max(...previous.map(severityRank));
+      return severityRank(damage) > previousRank ? { ...damage, worsened: true } : null;
+    })
+    .filter(Boolean);
+
+  const checklistRegressions = Object.entries(returnInspection.checklist)
+    .filter(([item, check]) => {
+      const previous = pickup.checklist[item];
+      return check.status !== 'ok' && (!previous || previous.status === 'ok');
+    })
+    .map(([item, check]) => ({
+      item,
+      pickup_status: pickup.checklist[item] ? pickup.checklist[item].status : null,
+      return_status: check.status,
+      notes: check.notes || null
+    }));
+
+  return {
+    pickup_inspection_id: pickup.id,
+    new_damages: newDamages,
+    checklist_regressions: checklistRegressions
+  };
+};
+
+/**
+ * Record the pickup or return inspection of a rental vehicle
+ * Pickup inspections are recorded on confirmed or active rentals, return
+ * inspections on active rentals. A return inspection is diffed against the
+ * pickup inspection of the same vehicle, when there is one.
+ *
+ * @param {Object} rental - Rental being inspected
+ * @param {Object} data - { inspection_type, vehicle_id, mileage, fuel_level,
+ *                          checklist, damages, notes, inspected_at }
+ */
+const createInspection = async (rental, data, options = {}) => {
+  const { user, transaction } = options;
+  const inspectionType = data.inspection_type;
+
+  const allowedStatuses = inspectionType === 'pickup' ? ['confirmed', 'active'] : ['active'];
+  if (!allowedStatuses.includes(rental.rental_status)) {
+    throw new BadRequestError(inspectionType === 'pickup' ?
+      'La inspección de retiro requiere un alquiler confirmado o activo' :
+      'La inspección de devolución requiere un alquiler activo');
+  }
+
+  const vehicleId = data.vehicle_id || rental.vehicle_id;
+  const vehicleIds = await rentalVehicleIds(rental, transaction);
+  if (!vehicleIds.includes(vehicleId)) {
+    throw new BadRequestError('El vehículo no pertenece al alquiler');
+  }
+
+  const existing = await VehicleInspection.findOne({
+    where: { rental_id: rental.id, vehicle_id: vehicleId, inspection_type: inspectionType },
+    attributes: ['id'],
+    transaction
+  });
+  if (existing) {
+    throw new ConflictError('El vehículo ya tiene una inspección de este tipo en el alquiler', {
+      inspection_id: existing.id
+    });
+  }
+
+  const inspection = VehicleInspection.build({
+    rental_id: rental.id,
+    vehicle_id: vehicleId,
+    inspection_type: inspectionType,
+    mileage: data.mileage,
+    fuel_level: data.fuel_level,
+    checklist: data.checklist || {},
+    damages: (data.damages || []).map(damage => ({
+      id: crypto.randomUUID(),
+      panel: damage.panel,
+      severity: damage.severity,
+      description: damage.description || null,
+      estimated_cost: damage.estimated_cost !== undefined ? toNumber(damage.estimated_cost) : null
+    })),
+    notes: data.notes,
+    inspected_at: data.inspected_at || new Date(),
+    inspected_by: user ? user.id : null
+  });
+
+  if (inspectionType === 'return') {
+    const pickup = await VehicleInspection.findOne({
+      where: { rental_id: rental.id, vehicle_id: vehicleId, inspection_type: 'pickup' },
+      transaction
+    });
+    // Without a pickup inspection there is no baseline to flag new damage
+    inspection.damage_diff = pickup ? diffInspections(pickup, inspection) : null;
+  }
+
+  return inspection.save({ transaction });
+};
+
+/**
+ * Attach uploaded photos to an inspection
+ *
+ * @param {Object} inspection - Inspection the photos belong to
+ * @param {Array} files - Files stored by the upload middleware
+ * @param {Object} data - { damage_id } damage marker the photos show, if any
+ */
+const addInspectionPhotos = async (inspection, files, data, options = {}) => {
+  const { user, transaction } = options;
+
+  if (data.damage_id && !inspection.damages.some(damage => damage.id === data.damage_id)) {
+    throw new NotFoundError('Daño no encontrado en la inspección');
+  }
+
+  const photos = files.map(file => ({
+    id: crypto.randomUUID(),
+    url: `/uploads/inspections/${file.filename}`,
+    original_name: file.originalname,
+    mimetype: file.mimetype,
+    size: file.size,
+    damage_id: data.damage_id || null,
+    uploaded_by: user ? user.id : null,
+    uploaded_at: new Date()
+  }));
+
+  await inspection.update({ photos: [...inspection.photos, ...photos] }, { transaction });
+
+  return photos;
+};
+
+/**
+ * New damage flagged by the return inspections of a rental
+ */
+const findNewDamages = async (rental, options = {}) => {
+  const { transaction } = options;
+
+  const inspections = await VehicleInspection.findAll({
+    where: { rental_id: rental.id, inspection_type: 'return' },
+    transaction
+  });
+
+  return inspections.flatMap(inspection => (
+    inspection.damage_diff ?
+      inspection.damage_diff.new_damages.map(damage => ({
+        ...damage,
+        inspection_id: inspection.id,
+        vehicle_id: inspection.vehicle_id
+      })) :
+      []
+  ));
+};
+
+/**
+ * Printable description of a damage marker
+ */
+const describeDamage = (damage) => {
+  const parts = [`Daño ${SEVERITY_LABELS[damage.severity]} en ${BODY_PANELS[damage.panel]}`];
+  if (damage.description) parts.push(damage.description);
+  return parts.join(' - ');
+};
+
+/**
+ * Return charges for new damage, at their estimated repair cost
+ */
+const newDamageCharges = (newDamages) => {
+  const unpriced = newDamages.filter(damage => damage.estimated_cost === null || damage.estimated_cost === undefined);
+  if (unpriced.length > 0) {
+    throw new BadRequestError('Los daños nuevos deben tener un costo estimado para cobrarse', {
+      unpriced_damages: unpriced.map(damage => damage.id)
+    });
+  }
+
+  return newDamages.map(damage => ({
+    concept: 'damage',
+    description: describeDamage(damage),
+    amount: toNumber(damage.estimated_cost),
+    damage_id: damage.id
+  }));
+};
+
+/**
+ * Open a corrective maintenance to repair new damage of a vehicle
+ *
+ * @param {Object} rental - Rental the damage was found in
+ * @param {Object} vehicle - Damaged vehicle
+ * @param {Array} damages - New damage of the vehicle
+ * @param {Object} data - { title, description, priority, scheduled_date, mileage }
+ */
+const openDamageMaintenance = async (rental, vehicle, damages, data, options = {}) => {
+  const { user, transaction } = options;
+
+  return Maintenance.create({
+    vehicle_id: vehicle.id,
+    maintenance_type: 'corrective',
+    title: data.title || `Reparación de daños del alquiler ${rental.rental_number}`,
+    description: data.description || damages.map(describeDamage).join('\n'),
+    scheduled_date: data.scheduled_date || new Date(),
+    mileage_at_maintenance: data.mileage,
+    priority: data.priority || 'high',
+    currency: vehicle.currency,
+    created_by: user ? user.id : null
+  }, { transaction });
+};
+
+module.exports = {
+  CHECKLIST_ITEMS,
+  CHECKLIST_STATUSES,
+  BODY_PANELS,
+  DAMAGE_SEVERITIES,
+  createInspection,
+  addInspectionPhotos,
+  findNewDamages,
+  newDamageCharges,
+  openDamageMaintenance
+};
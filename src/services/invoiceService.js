@@ -0,0 +1,378 @@
+const { Invoice, InvoiceSeries, Customer, Vehicle } = require('../models');
+const invoicing = require('../config/invoicing');
+const { refreshPaymentStatus } = require('./paymentService');
+const { DEFAULT_CURRENCY, toNumber, add, sum, subtract, multiply, compare } = require('../utils/money');
+const { BadRequestError, ConflictError } = require('../utils/errors');
+
+/**
+ * Invoicing
+ * A completed rental gets exactly one invoice, issued with the completion.
+ * Adjustments after that are credit notes against the invoice; they lower
+ * the rental total so the ledger balance reflects the credited amount.
+ */
+
+/**
+ * Printable label of each line concept
+ */
+const CONCEPT_LABELS = {
+  rental: 'Alquiler',
+  extension: 'Extensión',
+  vehicle_swap: 'Cambio de vehículo',
+  additional_charges: 'Cargos adicionales',
+  one_way_fee: 'Devolución en otra sucursal',
+  prepaid_fuel: 'Combustible prepagado',
+  extra: 'Extra',
+  additional_driver: 'Conductor adicional',
+  protection: 'Protección',
+  excess_mileage: 'Kilometraje excedido',
+  late_fee: 'Cargo por atraso',
+  damage: 'Daños',
+  theft: 'Robo',
+  fuel: 'Combustible',
+  cleaning: 'Limpieza',
+  other: 'Otros cargos',
+  discount: 'Descuento',
+  adjustment: 'Ajuste'
+};
+
+/**
+ * Document number of a series and number, e.g. F-000123
+ */
+const formatInvoiceNumber = (series, number) =>
+  `${series}-${String(number).padStart(invoicing.numberPadding, '0')}`;
+
+/**
+ * Take the next number of a series
+ * Must run in the transaction that inserts the document (see InvoiceSeries).
+ */
+const nextNumber = async (code, transaction) => {
+  await InvoiceSeries.findOrCreate({
+    where: { code },
+    defaults: { last_number: 0 },
+    transaction
+  });
+
+  const series = await InvoiceSeries.findByPk(code, {
+    lock: transaction.LOCK.UPDATE,
+    transaction
+  });
+
+  const number = series.last_number + 1;
+  await series.update({ last_number: number }, { transaction });
+
+  return number;
+};
+
+/**
+ * Line of a document
+ */
+const buildLine = (concept, description, quantity, unitPrice, amount) => ({
+  concept,
+  description: description || CONCEPT_LABELS[concept],
+  quantity,
+  unit_price: toNumber(unitPrice),
+  amount: toNumber(amount)
+});
+
+/**
+ * Line of an extra booked with the rental or added by an extension
+ * Per-day extras are billed as units x days at the daily price.
+ */
+const buildExtraLine = (extra) => {
+  const description = extra.pricing_type === 'per_day' ?
+    `${extra.name} (${extra.quantity} x ${extra.days} día(s))` :
+    extra.name;
+  return buildLine('extra', description, extra.quantity * extra.days, extra.unit_price, extra.amount);
+};
+
+/**
+ * Line of an additional driver, booked or added by an extension
+ */
+const buildDriverLine = (driver) => {
+  const youngDriver = driver.young_driver ? ', conductor joven' : '';
+  const description = `${CONCEPT_LABELS.additional_driver} - ${driver.name} (${driver.days} día(s)${youngDriver})`;
+  return buildLine('additional_driver', description, driver.days, driver.daily_fee, driver.amount);
+};
+
+/**
+ * Line of the protection plan, booked or added by an extension
+ */
+const buildProtectionLine = (protection) => {
+  const description = `${CONCEPT_LABELS.protection} - ${protection.name} (${protection.days} día(s))`;
+  return buildLine('protection', description, protection.days, protection.daily_price, protection.amount);
+};
+
+/**
+ * Invoice lines of a completed rental
+ * Days x rate come from the price breakdown of the pricing engine, followed
+ * by the days added by each extension and the price difference of repriced
+ * vehicle swaps and one line per booked extra, additional driver and
+ * protection plan; return charges come from the deposit settlement, capped by
+ * the protection plan; the discount is a negative line.
+ */
+const buildInvoiceLines = (rental) => {
+  const lines = [];
+  const breakdown = rental.price_breakdown;
+  const extensions = (breakdown && breakdown.extensions) || [];
+  // Swaps that kept the agreed price add nothing
+  const swaps = ((breakdown && breakdown.swaps) || []).filter(swap => compare(swap.subtotal, 0) !== 0);
+
+  if (breakdown && Array.isArray(breakdown.lines) && breakdown.lines.length > 0) {
+    for (const line of breakdown.lines) {
+      lines.push(buildLine('rental', `${CONCEPT_LABELS.rental} - ${line.description}`, line.days, line.unit_price, line.amount));
+    }
+  } else {
+    const bookedDays = extensions.reduce((days, extension) => days - extension.added_days, rental.total_days);
+    const bookedAmount = subtract(rental.subtotal, sum([...extensions, ...swaps].map(adjustment => adjustment.subtotal)));
+    lines.push(buildLine('rental', null, bookedDays, rental.daily_rate, bookedAmount));
+  }
+
+  for (const extension of extensions) {
+    for (const line of extension.lines) {
+      lines.push(buildLine('extension', `${CONCEPT_LABELS.extension} - ${line.description}`, line.days, line.unit_price, line.amount));
+    }
+  }
+
+  for (const swap of swaps) {
+    const description = `${CONCEPT_LABELS.vehicle_swap} (${swap.from_vehicle_type} a ${swap.to_vehicle_type}, ${swap.remaining_days} día(s))`;
+    lines.push(buildLine('vehicle_swap', description, 1, swap.subtotal, swap.subtotal));
+  }
+
+  const returnItems = (rental.deposit_settlement && rental.deposit_settlement.items) || [];
+  const returnTotal = sum(returnItems.map(item => item.amount));
+
+  const oneWayFee = (breakdown && breakdown.one_way_fee) || 0;
+  if (compare(oneWayFee, 0) > 0) {
+    const description = `${CONCEPT_LABELS.one_way_fee} (${rental.pickup_location} a ${rental.return_location})`;
+    lines.push(buildLine('one_way_fee', description, 1, oneWayFee, oneWayFee));
+  }
+
+  const extras = [
+    ...((breakdown && breakdown.extras) || []),
+    ...extensions.flatMap(extension => extension.extras || [])
+  ];
+  for (const extra of extras) {
+    lines.push(buildExtraLine(extra));
+  }
+  const extrasAmount = sum(extras.map(extra => extra.amount));
+
+  const drivers = [
+    ...((breakdown && breakdown.drivers) || []),
+    ...extensions.flatMap(extension => extension.drivers || [])
+  ];
+  for (const driver of drivers) {
+    lines.push(buildDriverLine(driver));
+  }
+  const driversAmount = sum(drivers.map(driver => driver.amount));
+
+  const protections = [
+    breakdown && breakdown.protection,
+    ...extensions.map(extension => extension.protection)
+  ].filter(Boolean);
+  for (const protection of protections) {
+    lines.push(buildProtectionLine(protection));
+  }
+  const protectionAmount = sum(protections.map(protection => protection.amount));
+
+  const prepaidFuel = breakdown && breakdown.prepaid_fuel;
+  const prepaidFuelAmount = prepaidFuel ? prepaidFuel.amount : 0;
+  if (prepaidFuel) {
+    lines.push(buildLine('prepaid_fuel', prepaidFuel.description, prepaidFuel.quantity, prepaidFuel.unit_price, prepaidFuel.amount));
+  }
+
+  // additional_charges holds the charges agreed at booking, the booking fees above and the return charges
+  const bookingCharges = subtract(rental.additional_charges, add(oneWayFee, prepaidFuelAmount, extrasAmount, driversAmount, protectionAmount, returnTotal));
+  if (compare(bookingCharges, 0) > 0) {
+    lines.push(buildLine('additional_charges', null, 1, bookingCharges, bookingCharges));
+  }
+
+  for (const item of returnItems) {
+    lines.push(buildLine(item.concept, item.description, item.quantity || 1, item.unit_price || item.amount, item.amount));
+  }
+
+  if (compare(rental.discount_amount, 0) > 0) {
+    const discount = subtract(0, rental.discount_amount);
+    lines.push(buildLine('discount', null, 1, discount, discount));
+  }
+
+  return lines;
+};
+
+/**
+ * Customer data copied into a document
+ */
+const customerSnapshot = (customer) => ({
+  name: `${customer.first_name} ${customer.last_name}`,
+  document_type: customer.document_type,
+  document_number: customer.document_number,
+  email: customer.email,
+  phone: customer.phone,
+  address: customer.address,
+  city: customer.city,
+  country: customer.country
+});
+
+/**
+ * Rental data copied into a document
+ */
+const rentalSnapshot = (rental, vehicle) => ({
+  rental_number: rental.rental_number,
+  start_date: rental.start_date,
+  end_date: rental.end_date,
+  actual_return_date: rental.actual_return_date,
+  pickup_location: rental.pickup_location,
+  return_location: rental.return_location,
+  // Kilometres driven, included by the mileage policy and charged as excess
+  mileage: rental.price_breakdown && rental.price_breakdown.mileage_usage ? {
+    driven_km: rental.price_breakdown.mileage_usage.driven_km,
+    included_km: rental.price_breakdown.mileage_usage.included_km,
+    excess_km: rental.price_breakdown.mileage_usage.excess_km
+  } : null,
+  vehicle: vehicle ? {
+    brand: vehicle.brand,
+    model: vehicle.model,
+    year: vehicle.year,
+    license_plate: vehicle.license_plate
+  } : null
+});
+
+/**
+ * Issue the invoice of a completed rental
+ */
+const issueInvoice = async (rental, options = {}) => {
+  const { user, transaction } = options;
+
+  if (rental.rental_status !== 'completed') {
+    throw new BadRequestError('Solo se pueden facturar alquileres completados');
+  }
+
+  const existingInvoice = await Invoice.findOne({
+    where: { rental_id: rental.id, type: 'invoice' },
+    transaction
+  });
+  if (existingInvoice) {
+    throw new ConflictError('El alquiler ya tiene una factura emitida', {
+      invoice_number: existingInvoice.invoice_number
+    });
+  }
+
+  const [customer, vehicle] = await Promise.all([
+    Customer.findByPk(rental.customer_id, { transaction }),
+    Vehicle.findByPk(rental.vehicle_id, { transaction })
+  ]);
+
+  const lines = buildInvoiceLines(rental);
+  const taxAmount = toNumber(rental.tax_amount);
+  let subtotal = sum(lines.map(line => line.amount));
+
+  // Rentals priced before the pricing engine may not add up to their total
+  const difference = subtract(rental.total_amount, add(subtotal, taxAmount));
+  if (compare(difference, 0) !== 0) {
+    lines.push(buildLine('adjustment', null, 1, difference, difference));
+    subtotal = add(subtotal, difference);
+  }
+
+  const taxRate = rental.price_breakdown && rental.price_breakdown.tax_rate !== undefined ?
+    rental.price_breakdown.tax_rate :
+    (compare(rental.subtotal, 0) > 0 ? Number((taxAmount / toNumber(rental.subtotal)).toFixed(4)) : 0);
+
+  const series = invoicing.series.invoice;
+  const number = await nextNumber(series, transaction);
+
+  return Invoice.create({
+    type: 'invoice',
+    series,
+    number,
+    invoice_number: formatInvoiceNumber(series, number),
+    rental_id: rental.id,
+    customer_id: rental.customer_id,
+    currency: rental.currency || DEFAULT_CURRENCY,
+    issuer: invoicing.issuer,
+    customer_snapshot: customerSnapshot(customer),
+    rental_snapshot: rentalSnapshot(rental, vehicle),
+    lines,
+    subtotal,
+    tax_rate: taxRate,
+    tax_amount: taxAmount,
+    total_amount: add(subtotal, taxAmount),
+    issued_by: user ? user.id : null
+  }, { transaction });
+};
+
+/**
+ * Issue a credit note against the invoice of a rental
+ *
+ * @param {Object} rental - Rental, locked by the caller
+ * @param {Object} data - { reason, lines: [{ description, amount, taxable }] }
+ *                        amounts are positive and before tax; taxable lines
+ *                        are taxed at the rate of the invoice
+ */
+const issueCreditNote = async (rental, data, options = {}) => {
+  const { user, transaction } = options;
+
+  const invoice = await Invoice.findOne({
+    where: { rental_id: rental.id, type: 'invoice' },
+    lock: transaction.LOCK.UPDATE,
+    transaction
+  });
+  if (!invoice) {
+    throw new BadRequestError('El alquiler no tiene una factura emitida');
+  }
+
+  const lines = data.lines.map(line =>
+    buildLine('adjustment', line.description, 1, line.amount, line.amount));
+  const subtotal = sum(lines.map(line => line.amount));
+  const taxableAmount = sum(data.lines.filter(line => line.taxable).map(line => line.amount));
+  const taxAmount = multiply(taxableAmount, invoice.tax_rate);
+  const totalAmount = add(subtotal, taxAmount);
+
+  const previousCreditNotes = await Invoice.findAll({
+    where: { original_invoice_id: invoice.id, type: 'credit_note' },
+    transaction
+  });
+  const creditableAmount = subtract(invoice.total_amount, sum(previousCreditNotes.map(note => note.total_amount)));
+
+  if (compare(totalAmount, creditableAmount) > 0) {
+    throw new BadRequestError('El monto de la nota de crédito excede el saldo facturado', {
+      creditable_amount: creditableAmount
+    });
+  }
+
+  const series = invoicing.series.credit_note;
+  const number = await nextNumber(series, transaction);
+
+  const creditNote = await Invoice.create({
+    type: 'credit_note',
+    series,
+    number,
+    invoice_number: formatInvoiceNumber(series, number),
+    rental_id: rental.id,
+    customer_id: invoice.customer_id,
+    original_invoice_id: invoice.id,
+    currency: invoice.currency,
+    issuer: invoicing.issuer,
+    customer_snapshot: invoice.customer_snapshot,
+    rental_snapshot: invoice.rental_snapshot,
+    lines,
+    subtotal,
+    tax_rate: invoice.tax_rate,
+    tax_amount: taxAmount,
+    total_amount: totalAmount,
+    reason: data.reason,
+    issued_by: user ? user.id : null
+  }, { transaction });
+
+  // The customer now owes the credited amount less
+  await rental.update({
+    total_amount: subtract(rental.total_amount, totalAmount)
+  }, { transaction });
+  await refreshPaymentStatus(rental, { transaction });
+
+  return creditNote;
+};
+
+module.exports = {
+  CONCEPT_LABELS,
+  issueInvoice,
+  issueCreditNote
+};
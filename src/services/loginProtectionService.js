@@ -0,0 +1,206 @@
+const bcrypt = require('bcryptjs');
+const { Op } = require('sequelize');
+const { User, LoginAttempt } = require('../models');
+const auth = require('../config/auth');
+const { UnauthorizedError, TooManyRequestsError } = require('../utils/errors');
+
+/**
+ * Login brute-force protection
+ * Every attempt is recorded in LoginAttempt. Failures are counted per account
+ * on the user row and per IP from the recorded attempts, so the limits hold
+ * across all API processes (see loginProtection in config/auth.js).
+ *
+ * The password step answers the same way whether or not the account exists:
+ * a locked account gets the same 401 as a wrong password and unknown emails
+ * go through a bcrypt comparison too, so neither the response nor its timing
+ * reveals which emails are registered.
+ */
+
+const MINUTE_MS = 1000 * 60;
+
+/**
+ * Hash compared against when there is no account, at the cost of real ones
+ */
+const DUMMY_PASSWORD_HASH = bcrypt.hashSync('dummy-password', 12);
+
+/**
+ * Seconds from now until `date`, at least 1
+ */
+const secondsUntil = (date) => Math.max(1, Math.ceil((new Date(date) - Date.now()) / 1000));
+
+/**
+ * Record a login attempt
+ */
+const recordLoginAttempt = (email, client, result) => LoginAttempt.create({
+  email,
+  user_id: result.user ? result.user.id : null,
+  ip_address: client.ip || null,
+  user_agent: client.userAgent ? client.userAgent.slice(0, 500) : null,
+  success: !result.failure_reason,
+  failure_reason: result.failure_reason || null
+});
+
+/**
+ * When logins from an IP are allowed again, or null if they are allowed now
+ */
+const ipBlockedUntil = async (ip) => {
+  const policy = auth.loginProtection.ip;
+  if (!ip) {
+    return null;
+  }
+
+  const recentFailures = await LoginAttempt.findAll({
+    attributes: ['created_at'],
+    where: {
+      ip_address: ip,
+      success: false,
+      created_at: { [Op.gte]: new Date(Date.now() - policy.windowMinutes * MINUTE_MS) }
+    },
+    order: [['created_at', 'DESC']],
+    limit: policy.maxAttempts
+  });
+  if (recentFailures.length < policy.maxAttempts) {
+    return null;
+  }
+
+  // Allowed again once the oldest of the last maxAttempts failures leaves the window
+  const oldest = recentFailures[recentFailures.length - 1];
+  return new Date(new Date(oldest.created_at).getTime() + policy.windowMinutes * MINUTE_MS);
+};
+
+/**
+ * Count a failed login against an account and set its delay or lockout
+ */
+const registerFailedLogin = async (user) => {
+  const policy = auth.loginProtection.account;
+
+  // Atomic, so concurrent failures on several processes are all counted
+  await user.increment('failed_login_attempts');
+  await user.reload();
+
+  const failures = user.failed_login_attempts;
+  let lockedUntil = null;
+  if (failures >= policy.maxAttempts) {
+    lockedUntil = new Date(Date.now() + policy.lockoutMinutes * MINUTE_MS);
+  } else if (failures > policy.freeAttempts) {
+    const delaySeconds = Math.min(
+      policy.baseDelaySeconds * 2 ** (failures - policy.freeAttempts - 1),
+      policy.maxDelaySeconds
+    );
+    lockedUntil = new Date(Date.now() + delaySeconds * 1000);
+  }
+
+  await user.update({ last_failed_login_at: new Date(), locked_until: lockedUntil });
+  return user;
+};
+
+/**
+ * Refuse the attempt if the IP is blocked
+ */
+const assertIpAllowed = async (email, client) => {
+  const ipUntil = await ipBlockedUntil(client.ip);
+  if (ipUntil) {
+    await recordLoginAttempt(email, client, { failure_reason: 'ip_blocked' });
+    throw new TooManyRequestsError('Demasiados intentos fallidos desde esta dirección; intenta más tarde', secondsUntil(ipUntil));
+  }
+};
+
+/**
+ * Refuse the attempt if the account is in a delay or lockout
+ */
+const assertAccountAllowed = async (user, email, client) => {
+  if (user.isLoginLocked()) {
+    await recordLoginAttempt(email, client, { user, failure_reason: 'account_locked' });
+    const locked = user.failed_login_attempts >= auth.loginProtection.account.maxAttempts;
+    throw new TooManyRequestsError(
+      locked ?
+        'Cuenta bloqueada temporalmente por intentos fallidos' :
+        'Demasiados intentos fallidos; espera antes de volver a intentar',
+      secondsUntil(user.locked_until)
+    );
+  }
+};
+
+/**
+ * Check the credentials of a login, enforcing the IP and account limits
+ * The login is not complete until completeLogin, which a second factor may
+ * have to precede.
+ *
+ * @param {string} email - Normalized email
+ * @param {string} password - Password given
+ * @param {Object} client - { ip, userAgent } of the request
+ * @returns {Object} User whose password matched
+ */
+const authenticate = async (email, password, client = {}) => {
+  await assertIpAllowed(email, client);
+
+  const user = await User.findOne({
+    where: { email, is_active: true }
+  });
+
+  const passwordMatches = user ?
+    await user.checkPassword(password) :
+    await bcrypt.compare(String(password), DUMMY_PASSWORD_HASH);
+
+  // A locked account is refused even with the right password, as if it were wrong
+  if (user && user.isLoginLocked()) {
+    await recordLoginAttempt(email, client, { user, failure_reason: 'account_locked' });
+    throw new UnauthorizedError('Credenciales inválidas');
+  }
+
+  if (!passwordMatches) {
+    await recordLoginAttempt(email, client, { user, failure_reason: 'invalid_credentials' });
+    if (user) {
+      await registerFailedLogin(user);
+    }
+    throw new UnauthorizedError('Credenciales inválidas');
+  }
+
+  return user;
+};
+
+/**
+ * Check the second factor of a login under the same limits as the password
+ * A wrong code counts as a failed login of the account.
+ *
+ * @param {Object} user - User whose password already matched
+ * @param {Function} verify - Async check of the factor, resolving to a boolean
+ * @param {Object} client - { ip, userAgent } of the request
+ */
+const authenticateSecondFactor = async (user, verify, client = {}) => {
+  await assertIpAllowed(user.email, client);
+  await assertAccountAllowed(user, user.email, client);
+
+  if (!(await verify())) {
+    await recordLoginAttempt(user.email, client, { user, failure_reason: 'invalid_two_factor' });
+    await registerFailedLogin(user);
+    throw new UnauthorizedError('Código de verificación inválido');
+  }
+};
+
+/**
+ * Record a successful login and reset the failure counters of the account
+ */
+const completeLogin = async (user, client = {}) => {
+  await recordLoginAttempt(user.email, client, { user });
+  return user.update({
+    last_login: new Date(),
+    failed_login_attempts: 0,
+    locked_until: null
+  });
+};
+
+/**
+ * Lift the delay or lockout of an account and reset its failure count
+ */
+const unlockUser = (user) => user.update({
+  failed_login_attempts: 0,
+  locked_until: null
+});
+
+module.exports = {
+  authenticate,
+  authenticateSecondFactor,
+  completeLogin,
+  unlockUser
+};
@@ -0,0 +1,102 @@
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+const mail = require('../config/mail');
+
+/**
+ * Outgoing mail
+ * Messages go through a transport with the nodemailer interface
+ * (`sendMail(message)`). The configured transport is built on first use;
+ * setTransport replaces it, e.g. with another provider.
+ */
+
+/**
+ * Write messages to the server log, as plain text so links can be followed
+ */
+const consoleTransport = () => ({
+  sendMail: async (message) => {
+    console.log(`📧 Mail from ${message.from} to ${message.to}\nSubject: ${message.subject}\n\n${message.text}`);
+    return { messageId: null, envelope: { from: message.from, to: [message.to] } };
+  }
+});
+
+/**
+ * Write each message as an .eml file under the configured directory
+ */
+const fileTransport = () => {
+  const transport = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+  return {
+    sendMail: async (message) => {
+      const info = await transport.sendMail(message);
+      await fs.promises.mkdir(mail.file.path, { recursive: true });
+      const file = path.join(mail.file.path, `${Date.now()}-${info.messageId.replace(/[<>@]/g, '')}.eml`);
+      await fs.promises.writeFile(file, info.message);
+      console.log(`📧 Mail to ${message.to} written to ${file}`);
+      return info;
+    }
+  };
+};
+
+/**
+ * Send through the configured SMTP server
+ */
+const smtpTransport = () => nodemailer.createTransport(mail.smtp);
+
+/**
+ * Transports selectable with MAIL_TRANSPORT
+ */
+const TRANSPORTS = {
+  console: consoleTransport,
+  file: fileTransport,
+  smtp: smtpTransport
+};
+
+let transport = null;
+
+/**
+ * Replace the mail transport
+ *
+ * @param {Object} newTransport - Object with a nodemailer-style sendMail(message)
+ */
+const setTransport = (newTransport) => {
+  transport = newTransport;
+};
+
+/**
+ * Transport in use, built from the configuration on first use
+ */
+const getTransport = () => {
+  if (!transport) {
+    if (!mail.transport) {
+      throw new Error('MAIL_TRANSPORT is not set (console, file or smtp)');
+    }
+    const factory = TRANSPORTS[mail.transport];
+    if (!factory) {
+      throw new Error(`Unknown mail transport: ${mail.transport}`);
+    }
+    transport = factory();
+  }
+  return transport;
+};
+
+/**
+ * Check at startup that mail can be sent with the configured transport
+ */
+const verifyMailTransport = () => {
+  getTransport();
+};
+
+/**
+ * Send a message
+ * Async, so configuration errors reject like delivery errors do.
+ *
+ * @param {Object} message - { to, subject, text, html }
+ */
+const sendMail = async (message) => getTransport().sendMail({ from: mail.from, ...message });
+
+module.exports = {
+  TRANSPORTS,
+  setTransport,
+  verifyMailTransport,
+  sendMail
+};
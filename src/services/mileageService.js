@@ -0,0 +1,72 @@
+const { RentalVehicleSegment } = require('../models');
+const { calculateMileageCharge } = require('./pricingService');
+const { BadRequestError } = require('../utils/errors');
+
+/**
+ * Kilometres driven in a rental returned at `returnMileage`
+ * Swapped rentals add up the distance of every vehicle segment. The return
+ * mileage may not be below the pickup mileage of the vehicle being returned
+ * nor below its current odometer reading.
+ *
+ * @param {Object} rental - Rental being completed
+ * @param {Object} vehicle - Vehicle being returned
+ * @param {number} returnMileage - Odometer reading at return
+ */
+const drivenKilometres = async (rental, vehicle, returnMileage, options = {}) => {
+  const { transaction } = options;
+
+  const segments = await RentalVehicleSegment.findAll({
+    where: { rental_id: rental.id },
+    order: [['sequence', 'ASC']],
+    transaction
+  });
+
+  const openSegment = segments.find(segment => !segment.end_at);
+  const pickupMileage = openSegment ? openSegment.pickup_mileage : rental.pickup_mileage;
+
+  if (pickupMileage !== null && pickupMileage !== undefined && returnMileage < pickupMileage) {
+    throw new BadRequestError('El kilometraje de devolución no puede ser menor al kilometraje de retiro');
+  }
+
+  if (vehicle && returnMileage < vehicle.current_mileage) {
+    throw new BadRequestError('El kilometraje de devolución no puede ser menor al kilometraje actual del vehículo');
+  }
+
+  const previousKm = segments
+    .filter(segment => segment.end_at && segment.pickup_mileage !== null && segment.return_mileage !== null)
+    .reduce((total, segment) => total + segment.return_mileage - segment.pickup_mileage, 0);
+
+  return previousKm + (pickupMileage !== null && pickupMileage !== undefined ? returnMileage - pickupMileage : 0);
+};
+
+/**
+ * Excess mileage of a rental at return
+ * Rentals booked before mileage was charged have no policy and are never charged.
+ *
+ * @returns {Object} { usage, items } mileage usage and the excess return charge, if any
+ */
+const mileageCharges = async (rental, vehicle, returnMileage, options = {}) => {
+  const drivenKm = await drivenKilometres(rental, vehicle, returnMileage, options);
+
+  if (!rental.mileage_policy) {
+    return { usage: { driven_km: drivenKm }, items: [] };
+  }
+
+  const usage = calculateMileageCharge(rental.mileage_policy, drivenKm, rental.total_days);
+  const items = usage.amount > 0 ?
+    [{
+      concept: 'excess_mileage',
+      description: usage.description,
+      quantity: usage.excess_km,
+      unit_price: usage.excess_rate,
+      amount: usage.amount
+    }] :
+    [];
+
+  return { usage, items };
+};
+
+module.exports = {
+  drivenKilometres,
+  mileageCharges
+};
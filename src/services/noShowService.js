@@ -0,0 +1,193 @@
+const { Op, QueryTypes } = require('sequelize');
+const { Rental, sequelize } = require('../models');
+const pricing = require('../config/pricing');
+const jobs = require('../config/jobs');
+const { lockRentalWithVehicle } = require('./availabilityService');
+const { syncVehicleStatus } = require('./vehicleStatusService');
+const { getLedgerSummary, recordPayment, refreshPaymentStatus } = require('./paymentService');
+const { settleDeposit } = require('./depositService');
+const { calculateNoShowFee } = require('./pricingService');
+const { subtract, compare } = require('../utils/money');
+const { BadRequestError, NotFoundError } = require('../utils/errors');
+
+/**
+ * No-shows
+ * A reserved or confirmed rental whose customer never picked the vehicle up
+ * is marked as no-show, by hand or by the no-show job once the grace window
+ * of the no-show policy has passed. The rental total becomes the no-show fee
+ * (the booked amounts stay in the rental for reference), everything paid
+ * above the fee is refunded and the held deposit covers what is still owed.
+ */
+
+const HOUR_MS = 1000 * 60 * 60;
+
+/**
+ * Mark a rental as no-show, charge the no-show fee and free its vehicle
+ * Must run inside a transaction.
+ *
+ * @param {string} rentalId - Rental to mark
+ * @param {Object} options - user (null for the job), method of the refunds, transaction
+ * @returns {Object} { rental, fee, refunds, depositSettlement }
+ */
+const markNoShow = async (rentalId, options = {}) => {
+  const { user, method, transaction } = options;
+  const { rental, vehicle } = await lockRentalWithVehicle(rentalId, transaction);
+
+  if (!rental) {
+    throw new NotFoundError('Alquiler no encontrado');
+  }
+
+  if (!rental.canTransition('no_show')) {
+    throw new BadRequestError('Solo los alquileres reservados o confirmados pueden marcarse como no presentados', {
+      current_status: rental.rental_status
+    });
+  }
+
+  if (new Date(rental.start_date) > new Date()) {
+    throw new BadRequestError('El alquiler aún no comienza; no se puede marcar como no presentado', {
+      start_date: rental.start_date
+    });
+  }
+
+  const fee = calculateNoShowFee(rental);
+
+  await rental.transition('no_show', {
+    user,
+    changes: {
+      total_amount: fee.amount,
+      price_breakdown: { ...rental.price_breakdown, no_show_fee: fee }
+    },
+    transaction
+  });
+
+  // Give back what was paid above the fee
+  const refunds = [];
+  const summary = await getLedgerSummary(rental, { transaction });
+  const overpaid = subtract(summary.net_paid, fee.amount);
+  if (compare(overpaid, 0) > 0) {
+    refunds.push(await recordPayment(rental, {
+      type: 'refund',
+      amount: overpaid,
+      method: method || 'transfer',
+      notes: 'Reembolso por no presentación'
+    }, { user, transaction }));
+  }
+
+  // The held deposit covers the unpaid fee; the rest is released
+  const depositSettlement = summary.deposit_held > 0 ?
+    await settleDeposit(rental, [{
+      concept: 'no_show',
+      description: fee.description,
+      amount: fee.amount
+    }], { user, transaction }) :
+    null;
+
+  // The total changed: re-derive the payment status from the ledger
+  await refreshPaymentStatus(rental, { transaction });
+
+  if (vehicle) {
+    await syncVehicleStatus(vehicle, { transaction });
+  }
+
+  return { rental, fee, refunds, depositSettlement };
+};
+
+/**
+ * Mark as no-show every reserved or confirmed rental whose start date is
+ * older than the grace window of the no-show policy
+ * Holds a transaction-level advisory lock for the whole run, so a run on
+ * another API instance finds the lock taken and does nothing. Each rental is
+ * processed in its own savepoint: a rental that fails does not stop the rest.
+ *
+ * @returns {Object|null} { processed, failed }, null if another run holds the lock
+ */
+const releaseStaleReservations = async (now = new Date()) => {
+  const cutoff = new Date(now.getTime() - pricing.noShow.graceHours * HOUR_MS);
+
+  return sequelize.transaction(async (transaction) => {
+    const [{ locked }] = await sequelize.query('SELECT pg_try_advisory_xact_lock(:key) AS locked', {
+      replacements: { key: jobs.noShow.lockKey },
+      type: QueryTypes.SELECT,
+      transaction
+    });
+    if (!locked) {
+      return null;
+    }
+
+    const staleRentals = await Rental.findAll({
+      attributes: ['id', 'rental_number'],
+      where: {
+        rental_status: { [Op.in]: Rental.TRANSITIONS.no_show.from },
+        start_date: { [Op.lt]: cutoff }
+      },
+      order: [['start_date', 'ASC']],
+      transaction
+    });
+
+    const processed = [];
+    const failed = [];
+    for (const { id, rental_number } of staleRentals) {
+      try {
+        const { fee } = await sequelize.transaction({ transaction }, (savepoint) =>
+          markNoShow(id, { transaction: savepoint })
+        );
+        processed.push({ rental_id: id, rental_number, no_show_fee: fee.amount });
+      } catch (error) {
+        console.error(`No-show job error on rental ${rental_number}:`, error);
+        failed.push({ rental_id: id, rental_number, error: error.message });
+      }
+    }
+
+    return { processed, failed };
+  });
+};
+
+let noShowTimer = null;
+
+/**
+ * One run of the no-show job; errors are logged, never thrown
+ */
+const runNoShowJob = async () => {
+  try {
+    const result = await releaseStaleReservations();
+    if (result && (result.processed.length > 0 || result.failed.length > 0)) {
+      console.log(`⏰ No-show job: ${result.processed.length} rental(s) marked as no-show, ${result.failed.length} failed`);
+    }
+    return result;
+  } catch (error) {
+    console.error('No-show job error:', error);
+    return null;
+  }
+};
+
+/**
+ * Schedule the no-show job in this process (see config/jobs.js)
+ */
+const startNoShowJob = () => {
+  if (!jobs.noShow.enabled || noShowTimer) {
+    return;
+  }
+
+  noShowTimer = setInterval(runNoShowJob, jobs.noShow.intervalMinutes * 60 * 1000);
+  // The job never keeps the process alive on its own
+  noShowTimer.unref();
+  runNoShowJob();
+};
+
+/**
+ * Stop the no-show job
+ */
+const stopNoShowJob = () => {
+  if (noShowTimer) {
+    clearInterval(noShowTimer);
+    noShowTimer = null;
+  }
+};
+
+module.exports = {
+  markNoShow,
+  releaseStaleReservations,
+  runNoShowJob,
+  startNoShowJob,
+  stopNoShowJob
+};
@@ -0,0 +1,115 @@
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const { User, PasswordResetToken, sequelize } = require('../models');
+const auth = require('../config/auth');
+const { hashToken, revokeUserSessions } = require('./sessionService');
+const { sendMail } = require('./mailService');
+const { BadRequestError } = require('../utils/errors');
+
+/**
+ * Self-service password reset
+ * A reset request mails a link with a random token valid for a limited time;
+ * the token resets the password once and signs the user out everywhere.
+ * Requests for unknown or inactive emails do nothing, and the caller answers
+ * the same either way so the endpoint does not reveal which emails exist.
+ */
+
+const MINUTE_MS = 1000 * 60;
+
+/**
+ * Reset mail of a user
+ */
+const resetMessage = (user, token) => {
+  const link = `${auth.passwordReset.url}?token=${encodeURIComponent(token)}`;
+  const minutes = auth.passwordReset.ttlMinutes;
+
+  return {
+    to: user.email,
+    subject: 'Restablecer contraseña - RentAutoPro',
+    text: [
+      `Hola ${user.first_name},`,
+      '',
+      'Recibimos una solicitud para restablecer tu contraseña. Para elegir una nueva, abre el siguiente enlace:',
+      '',
+      link,
+      '',
+      `El enlace vence en ${minutes} minutos y solo puede usarse una vez.`,
+      'Si no solicitaste el cambio, ignora este correo: tu contraseña no cambiará.'
+    ].join('\n')
+  };
+};
+
+/**
+ * Issue a reset token for the user of `email` and mail it
+ * Earlier unused tokens of the user stop working. Does nothing for unknown or
+ * inactive users; mail delivery errors are logged, never returned.
+ *
+ * @param {string} email - Email given by the requester
+ * @param {Object} client - { ip } of the request
+ */
+const requestPasswordReset = async (email, client = {}) => {
+  const user = await User.findOne({ where: { email, is_active: true } });
+  if (!user) {
+    return;
+  }
+
+  const token = crypto.randomBytes(32).toString('base64url');
+
+  await sequelize.transaction(async (transaction) => {
+    await PasswordResetToken.update({ used_at: new Date() }, {
+      where: { user_id: user.id, used_at: null },
+      transaction
+    });
+
+    await PasswordResetToken.create({
+      user_id: user.id,
+      token_hash: hashToken(token),
+      expires_at: new Date(Date.now() + auth.passwordReset.ttlMinutes * MINUTE_MS),
+      requested_ip: client.ip || null
+    }, { transaction });
+  });
+
+  // Delivery runs in the background so the response time does not depend on it
+  sendMail(resetMessage(user, token)).catch(error => {
+    console.error('Password reset mail error:', error);
+  });
+};
+
+/**
+ * Set a new password with a reset token
+ * The token is spent and every session of the user is revoked.
+ *
+ * @returns {Object} User whose password was reset
+ */
+const resetPassword = async (token, newPassword) => {
+  return sequelize.transaction(async (transaction) => {
+    const resetToken = await PasswordResetToken.findOne({
+      where: {
+        token_hash: hashToken(String(token)),
+        used_at: null,
+        expires_at: { [Op.gt]: new Date() }
+      },
+      transaction,
+      lock: transaction.LOCK.UPDATE
+    });
+    if (!resetToken) {
+      throw new BadRequestError('Token de restablecimiento inválido o expirado');
+    }
+
+    const user = await User.findByPk(resetToken.user_id, { transaction });
+    if (!user || !user.is_active) {
+      throw new BadRequestError('Token de restablecimiento inválido o expirado');
+    }
+
+    await resetToken.update({ used_at: new Date() }, { transaction });
+    await user.update({ password: newPassword }, { transaction });
+    await revokeUserSessions(user.id, 'password_reset', { transaction });
+
+    return user;
+  });
+};
+
+module.exports = {
+  requestPasswordReset,
+  resetPassword
+};
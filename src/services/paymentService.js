@@ -0,0 +1,157 @@
+const { fn, col } = require('sequelize');
+const { Payment } = require('../models');
+const { BadRequestError } = require('../utils/errors');
+const { DEFAULT_CURRENCY, toNumber, add, subtract, compare } = require('../utils/money');
+
+/**
+ * Aggregate the ledger of a rental
+ */
+const getLedgerSummary = async (rental, options = {}) => {
+  const { transaction } = options;
+
+  const rows = await Payment.findAll({
+    attributes: ['type', [fn('SUM', col('amount')), 'total']],
+    where: { rental_id: rental.id },
+    group: ['type'],
+    raw: true,
+    transaction
+  });
+
+  const totals = { charge: 0, refund: 0, deposit_hold: 0, deposit_release: 0, deposit_capture: 0 };
+  for (const row of rows) {
+    totals[row.type] = toNumber(row.total);
+  }
+
+  const totalAmount = toNumber(rental.total_amount);
+  // Captured deposit counts as money received for the rental
+  const totalCharged = subtract(totals.charge, totals.deposit_capture);
+  const totalRefunded = subtract(0, totals.refund);
+  const netPaid = subtract(totalCharged, totalRefunded);
+
+  return {
+    currency: rental.currency || DEFAULT_CURRENCY,
+    total_amount: totalAmount,
+    total_charged: totalCharged,
+    total_refunded: totalRefunded,
+    net_paid: netPaid,
+    balance_due: subtract(totalAmount, netPaid),
+    deposit_held: add(totals.deposit_hold, totals.deposit_release, totals.deposit_capture)
+  };
+};
+
+/**
+ * Derive Rental.payment_status from a ledger summary
+ */
+const derivePaymentStatus = (summary) => {
+  if (summary.total_refunded > 0 && summary.net_paid <= 0) return 'refunded';
+  if (summary.net_paid > 0 && compare(summary.net_paid, summary.total_amount) >= 0) return 'paid';
+  if (summary.net_paid > 0) return 'partial';
+  return 'pending';
+};
+
+/**
+ * Recompute and persist the payment status of a rental from its ledger
+ * Must be called whenever the ledger or the rental total changes
+ */
+const refreshPaymentStatus = async (rental, options = {}) => {
+  const summary = await getLedgerSummary(rental, options);
+  const paymentStatus = derivePaymentStatus(summary);
+
+  if (rental.payment_status !== paymentStatus) {
+    await rental.update({ payment_status: paymentStatus }, { transaction: options.transaction });
+  }
+
+  return { ...summary, payment_status: paymentStatus };
+};
+
+/**
+ * Record a ledger movement for a rental
+ * `amount` is always given as a positive number; the sign is derived from the type.
+ */
+const recordPayment = async (rental, data, options = {}) => {
+  const { user, transaction } = options;
+  const { type, method, reference, notes, paid_at } = data;
+  const amount = toNumber(data.amount);
+
+  if (!(amount > 0)) {
+    throw new BadRequestError('El monto debe ser mayor a cero');
+  }
+
+  // No-show rentals can still be charged the no-show fee they owe
+  const openStatuses = type === 'charge' ? ['completed', 'no_show'] : ['completed'];
+  if (['charge', 'deposit_hold'].includes(type) && rental.isClosed() && !openStatuses.includes(rental.rental_status)) {
+    throw new BadRequestError('No se pueden registrar cobros en un alquiler cancelado');
+  }
+
+  const summary = await getLedgerSummary(rental, { transaction });
+
+  if (type === 'charge' && compare(amount, summary.balance_due) > 0) {
+    throw new BadRequestError('El monto excede el saldo pendiente', { balance_due: summary.balance_due });
+  }
+
+  if (type === 'refund' && compare(amount, summary.net_paid) > 0) {
+    throw new BadRequestError('El reembolso excede el monto pagado', { net_paid: summary.net_paid });
+  }
+
+  if (['deposit_release', 'deposit_capture'].includes(type) && compare(amount, summary.deposit_held) > 0) {
+    throw new BadRequestError('El monto excede el depósito retenido', { deposit_held: summary.deposit_held });
+  }
+
+  if (type === 'deposit_capture' && compare(amount, summary.balance_due) > 0) {
+    throw new BadRequestError('El monto excede el saldo pendiente', { balance_due: summary.balance_due });
+  }
+
+  const payment = await Payment.create({
+    rental_id: rental.id,
+    type,
+    amount: Payment.NEGATIVE_TYPES.includes(type) ? -amount : amount,
+    currency: rental.currency,
+    method,
+    reference,
+    notes,
+    paid_at: paid_at || new Date(),
+    received_by: user ? user.id : null
+  }, { transaction });
+
+  await refreshPaymentStatus(rental, { transaction });
+
+  return payment;
+};
+
+/**
+ * Refund everything paid and release any held deposit
+ * Used when a rental is cancelled; returns the created ledger entries
+ */
+const refundAll = async (rental, options = {}) => {
+  const { method, reason } = options;
+  const summary = await getLedgerSummary(rental, options);
+  const entries = [];
+
+  if (summary.net_paid > 0) {
+    entries.push(await recordPayment(rental, {
+      type: 'refund',
+      amount: summary.net_paid,
+      method: method || 'transfer',
+      notes: reason
+    }, options));
+  }
+
+  if (summary.deposit_held > 0) {
+    entries.push(await recordPayment(rental, {
+      type: 'deposit_release',
+      amount: summary.deposit_held,
+      method: method || 'transfer',
+      notes: reason
+    }, options));
+  }
+
+  return entries;
+};
+
+module.exports = {
+  getLedgerSummary,
+  derivePaymentStatus,
+  refreshPaymentStatus,
+  recordPayment,
+  refundAll
+};
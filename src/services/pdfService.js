@@ -0,0 +1,321 @@
+const PDFDocument = require('pdfkit');
+const { CONCEPT_LABELS } = require('./invoiceService');
+
+/**
+ * PDF rendering of invoices, credit notes, payment receipts and rental contracts
+ * Documents are rendered in memory and returned as a Buffer.
+ */
+
+const DOCUMENT_TITLES = {
+  invoice: 'FACTURA',
+  credit_note: 'NOTA DE CRÉDITO'
+};
+
+const PAYMENT_TYPE_LABELS = {
+  charge: 'Pago',
+  refund: 'Reembolso',
+  deposit_hold: 'Depósito en garantía',
+  deposit_capture: 'Cobro desde el depósito',
+  deposit_release: 'Devolución de depósito'
+};
+
+const PAYMENT_METHOD_LABELS = {
+  cash: 'Efectivo',
+  card: 'Tarjeta',
+  transfer: 'Transferencia'
+};
+
+const FUEL_POLICY_LABELS = {
+  full_to_full: 'Lleno a lleno',
+  prepaid: 'Prepagado',
+  pay_on_return: 'Pago a la devolución'
+};
+
+const DRIVER_ROLE_LABELS = {
+  main: 'Conductor principal',
+  additional: 'Conductor adicional'
+};
+
+const PAGE_MARGIN = 50;
+
+/**
+ * Amount formatted with its currency
+ */
+const formatAmount = (amount, currency) => {
+  try {
+    return new Intl.NumberFormat('es-CL', { style: 'currency', currency }).format(amount);
+  } catch (error) {
+    return `${currency} ${Number(amount).toFixed(2)}`;
+  }
+};
+
+const formatDate = (date) => (date ? new Date(date).toLocaleDateString('es-CL') : '-');
+
+/**
+ * Render a document into a Buffer
+ */
+const render = (draw) => new Promise((resolve, reject) => {
+  const doc = new PDFDocument({ size: 'A4', margin: PAGE_MARGIN });
+  const chunks = [];
+
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+
+  try {
+    draw(doc);
+    doc.end();
+  } catch (error) {
+    reject(error);
+  }
+});
+
+/**
+ * Issuer block and document title
+ */
+const drawHeader = (doc, issuer, title, number, date) => {
+  doc.fontSize(16).font('Helvetica-Bold').text(issuer.name);
+  doc.fontSize(9).font('Helvetica');
+  [issuer.tax_id && `RUT/NIT: ${issuer.tax_id}`, issuer.address, issuer.email, issuer.phone]
+    .filter(Boolean)
+    .forEach(line => doc.text(line));
+
+  doc.moveDown();
+  doc.fontSize(14).font('Helvetica-Bold').text(title, { align: 'right' });
+  if (number) {
+    doc.fontSize(11).text(`N° ${number}`, { align: 'right' });
+  }
+  doc.fontSize(9).font('Helvetica').text(`Fecha: ${formatDate(date)}`, { align: 'right' });
+  doc.moveDown();
+};
+
+/**
+ * Customer and rental blocks
+ */
+const drawParties = (doc, customer, rental) => {
+  doc.fontSize(10).font('Helvetica-Bold').text('Cliente');
+  doc.fontSize(9).font('Helvetica');
+  doc.text(customer.name);
+  if (customer.document_number) {
+    doc.text(`${customer.document_type || 'Documento'}: ${customer.document_number}`);
+  }
+  [customer.address, [customer.city, customer.country].filter(Boolean).join(', '), customer.email]
+    .filter(Boolean)
+    .forEach(line => doc.text(line));
+
+  doc.moveDown();
+  doc.fontSize(10).font('Helvetica-Bold').text('Alquiler');
+  doc.fontSize(9).font('Helvetica');
+  doc.text(`N° ${rental.rental_number}`);
+  doc.text(`Período: ${formatDate(rental.start_date)} - ${formatDate(rental.actual_return_date || rental.end_date)}`);
+  if (rental.vehicle) {
+    doc.text(`Vehículo: ${rental.vehicle.brand} ${rental.vehicle.model} (${rental.vehicle.license_plate})`);
+  }
+  if (rental.mileage) {
+    const included = rental.mileage.included_km === null || rental.mileage.included_km === undefined ?
+      'ilimitado' :
+      `${rental.mileage.included_km} km`;
+    doc.text(`Kilometraje: ${rental.mileage.driven_km} km recorridos, ${included} incluidos, ${rental.mileage.excess_km || 0} km de exceso`);
+  }
+  doc.moveDown();
+};
+
+/**
+ * Line table and totals of an invoice or credit note
+ */
+const drawLines = (doc, invoice) => {
+  const left = PAGE_MARGIN;
+  const columns = { description: left, quantity: left + 290, unitPrice: left + 340, amount: left + 420 };
+  const amountWidth = doc.page.width - PAGE_MARGIN - columns.amount;
+
+  const row = (description, quantity, unitPrice, amount, font = 'Helvetica') => {
+    const y = doc.y;
+    doc.font(font).fontSize(9);
+    doc.text(description, columns.description, y, { width: 280 });
+    const end = doc.y;
+    doc.text(quantity, columns.quantity, y, { width: 40, align: 'right' });
+    doc.text(unitPrice, columns.unitPrice, y, { width: 75, align: 'right' });
+    doc.text(amount, columns.amount, y, { width: amountWidth, align: 'right' });
+    doc.x = left;
+    doc.y = Math.max(end, doc.y) + 4;
+  };
+
+  row('Descripción', 'Cant.', 'Precio', 'Importe', 'Helvetica-Bold');
+  for (const line of invoice.lines) {
+    row(
+      line.description || CONCEPT_LABELS[line.concept] || line.concept,
+      String(line.quantity),
+      formatAmount(line.unit_price, invoice.currency),
+      formatAmount(line.amount, invoice.currency)
+    );
+  }
+
+  doc.moveDown();
+  const taxPercent = Number((Number(invoice.tax_rate) * 100).toFixed(2));
+  row('Subtotal', '', '', formatAmount(invoice.subtotal, invoice.currency));
+  row(`Impuesto (${taxPercent}%)`, '', '', formatAmount(invoice.tax_amount, invoice.currency));
+  row('Total', '', '', formatAmount(invoice.total_amount, invoice.currency), 'Helvetica-Bold');
+};
+
+/**
+ * PDF of an invoice or credit note
+ *
+ * @param {Object} invoice - Invoice; credit notes may include originalInvoice
+ */
+const renderInvoicePdf = (invoice) => render((doc) => {
+  drawHeader(doc, invoice.issuer, DOCUMENT_TITLES[invoice.type], invoice.invoice_number, invoice.issue_date);
+
+  if (invoice.type === 'credit_note') {
+    doc.fontSize(9).font('Helvetica');
+    if (invoice.originalInvoice) {
+      doc.text(`Factura de referencia: ${invoice.originalInvoice.invoice_number}`);
+    }
+    if (invoice.reason) {
+      doc.text(`Motivo: ${invoice.reason}`);
+    }
+    doc.moveDown();
+  }
+
+  drawParties(doc, invoice.customer_snapshot, invoice.rental_snapshot);
+  drawLines(doc, invoice);
+});
+
+/**
+ * PDF receipt of a payment ledger entry
+ * Receipts are not fiscal documents and are not numbered; they are identified
+ * by the rental number and the payment id.
+ *
+ * @param {Object} payment - Payment
+ * @param {Object} rental - Rental including customer and vehicle
+ * @param {Object} issuer - Issuer data (config/invoicing.js)
+ */
+const renderReceiptPdf = (payment, rental, issuer) => render((doc) => {
+  drawHeader(doc, issuer, 'RECIBO', null, payment.paid_at);
+
+  const customer = rental.customer;
+  drawParties(doc, {
+    name: `${customer.first_name} ${customer.last_name}`,
+    document_type: customer.document_type,
+    document_number: customer.document_number,
+    email: customer.email
+  }, {
+    rental_number: rental.rental_number,
+    start_date: rental.start_date,
+    end_date: rental.end_date,
+    actual_return_date: rental.actual_return_date,
+    vehicle: rental.vehicle
+  });
+
+  doc.fontSize(9).font('Helvetica');
+  doc.text(`Pago: ${payment.id}`);
+  doc.text(`Concepto: ${PAYMENT_TYPE_LABELS[payment.type] || payment.type}`);
+  doc.text(`Medio de pago: ${PAYMENT_METHOD_LABELS[payment.method] || payment.method}`);
+  if (payment.reference) {
+    doc.text(`Referencia: ${payment.reference}`);
+  }
+  doc.moveDown();
+  doc.fontSize(12).font('Helvetica-Bold').text(`Monto: ${formatAmount(Math.abs(payment.amount), payment.currency)}`);
+});
+
+/**
+ * Section title of a contract
+ */
+const drawSection = (doc, title) => {
+  doc.moveDown(0.5);
+  doc.fontSize(10).font('Helvetica-Bold').text(title);
+  doc.fontSize(9).font('Helvetica');
+};
+
+/**
+ * PDF of a rental contract
+ * Lists every driver authorised to drive the vehicle.
+ *
+ * @param {Object} contract - Contract (services/contractService.js)
+ */
+const renderContractPdf = (contract) => render((doc) => {
+  drawHeader(doc, contract.issuer, 'CONTRATO DE ALQUILER', contract.rental_number, new Date());
+
+  drawSection(doc, 'Cliente');
+  const customer = contract.customer;
+  [
+    customer.name,
+    customer.document_number && `${customer.document_type || 'Documento'}: ${customer.document_number}`,
+    customer.address,
+    customer.email,
+    customer.phone
+  ]
+    .filter(Boolean)
+    .forEach(line => doc.text(line));
+
+  drawSection(doc, 'Conductores autorizados');
+  for (const driver of contract.drivers) {
+    const youngDriver = driver.young_driver ? ' - conductor joven' : '';
+    doc.text(`${DRIVER_ROLE_LABELS[driver.role]}: ${driver.name}${youngDriver}`);
+    doc.text(`  ${driver.document_type || 'Documento'}: ${driver.document_number} - Licencia: ${driver.driver_license_number}, vence ${formatDate(driver.driver_license_expiry)}`);
+  }
+
+  drawSection(doc, 'Vehículo');
+  const vehicle = contract.vehicle;
+  doc.text(`${vehicle.brand} ${vehicle.model} ${vehicle.year} (${vehicle.license_plate})`);
+  if (vehicle.vin) {
+    doc.text(`VIN: ${vehicle.vin}`);
+  }
+
+  drawSection(doc, 'Período');
+  doc.text(`Retiro: ${formatDate(contract.start_date)} en ${contract.pickup_location.name}`);
+  doc.text(`Devolución: ${formatDate(contract.end_date)} en ${contract.return_location.name}`);
+  if (contract.fuel_policy) {
+    doc.text(`Política de combustible: ${FUEL_POLICY_LABELS[contract.fuel_policy] || contract.fuel_policy}`);
+  }
+  if (contract.mileage_policy) {
+    const policy = contract.mileage_policy;
+    const allowance = policy.type === 'unlimited' ?
+      'ilimitado' :
+      `${policy.km} km${policy.type === 'per_day' ? ' por día' : ''}`;
+    doc.text(`Kilometraje incluido: ${allowance}`);
+  }
+
+  if (contract.extras.length > 0) {
+    drawSection(doc, 'Extras');
+    for (const extra of contract.extras) {
+      const days = extra.pricing_type === 'per_day' ? ` x ${extra.days} día(s)` : '';
+      doc.text(`${extra.name}: ${extra.quantity}${days} - ${formatAmount(extra.amount, contract.currency)}`);
+    }
+  }
+
+  drawSection(doc, 'Protección');
+  if (contract.protection_plan) {
+    const plan = contract.protection_plan;
+    doc.text(`${plan.name}: ${formatAmount(plan.daily_price, contract.currency)} por día`);
+    doc.text(`Deducible: ${formatAmount(plan.deductible, contract.currency)}`);
+  } else {
+    doc.text('Sin plan de protección: el cliente responde por la totalidad de los daños y robo');
+  }
+
+  drawSection(doc, 'Importes');
+  [
+    [`Alquiler (${contract.total_days} día(s))`, contract.subtotal],
+    ['Cargos adicionales', contract.additional_charges],
+    ['Descuento', contract.discount_amount],
+    ['Impuesto', contract.tax_amount],
+    ['Total', contract.total_amount],
+    ['Depósito en garantía', contract.deposit_amount]
+  ]
+    .filter(([, amount]) => amount !== null && amount !== undefined)
+    .forEach(([label, amount]) => doc.text(`${label}: ${formatAmount(amount, contract.currency)}`));
+
+  // Signature lines side by side
+  doc.moveDown(3);
+  const signatureY = doc.y;
+  const width = (doc.page.width - PAGE_MARGIN * 2 - 40) / 2;
+  [['Firma del cliente', PAGE_MARGIN], ['Firma de la empresa', PAGE_MARGIN + width + 40]].forEach(([label, x]) => {
+    doc.text('______________________________', x, signatureY, { width, align: 'center' });
+    doc.text(label, x, doc.y, { width, align: 'center' });
+  });
+});
+
+module.exports = {
+  renderInvoicePdf,
+  renderReceiptPdf,
+  renderContractPdf
+};
@@ -0,0 +1,68 @@
+const { Role } = require('../models');
+const { ALL_PERMISSIONS, SUPER_ROLE } = require('../config/permissions');
+const { BadRequestError, ForbiddenError } = require('../utils/errors');
+
+/**
+ * Permissions of roles and users
+ * A role grants the permissions stored on its row; the super role (admin)
+ * grants every permission. Nobody can hand out permissions they lack: roles
+ * are created, edited and assigned only with a subset of the actor's own.
+ */
+
+/**
+ * Permissions granted by a role; none for an unknown role
+ *
+ * @param {string} roleName - Value of users.role
+ * @returns {string[]} Permission codes
+ */
+const getRolePermissions = async (roleName) => {
+  if (roleName === SUPER_ROLE) {
+    return ALL_PERMISSIONS;
+  }
+
+  const role = await Role.findOne({ where: { name: roleName } });
+  return role ? role.permissions : [];
+};
+
+/**
+ * Permissions of a user
+ */
+const getUserPermissions = (user) => getRolePermissions(user.role);
+
+/**
+ * Refuse granting permissions the actor does not hold
+ *
+ * @param {Object} actor - User creating, editing or assigning a role
+ * @param {string[]} permissions - Permissions to grant
+ */
+const assertGrantable = async (actor, permissions) => {
+  const own = await getUserPermissions(actor);
+  const missing = permissions.filter(permission => !own.includes(permission));
+  if (missing.length > 0) {
+    throw new ForbiddenError('No puedes otorgar permisos que no tienes', {
+      missing_permissions: missing
+    });
+  }
+};
+
+/**
+ * Check that a role exists and the actor may assign it
+ *
+ * @returns {Object} Role
+ */
+const assertAssignableRole = async (actor, roleName) => {
+  const role = await Role.findOne({ where: { name: roleName } });
+  if (!role) {
+    throw new BadRequestError(`El rol ${roleName} no existe`);
+  }
+
+  await assertGrantable(actor, role.name === SUPER_ROLE ? ALL_PERMISSIONS : role.permissions);
+  return role;
+};
+
+module.exports = {
+  getRolePermissions,
+  getUserPermissions,
+  assertGrantable,
+  assertAssignableRole
+};
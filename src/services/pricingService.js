@@ -0,0 +1,872 @@
+const pricing = require('../config/pricing');
+const { DEFAULT_CURRENCY, toNumber, add, sum, subtract, multiply, compare, min, max } = require('../utils/money');
+const { BadRequestError } = require('../utils/errors');
+
+/**
+ * Pricing engine
+ * Single source of the rental price: quotes, rental creation and the charges
+ * at return all go through here, driven by config/pricing.js.
+ *
+ *   day price = daily_rate x rate tier x weekend surcharge x seasonal multiplier
+ *   tax       = (subtotal + taxable charges - discount) x tax rate
+ *   total     = subtotal + additional charges - discount + tax
+ *
+ * Booked extras, additional driver fees and the protection plan are part of
+ * the additional charges; driver fees, taxable extras and the protection plan
+ * are taxed at the rate of the rental, and so are the charges at return.
+ */
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+const HOUR_MS = 1000 * 60 * 60;
+
+/**
+ * Number of billable days between two dates (every started day counts)
+ */
+const countRentalDays = (startDate, endDate) =>
+  Math.max(1, Math.ceil((new Date(endDate) - new Date(startDate)) / DAY_MS));
+
+/**
+ * Rate tier for a rental length
+ */
+const resolveRateTier = (totalDays) =>
+  pricing.rateTiers.find(tier => totalDays >= tier.minDays) ||
+  { name: 'daily', label: 'Tarifa diaria', minDays: 1, multiplier: 1 };
+
+/**
+ * Tax rate and country for a pickup branch
+ * Accepts a Location or, for rentals made before branches existed, the free
+ * text pickup location.
+ */
+const resolveTax = (pickupLocation) => {
+  const { tax } = pricing;
+  const location = pickupLocation && typeof pickupLocation === 'object' ? pickupLocation : null;
+  const key = location ? location.code : pickupLocation;
+  const branch = (key && tax.branches[key]) || {};
+  const country = branch.country || (location && location.country) || tax.defaultCountry;
+
+  const rate = branch.rate !== undefined ? branch.rate : tax.countries[country];
+  if (rate === undefined) {
+    throw new BadRequestError('No hay tasa de impuesto configurada para el país de la sucursal de retiro', { country });
+  }
+
+  return { country, rate };
+};
+
+/**
+ * One-way drop fee between two branches (0 when returned where picked up)
+ */
+const resolveOneWayFee = (pickupLocation, returnLocation) => {
+  if (!pickupLocation || !returnLocation || pickupLocation.id === returnLocation.id) {
+    return 0;
+  }
+
+  const { oneWay } = pricing;
+  const fees = oneWay.fees[pickupLocation.code] || {};
+  return toNumber(fees[returnLocation.code] !== undefined ? fees[returnLocation.code] : oneWay.defaultFee);
+};
+
+/**
+ * Fuel policies a rental can be booked with (see config/pricing.js)
+ */
+const FUEL_POLICIES = ['full_to_full', 'prepaid', 'pay_on_return'];
+
+/**
+ * Share of the tank each fuel level stands for
+ */
+const FUEL_LEVEL_FRACTIONS = {
+  empty: 0,
+  quarter: 0.25,
+  half: 0.5,
+  three_quarters: 0.75,
+  full: 1
+};
+
+/**
+ * What a vehicle is refilled with: litres of fuel or kWh of charge
+ */
+const energyOf = (vehicle) => (vehicle.fuel_type === 'electric' ?
+  { unit: 'kwh', symbol: 'kWh', label: 'Recarga', capacity: parseFloat(vehicle.battery_capacity) || 0 } :
+  { unit: 'litre', symbol: 'L', label: 'Combustible', capacity: parseFloat(vehicle.tank_capacity) || 0 });
+
+/**
+ * Tank or battery level as a fraction of its capacity, or null if unknown
+ * Electric vehicles use the state of charge (%) and fall back to the fuel level scale.
+ */
+const energyLevel = (vehicle, fuelLevel, batteryLevel) => {
+  if (vehicle.fuel_type === 'electric' && batteryLevel !== null && batteryLevel !== undefined) {
+    return batteryLevel / 100;
+  }
+  return fuelLevel ? FUEL_LEVEL_FRACTIONS[fuelLevel] : null;
+};
+
+/**
+ * Price of a litre or kWh in a currency
+ */
+const energyPrice = (unit, currency) => {
+  const prices = pricing.fuel.prices[currency] || {};
+  if (prices[unit] === undefined) {
+    throw new BadRequestError(`No hay precio de ${unit === 'kwh' ? 'recarga' : 'combustible'} configurado en la moneda del alquiler`, {
+      currency
+    });
+  }
+  return prices[unit];
+};
+
+/**
+ * Full tank or battery charged at booking with the prepaid fuel policy
+ */
+const quotePrepaidFuel = (vehicle) => {
+  const energy = energyOf(vehicle);
+  if (!energy.capacity) {
+    throw new BadRequestError('El vehículo no tiene registrada la capacidad de estanque o batería; no se puede prepagar');
+  }
+
+  const unitPrice = energyPrice(energy.unit, vehicle.currency || DEFAULT_CURRENCY);
+  return {
+    unit: energy.unit,
+    quantity: energy.capacity,
+    unit_price: unitPrice,
+    amount: multiply(unitPrice, energy.capacity),
+    description: `${energy.label} prepagado (${energy.capacity} ${energy.symbol})`
+  };
+};
+
+/**
+ * Refuel or recharge charge of a vehicle returned with less fuel than at pickup
+ * Nothing is charged with the prepaid policy, when a level is unknown or when
+ * the vehicle has no capacity recorded.
+ *
+ * @param {string} policy - Fuel policy of the rental
+ * @param {Object} vehicle - Vehicle (fuel_type, tank_capacity, battery_capacity)
+ * @param {Object} levels - { pickup, return } as fractions of the capacity
+ * @param {string} currency - Currency of the rental
+ * @returns {Object|null} { unit, quantity, unit_price, fuel_amount, service_fee, amount, description }
+ */
+const calculateRefuelCharge = (policy, vehicle, levels, currency = DEFAULT_CURRENCY) => {
+  const energy = energyOf(vehicle);
+  if (policy === 'prepaid' || levels.pickup === null || levels.return === null ||
+      levels.return >= levels.pickup || !energy.capacity) {
+    return null;
+  }
+
+  const quantity = Number(((levels.pickup - levels.return) * energy.capacity).toFixed(2));
+  const unitPrice = energyPrice(energy.unit, currency);
+  const fuelAmount = multiply(unitPrice, quantity);
+  const serviceFee = toNumber((pricing.fuel.serviceFees[policy] || {})[currency]);
+
+  const description = [`${energy.label} faltante: ${quantity} ${energy.symbol}`];
+  if (serviceFee > 0) description.push('cargo por servicio');
+
+  return {
+    unit: energy.unit,
+    quantity,
+    unit_price: unitPrice,
+    fuel_amount: fuelAmount,
+    service_fee: serviceFee,
+    amount: add(fuelAmount, serviceFee),
+    description: description.join(' + ')
+  };
+};
+
+/**
+ * Mileage allowance types (see config/pricing.js)
+ */
+const MILEAGE_POLICY_TYPES = ['unlimited', 'per_day', 'cap'];
+
+/**
+ * Mileage policy of a rental: the one agreed at booking or the one of the vehicle type
+ *
+ * @param {Object} vehicle - Vehicle (vehicle_type, currency)
+ * @param {Object} [override] - { type, km, excess_rate } given at booking
+ * @returns {Object} { type, km, excess_rate }
+ */
+const resolveMileagePolicy = (vehicle, override) => {
+  const { mileage } = pricing;
+  const base = override || mileage.policies[vehicle.vehicle_type] || mileage.policies.default;
+
+  if (base.type === 'unlimited') {
+    return { type: 'unlimited', km: null, excess_rate: 0 };
+  }
+
+  const currency = vehicle.currency || DEFAULT_CURRENCY;
+  const excessRate = override && override.excess_rate !== undefined ?
+    override.excess_rate :
+    (base.excessRates || mileage.excessRates)[currency];
+  if (excessRate === undefined) {
+    throw new BadRequestError('No hay tarifa de kilometraje excedido configurada en la moneda del vehículo', {
+      currency
+    });
+  }
+
+  return { type: base.type, km: Number(base.km), excess_rate: toNumber(excessRate) };
+};
+
+/**
+ * Kilometres included by a mileage policy for a rental length (null if unlimited)
+ */
+const includedKilometres = (policy, totalDays) => {
+  if (policy.type === 'unlimited') return null;
+  return policy.type === 'per_day' ? policy.km * totalDays : policy.km;
+};
+
+/**
+ * Excess mileage charge of a rental
+ *
+ * @param {Object} policy - Mileage policy of the rental
+ * @param {number} drivenKm - Kilometres driven, over every vehicle of the rental
+ * @param {number} totalDays - Billed days
+ * @returns {Object} { type, driven_km, included_km, excess_km, excess_rate, amount, description }
+ */
+const calculateMileageCharge = (policy, drivenKm, totalDays) => {
+  const includedKm = includedKilometres(policy, totalDays);
+  const excessKm = includedKm === null ? 0 : Math.max(0, drivenKm - includedKm);
+
+  return {
+    type: policy.type,
+    driven_km: drivenKm,
+    included_km: includedKm,
+    excess_km: excessKm,
+    excess_rate: policy.excess_rate,
+    amount: multiply(policy.excess_rate, excessKm),
+    description: excessKm > 0 ?
+      `Kilometraje excedido: ${excessKm} km (recorridos ${drivenKm} km, incluidos ${includedKm} km)` :
+      null
+  };
+};
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+/**
+ * Time zone whose calendar classifies the days of a rental
+ * The time zone of the pickup branch or, for rentals made before branches
+ * existed, the business time zone.
+ */
+const resolveTimezone = (pickupLocation) =>
+  (pickupLocation && typeof pickupLocation === 'object' && pickupLocation.timezone) || pricing.timezone;
+
+/**
+ * Day formatters by time zone, built on first use
+ */
+const calendarFormats = new Map();
+
+const calendarFormat = (timezone) => {
+  if (!calendarFormats.has(timezone)) {
+    calendarFormats.set(timezone, new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      weekday: 'short',
+      month: '2-digit',
+      day: '2-digit'
+    }));
+  }
+  return calendarFormats.get(timezone);
+};
+
+/**
+ * Calendar day of a date in a time zone
+ *
+ * @returns {Object} { weekday (0 = Sunday), monthDay (MM-DD) }
+ */
+const calendarDay = (date, timezone) => {
+  const parts = Object.fromEntries(calendarFormat(timezone).formatToParts(date).map(part => [part.type, part.value]));
+  return {
+    weekday: WEEKDAYS.indexOf(parts.weekday),
+    monthDay: `${parts.month}-${parts.day}`
+  };
+};
+
+/**
+ * Season a calendar day falls in, or null
+ */
+const resolveSeason = (day) => {
+  return pricing.seasons.find(season => (
+    season.from <= season.to ?
+      day >= season.from && day <= season.to :
+      day >= season.from || day <= season.to
+  )) || null;
+};
+
+/**
+ * Price one rental day, classified on the calendar of `timezone`
+ */
+const priceDay = (date, dailyRate, vehicleType, tier, timezone) => {
+  const { weekend } = pricing;
+  const day = calendarDay(date, timezone);
+  const isWeekend = weekend.tiers.includes(tier.name) && weekend.days.includes(day.weekday);
+  const season = resolveSeason(day.monthDay);
+
+  const multipliers = [tier.multiplier];
+  if (isWeekend) {
+    multipliers.push(weekend.multiplier);
+  }
+  if (season) {
+    const seasonMultipliers = season.multipliers;
+    multipliers.push(seasonMultipliers[vehicleType] !== undefined ?
+      seasonMultipliers[vehicleType] :
+      (seasonMultipliers.default || 1));
+  }
+
+  return {
+    weekend: isWeekend,
+    season: season ? season.name : null,
+    // Multipliers are applied exactly and rounded once
+    unit_price: multiply(dailyRate, ...multipliers)
+  };
+};
+
+/**
+ * Description of a group of rental days
+ */
+const describeLine = (tier, line) => {
+  const parts = [tier.label || tier.name];
+  if (line.weekend) parts.push('fin de semana');
+  if (line.season) parts.push(line.season);
+  return parts.join(' - ');
+};
+
+/**
+ * Price `days` consecutive rental days from `startDate`
+ * Days sharing the same price conditions are billed as one line.
+ */
+const priceDays = (startDate, days, dailyRate, vehicleType, tier, timezone = pricing.timezone) => {
+  const groups = new Map();
+  for (let i = 0; i < days; i++) {
+    const date = new Date(startDate.getTime() + i * DAY_MS);
+    const day = priceDay(date, dailyRate, vehicleType, tier, timezone);
+    const key = `${day.weekend}|${day.season}|${day.unit_price}`;
+
+    if (!groups.has(key)) {
+      groups.set(key, { ...day, days: 0 });
+    }
+    groups.get(key).days++;
+  }
+
+  return Array.from(groups.values()).map(line => ({
+    description: describeLine(tier, line),
+    days: line.days,
+    unit_price: line.unit_price,
+    weekend: line.weekend,
+    season: line.season,
+    amount: multiply(line.unit_price, line.days)
+  }));
+};
+
+/**
+ * Line of an extra booked for `days` days
+ * Per-rental extras are charged once whatever the length of the rental.
+ */
+const priceExtra = (extra, quantity, days) => {
+  const chargedDays = extra.pricing_type === 'per_day' ? days : 1;
+  const unitPrice = toNumber(extra.unit_price !== undefined ? extra.unit_price : extra.price);
+
+  return {
+    extra_id: extra.extra_id || extra.id,
+    code: extra.code,
+    name: extra.name,
+    pricing_type: extra.pricing_type,
+    quantity,
+    days: chargedDays,
+    unit_price: unitPrice,
+    taxable: extra.taxable,
+    amount: multiply(unitPrice, quantity, chargedDays)
+  };
+};
+
+/**
+ * Lines of the extras booked with a rental
+ *
+ * @param {Array} selections - [{ extra, quantity }] with catalogue extras
+ * @param {number} totalDays - Rental days
+ * @param {string} currency - Currency of the rental, extras must be priced in it
+ */
+const quoteExtras = (selections, totalDays, currency) => selections.map(({ extra, quantity }) => {
+  if (extra.currency !== currency) {
+    throw new BadRequestError(`El extra ${extra.name} no tiene precio en la moneda del alquiler`, {
+      extra_id: extra.id,
+      currency
+    });
+  }
+
+  return priceExtra(extra, quantity, totalDays);
+});
+
+/**
+ * Daily fee of an additional driver: the additional driver fee plus, for
+ * young drivers, the young driver surcharge
+ */
+const driverDailyFee = (youngDriver, currency) => {
+  const { drivers } = pricing;
+  const additionalFee = drivers.additionalDriverFees[currency];
+  const youngFee = youngDriver ? drivers.youngDriverFees[currency] : 0;
+  if (additionalFee === undefined || youngFee === undefined) {
+    throw new BadRequestError('No hay tarifa de conductor adicional configurada en la moneda del alquiler', {
+      currency
+    });
+  }
+  return add(additionalFee, youngFee);
+};
+
+/**
+ * Line of an additional driver charged `dailyFee` for `days` days
+ */
+const priceDriver = (driver, dailyFee, days) => {
+  const fee = toNumber(dailyFee);
+
+  return {
+    driver_license_number: driver.driver_license_number,
+    name: driver.name || `${driver.first_name} ${driver.last_name}`,
+    young_driver: driver.young_driver,
+    days,
+    daily_fee: fee,
+    amount: multiply(fee, days)
+  };
+};
+
+/**
+ * Whether a driver is young enough to pay the young driver surcharge on `date`
+ */
+const isYoungDriver = (driver, date) => driver.getAge(date) < pricing.drivers.youngDriverAge;
+
+/**
+ * Protection plans a rental can be booked with (see config/pricing.js)
+ */
+const PROTECTION_PLANS = Object.keys(pricing.protection.plans);
+
+/**
+ * Protection plan booked for a vehicle type, with its price and deductible
+ * in the currency of the rental; stored on the rental as agreed at booking
+ *
+ * @returns {Object} { code, name, covers, daily_price, deductible, currency }
+ */
+const resolveProtectionPlan = (code, vehicleType, currency) => {
+  const plan = pricing.protection.plans[code];
+  if (!plan) {
+    throw new BadRequestError('Plan de protección inválido', { protection_plan: code });
+  }
+
+  const rates = (plan.rates[vehicleType] || plan.rates.default || {})[currency];
+  if (!rates) {
+    throw new BadRequestError(`El plan ${plan.name} no tiene precio en la moneda del alquiler`, {
+      protection_plan: code,
+      currency
+    });
+  }
+
+  return {
+    code,
+    name: plan.name,
+    covers: plan.covers,
+    daily_price: toNumber(rates.daily),
+    deductible: toNumber(rates.deductible),
+    currency
+  };
+};
+
+/**
+ * Line of a protection plan charged for `days` days
+ */
+const priceProtection = (plan, days) => ({
+  code: plan.code,
+  name: plan.name,
+  days,
+  daily_price: plan.daily_price,
+  amount: multiply(plan.daily_price, days)
+});
+
+/**
+ * Cap the return charges covered by a protection plan at its deductible
+ * The charges of the concepts the plan covers are paid up to the deductible
+ * between them, in order; the rest is covered by the plan and recorded on
+ * each item as covered_amount. Other charges are left untouched.
+ *
+ * @param {Object|null} plan - Protection plan of the rental
+ * @param {Array} items - Return charges ({ concept, amount })
+ * @returns {Object} { items, claim } claim is null when nothing was covered
+ */
+const applyProtectionPlan = (plan, items) => {
+  if (!plan) {
+    return { items, claim: null };
+  }
+
+  let remaining = toNumber(plan.deductible);
+  let covered = 0;
+  let charged = 0;
+
+  const cappedItems = items.map(item => {
+    if (!plan.covers.includes(item.concept)) {
+      return item;
+    }
+
+    const amount = min(item.amount, remaining);
+    const coveredAmount = subtract(item.amount, amount);
+    remaining = subtract(remaining, amount);
+    covered = add(covered, coveredAmount);
+    charged = add(charged, amount);
+
+    if (compare(coveredAmount, 0) === 0) {
+      return item;
+    }
+    return {
+      ...item,
+      description: `${item.description || 'Cargo'} (hasta el deducible del plan de protección)`,
+      amount,
+      covered_amount: coveredAmount
+    };
+  });
+
+  if (compare(covered, 0) === 0) {
+    return { items, claim: null };
+  }
+
+  return {
+    items: cappedItems,
+    claim: {
+      plan: plan.code,
+      deductible: toNumber(plan.deductible),
+      charged_amount: charged,
+      covered_amount: covered
+    }
+  };
+};
+
+/**
+ * Itemised price of a rental
+ * additional_charges includes the one-way drop fee, the prepaid fuel, the
+ * booked extras, the additional driver fees and the protection plan, also
+ * reported on their own.
+ *
+ * @param {Object} vehicle - Vehicle (daily_rate, vehicle_type, fuel_type, capacities)
+ * @param {Object} data - { start_date, end_date, fuel_policy, mileage_policy, protection_plan,
+ *                         additional_charges, discount_amount }
+ * @param {Object} locations - { pickup, return } branches of the rental
+ * @param {Object} items - { extras: [{ extra, quantity }], drivers: [driver] }
+ *                         catalogue extras and eligible additional drivers
+ * @returns {Object} Quote with the rental amounts and the breakdown by day groups
+ */
+const quoteRental = (vehicle, data, locations = {}, items = {}) => {
+  const { extras = [], drivers = [] } = items;
+  const startDate = new Date(data.start_date);
+  const totalDays = countRentalDays(startDate, data.end_date);
+  const dailyRate = toNumber(vehicle.daily_rate);
+  const tier = resolveRateTier(totalDays);
+
+  const currency = vehicle.currency || DEFAULT_CURRENCY;
+  const timezone = resolveTimezone(locations.pickup);
+
+  const lines = priceDays(startDate, totalDays, dailyRate, vehicle.vehicle_type, tier, timezone);
+  const extraLines = quoteExtras(extras, totalDays, currency);
+  const driverLines = drivers.map(driver => priceDriver(driver, driverDailyFee(driver.young_driver, currency), totalDays));
+  const protectionPlan = data.protection_plan ?
+    resolveProtectionPlan(data.protection_plan, vehicle.vehicle_type, currency) :
+    null;
+  const protection = protectionPlan ? priceProtection(protectionPlan, totalDays) : null;
+  const protectionAmount = protection ? protection.amount : 0;
+
+  const subtotal = sum(lines.map(line => line.amount));
+  const extrasAmount = sum(extraLines.map(line => line.amount));
+  const taxableExtras = sum(extraLines.filter(line => line.taxable).map(line => line.amount));
+  const driversAmount = sum(driverLines.map(line => line.amount));
+  const tax = resolveTax(locations.pickup || data.pickup_location);
+  const discountAmount = toNumber(data.discount_amount);
+  // The discount lowers the taxable amount, as at return
+  const taxAmount = multiply(
+    max(0, subtract(add(subtotal, taxableExtras, driversAmount, protectionAmount), discountAmount)),
+    tax.rate
+  );
+  const oneWayFee = resolveOneWayFee(locations.pickup, locations.return);
+  const fuelPolicy = data.fuel_policy || pricing.fuel.defaultPolicy;
+  const prepaidFuel = fuelPolicy === 'prepaid' ? quotePrepaidFuel(vehicle) : null;
+  const additionalCharges = add(
+    data.additional_charges,
+    oneWayFee,
+    prepaidFuel ? prepaidFuel.amount : 0,
+    extrasAmount,
+    driversAmount,
+    protectionAmount
+  );
+  const mileagePolicy = resolveMileagePolicy(vehicle, data.mileage_policy);
+
+  return {
+    // Rentals are priced in the currency of the vehicle rate
+    currency,
+    vehicle_type: vehicle.vehicle_type,
+    total_days: totalDays,
+    daily_rate: dailyRate,
+    rate_tier: tier.name,
+    timezone,
+    lines,
+    subtotal,
+    tax_country: tax.country,
+    tax_rate: tax.rate,
+    tax_amount: taxAmount,
+    one_way_fee: oneWayFee,
+    fuel_policy: fuelPolicy,
+    prepaid_fuel: prepaidFuel,
+    mileage_policy: mileagePolicy,
+    included_km: includedKilometres(mileagePolicy, totalDays),
+    extras: extraLines,
+    extras_amount: extrasAmount,
+    drivers: driverLines,
+    drivers_amount: driversAmount,
+    protection_plan: protectionPlan,
+    protection,
+    additional_charges: additionalCharges,
+    discount_amount: discountAmount,
+    total_amount: subtract(add(subtotal, taxAmount, additionalCharges), discountAmount)
+  };
+};
+
+/**
+ * Itemised price of extending a rental to `newEndDate`
+ * Only the added days are priced, at the daily rate agreed in the rental and
+ * with the rate tier of the extended length; days already billed keep their
+ * price. Per-day extras, additional drivers and the protection plan are
+ * charged for the added days at their booked price. Tax and the calendar of
+ * the days use the rate and time zone the rental was booked with.
+ *
+ * @param {Object} rental - Rental being extended
+ * @param {Object} vehicle - Vehicle of the rental (vehicle_type)
+ * @param {Date|string} newEndDate - New end date, after the current one
+ * @returns {Object} Extension with its day, extra, driver and protection lines
+ *                   and amounts; additional_charges sums the last three
+ */
+const quoteExtension = (rental, vehicle, newEndDate) => {
+  const startDate = new Date(rental.start_date);
+  const totalDays = countRentalDays(startDate, newEndDate);
+  const addedDays = Math.max(0, totalDays - rental.total_days);
+  const tier = resolveRateTier(totalDays);
+
+  // Added days follow the days already billed
+  const firstDay = new Date(startDate.getTime() + rental.total_days * DAY_MS);
+  const breakdown = rental.price_breakdown || {};
+  const lines = priceDays(firstDay, addedDays, toNumber(rental.daily_rate), vehicle.vehicle_type, tier, breakdown.timezone);
+
+  const extraLines = addedDays > 0 ?
+    (breakdown.extras || [])
+      .filter(extra => extra.pricing_type === 'per_day')
+      .map(extra => priceExtra(extra, extra.quantity, addedDays)) :
+    [];
+  const driverLines = addedDays > 0 ?
+    (breakdown.drivers || []).map(driver => priceDriver(driver, driver.daily_fee, addedDays)) :
+    [];
+  const protection = addedDays > 0 && rental.protection_plan ?
+    priceProtection(rental.protection_plan, addedDays) :
+    null;
+  const protectionAmount = protection ? protection.amount : 0;
+
+  const taxRate = breakdown.tax_rate !== undefined ? breakdown.tax_rate : resolveTax(rental.pickup_location).rate;
+  const subtotal = sum(lines.map(line => line.amount));
+  const extrasAmount = sum(extraLines.map(line => line.amount));
+  const taxableExtras = sum(extraLines.filter(line => line.taxable).map(line => line.amount));
+  const driversAmount = sum(driverLines.map(line => line.amount));
+  const additionalCharges = add(extrasAmount, driversAmount, protectionAmount);
+  const taxAmount = multiply(add(subtotal, taxableExtras, driversAmount, protectionAmount), taxRate);
+
+  return {
+    previous_end_date: new Date(rental.end_date),
+    new_end_date: new Date(newEndDate),
+    added_days: addedDays,
+    total_days: totalDays,
+    rate_tier: tier.name,
+    lines,
+    subtotal,
+    extras: extraLines,
+    extras_amount: extrasAmount,
+    drivers: driverLines,
+    drivers_amount: driversAmount,
+    protection,
+    additional_charges: additionalCharges,
+    tax_rate: taxRate,
+    tax_amount: taxAmount,
+    total_amount: add(subtotal, additionalCharges, taxAmount)
+  };
+};
+
+/**
+ * Itemised price of adding a driver to a booked rental
+ * The driver is charged from `fromDate` (or the start of the rental, if later)
+ * to the end date, at the current driver fees, with the tax rate the rental
+ * was booked with.
+ *
+ * @param {Object} rental - Rental the driver is added to
+ * @param {Object} driver - RentalDriver, young_driver set
+ * @param {Date} fromDate - When the driver is added
+ * @returns {Object} Driver line, tax and total
+ */
+const quoteAdditionalDriver = (rental, driver, fromDate = new Date()) => {
+  const startDate = new Date(Math.max(new Date(fromDate), new Date(rental.start_date)));
+  const days = countRentalDays(startDate, rental.end_date);
+  const line = priceDriver(driver, driverDailyFee(driver.young_driver, rental.currency), days);
+
+  const breakdown = rental.price_breakdown || {};
+  const taxRate = breakdown.tax_rate !== undefined ? breakdown.tax_rate : resolveTax(rental.pickup_location).rate;
+  const taxAmount = multiply(line.amount, taxRate);
+
+  return {
+    line,
+    tax_rate: taxRate,
+    tax_amount: taxAmount,
+    total_amount: add(line.amount, taxAmount)
+  };
+};
+
+/**
+ * Tax of the charges at return (late fee, fuel, excess mileage, damage...)
+ * Charged at the tax rate the rental was booked with, like the booking-time
+ * charges; the discount was already taken off the taxable amount at booking.
+ *
+ * @param {Object} rental - Rental being returned
+ * @param {Object[]} items - Return charges, after the protection plan
+ * @returns {Object} Amount of the charges, tax and total
+ */
+const quoteReturnCharges = (rental, items) => {
+  const breakdown = rental.price_breakdown || {};
+  const taxRate = breakdown.tax_rate !== undefined ? breakdown.tax_rate : resolveTax(rental.pickup_location).rate;
+  const amount = sum(items.map(item => item.amount));
+  const taxAmount = multiply(amount, taxRate);
+
+  return {
+    amount,
+    tax_rate: taxRate,
+    tax_amount: taxAmount,
+    total_amount: add(amount, taxAmount)
+  };
+};
+
+/**
+ * Price difference of finishing a rental on another vehicle from `swapDate`
+ * The day in progress stays billed to the original vehicle; the remaining
+ * days are priced twice, at the agreed rate and type of the original vehicle
+ * and at the rate and type of the replacement, with the rate tier of the
+ * rental length. A negative difference is a downgrade.
+ *
+ * @param {Object} rental - Rental being swapped
+ * @param {Object} fromVehicle - Vehicle swapped out
+ * @param {Object} toVehicle - Replacement vehicle
+ * @param {Date} swapDate - When the replacement is handed over
+ * @returns {Object} Remaining days, both prices and the difference with tax
+ */
+const quoteSwap = (rental, fromVehicle, toVehicle, swapDate) => {
+  const startDate = new Date(rental.start_date);
+  const elapsedDays = Math.ceil((new Date(swapDate) - startDate) / DAY_MS);
+  const billedDays = Math.min(rental.total_days, Math.max(0, elapsedDays));
+  const remainingDays = rental.total_days - billedDays;
+  const tier = resolveRateTier(rental.total_days);
+
+  const firstDay = new Date(startDate.getTime() + billedDays * DAY_MS);
+  const breakdown = rental.price_breakdown || {};
+  const previousLines = priceDays(firstDay, remainingDays, toNumber(rental.daily_rate), fromVehicle.vehicle_type, tier, breakdown.timezone);
+  const newLines = priceDays(firstDay, remainingDays, toNumber(toVehicle.daily_rate), toVehicle.vehicle_type, tier, breakdown.timezone);
+
+  const taxRate = breakdown.tax_rate !== undefined ? breakdown.tax_rate : resolveTax(rental.pickup_location).rate;
+  const previousAmount = sum(previousLines.map(line => line.amount));
+  const newAmount = sum(newLines.map(line => line.amount));
+  const subtotal = subtract(newAmount, previousAmount);
+  const taxAmount = multiply(subtotal, taxRate);
+
+  return {
+    remaining_days: remainingDays,
+    from_vehicle_type: fromVehicle.vehicle_type,
+    to_vehicle_type: toVehicle.vehicle_type,
+    previous_lines: previousLines,
+    new_lines: newLines,
+    previous_amount: previousAmount,
+    new_amount: newAmount,
+    subtotal,
+    tax_rate: taxRate,
+    tax_amount: taxAmount,
+    total_amount: add(subtotal, taxAmount)
+  };
+};
+
+/**
+ * Late fee of a rental returned at `returnDate`, following the late fee policy
+ *
+ * @returns {Object} { late_minutes, charged_units, unit, amount, description }
+ */
+const calculateLateFee = (rental, returnDate = new Date()) => {
+  const policy = pricing.lateFee;
+  const dailyRate = toNumber(rental.daily_rate);
+  const lateMs = new Date(returnDate) - new Date(rental.end_date);
+  const lateMinutes = Math.max(0, Math.ceil(lateMs / (1000 * 60)));
+  const unit = policy.mode === 'hourly' ? 'hour' : 'day';
+
+  if (lateMinutes <= policy.graceMinutes) {
+    return { late_minutes: lateMinutes, charged_units: 0, unit, amount: 0, description: null };
+  }
+
+  const dayCharge = multiply(dailyRate, policy.dailyMultiplier);
+  let amount;
+  let chargedUnits;
+  let description;
+
+  if (unit === 'hour') {
+    chargedUnits = Math.ceil(lateMs / HOUR_MS);
+    const fullDays = Math.floor(chargedUnits / 24);
+    const remainingHours = chargedUnits % 24;
+    // Hours within a day never cost more than the full late day
+    amount = add(
+      multiply(dayCharge, fullDays),
+      min(multiply(dailyRate, policy.hourlyMultiplier, remainingHours), dayCharge)
+    );
+    description = `${chargedUnits} hora(s) de atraso`;
+  } else {
+    chargedUnits = Math.ceil(lateMs / DAY_MS);
+    amount = multiply(dayCharge, chargedUnits);
+    description = `${chargedUnits} día(s) de atraso`;
+  }
+
+  return {
+    late_minutes: lateMinutes,
+    charged_units: chargedUnits,
+    unit,
+    amount: policy.maxChargedDays ? min(amount, multiply(dayCharge, policy.maxChargedDays)) : amount,
+    description
+  };
+};
+
+/**
+ * No-show fee of a rental, following the no-show policy
+ * Days are charged at the agreed daily rate with the tax rate the rental was
+ * booked with; the fee never exceeds the booked total.
+ *
+ * @returns {Object} { days, tax_rate, tax_amount, amount, description }
+ */
+const calculateNoShowFee = (rental) => {
+  const days = Math.min(pricing.noShow.feeDays, rental.total_days);
+  const breakdown = rental.price_breakdown || {};
+  const taxRate = breakdown.tax_rate !== undefined ? breakdown.tax_rate : resolveTax(rental.pickup_location).rate;
+  const base = multiply(rental.daily_rate, days);
+  const amount = min(add(base, multiply(base, taxRate)), rental.total_amount);
+
+  return {
+    days,
+    tax_rate: taxRate,
+    tax_amount: subtract(amount, min(base, amount)),
+    amount,
+    description: days > 0 ? `Cargo por no presentación (${days} día(s))` : null
+  };
+};
+
+module.exports = {
+  FUEL_POLICIES,
+  MILEAGE_POLICY_TYPES,
+  countRentalDays,
+  resolveTax,
+  resolveOneWayFee,
+  quoteRental,
+  quoteExtension,
+  driverDailyFee,
+  priceDriver,
+  isYoungDriver,
+  PROTECTION_PLANS,
+  resolveProtectionPlan,
+  applyProtectionPlan,
+  quoteSwap,
+  quoteAdditionalDriver,
+  quoteReturnCharges,
+  energyLevel,
+  calculateRefuelCharge,
+  calculateMileageCharge,
+  calculateLateFee,
+  calculateNoShowFee
+};
@@ -0,0 +1,187 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { Op } = require('sequelize');
+const { User, Session, sequelize } = require('../models');
+const auth = require('../config/auth');
+const { UnauthorizedError } = require('../utils/errors');
+
+/**
+ * Sessions and tokens
+ *
+ *   login    - opens a session and issues an access token and a refresh token
+ *   refresh  - exchanges the refresh token for a new pair; the old refresh
+ *              token stops working (rotation)
+ *   reuse    - presenting a refresh token that was already rotated means it
+ *              leaked: the whole session is revoked
+ *   revoke   - logout, the user closing a device or a password change end
+ *              the session; its access tokens are rejected from then on
+ *
+ * Refresh tokens are `<session id>.<random>` and only their hash is stored.
+ */
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+/**
+ * SHA-256 of a token, as stored in place of refresh and reset tokens
+ */
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * New refresh token of a session
+ */
+const generateRefreshToken = (sessionId) => `${sessionId}.${crypto.randomBytes(32).toString('base64url')}`;
+
+/**
+ * Expiry of a session used now
+ */
+const sessionExpiry = () => new Date(Date.now() + auth.refreshToken.ttlDays * DAY_MS);
+
+/**
+ * Short-lived access token of a user session
+ */
+const generateAccessToken = (userId, sessionId) => jwt.sign(
+  { userId, sid: sessionId },
+  auth.accessToken.secret,
+  { expiresIn: auth.accessToken.expiresIn }
+);
+
+/**
+ * Tokens returned to the client
+ * `token` is the access token, under the name login has always used.
+ */
+const tokenPair = (user, session, refreshToken) => ({
+  token: generateAccessToken(user.id, session.id),
+  refresh_token: refreshToken,
+  refresh_token_expires_at: session.expires_at,
+  session_id: session.id
+});
+
+/**
+ * Open a session for a user who just authenticated
+ *
+ * @param {Object} user - Authenticated user
+ * @param {Object} client - { device, ip, userAgent } of the request
+ * @returns {Object} Token pair
+ */
+const openSession = async (user, client = {}, options = {}) => {
+  const { transaction } = options;
+  const id = crypto.randomUUID();
+  const refreshToken = generateRefreshToken(id);
+
+  const session = await Session.create({
+    id,
+    user_id: user.id,
+    refresh_token_hash: hashToken(refreshToken),
+    device: client.device || null,
+    ip_address: client.ip || null,
+    user_agent: client.userAgent ? client.userAgent.slice(0, 500) : null,
+    last_used_at: new Date(),
+    expires_at: sessionExpiry()
+  }, { transaction });
+
+  return tokenPair(user, session, refreshToken);
+};
+
+/**
+ * Revoke a session unless it is already revoked
+ */
+const revokeSession = async (session, reason, options = {}) => {
+  if (session.revoked_at) {
+    return session;
+  }
+  return session.update({ revoked_at: new Date(), revoked_reason: reason }, { transaction: options.transaction });
+};
+
+/**
+ * Revoke every active session of a user, except `exceptSessionId`
+ *
+ * @returns {number} Sessions revoked
+ */
+const revokeUserSessions = async (userId, reason, options = {}) => {
+  const { exceptSessionId, transaction } = options;
+
+  const [count] = await Session.update({
+    revoked_at: new Date(),
+    revoked_reason: reason
+  }, {
+    where: {
+      user_id: userId,
+      revoked_at: null,
+      ...(exceptSessionId && { id: { [Op.ne]: exceptSessionId } })
+    },
+    transaction
+  });
+
+  return count;
+};
+
+/**
+ * Exchange a refresh token for a new token pair
+ * A token that matches its session but is not the current one was already
+ * rotated: the session is revoked and the request rejected.
+ *
+ * @param {string} refreshToken - Refresh token presented by the client
+ * @param {Object} client - { ip, userAgent } of the request
+ * @returns {Object} { user, tokens }
+ */
+const rotateRefreshToken = async (refreshToken, client = {}) => {
+  const [sessionId] = String(refreshToken).split('.');
+
+  // Reuse is recorded even though the request fails, so it commits first
+  const result = await sequelize.transaction(async (transaction) => {
+    const session = /^[0-9a-f-]{36}$/i.test(sessionId) ?
+      await Session.findByPk(sessionId, { transaction, lock: transaction.LOCK.UPDATE }) :
+      null;
+
+    if (!session || !session.isActive()) {
+      return { error: 'Sesión inválida o expirada' };
+    }
+
+    if (hashToken(refreshToken) !== session.refresh_token_hash) {
+      await revokeSession(session, 'reuse_detected', { transaction });
+      console.warn(`⚠️ Refresh token reuse detected, session ${session.id} revoked`);
+      return { error: 'Token de actualización reutilizado; la sesión fue revocada' };
+    }
+
+    const user = await User.findByPk(session.user_id, { transaction });
+    if (!user || !user.is_active) {
+      await revokeSession(session, 'revoked', { transaction });
+      return { error: 'Usuario no válido o inactivo' };
+    }
+
+    const newRefreshToken = generateRefreshToken(session.id);
+    await session.update({
+      refresh_token_hash: hashToken(newRefreshToken),
+      rotation_count: session.rotation_count + 1,
+      ip_address: client.ip || session.ip_address,
+      user_agent: client.userAgent ? client.userAgent.slice(0, 500) : session.user_agent,
+      last_used_at: new Date(),
+      expires_at: sessionExpiry()
+    }, { transaction });
+
+    return { user, tokens: tokenPair(user, session, newRefreshToken) };
+  });
+
+  if (result.error) {
+    throw new UnauthorizedError(result.error);
+  }
+
+  return result;
+};
+
+/**
+ * Whether the session of an access token is still active for its user
+ */
+const isSessionActive = async (sessionId, userId) => {
+  const session = await Session.findByPk(sessionId);
+  return Boolean(session) && session.user_id === userId && session.isActive();
+};
+
+module.exports = {
+  hashToken,
+  openSession,
+  rotateRefreshToken,
+  revokeSession,
+  revokeUserSessions,
+  isSessionActive
+};
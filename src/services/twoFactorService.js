@@ -0,0 +1,280 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { User, sequelize } = require('../models');
+const auth = require('../config/auth');
+const { hashToken } = require('./sessionService');
+const { generateSecret, verifyTotp, otpauthUri } = require('../utils/totp');
+const { BadRequestError, UnauthorizedError, ConflictError } = require('../utils/errors');
+
+/**
+ * TOTP two-factor authentication
+ *
+ *   setup    - a new secret is stored and returned with its otpauth URI; it is
+ *              not used until a code from it is confirmed (enable)
+ *   enable   - a valid code switches 2FA on and returns the recovery codes,
+ *              shown only this once and stored hashed
+ *   login    - after the password, users with 2FA get a challenge token
+ *              instead of a session; the code (or a recovery code) exchanges
+ *              it for the session. Users of a role that requires 2FA and have
+ *              not enabled it get a setup challenge and enrol before signing in
+ *   reset    - an admin clears the 2FA of a user who lost the device
+ *
+ * Each TOTP code is accepted once: its time step must be later than the last
+ * accepted one.
+ */
+
+/**
+ * Whether the role of a user cannot sign in without 2FA
+ */
+const isTwoFactorRequired = (user) => auth.twoFactor.requiredRoles.includes(user.role);
+
+/**
+ * Normalize a recovery code as typed by the user
+ */
+const normalizeRecoveryCode = (code) => String(code || '').toLowerCase().replace(/[^0-9a-f]/g, '');
+
+/**
+ * New plain recovery codes, `xxxxx-xxxxx` in hex
+ */
+const generateRecoveryCodes = () => Array.from({ length: auth.twoFactor.recoveryCodes }, () => {
+  const code = crypto.randomBytes(5).toString('hex');
+  return `${code.slice(0, 5)}-${code.slice(5)}`;
+});
+
+/**
+ * Short-lived token proving the password step of a login
+ *
+ * @param {Object} user - User whose password matched
+ * @param {string} purpose - 'login' (enter a code) or 'setup' (enrol first)
+ */
+const issueChallenge = (user, purpose) => {
+  const expiresIn = auth.twoFactor.challengeTtlMinutes * 60;
+  return {
+    challenge_token: jwt.sign(
+      { userId: user.id, purpose },
+      auth.accessToken.secret,
+      { expiresIn, audience: 'two_factor' }
+    ),
+    expires_in: expiresIn
+  };
+};
+
+/**
+ * Second step the login of a user needs, or null when the password suffices
+ *
+ * @returns {Object|null} { two_factor_required, setup_required, challenge_token, expires_in }
+ */
+const loginChallengeFor = (user) => {
+  if (user.two_factor_enabled) {
+    return { two_factor_required: true, setup_required: false, ...issueChallenge(user, 'login') };
+  }
+  if (isTwoFactorRequired(user)) {
+    return { two_factor_required: true, setup_required: true, ...issueChallenge(user, 'setup') };
+  }
+  return null;
+};
+
+/**
+ * User of a challenge token issued for `purpose`
+ */
+const verifyChallenge = async (token, purpose) => {
+  let payload;
+  try {
+    payload = jwt.verify(String(token), auth.accessToken.secret, { audience: 'two_factor' });
+  } catch (error) {
+    throw new UnauthorizedError('Desafío de verificación inválido o expirado');
+  }
+
+  if (payload.purpose !== purpose) {
+    throw new UnauthorizedError('Desafío de verificación inválido o expirado');
+  }
+
+  const user = await User.findByPk(payload.userId);
+  if (!user || !user.is_active) {
+    throw new UnauthorizedError('Usuario no válido o inactivo');
+  }
+
+  return user;
+};
+
+/**
+ * Start enrolment: store a new secret, not yet in use
+ *
+ * @returns {Object} { secret, otpauth_uri }
+ */
+const setupTwoFactor = async (user) => {
+  if (user.two_factor_enabled) {
+    throw new ConflictError('La verificación en dos pasos ya está activada');
+  }
+
+  const secret = generateSecret();
+  await user.update({ two_factor_secret: secret });
+
+  return {
+    secret,
+    otpauth_uri: otpauthUri({
+      secret,
+      account: user.email,
+      issuer: auth.twoFactor.issuer,
+      period: auth.twoFactor.totp.period,
+      digits: auth.twoFactor.totp.digits
+    })
+  };
+};
+
+/**
+ * Check a factor against the locked user row and spend it
+ * A TOTP code spends its time step; a recovery code is removed.
+ *
+ * @param {Object} user - User with 2FA (or a pending secret, for enable)
+ * @param {Object} factor - { code } or { recovery_code }
+ * @param {Object} transaction - Transaction holding the user row lock
+ * @returns {boolean} Whether the factor was valid
+ */
+const spendFactor = async (user, factor, transaction) => {
+  const current = await User.findByPk(user.id, { transaction, lock: transaction.LOCK.UPDATE });
+  if (!current || !current.two_factor_secret) {
+    return false;
+  }
+
+  if (factor.recovery_code) {
+    const hash = hashToken(normalizeRecoveryCode(factor.recovery_code));
+    const remaining = current.two_factor_recovery_codes || [];
+    if (!current.two_factor_enabled || !remaining.includes(hash)) {
+      return false;
+    }
+    await current.update({ two_factor_recovery_codes: remaining.filter(stored => stored !== hash) }, { transaction });
+    return true;
+  }
+
+  const step = verifyTotp(current.two_factor_secret, factor.code, auth.twoFactor.totp);
+  if (step === null || (current.two_factor_last_step !== null && step <= Number(current.two_factor_last_step))) {
+    return false;
+  }
+  await current.update({ two_factor_last_step: step }, { transaction });
+  return true;
+};
+
+/**
+ * Check and spend a factor in its own transaction
+ */
+const verifyFactor = (user, factor) => sequelize.transaction(
+  (transaction) => spendFactor(user, factor, transaction)
+);
+
+/**
+ * Finish enrolment with a code from the new secret
+ *
+ * @returns {string[]} Plain recovery codes, shown only now
+ */
+const enableTwoFactor = async (user, code) => {
+  if (user.two_factor_enabled) {
+    throw new ConflictError('La verificación en dos pasos ya está activada');
+  }
+  if (!user.two_factor_secret) {
+    throw new BadRequestError('Primero inicia la configuración de la verificación en dos pasos');
+  }
+
+  const recoveryCodes = generateRecoveryCodes();
+
+  await sequelize.transaction(async (transaction) => {
+    if (!(await spendFactor(user, { code }, transaction))) {
+      throw new BadRequestError('Código de verificación inválido');
+    }
+
+    await User.update({
+      two_factor_enabled: true,
+      two_factor_enabled_at: new Date(),
+      two_factor_recovery_codes: recoveryCodes.map(recoveryCode => hashToken(normalizeRecoveryCode(recoveryCode)))
+    }, {
+      where: { id: user.id },
+      transaction
+    });
+  });
+
+  await user.reload();
+  return recoveryCodes;
+};
+
+/**
+ * Replace the recovery codes of a user, after a valid TOTP code
+ *
+ * @returns {string[]} Plain recovery codes, shown only now
+ */
+const regenerateRecoveryCodes = async (user, code) => {
+  if (!user.two_factor_enabled) {
+    throw new BadRequestError('La verificación en dos pasos no está activada');
+  }
+
+  const recoveryCodes = generateRecoveryCodes();
+
+  await sequelize.transaction(async (transaction) => {
+    if (!(await spendFactor(user, { code }, transaction))) {
+      throw new BadRequestError('Código de verificación inválido');
+    }
+
+    await User.update({
+      two_factor_recovery_codes: recoveryCodes.map(recoveryCode => hashToken(normalizeRecoveryCode(recoveryCode)))
+    }, {
+      where: { id: user.id },
+      transaction
+    });
+  });
+
+  await user.reload();
+  return recoveryCodes;
+};
+
+/**
+ * Clear every 2FA field of a user, e.g. when an admin resets it for a user
+ * who lost the device; the user can enrol again
+ */
+const resetTwoFactor = (user) => user.update({
+  two_factor_enabled: false,
+  two_factor_secret: null,
+  two_factor_enabled_at: null,
+  two_factor_last_step: null,
+  two_factor_recovery_codes: []
+});
+
+/**
+ * Turn 2FA off, after a valid code or recovery code
+ * Users of a role that requires 2FA cannot turn it off.
+ */
+const disableTwoFactor = async (user, factor) => {
+  if (!user.two_factor_enabled) {
+    throw new BadRequestError('La verificación en dos pasos no está activada');
+  }
+  if (isTwoFactorRequired(user)) {
+    throw new BadRequestError('Tu rol requiere la verificación en dos pasos');
+  }
+  if (!(await verifyFactor(user, factor))) {
+    throw new BadRequestError('Código de verificación inválido');
+  }
+
+  await user.reload();
+  return resetTwoFactor(user);
+};
+
+/**
+ * 2FA state of a user, without secrets
+ */
+const twoFactorStatus = (user) => ({
+  enabled: user.two_factor_enabled,
+  enabled_at: user.two_factor_enabled_at,
+  required: isTwoFactorRequired(user),
+  recovery_codes_remaining: user.two_factor_enabled ? (user.two_factor_recovery_codes || []).length : 0
+});
+
+module.exports = {
+  isTwoFactorRequired,
+  loginChallengeFor,
+  verifyChallenge,
+  setupTwoFactor,
+  verifyFactor,
+  enableTwoFactor,
+  regenerateRecoveryCodes,
+  disableTwoFactor,
+  resetTwoFactor,
+  twoFactorStatus
+};
@@ -0,0 +1,100 @@
+const { Op } = require('sequelize');
+const { Vehicle, Rental, Maintenance } = require('../models');
+
+/**
+ * Vehicle.status is derived from the rental calendar and open maintenances.
+ * It is never set directly by clients; the rental and maintenance lifecycle
+ * endpoints call syncVehicleStatus after every change that can affect it.
+ *
+ *   inactive    - vehicle soft-deleted (is_active = false)
+ *   rented      - an active rental exists (picked up and not yet returned)
+ *   maintenance - a maintenance is in progress, or a critical one is pending
+ *   available   - none of the above; future reservations do not change the status
+ */
+
+/**
+ * Compute the status a vehicle should have right now
+ */
+const computeVehicleStatus = async (vehicle, options = {}) => {
+  const { transaction } = options;
+
+  if (!vehicle.is_active) {
+    return 'inactive';
+  }
+
+  const activeRentals = await Rental.count({
+    where: {
+      vehicle_id: vehicle.id,
+      rental_status: 'active'
+    },
+    transaction
+  });
+
+  if (activeRentals > 0) {
+    return 'rented';
+  }
+
+  const openMaintenances = await Maintenance.count({
+    where: {
+      vehicle_id: vehicle.id,
+      [Op.or]: [
+        { status: 'in_progress' },
+        {
+          priority: 'critical',
+          status: { [Op.in]: ['scheduled', 'overdue'] }
+        }
+      ]
+    },
+    transaction
+  });
+
+  if (openMaintenances > 0) {
+    return 'maintenance';
+  }
+
+  return 'available';
+};
+
+/**
+ * Recompute and persist the status of a vehicle
+ * Accepts a Vehicle instance or an id; returns the (possibly updated) vehicle
+ */
+const syncVehicleStatus = async (vehicleOrId, options = {}) => {
+  const { transaction } = options;
+
+  const vehicle = vehicleOrId instanceof Vehicle ?
+    vehicleOrId :
+    await Vehicle.findByPk(vehicleOrId, { transaction });
+
+  if (!vehicle) return null;
+
+  const status = await computeVehicleStatus(vehicle, options);
+  if (vehicle.status !== status) {
+    await vehicle.update({ status }, { transaction });
+  }
+
+  return vehicle;
+};
+
+/**
+ * Recompute the status of every vehicle
+ * Used at startup to repair statuses written by the old manual flag
+ */
+const syncAllVehicleStatuses = async () => {
+  const vehicles = await Vehicle.findAll();
+  let updated = 0;
+
+  for (const vehicle of vehicles) {
+    const previousStatus = vehicle.status;
+    await syncVehicleStatus(vehicle);
+    if (vehicle.status !== previousStatus) updated++;
+  }
+
+  return updated;
+};
+
+module.exports = {
+  computeVehicleStatus,
+  syncVehicleStatus,
+  syncAllVehicleStatuses
+};
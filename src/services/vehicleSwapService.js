@@ -0,0 +1,228 @@
+const { RentalVehicleSegment, Maintenance } = require('../models');
+const { assertVehicleFree, assertReturnAtLocation, lockVehicle } = require('./availabilityService');
+const { syncVehicleStatus } = require('./vehicleStatusService');
+const { refreshPaymentStatus } = require('./paymentService');
+const { quoteSwap } = require('./pricingService');
+const { DEFAULT_CURRENCY, add } = require('../utils/money');
+const { BadRequestError } = require('../utils/errors');
+
+/**
+ * How a swap affects the price of the remaining days
+ *   keep    - the customer keeps the agreed price (e.g. breakdown replaced by us)
+ *   reprice - the remaining days are charged at the replacement rate and type
+ */
+const SWAP_PRICE_POLICIES = ['keep', 'reprice'];
+
+/**
+ * Vehicle segments of a rental, oldest first
+ * A rental that was never swapped gets its first segment here, built from
+ * its pickup data.
+ */
+const ensureVehicleSegments = async (rental, transaction) => {
+  const segments = await RentalVehicleSegment.findAll({
+    where: { rental_id: rental.id },
+    order: [['sequence', 'ASC']],
+    transaction
+  });
+
+  if (segments.length > 0) {
+    return segments;
+  }
+
+  const first = await RentalVehicleSegment.create({
+    rental_id: rental.id,
+    vehicle_id: rental.vehicle_id,
+    sequence: 1,
+    start_at: rental.started_at || rental.start_date,
+    pickup_mileage: rental.pickup_mileage,
+    fuel_level_pickup: rental.fuel_level_pickup,
+    battery_level_pickup: rental.battery_level_pickup,
+    created_by: rental.started_by
+  }, { transaction });
+
+  return [first];
+};
+
+/**
+ * Swap the vehicle of an active rental
+ * Closes the segment of the current vehicle, opens one on the replacement,
+ * optionally opens a corrective maintenance on the vehicle swapped out and
+ * moves the rental to the replacement. The vehicles are synced afterwards.
+ *
+ * @param {Object} rental - Active rental, locked by the caller
+ * @param {Object} currentVehicle - Vehicle of the rental, locked by the caller
+ * @param {Object} data - { vehicle_id, swap_date, reason, price_policy,
+ *                          return_mileage, fuel_level_return, battery_level_return,
+ *                          pickup_mileage, fuel_level_pickup, battery_level_pickup,
+ *                          maintenance: { title, description, priority } }
+ */
+const swapVehicle = async (rental, currentVehicle, data, options = {}) => {
+  const { user, transaction } = options;
+
+  if (rental.rental_status !== 'active') {
+    throw new BadRequestError('Solo se puede cambiar el vehículo de un alquiler activo');
+  }
+
+  if (data.vehicle_id === rental.vehicle_id) {
+    throw new BadRequestError('El vehículo de reemplazo debe ser distinto al actual');
+  }
+
+  const swapDate = data.swap_date ? new Date(data.swap_date) : new Date();
+  if (swapDate >= new Date(rental.end_date)) {
+    throw new BadRequestError('La fecha del cambio debe ser anterior a la fecha de fin del alquiler');
+  }
+
+  const segments = await ensureVehicleSegments(rental, transaction);
+  const currentSegment = segments[segments.length - 1];
+  if (swapDate < new Date(currentSegment.start_at)) {
+    throw new BadRequestError('La fecha del cambio debe ser posterior a la entrega del vehículo actual');
+  }
+
+  const replacement = await lockVehicle(data.vehicle_id, transaction);
+  if (!replacement || !replacement.is_active) {
+    throw new BadRequestError('Vehículo de reemplazo no disponible');
+  }
+
+  // The replacement is handed over now: it must be physically at hand
+  if (replacement.status !== 'available') {
+    throw new BadRequestError('El vehículo de reemplazo no está disponible para la entrega');
+  }
+
+  await assertVehicleFree(replacement.id, swapDate, rental.end_date, { transaction });
+  // The replacement is the one returned to the return branch of the rental
+  if (rental.return_location_id) {
+    await assertReturnAtLocation(replacement.id, rental.return_location_id, rental.end_date, { transaction });
+  }
+
+  // Odometers never go back: distance driven is charged from these readings
+  if (data.return_mileage < Math.max(currentSegment.pickup_mileage || 0, currentVehicle.current_mileage)) {
+    throw new BadRequestError('El kilometraje de devolución no puede ser menor al kilometraje de retiro del vehículo actual');
+  }
+  if (data.pickup_mileage < replacement.current_mileage) {
+    throw new BadRequestError('El kilometraje de entrega no puede ser menor al kilometraje actual del vehículo de reemplazo');
+  }
+
+  const pricePolicy = data.price_policy || 'keep';
+  const rentalCurrency = rental.currency || DEFAULT_CURRENCY;
+  if (pricePolicy === 'reprice' && (replacement.currency || DEFAULT_CURRENCY) !== rentalCurrency) {
+    throw new BadRequestError('La tarifa del vehículo de reemplazo está en otra moneda; no se puede recalcular el precio');
+  }
+
+  const quote = quoteSwap(rental, currentVehicle, replacement, swapDate);
+  const charged = pricePolicy === 'reprice';
+
+  let maintenance = null;
+  if (data.maintenance) {
+    maintenance = await Maintenance.create({
+      vehicle_id: currentVehicle.id,
+      maintenance_type: 'corrective',
+      title: data.maintenance.title || `Falla en alquiler ${rental.rental_number}`,
+      description: data.maintenance.description || data.reason,
+      scheduled_date: swapDate,
+      mileage_at_maintenance: data.return_mileage,
+      // A vehicle swapped out for a fault is out of service until repaired
+      priority: data.maintenance.priority || 'critical',
+      currency: currentVehicle.currency,
+      created_by: user ? user.id : null
+    }, { transaction });
+  }
+
+  await currentSegment.update({
+    end_at: swapDate,
+    return_mileage: data.return_mileage,
+    fuel_level_return: data.fuel_level_return,
+    battery_level_return: data.battery_level_return,
+    end_reason: data.reason,
+    maintenance_id: maintenance ? maintenance.id : null
+  }, { transaction });
+
+  const segment = await RentalVehicleSegment.create({
+    rental_id: rental.id,
+    vehicle_id: replacement.id,
+    sequence: currentSegment.sequence + 1,
+    start_at: swapDate,
+    pickup_mileage: data.pickup_mileage,
+    fuel_level_pickup: data.fuel_level_pickup,
+    battery_level_pickup: data.battery_level_pickup,
+    created_by: user ? user.id : null
+  }, { transaction });
+
+  const swap = {
+    swapped_at: swapDate,
+    swapped_by: user ? user.id : null,
+    from_vehicle_id: currentVehicle.id,
+    to_vehicle_id: replacement.id,
+    reason: data.reason,
+    price_policy: pricePolicy,
+    ...quote,
+    // Amounts added to the rental; the price difference is kept for reference
+    price_difference: quote.total_amount,
+    subtotal: charged ? quote.subtotal : 0,
+    tax_amount: charged ? quote.tax_amount : 0,
+    total_amount: charged ? quote.total_amount : 0
+  };
+
+  const breakdown = rental.price_breakdown || {};
+  const changes = {
+    vehicle_id: replacement.id,
+    price_breakdown: {
+      ...breakdown,
+      swaps: [...(breakdown.swaps || []), swap]
+    }
+  };
+
+  if (charged) {
+    // Extensions and late fees follow the rate of the vehicle in use
+    changes.daily_rate = replacement.daily_rate;
+    changes.subtotal = add(rental.subtotal, swap.subtotal);
+    changes.tax_amount = add(rental.tax_amount, swap.tax_amount);
+    changes.total_amount = add(rental.total_amount, swap.total_amount);
+  }
+
+  await rental.update(changes, { transaction });
+
+  if (charged) {
+    await refreshPaymentStatus(rental, { transaction });
+  }
+
+  if (data.return_mileage) {
+    await currentVehicle.update({ current_mileage: data.return_mileage }, { transaction });
+  }
+  if (data.pickup_mileage) {
+    await replacement.update({ current_mileage: data.pickup_mileage }, { transaction });
+  }
+  await syncVehicleStatus(currentVehicle, { transaction });
+  await syncVehicleStatus(replacement, { transaction });
+
+  return { swap, previousSegment: currentSegment, segment, maintenance };
+};
+
+/**
+ * Close the open vehicle segment of a rental at return
+ * Does nothing for rentals that were never swapped.
+ */
+const closeVehicleSegment = async (rental, data, options = {}) => {
+  const { transaction } = options;
+
+  const segment = await RentalVehicleSegment.findOne({
+    where: { rental_id: rental.id, end_at: null },
+    transaction
+  });
+
+  if (!segment) {
+    return null;
+  }
+
+  return segment.update({
+    end_at: data.end_at,
+    return_mileage: data.return_mileage,
+    fuel_level_return: data.fuel_level_return,
+    battery_level_return: data.battery_level_return
+  }, { transaction });
+};
+
+module.exports = {
+  SWAP_PRICE_POLICIES,
+  swapVehicle,
+  closeVehicleSegment
+};
@@ -0,0 +1,130 @@
+/**
+ * Application error classes
+ * Thrown from services and transactions, translated to HTTP responses by controllers
+ */
+
+/**
+ * Base error carrying an HTTP status and optional response details
+ */
+class AppError extends Error {
+  constructor(message, status = 500, details = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.details = details;
+  }
+
+  /**
+   * Body sent to the client for this error
+   */
+  toResponse() {
+    return {
+      success: false,
+      message: this.message,
+      ...this.details
+    };
+  }
+}
+
+/**
+ * 400 - Request is valid but violates a business rule
+ */
+class BadRequestError extends AppError {
+  constructor(message, details) {
+    super(message, 400, details);
+  }
+}
+
+/**
+ * 401 - Credentials are missing, invalid or no longer valid
+ */
+class UnauthorizedError extends AppError {
+  constructor(message, details) {
+    super(message, 401, details);
+  }
+}
+
+/**
+ * 403 - Authenticated but not allowed to do this
+ */
+class ForbiddenError extends AppError {
+  constructor(message, details) {
+    super(message, 403, details);
+  }
+}
+
+/**
+ * 404 - Requested resource does not exist
+ */
+class NotFoundError extends AppError {
+  constructor(message, details) {
+    super(message, 404, details);
+  }
+}
+
+/**
+ * 409 - Request conflicts with the current state of a resource
+ */
+class ConflictError extends AppError {
+  constructor(message, details) {
+    super(message, 409, details);
+  }
+}
+
+/**
+ * 429 - Too many attempts; the client may retry after `retry_after` seconds
+ */
+class TooManyRequestsError extends AppError {
+  constructor(message, retryAfter, details = {}) {
+    super(message, 429, { retry_after: retryAfter, ...details });
+    this.retryAfter = retryAfter;
+  }
+}
+
+/**
+ * 409 - Vehicle already booked for an overlapping period
+ */
+class RentalConflictError extends ConflictError {
+  constructor(conflictingRentals = []) {
+    super('El vehículo ya tiene reservas en las fechas seleccionadas', {
+      conflicting_rentals: conflictingRentals.map(rental => rental.rental_number)
+    });
+  }
+}
+
+/**
+ * 409 - Vehicle has open maintenances during the requested period
+ */
+class MaintenanceConflictError extends ConflictError {
+  constructor(maintenances = []) {
+    super('El vehículo tiene mantenimientos pendientes en las fechas seleccionadas', {
+      conflicting_maintenances: maintenances.map(maintenance => maintenance.maintenance_number)
+    });
+  }
+}
+
+/**
+ * 400 - No exchange rate is stored to convert between two currencies
+ */
+class ExchangeRateNotFoundError extends BadRequestError {
+  constructor(from, to, date) {
+    super(`No hay tipo de cambio registrado de ${from} a ${to} vigente al ${date}`, {
+      from_currency: from,
+      to_currency: to,
+      date
+    });
+  }
+}
+
+module.exports = {
+  AppError,
+  BadRequestError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  TooManyRequestsError,
+  RentalConflictError,
+  MaintenanceConflictError,
+  ExchangeRateNotFoundError
+};
@@ -0,0 +1,221 @@
+require('dotenv').config();
+
+/**
+ * Money helpers
+ * Amounts are handled as integer cents (BigInt) so sums and products are exact;
+ * results are returned as numbers rounded to cents. Inputs may be numbers or the
+ * strings pg returns for DECIMAL columns.
+ *
+ *   add('100.10', 0.2)          -> 100.3
+ *   multiply('100.00', '0.19')  -> 19
+ *   multiply(10.005, 1)         -> 10.01 (half up) / 10 (half even)
+ */
+
+const SCALE = 2;
+const CENTS = 10n ** BigInt(SCALE);
+
+/**
+ * Currency of amounts that do not state one (ISO 4217)
+ */
+const DEFAULT_CURRENCY = process.env.DEFAULT_CURRENCY || 'CLP';
+
+/**
+ * Currencies rates, rentals and reports can be expressed in (ISO 4217)
+ */
+const SUPPORTED_CURRENCIES = ['CLP', 'USD', 'PEN', 'COP', 'ARS', 'MXN', 'EUR'];
+
+/**
+ * Rounding applied when a result has more than two decimals:
+ * 'half_up' (away from zero on ties) or 'half_even' (banker's rounding)
+ */
+const ROUNDING_MODE = process.env.MONEY_ROUNDING_MODE || 'half_up';
+
+const DECIMAL_PATTERN = /^([+-])?(\d*)(?:\.(\d*))?$/;
+
+/**
+ * Parse a decimal into an exact { units, scale } pair (value = units / 10^scale)
+ */
+const parseDecimal = (value) => {
+  if (value === null || value === undefined || value === '') {
+    return { units: 0n, scale: 0 };
+  }
+
+  if (typeof value === 'bigint') {
+    return { units: value, scale: 0 };
+  }
+
+  let text = typeof value === 'number' ? String(value) : String(value).trim();
+  if (typeof value === 'number') {
+    if (!Number.isFinite(value)) {
+      throw new TypeError(`Invalid amount: ${value}`);
+    }
+    // Exponent notation for very small or very large numbers
+    if (/e/i.test(text)) {
+      text = value.toFixed(20);
+    }
+  }
+
+  const match = DECIMAL_PATTERN.exec(text);
+  if (!match || (match[2] === '' && (match[3] === undefined || match[3] === ''))) {
+    throw new TypeError(`Invalid amount: ${value}`);
+  }
+
+  const [, sign, integer, fraction = ''] = match;
+  const units = BigInt(`${integer || '0'}${fraction}`);
+
+  return {
+    units: sign === '-' ? -units : units,
+    scale: fraction.length
+  };
+};
+
+/**
+ * Divide two BigInts rounding the quotient with the given mode
+ */
+const divideRounded = (numerator, denominator, mode = ROUNDING_MODE) => {
+  const quotient = numerator / denominator;
+  const remainder = numerator % denominator;
+  if (remainder === 0n) return quotient;
+
+  const negative = (numerator < 0n) !== (denominator < 0n);
+  const twiceRemainder = (remainder < 0n ? -remainder : remainder) * 2n;
+  const absDenominator = denominator < 0n ? -denominator : denominator;
+  const awayFromZero = negative ? quotient - 1n : quotient + 1n;
+
+  if (twiceRemainder > absDenominator) return awayFromZero;
+  if (twiceRemainder < absDenominator) return quotient;
+
+  // Exactly half way
+  if (mode === 'half_even') {
+    return quotient % 2n === 0n ? quotient : awayFromZero;
+  }
+  return awayFromZero;
+};
+
+/**
+ * Convert a decimal with any scale into cents
+ */
+const decimalToCents = ({ units, scale }, mode) => {
+  if (scale <= SCALE) {
+    return units * 10n ** BigInt(SCALE - scale);
+  }
+  return divideRounded(units, 10n ** BigInt(scale - SCALE), mode);
+};
+
+/**
+ * Amount in cents
+ */
+const toCents = (value, mode = ROUNDING_MODE) => decimalToCents(parseDecimal(value), mode);
+
+/**
+ * Number from an amount in cents
+ */
+const fromCents = (cents) => Number(cents) / Number(CENTS);
+
+/**
+ * Amount rounded to cents, as a number (null and undefined become 0)
+ */
+const toNumber = (value, mode = ROUNDING_MODE) => fromCents(toCents(value, mode));
+
+/**
+ * Exact sum of amounts
+ */
+const add = (...values) => fromCents(values.reduce((total, value) => total + toCents(value), 0n));
+
+/**
+ * Exact sum of a list of amounts
+ */
+const sum = (values) => add(...values);
+
+/**
+ * Exact difference a - b
+ */
+const subtract = (a, b) => fromCents(toCents(a) - toCents(b));
+
+/**
+ * Amount multiplied by one or more factors (rates, quantities, multipliers)
+ * The product is exact and rounded to cents once, at the end.
+ */
+const multiply = (value, ...factors) => {
+  let product = parseDecimal(value);
+
+  for (const factor of factors) {
+    const decimal = parseDecimal(factor);
+    product = {
+      units: product.units * decimal.units,
+      scale: product.scale + decimal.scale
+    };
+  }
+
+  return fromCents(decimalToCents(product));
+};
+
+/**
+ * Amount divided by a number, rounded to cents
+ */
+const divide = (value, divisor) => {
+  const amount = parseDecimal(value);
+  const by = parseDecimal(divisor);
+  if (by.units === 0n) {
+    throw new RangeError('Division by zero');
+  }
+
+  // value / divisor = (units_a * 10^scale_b) / (units_b * 10^scale_a), in cents
+  const numerator = amount.units * 10n ** BigInt(by.scale) * CENTS;
+  const denominator = by.units * 10n ** BigInt(amount.scale);
+  return fromCents(divideRounded(numerator, denominator));
+};
+
+/**
+ * Compare two amounts: -1, 0 or 1
+ */
+const compare = (a, b) => {
+  const difference = toCents(a) - toCents(b);
+  if (difference === 0n) return 0;
+  return difference < 0n ? -1 : 1;
+};
+
+/**
+ * Smallest of the amounts
+ */
+const min = (...values) => toNumber(values.reduce((lowest, value) => (compare(value, lowest) < 0 ? value : lowest)));
+
+/**
+ * Largest of the amounts
+ */
+const max = (...values) => toNumber(values.reduce((highest, value) => (compare(value, highest) > 0 ? value : highest)));
+
+/**
+ * Amount with its currency code, for API responses
+ */
+const money = (value, currency = DEFAULT_CURRENCY) => ({
+  amount: toNumber(value),
+  currency
+});
+
+/**
+ * Sequelize getter that returns a DECIMAL column as a number rounded to cents
+ */
+const moneyGetter = (field) => function() {
+  const value = this.getDataValue(field);
+  return value === null || value === undefined ? value : toNumber(value);
+};
+
+module.exports = {
+  DEFAULT_CURRENCY,
+  SUPPORTED_CURRENCIES,
+  ROUNDING_MODE,
+  toCents,
+  fromCents,
+  toNumber,
+  add,
+  sum,
+  subtract,
+  multiply,
+  divide,
+  compare,
+  min,
+  max,
+  money,
+  moneyGetter
+};
@@ -0,0 +1,143 @@
+const crypto = require('crypto');
+
+/**
+ * Time-based one-time passwords (RFC 6238, HOTP of RFC 4226 with HMAC-SHA1)
+ * Compatible with the usual authenticator apps; needs no network access.
+ */
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * Encode a buffer as unpadded base32 (RFC 4648)
+ */
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+/**
+ * Decode base32, ignoring case, spaces and padding
+ */
+const base32Decode = (input) => {
+  const clean = String(input).toUpperCase().replace(/[\s=]/g, '');
+  const bytes = [];
+  let bits = 0;
+  let value = 0;
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error(`Invalid base32 character: ${char}`);
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+/**
+ * Random base32 secret; 20 bytes is the HMAC-SHA1 key size RFC 4226 recommends
+ */
+const generateSecret = (bytes = 20) => base32Encode(crypto.randomBytes(bytes));
+
+/**
+ * HOTP value of a counter (RFC 4226 section 5.3)
+ */
+const hotp = (secret, counter, digits = 6) => {
+  const message = Buffer.alloc(8);
+  message.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(message).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const code = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** digits;
+
+  return String(code).padStart(digits, '0');
+};
+
+/**
+ * Time step a moment falls in
+ */
+const timeStep = (time = Date.now(), period = 30) => Math.floor(time / 1000 / period);
+
+/**
+ * TOTP code of a secret at a moment
+ *
+ * @param {string} secret - Base32 secret
+ * @param {Object} options - { time (ms), period (s), digits }
+ */
+const generateTotp = (secret, options = {}) => {
+  const { time = Date.now(), period = 30, digits = 6 } = options;
+  return hotp(secret, timeStep(time, period), digits);
+};
+
+/**
+ * Check a code against the current time step and `window` steps either side
+ * to allow for clock drift
+ *
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code given by the user
+ * @param {Object} options - { time (ms), period (s), digits, window }
+ * @returns {number|null} Time step the code matched, or null
+ */
+const verifyTotp = (secret, code, options = {}) => {
+  const { time = Date.now(), period = 30, digits = 6, window = 1 } = options;
+  const given = String(code || '').replace(/\s/g, '');
+  if (!new RegExp(`^\\d{${digits}}$`).test(given)) {
+    return null;
+  }
+
+  const current = timeStep(time, period);
+  for (let step = current - window; step <= current + window; step++) {
+    const expected = hotp(secret, step, digits);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(given))) {
+      return step;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * otpauth:// URI for enrolling the secret in an authenticator app
+ * (usually shown as a QR code)
+ */
+const otpauthUri = ({ secret, account, issuer, period = 30, digits = 6 }) => {
+  const label = encodeURIComponent(`${issuer}:${account}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(digits),
+    period: String(period)
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+module.exports = {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  generateTotp,
+  verifyTotp,
+  otpauthUri
+};